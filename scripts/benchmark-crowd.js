@@ -0,0 +1,115 @@
+// Benchmark of crowd zone building and route analysis with city-wide sensor data.
+// Fills the grid with CELLS populated cells around Ujjain (clustered like real crowds,
+// from a fixed seed), then times zone building, point lookups, route analysis with the
+// zone R-tree against a plain loop over every zone, and viewport culling for the map.
+//
+//   npm run bench:crowd
+//   CELLS=100000 ROUTES=200 npm run bench:crowd
+//
+// The app modules are loaded through Vite, which resolves their extensionless imports.
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const CELLS = Number(process.env.CELLS) || 50000;
+const ROUTES = Number(process.env.ROUTES) || 100;
+const GRID_SIZE = 0.0005;
+const CENTER = [23.1793, 75.7849];
+const SPREAD = 0.3; // degrees around the centre covered by sensors
+const INTERACTIVE_MS = 100; // a route analysis slower than this makes the map feel stuck
+
+// Small deterministic PRNG (mulberry32) so every run measures the same crowd
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Populated cells ({ lat, lng, population }, south-west corners) in crowd blobs
+function generateCells(count, rand) {
+  const cells = new Map();
+  while (cells.size < count) {
+    const spot = [CENTER[0] + (rand() - 0.5) * SPREAD, CENTER[1] + (rand() - 0.5) * SPREAD];
+    const size = 2 + Math.floor(rand() * 8);
+    for (let dRow = -size; dRow <= size && cells.size < count; dRow++) {
+      for (let dCol = -size; dCol <= size && cells.size < count; dCol++) {
+        if (rand() > 0.7) continue;
+        const lat = (Math.floor(spot[0] / GRID_SIZE) + dRow) * GRID_SIZE;
+        const lng = (Math.floor(spot[1] / GRID_SIZE) + dCol) * GRID_SIZE;
+        const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+        const population = 1 + Math.floor(rand() * 15 / (1 + Math.abs(dRow) + Math.abs(dCol)));
+        cells.set(key, { lat, lng, population: (cells.get(key)?.population || 0) + population });
+      }
+    }
+  }
+  return [...cells.values()];
+}
+
+// Zig-zag walking routes of about 3 km with a point every ~25 m
+function generateRoutes(count, rand) {
+  return Array.from({ length: count }, () => {
+    let point = [CENTER[0] + (rand() - 0.5) * SPREAD * 0.8, CENTER[1] + (rand() - 0.5) * SPREAD * 0.8];
+    let heading = rand() * 2 * Math.PI;
+    const route = [point];
+    for (let i = 0; i < 120; i++) {
+      heading += (rand() - 0.5) * 0.6;
+      point = [point[0] + Math.cos(heading) * 0.000225, point[1] + Math.sin(heading) * 0.000245];
+      route.push(point);
+    }
+    return route;
+  });
+}
+
+function time(label, fn, runs = 1) {
+  const start = performance.now();
+  let result;
+  for (let i = 0; i < runs; i++) result = fn();
+  const ms = (performance.now() - start) / runs;
+  console.log(`${label.padEnd(44)} ${ms.toFixed(2).padStart(10)} ms${runs > 1 ? ' (mean)' : ''}`);
+  return { result, ms };
+}
+
+const server = await createServer({
+  root: fileURLToPath(new URL('..', import.meta.url)),
+  server: { middlewareMode: true },
+  appType: 'custom',
+  optimizeDeps: { noDiscovery: true, include: [] },
+  logLevel: 'error'
+});
+try {
+  const zones = await server.ssrLoadModule('/src/crowd/zones.js');
+  const { RTree } = await server.ssrLoadModule('/src/crowd/spatialIndex.js');
+  const rand = random(2028);
+
+  console.log(`📊 ${CELLS} populated cells, ${ROUTES} routes\n`);
+  const cells = generateCells(CELLS, rand);
+  const routes = generateRoutes(ROUTES, rand);
+  const weight = population => (population < 3 ? 2 : population < 6 ? 5 : population < 10 ? 10 : 20);
+
+  const { result: crowdZones } = time('Build crowd zones', () => zones.buildCrowdZones(cells, GRID_SIZE, weight), 3);
+  console.log(`   ${crowdZones.length} zones`);
+  time('Build zone R-tree', () => new RTree(crowdZones));
+
+  const points = routes.flat();
+  time(`Zone lookup, ${points.length} points (R-tree)`, () => points.filter(point => zones.findZoneAt(point, crowdZones)).length);
+
+  const { ms: indexedMs } = time(`Analyse ${ROUTES} routes (R-tree)`, () => routes.map(route => zones.routeZoneLengths(route, crowdZones)));
+  const perRoute = indexedMs / ROUTES;
+  const { ms: loopMs } = time('Analyse 10 routes (every zone)', () => routes.slice(0, 10).map(route =>
+    crowdZones.filter(zone => zones.routeLengthInZone(route, zone) > 0)));
+  console.log(`   per route: ${perRoute.toFixed(2)} ms with the R-tree, ${(loopMs / 10).toFixed(2)} ms looping over every zone`);
+
+  const cellIndex = time('Build cell R-tree (map layer)', () =>
+    new RTree(cells, cell => [cell.lat, cell.lng, cell.lat + GRID_SIZE, cell.lng + GRID_SIZE])).result;
+  const viewport = [CENTER[0] - 0.01, CENTER[1] - 0.02, CENTER[0] + 0.01, CENTER[1] + 0.02];
+  const { result: visible } = time('Cull cells to a street-level viewport', () => cellIndex.search(viewport), 100);
+  console.log(`   ${visible.length} of ${cells.length} cells in view`);
+
+  console.log(perRoute < INTERACTIVE_MS
+    ? `\n✅ Route analysis stays interactive (${perRoute.toFixed(2)} ms < ${INTERACTIVE_MS} ms per route)`
+    : `\n⚠️ Route analysis is too slow (${perRoute.toFixed(2)} ms ≥ ${INTERACTIVE_MS} ms per route)`);
+} finally {
+  await server.close();
+}
@@ -0,0 +1,98 @@
+// Local mock crowd feed for offline testing of the live feed (Server-Sent Events).
+// Sends a snapshot on connect, then updates every few seconds as a handful of crowd
+// hotspots drift around central Ujjain. Message schema: src/crowd/liveFeed.js.
+//
+//   npm run mock:feed                     # http://localhost:8787/feed
+//   PORT=9000 INTERVAL=1000 npm run mock:feed
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+const INTERVAL = Number(process.env.INTERVAL) || 3000;
+const GRID_SIZE = 0.0005;
+
+const hotspots = [
+  { name: 'ram-ghat', lat: 23.1823, lng: 75.7892, size: 40 },
+  { name: 'mahakal-approach', lat: 23.1829, lng: 75.7905, size: 25 },
+  { name: 'harsiddhi-lane', lat: 23.1815, lng: 75.7870, size: 15 },
+  { name: 'bus-stand', lat: 23.1790, lng: 75.7850, size: 10 }
+];
+
+// Counts per grid cell for the current hotspot positions
+function currentCells() {
+  const cells = new Map();
+  for (const spot of hotspots) {
+    for (let dLat = -2; dLat <= 2; dLat++) {
+      for (let dLng = -2; dLng <= 2; dLng++) {
+        const falloff = 1 / (1 + dLat * dLat + dLng * dLng);
+        const count = Math.round(spot.size * falloff * (0.8 + Math.random() * 0.4));
+        if (count === 0) continue;
+        const lat = Math.floor((spot.lat + dLat * GRID_SIZE) / GRID_SIZE) * GRID_SIZE + GRID_SIZE / 2;
+        const lng = Math.floor((spot.lng + dLng * GRID_SIZE) / GRID_SIZE) * GRID_SIZE + GRID_SIZE / 2;
+        const key = `${lat.toFixed(5)},${lng.toFixed(5)}`;
+        cells.set(key, (cells.get(key) || 0) + count);
+      }
+    }
+  }
+  return cells;
+}
+
+function toMessage(type, cells) {
+  return {
+    type,
+    source: 'mock-crowd-feed',
+    timestamp: new Date().toISOString(),
+    cells: [...cells].map(([key, count]) => {
+      const [lat, lng] = key.split(',').map(Number);
+      return { lat, lng, count };
+    })
+  };
+}
+
+let lastCells = currentCells();
+const clients = new Set();
+
+setInterval(() => {
+  for (const spot of hotspots) {
+    spot.lat += (Math.random() - 0.5) * GRID_SIZE;
+    spot.lng += (Math.random() - 0.5) * GRID_SIZE;
+    spot.size = Math.max(5, spot.size + Math.round((Math.random() - 0.4) * 6));
+  }
+
+  // Send absolute counts for changed cells and 0 for cells the crowd has left
+  const cells = currentCells();
+  const changed = new Map([...cells].filter(([key, count]) => lastCells.get(key) !== count));
+  for (const key of lastCells.keys()) {
+    if (!cells.has(key)) changed.set(key, 0);
+  }
+  lastCells = cells;
+
+  const data = `data: ${JSON.stringify(toMessage('update', changed))}\n\n`;
+  for (const client of clients) client.write(data);
+}, INTERVAL);
+
+const server = http.createServer((req, res) => {
+  if (req.url !== '/feed') {
+    res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.write(`data: ${JSON.stringify(toMessage('snapshot', lastCells))}\n\n`);
+  clients.add(res);
+  console.log(`📡 Client connected (${clients.size} total)`);
+
+  req.on('close', () => {
+    clients.delete(res);
+    console.log(`📴 Client disconnected (${clients.size} total)`);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`📡 Mock crowd feed on http://localhost:${PORT}/feed (every ${INTERVAL}ms)`);
+});
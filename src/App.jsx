@@ -1,11 +1,14 @@
-import { useState } from 'react';
-import { MapContainer, TileLayer, Circle, Popup, Marker, useMapEvents } from 'react-leaflet';
+import { MapContainer, TileLayer, Circle, Popup, Marker } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import DynamicRoadRouting from './components/DynamicRoadRouting';
 import ErrorBoundary from './components/ErrorBoundary';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import { useI18n } from './i18n/i18n';
 
 function App() {
+  const { t } = useI18n();
+
   return (
     <div style={{ width: '100vw', height: '100vh' }}>
       <header style={{
@@ -20,7 +23,8 @@ function App() {
         boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
         textAlign: 'center'
       }}>
-        🗺️ Simhastha 2028 Smart Pilgrim Route Planner
+        {t('app.title')}
+        <LanguageSwitcher style={{ position: 'absolute', right: '1rem', top: '50%', transform: 'translateY(-50%)' }} />
       </header>
       <div style={{ width: '100%', height: 'calc(100vh - 64px)' }}>
         <ErrorBoundary>
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { FRUIN_LEVELS } from '../crowd/safety';
+import { nearestPoi, poiName } from '../places/pois';
+
+const SEVERITY_COLORS = { warning: '#ea580c', critical: '#dc2626' };
+
+// Alerts are named after a place within this many metres of the zone centre
+const PLACE_DISTANCE = 300;
+
+// Organizer crowd safety alerts (see src/crowd/safety.js): unacknowledged alerts first,
+// then the acknowledged history, newest first. Clicking an alert shows its zone on the
+// map. The ⚙️ settings choose the warning and critical levels of service, how fast a
+// zone must fill up to count as rising, and the alert sound.
+export default function AlertsPanel({
+  alerts, settings, onAcknowledge, onAcknowledgeAll, onClearHistory, onFocus, onSettingsChange
+}) {
+  const { t, format, language } = useI18n();
+  const [showSettings, setShowSettings] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const active = alerts.filter(alert => !alert.acknowledgedAt);
+  const history = alerts.filter(alert => alert.acknowledgedAt);
+
+  const placeLabel = (point) => {
+    const poi = nearestPoi(point, PLACE_DISTANCE);
+    return poi ? poiName(poi, language) : `${format.fixed(point[0], 4)}, ${format.fixed(point[1], 4)}`;
+  };
+
+  const renderAlert = (alert) => (
+    <div
+      key={alert.id}
+      style={{
+        display: 'flex',
+        gap: '6px',
+        alignItems: 'flex-start',
+        padding: '4px 0',
+        borderTop: '1px solid #e5e7eb',
+        fontSize: '12px',
+        opacity: alert.acknowledgedAt ? 0.7 : 1
+      }}
+    >
+      <div style={{ flex: 1, cursor: 'pointer' }} title={t('alerts.focus')} onClick={() => onFocus(alert)}>
+        <div style={{ fontWeight: 'bold', color: SEVERITY_COLORS[alert.severity] }}>
+          {t(`alerts.severity.${alert.severity}`)} · {placeLabel(alert.center)}
+        </div>
+        <div>
+          {alert.kind === 'rising'
+            ? t('alerts.rising', { rate: format.fixed(alert.rate, 2), density: format.fixed(alert.density, 2) })
+            : t('alerts.level', { level: alert.level, density: format.fixed(alert.density, 2) })}
+        </div>
+        <div style={{ color: '#6b7280', fontSize: '11px' }}>
+          {t('alerts.raised', { time: format.time(alert.time), people: format.number(alert.population) })}
+          {alert.acknowledgedAt && <> · {t('alerts.acknowledgedAt', { time: format.time(alert.acknowledgedAt) })}</>}
+        </div>
+      </div>
+      {!alert.acknowledgedAt && (
+        <button
+          style={{ ...buttonStyle, padding: '2px 6px' }}
+          title={t('alerts.acknowledge')}
+          onClick={() => onAcknowledge(alert.id)}
+        >
+          ✓
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: active.some(alert => alert.severity === 'critical') ? '2px solid #dc2626' : '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong style={{ fontSize: '15px' }}>{t('alerts.title')}</strong>
+        <button
+          style={{ background: 'transparent', border: 'none', cursor: 'pointer', padding: '0 4px' }}
+          title={t('alerts.settings')}
+          onClick={() => setShowSettings(current => !current)}
+        >
+          ⚙️
+        </button>
+      </div>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('alerts.hint')}</div>
+
+      {showSettings && (
+        <div style={{ fontSize: '12px', marginBottom: '8px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+          {['warningLevel', 'criticalLevel'].map(setting => (
+            <label key={setting} style={{ display: 'flex', justifyContent: 'space-between' }}>
+              {t(`alerts.${setting}`)}
+              <select
+                value={settings[setting]}
+                onChange={(e) => onSettingsChange({ ...settings, [setting]: e.target.value })}
+              >
+                {FRUIN_LEVELS.slice(1).map(level => (
+                  <option key={level.id} value={level.id}>{t('alerts.levelOption', { level: level.id })}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <label style={{ display: 'flex', justifyContent: 'space-between' }}>
+            {t('alerts.riseRate')}
+            <input
+              type="number"
+              min={0.05}
+              step={0.05}
+              style={{ width: '56px', fontSize: '11px', borderRadius: '6px', border: '1px solid #d1d5db', padding: '2px 4px' }}
+              value={settings.riseRate}
+              onChange={(e) => {
+                if (Number(e.target.value) > 0) onSettingsChange({ ...settings, riseRate: Number(e.target.value) });
+              }}
+            />
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={settings.sound}
+              onChange={(e) => onSettingsChange({ ...settings, sound: e.target.checked })}
+            />{' '}
+            {t('alerts.sound')}
+          </label>
+          <div style={{ color: '#4b5563', fontSize: '11px' }}>
+            {FRUIN_LEVELS.map((level, index) => (
+              <div key={level.id} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: level.color, flexShrink: 0 }} />
+                <span>
+                  {level.maxDensity === Infinity
+                    ? t('alerts.legendAbove', { level: level.id, density: format.fixed(FRUIN_LEVELS[index - 1].maxDensity, 2) })
+                    : t('alerts.legendUpTo', { level: level.id, density: format.fixed(level.maxDensity, 2) })}
+                  {' '}{t(`alerts.levels.${level.id}`)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {active.length === 0 && <div style={{ color: '#059669', fontSize: '12px' }}>{t('alerts.none')}</div>}
+      {active.length > 0 && (
+        <>
+          <div style={{ maxHeight: '200px', overflowY: 'auto' }}>{active.map(renderAlert)}</div>
+          {active.length > 1 && (
+            <button style={{ ...buttonStyle, width: '100%', marginTop: '6px' }} onClick={onAcknowledgeAll}>
+              {t('alerts.acknowledgeAll', { count: format.number(active.length) })}
+            </button>
+          )}
+        </>
+      )}
+
+      {history.length > 0 && (
+        <div style={{ marginTop: '8px' }}>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button style={{ ...buttonStyle, flex: 1 }} onClick={() => setShowHistory(current => !current)}>
+              {t(showHistory ? 'alerts.hideHistory' : 'alerts.showHistory', { count: format.number(history.length) })}
+            </button>
+            {showHistory && (
+              <button style={buttonStyle} onClick={onClearHistory}>{t('alerts.clearHistory')}</button>
+            )}
+          </div>
+          {showHistory && <div style={{ maxHeight: '160px', overflowY: 'auto', marginTop: '4px' }}>{history.map(renderAlert)}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
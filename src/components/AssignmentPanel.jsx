@@ -0,0 +1,160 @@
+import { useRef } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { poiName } from '../places/pois';
+
+const PERIODS = [1800, 3600, 7200, 14400]; // seconds
+
+// Batch assignment for organizers: load an origin–destination demand file (`onLoad(file)`,
+// or the bundled sample with a null file), spread each pair's travellers over its route
+// options (`onBalance`) and show the share of every route. `result` is the output of
+// assignDemand (src/routing/assignment.js); `progress` ({ done, total } routed pairs)
+// is set while balancing.
+export default function AssignmentPanel({
+  demand, result, progress, period, showProjected,
+  onLoad, onPeriodChange, onBalance, onShowProjectedChange, onExport, onClear
+}) {
+  const { t, format, language } = useI18n();
+  const demandInputRef = useRef(null);
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const busy = progress !== null;
+
+  const placeLabel = (poi, position) => (poi
+    ? poiName(poi, language)
+    : `${format.fixed(position[0], 4)}, ${format.fixed(position[1], 4)}`);
+
+  const totalTravellers = demand ? demand.pairs.reduce((sum, pair) => sum + pair.travellers, 0) : 0;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('assignment.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('assignment.hint')}</div>
+
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button style={{ ...buttonStyle, flex: 1 }} disabled={busy} onClick={() => demandInputRef.current.click()}>
+          {t('assignment.loadDemand')}
+        </button>
+        <button style={buttonStyle} disabled={busy} onClick={() => onLoad(null)}>
+          {t('assignment.sampleDemand')}
+        </button>
+      </div>
+      <input
+        ref={demandInputRef}
+        type="file"
+        accept=".csv"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) onLoad(file);
+          e.target.value = '';
+        }}
+      />
+
+      {demand && (
+        <>
+          <div style={{ color: '#6b7280', fontSize: '12px', marginTop: '8px' }}>
+            {t('assignment.demandSummary', {
+              name: demand.name,
+              pairs: format.number(demand.pairs.length),
+              travellers: format.number(totalTravellers)
+            })}
+          </div>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', marginTop: '6px' }}>
+            {t('assignment.period')}
+            <select
+              value={period}
+              disabled={busy}
+              style={{ fontSize: '12px', borderRadius: '6px', border: '1px solid #d1d5db' }}
+              onChange={(e) => onPeriodChange(Number(e.target.value))}
+            >
+              {PERIODS.map(value => (
+                <option key={value} value={value}>{format.minutes(value)}</option>
+              ))}
+            </select>
+          </label>
+          <button
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', fontWeight: 'bold' }}
+            disabled={busy}
+            onClick={onBalance}
+          >
+            {busy
+              ? t('assignment.balancing', { done: format.number(progress.done), total: format.number(progress.total) })
+              : t('assignment.balance')}
+          </button>
+        </>
+      )}
+
+      {result && !busy && (
+        <>
+          <div style={{ marginTop: '10px', fontSize: '12px' }}>
+            <div>
+              {t('assignment.totalTime', {
+                balanced: format.number(result.totalTime / 3600),
+                greedy: format.number(result.greedyTime / 3600)
+              })}
+            </div>
+            {result.greedyTime > 0 && (
+              <div style={{ color: '#059669', fontWeight: 'bold' }}>
+                {t('assignment.saving', { saving: format.percent((1 - result.totalTime / result.greedyTime) * 100) })}
+              </div>
+            )}
+            <div style={{ color: result.converged ? '#6b7280' : '#b45309', fontSize: '11px' }}>
+              {t(result.converged ? 'assignment.converged' : 'assignment.notConverged', {
+                iterations: format.number(result.iterations),
+                gap: format.percent(result.gap * 100, 2)
+              })}
+            </div>
+            {result.unrouted > 0 && (
+              <div style={{ color: '#dc2626', fontSize: '11px' }}>
+                {t('assignment.unrouted', { count: format.number(result.unrouted) })}
+              </div>
+            )}
+          </div>
+
+          <div style={{ maxHeight: '220px', overflowY: 'auto', marginTop: '8px' }}>
+            {result.pairs.map(pair => (
+              <div key={pair.row} style={{ padding: '6px 0', borderTop: '1px solid #e5e7eb' }}>
+                <div style={{ fontWeight: 'bold', fontSize: '12px' }}>
+                  {t('assignment.pair', {
+                    from: placeLabel(pair.originPoi, pair.origin),
+                    to: placeLabel(pair.destinationPoi, pair.destination),
+                    travellers: format.number(pair.travellers)
+                  })}
+                </div>
+                {pair.paths.map(path => (
+                  <div key={path.type} style={{ display: 'flex', gap: '6px', fontSize: '11px', color: path.share < 0.005 ? '#9ca3af' : '#4b5563' }}>
+                    <span style={{ flex: 1 }}>{t(`routeTypes.${path.type}`)}</span>
+                    <span style={{ fontWeight: 'bold' }}>{format.percent(path.share * 100, 0)}</span>
+                    <span>{format.minutes(path.time)}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', marginTop: '8px' }}>
+            <input type="checkbox" checked={showProjected} onChange={(e) => onShowProjectedChange(e.target.checked)} />
+            {t('assignment.showProjected')}
+          </label>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+            <button style={{ ...buttonStyle, flex: 1 }} title={t('assignment.exportTitle')} onClick={onExport}>
+              {t('assignment.export')}
+            </button>
+            <button style={{ ...buttonStyle, flex: 1 }} title={t('assignment.clearTitle')} onClick={onClear}>
+              {t('assignment.clear')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+
+// Crowd editing controls in a crowd cell's popup: set an exact count, take one person
+// away or add one, or delete the cell. `population` is the cell's current count.
+export default function CrowdCellEditor({ population, onSetCount, onChangeCount }) {
+  const { t } = useI18n();
+  const [count, setCount] = useState(population);
+
+  const buttonStyle = { padding: '2px 6px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const valid = Number.isInteger(count) && count >= 0;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '6px' }}>
+      <div style={{ display: 'flex', gap: '4px', justifyContent: 'center' }}>
+        <input
+          type="number"
+          min={0}
+          step={1}
+          aria-label={t('editing.count')}
+          style={{ width: '64px', fontSize: '11px', borderRadius: '6px', border: '1px solid #d1d5db', padding: '2px 4px' }}
+          value={Number.isNaN(count) ? '' : count}
+          onChange={(e) => setCount(e.target.value === '' ? NaN : Number(e.target.value))}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && valid) onSetCount(count);
+          }}
+        />
+        <button style={buttonStyle} disabled={!valid || count === population} onClick={() => onSetCount(count)}>
+          {t('editing.set')}
+        </button>
+      </div>
+      <div style={{ display: 'flex', gap: '4px', justifyContent: 'center' }}>
+        <button style={buttonStyle} title={t('editing.decrementTitle')} onClick={() => onChangeCount(-1)}>
+          {t('editing.decrement')}
+        </button>
+        <button style={buttonStyle} title={t('editing.incrementTitle')} onClick={() => onChangeCount(1)}>
+          {t('editing.increment')}
+        </button>
+        <button style={{ ...buttonStyle, color: '#dc2626' }} onClick={() => onSetCount(0)}>
+          {t('editing.delete')}
+        </button>
+      </div>
+    </div>
+  );
+}
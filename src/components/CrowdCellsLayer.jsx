@@ -0,0 +1,139 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { RTree } from '../crowd/spatialIndex';
+
+// More cells than this in view are drawn as a canvas heatmap instead of one shape each
+const MAX_CELL_SHAPES = 400;
+const HEAT_SATURATION = 10; // people in a cell drawn at full heat (the dark red threshold)
+const HEAT_MIN_RADIUS = 6; // pixels, so single cells stay visible when zoomed out
+const HEAT_MAX_ALPHA = 180; // of 255, about the fill opacity of the cell shapes
+const HEAT_GRADIENT = { 0.1: 'green', 0.3: 'orange', 0.6: 'red', 1: 'darkred' };
+const VIEWPORT_PADDING = 0.1; // share of the viewport also drawn around it, for small pans
+
+// Heatmap of grid cells ({ lat, lng, population }) on a canvas covering the map. Every
+// cell stamps a soft blob whose opacity grows with its population; the summed opacity
+// is then coloured with HEAT_GRADIENT. Only redrawn when given new cells.
+const HeatmapCanvas = L.Layer.extend({
+  initialize(gridSize) {
+    this.gridSize = gridSize;
+    this.cells = [];
+    this.stamps = new Map(); // radius -> blob canvas
+  },
+
+  onAdd(map) {
+    this.canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide');
+    this.canvas.style.pointerEvents = 'none';
+    map.getPanes().overlayPane.appendChild(this.canvas);
+    this.redraw();
+  },
+
+  onRemove() {
+    L.DomUtil.remove(this.canvas);
+  },
+
+  setCells(cells) {
+    this.cells = cells;
+    if (this._map) this.redraw();
+  },
+
+  stamp(radius) {
+    if (!this.stamps.has(radius)) {
+      const blob = document.createElement('canvas');
+      blob.width = blob.height = radius * 2;
+      const context = blob.getContext('2d');
+      const gradient = context.createRadialGradient(radius, radius, 0, radius, radius, radius);
+      gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+      gradient.addColorStop(0.6, 'rgba(0, 0, 0, 0.8)');
+      gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, radius * 2, radius * 2);
+      this.stamps.set(radius, blob);
+    }
+    return this.stamps.get(radius);
+  },
+
+  palette() {
+    if (!this.colors) {
+      const strip = document.createElement('canvas');
+      strip.width = 256;
+      strip.height = 1;
+      const context = strip.getContext('2d');
+      const gradient = context.createLinearGradient(0, 0, 256, 0);
+      for (const [stop, color] of Object.entries(HEAT_GRADIENT)) gradient.addColorStop(Number(stop), color);
+      context.fillStyle = gradient;
+      context.fillRect(0, 0, 256, 1);
+      this.colors = context.getImageData(0, 0, 256, 1).data;
+    }
+    return this.colors;
+  },
+
+  redraw() {
+    const map = this._map;
+    const size = map.getSize();
+    L.DomUtil.setPosition(this.canvas, map.containerPointToLayerPoint([0, 0]));
+    this.canvas.width = size.x;
+    this.canvas.height = size.y;
+    if (this.cells.length === 0 || size.x === 0 || size.y === 0) return;
+
+    const context = this.canvas.getContext('2d', { willReadFrequently: true });
+    for (const cell of this.cells) {
+      const southWest = map.latLngToContainerPoint([cell.lat, cell.lng]);
+      const northEast = map.latLngToContainerPoint([cell.lat + this.gridSize, cell.lng + this.gridSize]);
+      const radius = Math.max(HEAT_MIN_RADIUS, Math.round(northEast.x - southWest.x));
+      context.globalAlpha = Math.min(1, cell.population / HEAT_SATURATION);
+      context.drawImage(
+        this.stamp(radius),
+        (southWest.x + northEast.x) / 2 - radius,
+        (southWest.y + northEast.y) / 2 - radius
+      );
+    }
+
+    const image = context.getImageData(0, 0, size.x, size.y);
+    const pixels = image.data;
+    const colors = this.palette();
+    for (let i = 0; i < pixels.length; i += 4) {
+      const heat = pixels[i + 3];
+      if (heat === 0) continue;
+      pixels[i] = colors[heat * 4];
+      pixels[i + 1] = colors[heat * 4 + 1];
+      pixels[i + 2] = colors[heat * 4 + 2];
+      pixels[i + 3] = Math.min(HEAT_MAX_ALPHA, heat * 2);
+    }
+    context.putImageData(image, 0, 0);
+  }
+});
+
+// Populated grid cells (`areas`), culled to the map viewport with an R-tree. Up close,
+// the cells in view are drawn with `renderCell(area)` (shapes with popups); once more
+// than `maxShapes` are in view, e.g. city-wide sensor data when zoomed out, they are
+// drawn as a canvas heatmap instead, keeping the number of map elements small.
+export default function CrowdCellsLayer({ areas, gridSize, renderCell, maxShapes = MAX_CELL_SHAPES }) {
+  const map = useMap();
+  const [bounds, setBounds] = useState(() => map.getBounds());
+  useMapEvents({
+    moveend: () => setBounds(map.getBounds()),
+    resize: () => setBounds(map.getBounds())
+  });
+
+  const index = useMemo(
+    () => new RTree(areas, area => [area.lat, area.lng, area.lat + gridSize, area.lng + gridSize]),
+    [areas, gridSize]
+  );
+  const visible = useMemo(() => {
+    const padded = bounds.pad(VIEWPORT_PADDING);
+    return index.search([padded.getSouth(), padded.getWest(), padded.getNorth(), padded.getEast()]);
+  }, [index, bounds]);
+  const showShapes = visible.length <= maxShapes;
+
+  const [heatmap] = useState(() => new HeatmapCanvas(gridSize));
+  useEffect(() => {
+    heatmap.addTo(map);
+    return () => heatmap.remove();
+  }, [map, heatmap]);
+  useEffect(() => {
+    heatmap.setCells(showShapes ? [] : visible);
+  }, [heatmap, visible, showShapes]);
+
+  return showShapes ? visible.map(renderCell) : null;
+}
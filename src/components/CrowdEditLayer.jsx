@@ -0,0 +1,110 @@
+import { useEffect, useRef, useState } from 'react';
+import { Rectangle, useMap, useMapEvents } from 'react-leaflet';
+import { areaAt, areaKey, areasInBox, cellOffset } from '../crowd/editing';
+
+const SELECTION_COLOR = '#2563eb';
+
+// Crowd editing mode on the map (see CrowdEditPanel). With the 'select' tool, dragging a
+// populated cell moves its people to the cell it is dropped on, or the whole selection
+// when the cell is selected; a click without moving opens the cell's popup as usual.
+// With the 'box' tool, dragging draws a box and selects the cells in it (Shift adds to
+// the selection). The map does not pan during either gesture.
+export default function CrowdEditLayer({ tool, areas, selected, gridSize, onSelect, onMove }) {
+  const map = useMap();
+  // { type ('drag' or 'box'), from, to ([lat, lng]) and the dragged `areas` }
+  const [gesture, setGesture] = useState(null);
+  const gestureRef = useRef(null);
+
+  const update = (next) => {
+    gestureRef.current = next;
+    setGesture(next);
+  };
+
+  const end = () => {
+    map.dragging.enable();
+    update(null);
+  };
+
+  useEffect(() => {
+    map.getContainer().style.cursor = tool === 'box' ? 'crosshair' : '';
+    return () => {
+      map.getContainer().style.cursor = '';
+      map.dragging.enable();
+    };
+  }, [map, tool]);
+
+  useMapEvents({
+    mousedown(e) {
+      if (e.originalEvent.button !== 0) return;
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (tool === 'box') {
+        map.dragging.disable();
+        update({ type: 'box', from: point, to: point, areas: [] });
+        return;
+      }
+      const area = areaAt(areas, point, gridSize);
+      if (!area) return;
+      const key = areaKey(area, gridSize);
+      map.dragging.disable();
+      update({
+        type: 'drag',
+        from: point,
+        to: point,
+        areas: selected.some(cell => areaKey(cell, gridSize) === key) ? selected : [area]
+      });
+    },
+    mousemove(e) {
+      if (gestureRef.current) update({ ...gestureRef.current, to: [e.latlng.lat, e.latlng.lng] });
+    },
+    mouseup(e) {
+      const current = gestureRef.current;
+      if (!current) return;
+      end();
+      const to = [e.latlng.lat, e.latlng.lng];
+      if (current.type === 'box') {
+        onSelect(areasInBox(areas, [current.from, to], gridSize), e.originalEvent.shiftKey);
+        return;
+      }
+      const offset = cellOffset(current.from, to, gridSize);
+      if (offset[0] !== 0 || offset[1] !== 0) onMove(current.areas, offset);
+    },
+    // A gesture ending outside the map is dropped
+    mouseout() {
+      if (gestureRef.current) end();
+    }
+  });
+
+  const offset = gesture?.type === 'drag' ? cellOffset(gesture.from, gesture.to, gridSize) : [0, 0];
+  const cellBounds = (area, [rows, columns] = [0, 0]) => [
+    [area.lat + rows * gridSize, area.lng + columns * gridSize],
+    [area.lat + (rows + 1) * gridSize, area.lng + (columns + 1) * gridSize]
+  ];
+
+  return (
+    <>
+      {selected.map(area => (
+        <Rectangle
+          key={`selected-${area.lat},${area.lng}`}
+          bounds={cellBounds(area)}
+          interactive={false}
+          pathOptions={{ color: SELECTION_COLOR, weight: 3, fill: false }}
+        />
+      ))}
+      {gesture?.type === 'box' && (
+        <Rectangle
+          bounds={[gesture.from, gesture.to]}
+          interactive={false}
+          pathOptions={{ color: SELECTION_COLOR, weight: 1, dashArray: '4,4', fillOpacity: 0.1 }}
+        />
+      )}
+      {(offset[0] !== 0 || offset[1] !== 0) && gesture.areas.map(area => (
+        <Rectangle
+          key={`moving-${area.lat},${area.lng}`}
+          bounds={cellBounds(area, offset)}
+          interactive={false}
+          pathOptions={{ color: SELECTION_COLOR, weight: 2, dashArray: '4,4', fillOpacity: 0.3 }}
+        />
+      ))}
+    </>
+  );
+}
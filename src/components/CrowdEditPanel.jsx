@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+
+const TOOLS = ['select', 'box'];
+
+// Crowd editing mode and the undo/redo history of crowd and route point edits (see
+// src/utils/editHistory.js). `crowdEdit` ({ tool, selection }) is null outside the mode;
+// `selected` are the selected populated cells, edited together with the bulk controls.
+// `undoAction` and `redoAction` name the edit undone or redone next, or are null.
+// `available` is false while the map shows crowds that cannot be edited (a simulation).
+export default function CrowdEditPanel({
+  crowdEdit, selected, undoAction, redoAction, available,
+  onStart, onStop, onToolChange, onSetCount, onChangeCount, onClearSelection, onUndo, onRedo
+}) {
+  const { t, format } = useI18n();
+  const [count, setCount] = useState(0);
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const people = selected.reduce((sum, area) => sum + area.population, 0);
+  const validCount = Number.isInteger(count) && count >= 0;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: crowdEdit ? '2px solid #2563eb' : '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('editing.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('editing.hint')}</div>
+
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+        <button
+          style={{ ...buttonStyle, flex: 1 }}
+          disabled={!undoAction}
+          title={undoAction ? t('editing.undoTitle', { action: t(`editing.actions.${undoAction}`) }) : t('editing.nothingToUndo')}
+          onClick={onUndo}
+        >
+          {t('editing.undo')}
+        </button>
+        <button
+          style={{ ...buttonStyle, flex: 1 }}
+          disabled={!redoAction}
+          title={redoAction ? t('editing.redoTitle', { action: t(`editing.actions.${redoAction}`) }) : t('editing.nothingToRedo')}
+          onClick={onRedo}
+        >
+          {t('editing.redo')}
+        </button>
+      </div>
+
+      {!crowdEdit && (
+        <>
+          <button
+            style={{ ...buttonStyle, width: '100%', fontWeight: 'bold', color: '#2563eb' }}
+            disabled={!available}
+            onClick={onStart}
+          >
+            {t('editing.start')}
+          </button>
+          {!available && <div style={{ color: '#6b7280', fontSize: '11px', marginTop: '4px' }}>{t('editing.unavailable')}</div>}
+        </>
+      )}
+
+      {crowdEdit && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px' }}>
+            {TOOLS.map(tool => (
+              <button
+                key={tool}
+                style={{
+                  ...buttonStyle,
+                  padding: '6px 4px',
+                  background: crowdEdit.tool === tool ? '#dbeafe' : '#f3f4f6',
+                  border: crowdEdit.tool === tool ? '1px solid #2563eb' : '1px solid #e5e7eb'
+                }}
+                onClick={() => onToolChange(tool)}
+              >
+                {t(`editing.tools.${tool}`)}
+              </button>
+            ))}
+          </div>
+          <div style={{ color: '#6b7280', fontSize: '12px', margin: '6px 0' }}>{t(`editing.toolHints.${crowdEdit.tool}`)}</div>
+
+          <div style={{ fontSize: '12px', fontWeight: 'bold', marginBottom: '4px' }}>
+            {selected.length > 0
+              ? t('editing.selected', { cells: format.number(selected.length), people: format.number(people) })
+              : t('editing.noSelection')}
+          </div>
+          {selected.length > 0 && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+              <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px' }}>
+                {t('editing.eachCell')}
+                <span style={{ display: 'flex', gap: '4px' }}>
+                  <input
+                    type="number"
+                    min={0}
+                    step={1}
+                    style={{ width: '56px', fontSize: '11px', borderRadius: '6px', border: '1px solid #d1d5db', padding: '2px 4px' }}
+                    value={Number.isNaN(count) ? '' : count}
+                    onChange={(e) => setCount(e.target.value === '' ? NaN : Number(e.target.value))}
+                  />
+                  <button style={{ ...buttonStyle, padding: '2px 6px' }} disabled={!validCount} onClick={() => onSetCount(count)}>
+                    {t('editing.set')}
+                  </button>
+                </span>
+              </label>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                <button style={{ ...buttonStyle, flex: 1 }} title={t('editing.decrementTitle')} onClick={() => onChangeCount(-1)}>
+                  {t('editing.decrement')}
+                </button>
+                <button style={{ ...buttonStyle, flex: 1 }} title={t('editing.incrementTitle')} onClick={() => onChangeCount(1)}>
+                  {t('editing.increment')}
+                </button>
+                <button style={{ ...buttonStyle, flex: 1, color: '#dc2626' }} onClick={() => onSetCount(0)}>
+                  {t('editing.delete')}
+                </button>
+              </div>
+              <button style={buttonStyle} onClick={onClearSelection}>{t('editing.clearSelection')}</button>
+            </div>
+          )}
+
+          <button style={{ ...buttonStyle, width: '100%', marginTop: '8px' }} onClick={onStop}>
+            {t('editing.stop')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { useI18n } from '../i18n/i18n';
+
+const speechSupported = typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Speak a step in the UI language; distances use long unit names ("metres") for speech
+function speak(step, { t, format, locale }) {
+  if (!speechSupported) return;
+  const text = step.type === 'arrive' || step.distance < 1
+    ? step.text
+    : t('directions.thenContinue', { instruction: step.text, distance: format.distance(step.distance, 'long') });
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  utterance.lang = locale;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+}
+
+// Turn-by-turn directions for the selected route (see src/routing/directions.js).
+// Clicking a step highlights its leg on the map via `onSelectStep`; with voice on, the
+// selected step is also read aloud through the Web Speech API.
+export default function DirectionsPanel({ directions, activeIndex, onSelectStep }) {
+  const i18n = useI18n();
+  const { t, format } = i18n;
+  const [voiceEnabled, setVoiceEnabled] = useState(false);
+
+  useEffect(() => {
+    if (voiceEnabled && activeIndex !== null && directions[activeIndex]) {
+      speak(directions[activeIndex], i18n);
+    }
+  }, [voiceEnabled, activeIndex, directions, i18n]);
+
+  // Stop talking when the panel closes
+  useEffect(() => () => {
+    if (speechSupported) window.speechSynthesis.cancel();
+  }, []);
+
+  const buttonStyle = { padding: '4px 8px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 20,
+      right: 20,
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      zIndex: 1000,
+      width: '300px',
+      maxHeight: '40vh',
+      display: 'flex',
+      flexDirection: 'column',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+        <strong style={{ fontSize: '15px' }}>{t('directions.title')}</strong>
+        <div style={{ flex: 1 }} />
+        <button
+          style={buttonStyle}
+          disabled={activeIndex === null || activeIndex === 0}
+          onClick={() => onSelectStep(activeIndex - 1)}
+        >
+          ◀
+        </button>
+        <button
+          style={buttonStyle}
+          disabled={activeIndex === directions.length - 1}
+          onClick={() => onSelectStep(activeIndex === null ? 0 : activeIndex + 1)}
+        >
+          ▶
+        </button>
+        <button
+          style={buttonStyle}
+          disabled={!speechSupported}
+          title={speechSupported ? t('directions.voiceTitle') : t('directions.voiceUnsupported')}
+          onClick={() => setVoiceEnabled(!voiceEnabled)}
+        >
+          {voiceEnabled ? '🔊' : '🔇'}
+        </button>
+      </div>
+      <div style={{ overflowY: 'auto' }}>
+        {directions.map(step => (
+          <div
+            key={step.index}
+            style={{
+              display: 'flex',
+              gap: '10px',
+              padding: '8px',
+              margin: '3px 0',
+              borderRadius: '8px',
+              background: activeIndex === step.index ? '#fef3c7' : 'transparent',
+              border: activeIndex === step.index ? '1px solid #f59e0b' : '1px solid transparent',
+              cursor: 'pointer'
+            }}
+            onClick={() => onSelectStep(step.index)}
+          >
+            <span style={{ fontSize: '18px' }}>{step.icon}</span>
+            <div style={{ flex: 1 }}>
+              <div>{step.text}</div>
+              {step.type !== 'arrive' && (
+                <div style={{ color: '#6b7280', fontSize: '11px' }}>{format.distance(step.distance)}</div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
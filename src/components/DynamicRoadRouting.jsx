@@ -1,383 +1,640 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 
-import { MapContainer, TileLayer, Circle, Popup, Marker, useMapEvents, Polyline } from 'react-leaflet';
+import { MapContainer, TileLayer, Rectangle, Polygon, Popup, Marker, Tooltip, useMapEvents, useMap, Polyline, Circle, CircleMarker } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-
-// Fix for Leaflet marker icons
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import { ROUTING_PROFILES, getProfile } from '../routing/profiles';
+import { GRID_SIZE, weightForPopulation } from '../crowd/populationGrid';
+import { CancelledError, CrowdEngineClient } from '../worker/client';
+import { pathLength } from '../routing/geo';
+import { CrowdFeedClient, CROWD_FEED_URL } from '../crowd/liveFeed';
+import { loadCrowdState, saveCrowdState } from '../crowd/lastKnownState';
+import { OFFLINE_TILE_ZOOMS, TILE_URL, precacheTiles } from '../pwa/offline';
+import TimelinePanel from './TimelinePanel';
+import DirectionsPanel from './DirectionsPanel';
+import ItineraryPanel from './ItineraryPanel';
+import PlacesPanel from './PlacesPanel';
+import PoiLayer from './PoiLayer';
+import NavigationPanel from './NavigationPanel';
+import AssignmentPanel from './AssignmentPanel';
+import RestrictionsPanel from './RestrictionsPanel';
+import RestrictionLayer from './RestrictionLayer';
+import CrowdCellsLayer from './CrowdCellsLayer';
+import ScoringPanel from './ScoringPanel';
+import EvacuationPanel from './EvacuationPanel';
+import EvacuationLayer from './EvacuationLayer';
+import AlertsPanel from './AlertsPanel';
+import SimulationPanel from './SimulationPanel';
+import CrowdEditPanel from './CrowdEditPanel';
+import CrowdEditLayer from './CrowdEditLayer';
+import CrowdCellEditor from './CrowdCellEditor';
+import { parseScenarioCSV, parseScenarioFile, scenarioToCSV, scenarioToGeoJSON } from '../crowd/scenarios';
+import { parseDemandCSV, parseDemandFile } from '../crowd/demand';
+import { downloadFile } from '../utils/download';
+import { playAlertTone, unlockAlertSound } from '../utils/sound';
+import { EMPTY_EDIT_HISTORY, forgetEdits, nextRedo, nextUndo, recordEdit, redoEdit, undoEdit } from '../utils/editHistory';
+import { ROUTE_EXPORT_FORMATS } from '../routing/routeExport';
+import { encodeRouteLink, parseRouteLink } from '../routing/deepLink';
+import { buildDirections } from '../routing/directions';
+import { optimiseStopOrder, orderCost } from '../routing/itinerary';
+import { DEFAULT_ASSIGNMENT_OPTIONS, assignmentToCSV } from '../routing/assignment';
+import {
+  activeRestrictions, createRestriction, loadRestrictions, parseRestrictionsFile, restrictionsToGeoJSON, saveRestrictions
+} from '../routing/restrictions';
+import { DEFAULT_SIMULATION_OPTIONS } from '../crowd/simulation';
+import { areaKey, changeCountEdits, differenceEdits, moveEdits, setCountEdits } from '../crowd/editing';
+import { CrowdAlertMonitor, loadSafetySettings, saveSafetySettings, serviceLevel } from '../crowd/safety';
+import { DEFAULT_SAFE_POINTS, createSafePoint, loadSafePoints, saveSafePoints } from '../routing/evacuation';
+import { bestScoreIndex, loadScoringWeights, routeWalkingTime, saveScoringWeights, scoreRouteOptions } from '../routing/scoring';
+import { useI18n } from '../i18n/i18n';
+import { POI_CATEGORIES, nearestPoi, poiName } from '../places/pois';
+import { RouteTracker } from '../navigation/tracking';
+import { GeolocationSource, SimulatedTrackSource, SAMPLE_TRACK_URL, parseTrackFile } from '../navigation/positionSources';
+import initialCrowdsCsv from '../crowd/scenarios/initial-crowds.csv?raw';
+import testCrowdsCsv from '../crowd/scenarios/test-crowds.csv?raw';
+import sampleDemandCsv from '../crowd/scenarios/sample-demand.csv?raw';
+
+// Fix for Leaflet marker icons: bundle the images so markers also work offline
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
-// Dynamic population grid with crowd analysis
-class DynamicPopulationGrid {
-  constructor() {
-    this.populations = new Map();
-    this.gridSize = 0.0005;
-    this.crowdZones = [];
-  }
-
-  getGridKey(lat, lng) {
-    const gridLat = Math.floor(lat / this.gridSize) * this.gridSize;
-    const gridLng = Math.floor(lng / this.gridSize) * this.gridSize;
-    return `${gridLat},${gridLng}`;
-  }
-
-  addPerson(lat, lng, count = 1) {
-    const key = this.getGridKey(lat, lng);
-    const current = this.populations.get(key) || 0;
-    this.populations.set(key, current + count);
-
-    // Update crowd zones
-    this.updateCrowdZones();
-
-    return current + count;
-  }
-
-  getPopulation(lat, lng) {
-    const key = this.getGridKey(lat, lng);
-    return this.populations.get(key) || 0;
-  }
-
-  getPopulatedAreas() {
-    const areas = [];
-    for (const [key, population] of this.populations) {
-      if (population > 0) {
-        const [lat, lng] = key.split(',').map(Number);
-        areas.push({ lat, lng, population });
-      }
-    }
-    return areas;
-  }
-
-  clearAll() {
-    this.populations.clear();
-    this.crowdZones = [];
-  }
-
-  getRoutingWeight(lat, lng) {
-    const population = this.getPopulation(lat, lng);
-    if (population === 0) return 1;
-    if (population < 3) return 2;
-    if (population < 6) return 5;
-    if (population < 10) return 10;
-    return 20;
-  }
-
-  // Update crowd zones for routing
-  updateCrowdZones() {
-    this.crowdZones = [];
-    const areas = this.getPopulatedAreas();
-
-    // Group nearby crowded areas
-    for (const area of areas) {
-      if (area.population >= 3) { // Only consider significant crowds
-        this.crowdZones.push({
-          center: [area.lat, area.lng],
-          radius: Math.max(0.001, area.population * 0.0003),
-          population: area.population,
-          weight: this.getRoutingWeight(area.lat, area.lng)
-        });
-      }
-    }
-  }
-
-  // Check if a point is in any crowd zone
-  isPointInCrowdZone(point) {
-    for (const zone of this.crowdZones) {
-      const distance = Math.sqrt(
-        Math.pow(point[0] - zone.center[0], 2) +
-        Math.pow(point[1] - zone.center[1], 2)
-      );
-      if (distance <= zone.radius) {
-        return zone;
-      }
-    }
-    return null;
-  }
-
-  // Get crowd zones that intersect with a route
-  getCrowdZonesOnRoute(route) {
-    const intersectingZones = [];
-
-    for (const point of route) {
-      const zone = this.isPointInCrowdZone(point);
-      if (zone && !intersectingZones.includes(zone)) {
-        intersectingZones.push(zone);
-      }
-    }
-
-    return intersectingZones;
-  }
-}
+// Live feed rerouting: recalculate when the active route's crowd exposure grows by more
+// than this many metres since it was chosen, at most once per interval
+const LIVE_REROUTE_THRESHOLD_METRES = 50;
+const LIVE_REROUTE_MIN_INTERVAL = 10000;
 
-// Advanced OSRM Router with dynamic crowd avoidance
-class DynamicOSRMRouter {
-  constructor() {
-    this.baseUrl = 'https://router.project-osrm.org';
-  }
+// How often stale crowd counts are decayed, and how many calculated routes are kept
+// for timeline replay
+const DECAY_INTERVAL = 30000;
+// Crowd changes are saved as the last known state at most this often (ms)
+const CROWD_SAVE_DELAY = 2000;
+const MAX_ROUTE_HISTORY = 200;
 
-  // Get multiple route options
-  async getMultipleRoutes(start, end, crowdZones = []) {
-    const routes = [];
+// How often (ms) the map and panel check which restrictions are active
+const RESTRICTION_CLOCK_INTERVAL = 30000;
 
-    try {
-      // Route 1: Direct route
-      const directRoute = await this.getRoadRoute(start, end);
-      if (directRoute) {
-        routes.push({
-          route: directRoute,
-          type: 'direct',
-          crowdIntersections: this.analyzeCrowdIntersections(directRoute, crowdZones)
-        });
-      }
+// Crowd safety alerts kept, acknowledged or not
+const MAX_ALERTS = 100;
 
-      // Route 2: Avoidance route with waypoints
-      if (crowdZones.length > 0) {
-        const avoidanceRoute = await this.getAvoidanceRoute(start, end, crowdZones);
-        if (avoidanceRoute) {
-          routes.push({
-            route: avoidanceRoute,
-            type: 'avoidance',
-            crowdIntersections: this.analyzeCrowdIntersections(avoidanceRoute, crowdZones)
-          });
-        }
-      }
+// Simulated pilgrims drawn on the map at most; the crowd cells show all of them
+const MAX_AGENT_MARKERS = 300;
 
-      // Route 3: Alternative route (if OSRM supports it)
-      const alternativeRoute = await this.getAlternativeRoute(start, end);
-      if (alternativeRoute) {
-        routes.push({
-          route: alternativeRoute,
-          type: 'alternative',
-          crowdIntersections: this.analyzeCrowdIntersections(alternativeRoute, crowdZones)
-        });
-      }
+function MapClickHandler({ onSelect, onAddPerson }) {
+  useMapEvents({
+    click(e) {
+      onSelect([e.latlng.lat, e.latlng.lng]);
+    },
+    contextmenu(e) {
+      e.originalEvent.preventDefault();
+      onAddPerson(e.latlng.lat, e.latlng.lng);
+    },
+  });
+  return null;
+}
 
-      return routes;
-    } catch (error) {
-      console.error('Error getting multiple routes:', error);
-      return [];
+// Zoom the map to a path (the highlighted directions step)
+function FitPath({ path }) {
+  const map = useMap();
+  useEffect(() => {
+    if (path.length > 0) {
+      map.fitBounds(L.latLngBounds(path), { maxZoom: 18, padding: [80, 80] });
     }
-  }
-
-  // Analyze how much a route intersects with crowd zones
-  analyzeCrowdIntersections(route, crowdZones) {
-    let totalIntersection = 0;
-    let worstZone = null;
-
-    for (const zone of crowdZones) {
-      let intersectionPoints = 0;
-
-      for (const point of route) {
-        const distance = Math.sqrt(
-          Math.pow(point[0] - zone.center[0], 2) +
-          Math.pow(point[1] - zone.center[1], 2)
-        );
-        if (distance <= zone.radius) {
-          intersectionPoints++;
-        }
-      }
-
-      const intersectionRatio = intersectionPoints / route.length;
-      totalIntersection += intersectionRatio * zone.weight;
+  }, [map, path]);
+  return null;
+}
 
-      if (!worstZone || intersectionRatio > worstZone.intersectionRatio) {
-        worstZone = {
-          zone,
-          intersectionRatio,
-          intersectionPoints
-        };
-      }
+// Keep the traveller's position in view while navigating, zooming in on the first fix
+function FollowPosition({ position }) {
+  const map = useMap();
+  useEffect(() => {
+    if (map.getZoom() < 16) {
+      map.setView(position, 16);
+    } else if (!map.getBounds().pad(-0.2).contains(position)) {
+      map.panTo(position);
     }
+  }, [map, position]);
+  return null;
+}
 
-    return {
-      totalIntersection,
-      worstZone,
-      averageIntersection: totalIntersection / crowdZones.length || 0
+export default function DynamicRoadRouting() {
+  const { t, tm, format, language } = useI18n();
+  // Route request from a shared deep link, restored on first render
+  const [initialLink] = useState(() => parseRouteLink());
+  // Itinerary stops in visiting order: the first is the start, the last the destination
+  const [stops, setStops] = useState(() => (initialLink ? [initialLink.start, ...initialLink.via, initialLink.end] : []));
+  const [fixEnd, setFixEnd] = useState(false);
+  const [showPois, setShowPois] = useState(false);
+  const [poiCategories, setPoiCategories] = useState(() => Object.keys(POI_CATEGORIES));
+  const [currentRoute, setCurrentRoute] = useState([]);
+  // Population grid and route scoring run in a worker, see src/worker/engine.js
+  const [engine] = useState(() => new CrowdEngineClient());
+  const [populatedAreas, setPopulatedAreas] = useState([]);
+  const [crowdZones, setCrowdZones] = useState([]);
+  const [routeInfo, setRouteInfo] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [debugInfo, setDebugInfo] = useState(null); // { key, params } status message
+  const [routeProgress, setRouteProgress] = useState(null); // { done, total } route searches
+  const [routeOptions, setRouteOptions] = useState([]);
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0);
+  const [profileId, setProfileId] = useState(() => getProfile(initialLink?.profileId).id);
+  const [feedStatus, setFeedStatus] = useState('disconnected');
+  const [notification, setNotification] = useState(null); // { key, params }
+  const [timelineTime, setTimelineTime] = useState(null); // null = live
+  const [replayCrowd, setReplayCrowd] = useState(null); // { areas, zones } at timelineTime
+  const [crowdHistoryRange, setCrowdHistoryRange] = useState(null); // [earliest, latest] observation
+  const [routeHistory, setRouteHistory] = useState([]);
+  const [scenarioName, setScenarioName] = useState('');
+  const [scenarioErrors, setScenarioErrors] = useState([]);
+  const [activeStepIndex, setActiveStepIndex] = useState(null);
+  // Active navigation: { trackName, speedup, status, fix, progress, reroutes } (no track for GPS)
+  const [navigation, setNavigation] = useState(null);
+  const [followPosition, setFollowPosition] = useState(true);
+  const [tracker] = useState(() => new RouteTracker());
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [crowdStateTime, setCrowdStateTime] = useState(null); // time of the last saved crowd state
+  const [tileProgress, setTileProgress] = useState(null); // { done, failed, total } while saving the map
+  const [demand, setDemand] = useState(null); // { name, pairs } for batch assignment, see src/crowd/demand.js
+  const [assignment, setAssignment] = useState(null); // assignDemand result plus the `unrouted` pair count
+  const [assignmentProgress, setAssignmentProgress] = useState(null); // { done, total } routed pairs
+  const [assignmentPeriod, setAssignmentPeriod] = useState(DEFAULT_ASSIGNMENT_OPTIONS.period);
+  const [showProjected, setShowProjected] = useState(true);
+  const [projectedAreas, setProjectedAreas] = useState([]);
+  const [restrictions, setRestrictions] = useState(() => loadRestrictions()); // see src/routing/restrictions.js
+  const [scoringWeights, setScoringWeights] = useState(() => loadScoringWeights()); // see src/routing/scoring.js
+  const [drawing, setDrawing] = useState(null); // { type, points } while drawing a restriction
+  const [clock, setClock] = useState(() => Date.now()); // decides which restrictions are active
+  // Evacuation mode: { tool, hazard, draft, origin } (see EvacuationPanel), null outside it
+  const [evacuation, setEvacuation] = useState(null);
+  const [safePoints, setSafePoints] = useState(() => loadSafePoints()); // see src/routing/evacuation.js
+  const [evacuationPlan, setEvacuationPlan] = useState(null);
+  const [alertMonitor] = useState(() => new CrowdAlertMonitor(loadSafetySettings())); // see src/crowd/safety.js
+  const [safetySettings, setSafetySettings] = useState(() => alertMonitor.settings);
+  const [alerts, setAlerts] = useState([]); // newest first, acknowledged ones are the history
+  const [focusedAlert, setFocusedAlert] = useState(null); // alert whose zone is shown on the map
+  const [simulation, setSimulation] = useState(null); // pilgrim simulation state, see src/crowd/simulation.js
+  const [simulationOptions, setSimulationOptions] = useState(DEFAULT_SIMULATION_OPTIONS);
+  const [simulationComparison, setSimulationComparison] = useState(null); // one summary per strategy
+  const [comparisonProgress, setComparisonProgress] = useState(null); // { done, total } settled agents
+  // Crowd editing mode: { tool, selection (cell keys) } (see CrowdEditPanel), null outside it
+  const [crowdEdit, setCrowdEdit] = useState(null);
+  const [editHistory, setEditHistory] = useState(EMPTY_EDIT_HISTORY); // see src/utils/editHistory.js
+  const [pendingEdits, setPendingEdits] = useState(0); // crowd edits the engine has not answered yet
+  const fileInputRef = useRef(null);
+  const feedUnsubscribeRef = useRef(null);
+  const activeRouteRef = useRef({ route: [], baselineExposure: 0 });
+  const calculateRouteRef = useRef(null);
+  const isCalculatingRef = useRef(false);
+  const lastRerouteRef = useRef(0);
+  const positionSourceRef = useRef(null);
+  const handleFixRef = useRef(null);
+  const awaitingFirstFixRef = useRef(false);
+  const lastNavigationRerouteRef = useRef(0);
+  const crowdsLoadedRef = useRef(false);
+  const crowdZonesRef = useRef([]); // latest zones, for the position tracker
+  const simulationStepRef = useRef(false); // a simulation step is being worked out
+
+  // The engine posts the grid's cells and merged zones after every crowd change; every
+  // change is also checked for crowd safety alerts, on the observed crowd only so a
+  // projected assignment does not raise them
+  useEffect(() => {
+    engine.onState = (state) => {
+      const raised = alertMonitor.update(state.observedZones, Date.now());
+      if (raised.length > 0) {
+        setAlerts(current => [...raised, ...current].slice(0, MAX_ALERTS));
+        if (alertMonitor.settings.sound) {
+          playAlertTone(raised.some(alert => alert.severity === 'critical') ? 'critical' : 'warning');
+        }
+      }
+      crowdZonesRef.current = state.zones;
+      setPopulatedAreas(state.areas);
+      setProjectedAreas(state.projectedAreas);
+      setCrowdZones(state.zones);
+      setCrowdHistoryRange(state.historyRange);
+    };
+    return () => {
+      engine.onState = null;
+      engine.terminate();
     };
-  }
+  }, [engine, alertMonitor]);
 
-  // Get direct road route
-  async getRoadRoute(start, end) {
-    try {
-      const coordinates = [
-        [start[1], start[0]], // [lng, lat]
-        [end[1], end[0]]
-      ];
+  // Catch handler for crowd changes nothing waits for. Cancelled requests are expected
+  // (the engine is terminated when the page unmounts); anything else is reported.
+  const handleCrowdError = useCallback((error) => {
+    if (error instanceof CancelledError) return;
+    console.error('Error updating crowds:', error);
+    setDebugInfo({ key: 'status.crowdUpdateError' });
+  }, []);
 
-      const coordsString = coordinates.map(coord => coord.join(',')).join(';');
-      const url = `${this.baseUrl}/route/v1/driving/${coordsString}?overview=full&geometries=geojson`;
+  const start = stops[0] ?? null;
+  const end = stops.length > 1 ? stops[stops.length - 1] : null;
 
-      const response = await fetch(url);
-      const data = await response.json();
+  // Center on Ujjain
+  const center = [23.1821, 75.7890];
+
+  // --- Static population data for initial crowds ---
+  // Loaded on map load from src/crowd/scenarios/initial-crowds.csv.
+  // If you do not want static data, comment out this block.
+  // NOTE: Rows with count 0 will NOT show on the map (see getPopulatedAreas).
+  useEffect(() => {
+    // Delay ensures map and leaflet are initialized before adding data. The timer is
+    // cleared on cleanup, so StrictMode's second mount does not load the crowds twice.
+    const timer = setTimeout(() => {
+      // Without network, the last known crowds are more useful than the static data
+      const saved = navigator.onLine ? null : loadCrowdState();
+      crowdsLoadedRef.current = true;
+      if (saved) {
+        engine.request('loadScenario', { cells: saved.cells }).catch(handleCrowdError);
+        setCrowdStateTime(saved.time);
+        setDebugInfo({ key: 'status.offlineCrowdsRestored', params: { time: new Date(saved.time) } });
+      } else {
+        const { cells } = parseScenarioCSV(initialCrowdsCsv, 'Initial crowds');
+        engine.request('loadScenario', { cells, replace: false }).catch(handleCrowdError);
+        setDebugInfo({ key: 'status.initialCrowdsLoaded' });
+      }
+    }, 100);
+    return () => clearTimeout(timer);
+  }, [engine, handleCrowdError]);
+  // --- End static population data ---
 
-      if (data.code !== 'Ok') {
-        throw new Error(`OSRM Error: ${data.message}`);
+  // Save every crowd change as the last known state, for reloads without network
+  useEffect(() => {
+    if (!crowdsLoadedRef.current || !isOnline) return undefined;
+    const timer = setTimeout(async () => {
+      const time = Date.now();
+      try {
+        if (saveCrowdState(await engine.request('scenarioCells'), time)) setCrowdStateTime(time);
+      } catch (error) {
+        if (!(error instanceof CancelledError)) console.error('Error saving the crowd state:', error);
       }
+    }, CROWD_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [populatedAreas, isOnline, engine]);
 
-      const route = data.routes[0].geometry.coordinates.map(coord => [coord[1], coord[0]]);
-      return route;
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
 
+  // Download the Mela area's map tiles through the service worker
+  const saveMapOffline = useCallback(async () => {
+    try {
+      const { done, failed } = await precacheTiles({ onProgress: setTileProgress });
+      setDebugInfo({
+        key: failed > 0 ? 'status.mapSavedWithErrors' : 'status.mapSaved',
+        params: { count: done, failed }
+      });
     } catch (error) {
-      console.error('❌ OSRM routing failed:', error);
-      return null;
+      console.error('Error saving map tiles:', error);
+      setDebugInfo({ key: 'status.offlineUnavailable' });
+    } finally {
+      setTileProgress(null);
     }
-  }
+  }, []);
 
-  // Get route with avoidance waypoints
-  async getAvoidanceRoute(start, end, crowdZones) {
+  // Load a crowd scenario from a dropped or picked .csv/.geojson file
+  const loadScenarioFile = useCallback(async (file) => {
+    let scenario;
     try {
-      // Find the worst crowd zone
-      const worstZone = crowdZones.reduce((worst, current) =>
-        current.weight > worst.weight ? current : worst
-      );
-
-      // Create avoidance waypoints
-      const avoidancePoints = this.createAvoidanceWaypoints(start, end, worstZone);
-
-      // Build route with waypoints
-      const coordinates = [
-        [start[1], start[0]], // [lng, lat]
-        ...avoidancePoints.map(point => [point[1], point[0]]),
-        [end[1], end[0]]
-      ];
+      scenario = parseScenarioFile(file.name, await file.text());
+      setScenarioErrors(scenario.errors);
 
-      const coordsString = coordinates.map(coord => coord.join(',')).join(';');
-      const url = `${this.baseUrl}/route/v1/driving/${coordsString}?overview=full&geometries=geojson`;
-
-      const response = await fetch(url);
-      const data = await response.json();
-
-      if (data.code !== 'Ok') {
-        throw new Error(`OSRM Error: ${data.message}`);
+      if (scenario.cells.length === 0) {
+        setDebugInfo({ key: 'status.noValidCells', params: { file: file.name } });
+        return;
       }
 
-      const route = data.routes[0].geometry.coordinates.map(coord => [coord[1], coord[0]]);
-      return route;
-
+      await engine.request('loadScenario', { cells: scenario.cells });
     } catch (error) {
-      console.error('❌ OSRM avoidance routing failed:', error);
-      return null;
+      if (error instanceof CancelledError) return;
+      console.error('Error loading scenario:', error);
+      setDebugInfo({ key: 'status.scenarioLoadError', params: { file: file.name } });
+      return;
     }
-  }
-
-  // Create waypoints to avoid crowd zones
-  createAvoidanceWaypoints(start, end, crowdZone) {
-    const waypoints = [];
 
-    // Calculate perpendicular direction
-    const dx = end[0] - start[0];
-    const dy = end[1] - start[1];
-    const length = Math.sqrt(dx * dx + dy * dy);
+    setEditHistory(current => forgetEdits(current, 'crowd'));
+    setScenarioName(scenario.name);
+    setDebugInfo({
+      key: scenario.errors.length > 0 ? 'status.scenarioLoadedWithErrors' : 'status.scenarioLoaded',
+      params: { name: scenario.name, cells: scenario.cells.length, skipped: scenario.errors.length }
+    });
+  }, [engine]);
 
-    if (length === 0) return waypoints;
+  const exportScenario = useCallback(async (format) => {
+    let cells;
+    try {
+      cells = await engine.request('scenarioCells');
+    } catch (error) {
+      if (error instanceof CancelledError) return;
+      console.error('Error exporting scenario:', error);
+      setDebugInfo({ key: 'status.scenarioExportError' });
+      return;
+    }
+    const name = scenarioName || 'crowd-scenario';
+    if (format === 'csv') {
+      downloadFile(scenarioToCSV(cells), `${name}.csv`, 'text/csv');
+    } else {
+      downloadFile(JSON.stringify(scenarioToGeoJSON(cells, name), null, 2), `${name}.geojson`, 'application/geo+json');
+    }
+    setDebugInfo({ key: 'status.scenarioExported', params: { cells: cells.length, format: format.toUpperCase() } });
+  }, [engine, scenarioName]);
 
-    const perpX = -dy / length;
-    const perpY = dx / length;
+  // --- Batch assignment ---
 
-    // Create avoidance points at different distances
-    const avoidanceDistances = [0.002, 0.004, 0.006]; // Different avoidance levels
+  // Load an origin–destination demand file, or the bundled sample without a file
+  const loadDemand = useCallback(async (file) => {
+    const parsed = file
+      ? parseDemandFile(file.name, await file.text())
+      : parseDemandCSV(sampleDemandCsv, 'Sample demand');
+    setScenarioErrors(parsed.errors);
 
-    for (const distance of avoidanceDistances) {
-      const avoidPoint = [
-        crowdZone.center[0] + perpX * distance,
-        crowdZone.center[1] + perpY * distance
-      ];
-      waypoints.push(avoidPoint);
+    if (parsed.pairs.length === 0) {
+      setDebugInfo({ key: 'status.noValidDemand', params: { file: file?.name ?? parsed.name } });
+      return;
     }
 
-    return waypoints;
-  }
+    setDemand(parsed);
+    setDebugInfo({
+      key: parsed.errors.length > 0 ? 'status.demandLoadedWithErrors' : 'status.demandLoaded',
+      params: { name: parsed.name, pairs: parsed.pairs.length, skipped: parsed.errors.length }
+    });
+  }, []);
 
-  // Get alternative route
-  async getAlternativeRoute(start, end) {
-    try {
-      const coordinates = [
-        [start[1], start[0]], // [lng, lat]
-        [end[1], end[0]]
-      ];
-
-      const coordsString = coordinates.map(coord => coord.join(',')).join(';');
-      const url = `${this.baseUrl}/route/v1/driving/${coordsString}?overview=full&geometries=geojson&alternatives=true`;
-
-      const response = await fetch(url);
-      const data = await response.json();
+  // Spread the demand over every pair's route options and keep the expected crowd in the
+  // grid as projected load, so routes calculated afterwards avoid it too
+  const balanceDemand = useCallback(async () => {
+    setAssignmentProgress({ done: 0, total: demand.pairs.length });
+    setDebugInfo({ key: 'status.balancing', params: { pairs: demand.pairs.length } });
 
-      if (data.code !== 'Ok' || !data.routes[1]) {
-        return null;
+    try {
+      setAssignment(null);
+      const result = await engine.request('balance', {
+        pairs: demand.pairs,
+        profileId,
+        restrictions: activeRestrictions(restrictions, { profileId }),
+        period: assignmentPeriod
+      }, { onProgress: setAssignmentProgress });
+      if (!result) {
+        setDebugInfo({ key: 'status.noRoutes' });
+        return;
       }
 
-      const route = data.routes[1].geometry.coordinates.map(coord => [coord[1], coord[0]]);
-      return route;
+      setAssignment(result);
+      setDebugInfo({
+        key: 'status.balanced',
+        params: {
+          pairs: result.pairs.length,
+          saving: result.greedyTime > 0 ? Math.round((1 - result.totalTime / result.greedyTime) * 100) : 0
+        }
+      });
+    } catch (error) {
+      if (error instanceof CancelledError) return;
+      console.error('Error balancing routes:', error);
+      setDebugInfo({ key: 'status.routeError' });
+    } finally {
+      setAssignmentProgress(null);
+    }
+  }, [demand, profileId, assignmentPeriod, restrictions, engine]);
 
+  // The assignment stays until the engine has dropped its projected load
+  const clearAssignment = useCallback(async () => {
+    try {
+      await engine.request('clearProjected');
     } catch (error) {
-      console.error('❌ OSRM alternative routing failed:', error);
-      return null;
+      if (error instanceof CancelledError) return;
+      console.error('Error clearing the projected crowd:', error);
+      setDebugInfo({ key: 'status.crowdUpdateError' });
+      return;
     }
-  }
-}
+    setAssignment(null);
+    setDebugInfo({ key: 'status.assignmentCleared' });
+  }, [engine]);
 
-function MapClickHandler({ onSelect, onAddPerson }) {
-  useMapEvents({
-    click(e) {
-      onSelect([e.latlng.lat, e.latlng.lng]);
-    },
-    contextmenu(e) {
-      e.originalEvent.preventDefault();
-      onAddPerson(e.latlng.lat, e.latlng.lng);
-    },
-  });
-  return null;
-}
+  const exportAssignment = useCallback(() => {
+    downloadFile(assignmentToCSV(assignment), `${demand?.name || 'demand'}-shares.csv`, 'text/csv');
+    setDebugInfo({ key: 'status.sharesExported', params: { pairs: assignment.pairs.length } });
+  }, [assignment, demand]);
 
-export default function DynamicRoadRouting() {
-  const [start, setStart] = useState(null);
-  const [end, setEnd] = useState(null);
-  const [currentRoute, setCurrentRoute] = useState([]);
-  const [populationGrid] = useState(() => new DynamicPopulationGrid());
-  const [populatedAreas, setPopulatedAreas] = useState([]);
-  const [routeInfo, setRouteInfo] = useState(null);
-  const [isCalculating, setIsCalculating] = useState(false);
-  const [debugInfo, setDebugInfo] = useState('');
-  const [router] = useState(() => new DynamicOSRMRouter());
-  const [routeOptions, setRouteOptions] = useState([]);
-  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0);
+  // --- Organizer restrictions ---
 
-  // Center on Ujjain
-  const center = [23.1821, 75.7890];
+  // Keep the route preferences across reloads
+  useEffect(() => {
+    saveScoringWeights(scoringWeights);
+  }, [scoringWeights]);
 
-  // --- Static population data for initial crowds ---
-  // If you want static population data to show on map load, use this useEffect.
-  // If you do not want static data, comment out this block.
-  // NOTE: If you set count: 0, that area will NOT show on the map (see getPopulatedAreas).
-  //       Use count >= 1 for visible circles.
-  const staticCrowdData = [
-    { lat: 23.1821, lng: 75.7890, count: 20 },
-    { lat: 23.1823, lng: 75.7892, count: 40 },
-    { lat: 23.1830, lng: 75.7885, count: 0 }, // This will NOT show (count is 0)
-    { lat: 23.1815, lng: 75.7870, count: 5 },
-    { lat: 23.1829, lng: 75.7905, count: 8 }
-  ];
+  // Keep the drawn restrictions across reloads
+  useEffect(() => {
+    saveRestrictions(restrictions);
+  }, [restrictions]);
 
+  // Time windows open and close while the page is open
   useEffect(() => {
-    // Delay ensures map and leaflet are initialized before adding data
-    setTimeout(() => {
-      staticCrowdData.forEach(({ lat, lng, count }) => {
-        // Only add if count > 0, otherwise it will not show
-        if (count > 0) {
-          populationGrid.addPerson(lat, lng, count);
-        }
-      });
-      setPopulatedAreas(populationGrid.getPopulatedAreas());
-      setDebugInfo('✅ Static population data loaded');
-    }, 100);
-    // eslint-disable-next-line
-  }, [populationGrid]);
-  // --- End static population data ---
+    const timer = setInterval(() => setClock(Date.now()), RESTRICTION_CLOCK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  const startDrawing = useCallback((type) => {
+    setDrawing({ type, points: [] });
+    setDebugInfo({ key: 'status.drawingStarted', params: { type: { key: `restrictions.types.${type}` } } });
+  }, []);
+
+  const finishDrawing = useCallback((details) => {
+    const restriction = createRestriction({ ...details, type: drawing.type, points: drawing.points });
+    setRestrictions(current => [...current, restriction]);
+    setDrawing(null);
+    setDebugInfo({
+      key: 'status.restrictionAdded',
+      params: { type: { key: `restrictions.types.${restriction.type}` }, points: restriction.points.length }
+    });
+  }, [drawing]);
+
+  const removeRestriction = useCallback((id) => {
+    setRestrictions(current => current.filter(restriction => restriction.id !== id));
+    setDebugInfo({ key: 'status.restrictionRemoved' });
+  }, []);
+
+  const exportRestrictions = useCallback(() => {
+    downloadFile(JSON.stringify(restrictionsToGeoJSON(restrictions), null, 2), 'restrictions.geojson', 'application/geo+json');
+    setDebugInfo({ key: 'status.restrictionsExported', params: { count: restrictions.length } });
+  }, [restrictions]);
+
+  // Replace the restrictions with the ones saved in a GeoJSON file
+  const importRestrictions = useCallback(async (file) => {
+    const parsed = parseRestrictionsFile(await file.text());
+    setScenarioErrors(parsed.errors);
+
+    if (parsed.restrictions.length === 0) {
+      setDebugInfo({ key: 'status.noValidRestrictions', params: { file: file.name } });
+      return;
+    }
+
+    setRestrictions(parsed.restrictions);
+    setDrawing(null);
+    setDebugInfo({
+      key: parsed.errors.length > 0 ? 'status.restrictionsLoadedWithErrors' : 'status.restrictionsLoaded',
+      params: { count: parsed.restrictions.length, skipped: parsed.errors.length }
+    });
+  }, []);
+
+  // --- Evacuation ---
+
+  useEffect(() => {
+    saveSafePoints(safePoints);
+  }, [safePoints]);
+
+  // Alert settings apply from the next crowd change on
+  const changeSafetySettings = useCallback((settings) => {
+    if (settings.sound && !alertMonitor.settings.sound) unlockAlertSound();
+    alertMonitor.settings = settings;
+    setSafetySettings(settings);
+    saveSafetySettings(settings);
+  }, [alertMonitor]);
+
+  const acknowledgeAlerts = useCallback((ids) => {
+    const time = Date.now();
+    setAlerts(current => current.map(alert =>
+      (!alert.acknowledgedAt && (!ids || ids.includes(alert.id)) ? { ...alert, acknowledgedAt: time } : alert)));
+    setFocusedAlert(current => (current && (!ids || ids.includes(current.id)) ? null : current));
+  }, []);
+
+  const startEvacuation = useCallback(() => {
+    setDrawing(null);
+    setCrowdEdit(null);
+    setEvacuation({ tool: 'origin', hazard: [], draft: [], origin: null });
+    setDebugInfo({ key: 'status.evacuationStarted' });
+  }, []);
+
+  const stopEvacuation = useCallback(() => {
+    engine.cancel('evacuate');
+    setEvacuation(null);
+    setDebugInfo({ key: 'status.evacuationStopped' });
+  }, [engine]);
+
+  const finishHazard = useCallback(() => {
+    setEvacuation(current => ({ ...current, tool: 'origin', hazard: current.draft, draft: [] }));
+    setDebugInfo({ key: 'status.hazardSet', params: { points: evacuation.draft.length } });
+  }, [evacuation]);
+
+  // Crowd editing mode replaces evacuation mode, as both use the map clicks
+  const startCrowdEditing = useCallback(() => {
+    setDrawing(null);
+    engine.cancel('evacuate');
+    setEvacuation(null);
+    setCrowdEdit({ tool: 'select', selection: [] });
+    setDebugInfo({ key: 'status.crowdEditingStarted' });
+  }, [engine]);
+
+  const stopCrowdEditing = useCallback(() => {
+    setCrowdEdit(null);
+    setDebugInfo({ key: 'status.crowdEditingStopped' });
+  }, []);
+
+  // Pilgrim simulation: the engine copies the current crowd and restrictions, and the map
+  // shows the simulated crowd until the simulation ends
+  const startSimulation = useCallback(() => {
+    engine.request('simulationStart', {
+      options: simulationOptions,
+      restrictions: activeRestrictions(restrictions, { time: clock })
+    }).then(state => {
+      setSimulation(state);
+      setCrowdEdit(null);
+      setDebugInfo({ key: 'status.simulationStarted', params: { pilgrims: state.summary.pilgrims } });
+    }).catch(error => {
+      console.error('Error starting the simulation:', error);
+      setDebugInfo({ key: 'status.simulationError' });
+    });
+  }, [engine, simulationOptions, restrictions, clock]);
+
+  // Steps are skipped while the previous one is still being worked out
+  const stepSimulation = useCallback((seconds) => {
+    if (simulationStepRef.current) return;
+    simulationStepRef.current = true;
+    engine.request('simulationStep', { seconds }).then(setSimulation).catch(error => {
+      if (!(error instanceof CancelledError)) console.error('Error simulating pilgrims:', error);
+    }).finally(() => {
+      simulationStepRef.current = false;
+    });
+  }, [engine]);
+
+  const stopSimulation = useCallback(() => {
+    engine.cancel('simulationStep');
+    engine.request('simulationStop').catch(error => {
+      if (!(error instanceof CancelledError)) console.error('Error stopping the simulation:', error);
+    });
+    setSimulation(null);
+    setDebugInfo({ key: 'status.simulationStopped' });
+  }, [engine]);
+
+  const compareStrategies = useCallback(() => {
+    setComparisonProgress({ done: 0, total: 0 });
+    engine.request('compareStrategies', {
+      options: simulationOptions,
+      restrictions: activeRestrictions(restrictions, { time: clock })
+    }, { onProgress: setComparisonProgress }).then(summaries => {
+      setSimulationComparison(summaries);
+      setDebugInfo({ key: 'status.strategiesCompared', params: { pilgrims: summaries[0].pilgrims } });
+    }).catch(error => {
+      if (error instanceof CancelledError) return;
+      console.error('Error comparing routing strategies:', error);
+      setDebugInfo({ key: 'status.simulationError' });
+    }).finally(() => setComparisonProgress(null));
+  }, [engine, simulationOptions, restrictions, clock]);
+
+  const evacuating = evacuation !== null;
+  const hazard = evacuation?.hazard;
+  const evacuationOrigin = evacuation?.origin;
+
+  // Plan the way out for everyone whenever the hazard, the safe points or the crowds
+  // change; a newer plan supersedes one still being worked out
+  useEffect(() => {
+    if (!evacuating) {
+      setEvacuationPlan(null);
+      return;
+    }
+    engine.request('evacuate', {
+      safePoints,
+      hazard,
+      origin: evacuationOrigin,
+      profileId,
+      restrictions: activeRestrictions(restrictions, { time: clock, profileId })
+    }, { supersede: true }).then(plan => {
+      console.log(`🚨 Evacuation of ${plan.people} people planned, cleared in ${(plan.clearanceTime / 60).toFixed(1)} min`);
+      setEvacuationPlan(plan);
+    }).catch(error => {
+      if (error instanceof CancelledError) return;
+      console.error('Error planning evacuation:', error);
+      setDebugInfo({ key: 'status.evacuationError' });
+    });
+  }, [evacuating, hazard, evacuationOrigin, safePoints, populatedAreas, profileId, restrictions, clock, engine]);
+
+  // Apply crowd edits (see src/crowd/editing.js) and keep them in the undo history.
+  // Resolves to the edited cells before and after, and how many of them changed. Undo
+  // waits until the engine has answered, so it never skips an edit still on its way.
+  const editCrowd = useCallback((cells, action) => {
+    setPendingEdits(count => count + 1);
+    return engine.request('editCells', { cells }).then(({ before, after }) => {
+      const changed = after.filter((cell, i) => cell.count !== before[i].count).length;
+      if (changed > 0) setEditHistory(current => recordEdit(current, { kind: 'crowd', action, before, after }));
+      return { before, after, changed };
+    }).catch(error => {
+      if (!(error instanceof CancelledError)) {
+        console.error('Error editing crowds:', error);
+        setDebugInfo({ key: 'status.crowdEditError' });
+      }
+      return null;
+    }).finally(() => setPendingEdits(count => count - 1));
+  }, [engine]);
 
   // Add person to a location (right-click)
   const handleAddPerson = useCallback((lat, lng) => {
@@ -388,87 +645,416 @@ export default function DynamicRoadRouting() {
       return;
     }
 
-    const newPopulation = populationGrid.addPerson(lat, lng);
-    setPopulatedAreas(populationGrid.getPopulatedAreas());
-    console.log(`👥 Added person at (${lat}, ${lng}). New population: ${newPopulation}`);
-  }, [populationGrid]);
+    editCrowd([{ lat, lng, delta: 1 }], 'addPerson').then(result => {
+      if (result) console.log(`👥 Added person at (${lat}, ${lng}). New population: ${result.after[0].count}`);
+    });
+  }, [editCrowd]);
+
+  // Crowd editing mode: edits of one cell from its popup, or of the selected cells
+  const editCells = useCallback((cells, action) => {
+    editCrowd(cells, action).then(result => {
+      if (result) {
+        setDebugInfo({ key: 'status.crowdEdited', params: { action: { key: `editing.actions.${action}` }, cells: result.changed } });
+      }
+    });
+  }, [editCrowd]);
+
+  const setCrowdCounts = useCallback((areas, count) => {
+    editCells(setCountEdits(areas, count), count === 0 ? 'deleteCells' : 'setCount');
+  }, [editCells]);
+
+  const changeCrowdCounts = useCallback((areas, delta) => {
+    editCells(changeCountEdits(areas, delta), 'changeCount');
+  }, [editCells]);
+
+  // Dragged cells move by `offset` ([rows, columns]); selected ones stay selected
+  const moveCrowd = useCallback((areas, [rows, columns]) => {
+    editCells(moveEdits(areas, [rows, columns]), 'moveCells');
+    const moved = new Set(areas.map(area => areaKey(area)));
+    setCrowdEdit(current => current && {
+      ...current,
+      selection: [
+        ...current.selection.filter(key => !moved.has(key)),
+        ...areas
+          .filter(area => current.selection.includes(areaKey(area)))
+          .map(area => areaKey({ lat: area.lat + rows * GRID_SIZE, lng: area.lng + columns * GRID_SIZE }))
+      ]
+    });
+  }, [editCells]);
+
+  // Box selection, replacing the selection or adding to it
+  const selectCells = useCallback((areas, add) => {
+    const keys = areas.map(area => areaKey(area));
+    const selection = add ? [...new Set([...crowdEdit.selection, ...keys])] : keys;
+    setCrowdEdit(current => current && { ...current, selection });
+    setDebugInfo({ key: 'status.cellsSelected', params: { cells: selection.length } });
+  }, [crowdEdit]);
+
+  // Statistics for one route option, shown in the analysis panel and written into exports.
+  // The crowd statistics of its points come with the option from the engine.
+  const buildRouteInfo = useCallback((option, profile) => {
+    const { totalPoints, crowdedPoints, averageWeight } = option.stats;
+    const totalDistance = pathLength(option.route);
+    const crowdExposure = option.crowdIntersections.exposureMetres;
 
-  // Calculate dynamic route with multiple options
-  const calculateRoute = useCallback(async () => {
-    if (!start || !end) return;
+    return {
+      totalPoints,
+      crowdedPoints,
+      averageWeight,
+      totalDistance,
+      // Share of the distance walked outside crowd zones
+      efficiency: totalDistance > 0 ? Math.max(0, 100 - crowdExposure / totalDistance * 100) : 0,
+      estimatedTime: routeWalkingTime(option, profile.speed),
+      stops: option.stops,
+      legs: option.legs.map(leg => ({
+        distance: pathLength(leg.route),
+        estimatedTime: routeWalkingTime(leg, profile.speed),
+        crowdExposure: leg.crowdIntersections.exposureMetres,
+        routeType: leg.type
+      })),
+      profile: profile.label,
+      profileId: profile.id,
+      routeType: option.type,
+      crowdIntersection: option.crowdIntersections.totalIntersection,
+      crowdExposure
+    };
+  }, []);
+
+  // Scores of the route options under the current preferences (src/routing/scoring.js)
+  const routeScores = useMemo(() => (routeOptions.length > 0
+    ? scoreRouteOptions(routeOptions, scoringWeights, { speed: getProfile(routeOptions[0].profileId).speed })
+    : []), [routeOptions, scoringWeights]);
+  const bestRouteIndex = bestScoreIndex(routeScores);
+
+  const selectRouteOption = useCallback((index, options = routeOptions) => {
+    const option = options[index];
+    setSelectedRouteIndex(index);
+    setCurrentRoute(option.route);
+    setRouteInfo(buildRouteInfo(option, getProfile(option.profileId)));
+  }, [routeOptions, buildRouteInfo]);
+
+  // Calculate dynamic route with multiple options. `preferredType` selects that option
+  // (e.g. from a deep link) instead of the best scoring one when it was found.
+  // `itinerary` overrides the stops in state (used right after reordering them).
+  // A new calculation supersedes one still running; returns false when this one was
+  // cancelled or superseded.
+  const calculateRoute = useCallback(async ({ preferredType = null, itinerary = stops } = {}) => {
+    if (itinerary.length < 2) return false;
 
     setIsCalculating(true);
+    setRouteProgress(null);
+    const profile = getProfile(profileId);
+    let cancelled = false;
 
     try {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
       console.log('🔍 Starting dynamic road routing...');
-      console.log('📍 Start:', start);
-      console.log('🎯 End:', end);
-      console.log('👥 Crowd zones:', populationGrid.crowdZones.length);
+      console.log('📍 Stops:', itinerary);
+      console.log(`${profile.icon} Profile:`, profile.id);
+      console.log('👥 Crowd zones:', crowdZonesRef.current.length);
 
-      setDebugInfo('🔍 Calculating dynamic routes...');
+      setDebugInfo({ key: 'status.calculating' });
 
-      // Get multiple route options
-      const routes = await router.getMultipleRoutes(start, end, populationGrid.crowdZones);
+      // Get multiple route options, joined across all legs of the itinerary
+      const routes = await engine.request('routes', {
+        stops: itinerary,
+        profileId: profile.id,
+        restrictions: activeRestrictions(restrictions, { profileId: profile.id })
+      }, { onProgress: setRouteProgress, supersede: true });
 
       if (routes.length > 0) {
         console.log('🛣️ Found', routes.length, 'route options');
-        setRouteOptions(routes);
-
-        // Select the best route (lowest crowd intersection)
-        const bestRoute = routes.reduce((best, current) =>
-          current.crowdIntersections.totalIntersection < best.crowdIntersections.totalIntersection ? current : best
-        );
-
-        setCurrentRoute(bestRoute.route);
-        setSelectedRouteIndex(routes.indexOf(bestRoute));
-        setDebugInfo(`✅ Best route selected (${bestRoute.type}) with ${bestRoute.route.length} points`);
-
-        // Calculate route statistics
-        const totalPoints = bestRoute.route.length;
-        const crowdedPoints = bestRoute.route.filter(point =>
-          populationGrid.getRoutingWeight(point[0], point[1]) > 2
-        ).length;
-
-        const averageWeight = bestRoute.route.length > 0 ? bestRoute.route.reduce((sum, point) =>
-          sum + populationGrid.getRoutingWeight(point[0], point[1]), 0
-        ) / bestRoute.route.length : 0;
-
-        const totalDistance = bestRoute.route.reduce((sum, point, i) => {
-          if (i === 0) return 0;
-          const prev = bestRoute.route[i - 1];
-          const distance = Math.sqrt(
-            Math.pow(point[0] - prev[0], 2) + Math.pow(point[1] - prev[1], 2)
-          ) * 111000;
-          return sum + distance;
-        }, 0);
-
-        setRouteInfo({
-          totalPoints,
-          crowdedPoints,
-          averageWeight,
-          totalDistance,
-          efficiency: totalPoints > 0 ? Math.max(0, 100 - (crowdedPoints / totalPoints * 100)) : 0,
-          routeType: bestRoute.type,
-          crowdIntersection: bestRoute.crowdIntersections.totalIntersection
+        const options = routes.map(option => ({ ...option, profileId: profile.id }));
+        setRouteOptions(options);
+
+        // Select the best route (lowest score under the current preferences)
+        const scores = scoreRouteOptions(options, scoringWeights, { speed: profile.speed });
+        const bestRoute = options.find(option => option.type === preferredType) || options[bestScoreIndex(scores)];
+
+        selectRouteOption(options.indexOf(bestRoute), options);
+        setRouteHistory(history => [
+          ...history,
+          { time: Date.now(), stops: itinerary, profileId: profile.id, type: bestRoute.type, route: bestRoute.route }
+        ].slice(-MAX_ROUTE_HISTORY));
+        setDebugInfo({
+          key: bestRoute.type === preferredType ? 'status.sharedRouteSelected' : 'status.bestRouteSelected',
+          params: { type: { key: `routeTypes.${bestRoute.type}` }, points: bestRoute.route.length }
         });
+
+        if (bestRoute.restrictionViolations.length > 0) {
+          setNotification({
+            key: 'notifications.restrictionBroken',
+            params: { count: new Set(bestRoute.restrictionViolations.map(violation => violation.restriction.id)).size }
+          });
+        }
       } else {
-        setDebugInfo('❌ No routes found');
+        setDebugInfo({ key: 'status.noRoutes' });
         setCurrentRoute([]);
         setRouteInfo(null);
       }
     } catch (error) {
+      // Whoever cancelled it (or the calculation superseding it) owns the state now
+      if (error instanceof CancelledError) {
+        cancelled = true;
+        return false;
+      }
       console.error('Error calculating route:', error);
       setCurrentRoute([]);
       setRouteInfo(null);
-      setDebugInfo('❌ Error calculating route');
+      setDebugInfo({ key: 'status.routeError' });
     } finally {
-      setIsCalculating(false);
+      if (!cancelled) {
+        setIsCalculating(false);
+        setRouteProgress(null);
+      }
     }
-  }, [start, end, populationGrid, router]);
+    return true;
+  }, [stops, engine, profileId, restrictions, scoringWeights, selectRouteOption]);
+
+  // New route preferences pick the best option again, except while navigating along the
+  // selected one
+  const changeScoringWeights = useCallback((weights) => {
+    setScoringWeights(weights);
+    if (routeOptions.length === 0 || navigation || timelineTime !== null) return;
+
+    const best = bestScoreIndex(scoreRouteOptions(routeOptions, weights, { speed: getProfile(routeOptions[0].profileId).speed }));
+    if (best === selectedRouteIndex) return;
+    selectRouteOption(best);
+    setDebugInfo({
+      key: 'status.bestRouteSelected',
+      params: { type: { key: `routeTypes.${routeOptions[best].type}` }, points: routeOptions[best].route.length }
+    });
+  }, [routeOptions, navigation, timelineTime, selectedRouteIndex, selectRouteOption]);
+
+  // Stop changes made by hand go into the undo history; the ones navigation makes do not
+  const changeStops = useCallback((next, action) => {
+    setEditHistory(current => recordEdit(current, { kind: 'stops', action, before: stops, after: next }));
+    setStops(next);
+  }, [stops]);
+
+  // Stop the route calculation (or stop order optimisation) in progress
+  const cancelCalculation = useCallback(() => {
+    engine.cancel('routes');
+    engine.cancel('stopCosts');
+    setIsCalculating(false);
+    setRouteProgress(null);
+  }, [engine]);
+
+  // Reorder the stops for the least distance and crowd exposure, then route them.
+  // The first stop stays first and, with `fixEnd`, the last stays last.
+  const optimiseStops = useCallback(async () => {
+    setIsCalculating(true);
+    setDebugInfo({ key: 'status.optimising', params: { stops: stops.length } });
+    const profile = getProfile(profileId);
+    let cancelled = false;
+
+    try {
+      const costs = await engine.request('stopCosts', {
+        stops,
+        profileId: profile.id,
+        restrictions: activeRestrictions(restrictions, { profileId: profile.id })
+      }, { supersede: true });
+      const current = stops.map((_stop, i) => i);
+      const order = optimiseStopOrder(costs, { fixEnd });
+      if (orderCost(order, costs) >= orderCost(current, costs)) {
+        setDebugInfo({ key: 'status.orderAlreadyOptimal' });
+        return;
+      }
+
+      const itinerary = order.map(i => stops[i]);
+      console.log('🧮 Optimised stop order:', order.join(' → '));
+      changeStops(itinerary, 'optimiseStops');
+      cancelled = !(await calculateRoute({ itinerary }));
+      if (!cancelled) {
+        setDebugInfo({ key: 'status.orderOptimised', params: { order: order.map(i => i + 1).join(' → ') } });
+      }
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        cancelled = true;
+        return;
+      }
+      console.error('Error optimising stop order:', error);
+      setDebugInfo({ key: 'status.routeError' });
+    } finally {
+      if (!cancelled) setIsCalculating(false);
+    }
+  }, [stops, fixEnd, profileId, restrictions, engine, calculateRoute, changeStops]);
+
+  // Keep the latest route state where the live feed handler can read it
+  useEffect(() => {
+    calculateRouteRef.current = calculateRoute;
+  }, [calculateRoute]);
+
+  useEffect(() => {
+    isCalculatingRef.current = isCalculating;
+  }, [isCalculating]);
+
+  // Opening a shared link recalculates its route once the initial crowds are loaded
+  useEffect(() => {
+    if (!initialLink) return undefined;
+    const timer = setTimeout(() => {
+      calculateRouteRef.current({ preferredType: initialLink.option });
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [initialLink]);
+
+  // Turn-by-turn directions for the selected option (provider steps, or derived from the
+  // route geometry when the provider returned none)
+  const directions = useMemo(() => {
+    const option = routeOptions[selectedRouteIndex];
+    if (currentRoute.length < 2) return [];
+    const steps = option?.route === currentRoute ? option.steps : null;
+    return buildDirections(currentRoute, steps, { speed: getProfile(option?.profileId ?? profileId).speed, t, language });
+  }, [currentRoute, routeOptions, selectedRouteIndex, profileId, t, language]);
+
+  useEffect(() => {
+    setActiveStepIndex(null);
+  }, [directions]);
+
+  const activeStep = activeStepIndex !== null ? directions[activeStepIndex] : null;
+
+  // Keep the address bar in sync so it can be bookmarked or copied at any time
+  const selectedRouteType = routeOptions[selectedRouteIndex]?.type ?? null;
+  const shareLink = useMemo(
+    () => encodeRouteLink({ start, via: stops.slice(1, -1), end, profileId, option: selectedRouteType }),
+    [start, stops, end, profileId, selectedRouteType]
+  );
+
+  useEffect(() => {
+    window.history.replaceState(null, '', shareLink);
+  }, [shareLink]);
+
+  const copyShareLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(shareLink);
+      setDebugInfo({ key: 'status.linkCopied' });
+    } catch (error) {
+      console.error('Error copying route link:', error);
+      setDebugInfo({ key: 'status.shareLink', params: { link: shareLink } });
+    }
+  }, [shareLink]);
+
+  // Download the selected route with its analysis in one of ROUTE_EXPORT_FORMATS
+  const exportRoute = useCallback((format) => {
+    const { extension, mimeType, serialize } = ROUTE_EXPORT_FORMATS[format];
+    const name = `route-${routeInfo.routeType}`;
+    downloadFile(serialize(currentRoute, routeInfo, `Simhastha ${routeInfo.routeType} route`), `${name}.${extension}`, mimeType);
+    setDebugInfo({
+      key: 'status.routeExported',
+      params: { type: { key: `routeTypes.${routeInfo.routeType}` }, format: ROUTE_EXPORT_FORMATS[format].label }
+    });
+  }, [currentRoute, routeInfo]);
+
+  // The active route's crowd exposure when it was chosen (null until the engine replies)
+  useEffect(() => {
+    activeRouteRef.current = { route: currentRoute, baselineExposure: currentRoute.length > 0 ? null : 0 };
+    if (currentRoute.length === 0) return;
+    engine.request('analyze', { route: currentRoute }).then(({ exposureMetres }) => {
+      if (activeRouteRef.current.route === currentRoute) activeRouteRef.current.baselineExposure = exposureMetres;
+    }).catch(error => console.error('Error analysing route:', error));
+  }, [currentRoute, engine]);
+
+  // Live feed update: refresh the map and reroute if the active route got more crowded
+  const handleFeedMessage = useCallback(async (message) => {
+    try {
+      const changedCells = await engine.request('applyFeedMessage', { message });
+      setDebugInfo({
+        key: message.source ? 'status.liveUpdateFrom' : 'status.liveUpdate',
+        params: { cells: changedCells, source: message.source }
+      });
 
-  // Handle map click
+      const { route, baselineExposure } = activeRouteRef.current;
+      if (route.length === 0 || baselineExposure === null || isCalculatingRef.current) return;
+      if (Date.now() - lastRerouteRef.current < LIVE_REROUTE_MIN_INTERVAL) return;
+
+      const { exposureMetres } = await engine.request('analyze', { route });
+      if (activeRouteRef.current.route !== route || isCalculatingRef.current) return;
+      if (exposureMetres - baselineExposure > LIVE_REROUTE_THRESHOLD_METRES) {
+        lastRerouteRef.current = Date.now();
+        console.log(`📡 Route exposure rose from ${baselineExposure.toFixed(0)}m to ${exposureMetres.toFixed(0)}m, rerouting`);
+        setNotification({ key: 'notifications.rerouting', params: { exposure: format.distance(exposureMetres) } });
+        calculateRouteRef.current();
+      }
+    } catch (error) {
+      console.error('Error applying live update:', error);
+    }
+  }, [engine, format]);
+
+  const toggleLiveFeed = useCallback(() => {
+    if (feedUnsubscribeRef.current) {
+      feedUnsubscribeRef.current();
+      feedUnsubscribeRef.current = null;
+      return;
+    }
+    const client = new CrowdFeedClient(CROWD_FEED_URL, { onMessage: handleFeedMessage, onStatus: setFeedStatus });
+    client.connect();
+    feedUnsubscribeRef.current = () => client.disconnect();
+  }, [handleFeedMessage]);
+
+  // Fade stale crowd counts over time. Offline no new counts can arrive, so the last
+  // known state is kept as it is rather than fading away.
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (navigator.onLine) engine.request('applyDecay').catch(handleCrowdError);
+    }, DECAY_INTERVAL);
+    return () => clearInterval(timer);
+  }, [engine, handleCrowdError]);
+
+  // Crowd state at the selected moment, replayed by the engine. Moving the slider
+  // supersedes the replay still being built.
+  useEffect(() => {
+    if (timelineTime === null) {
+      setReplayCrowd(null);
+      return;
+    }
+    engine.request('snapshot', { time: timelineTime }, { supersede: true }).then(setReplayCrowd).catch(error => {
+      if (!(error instanceof CancelledError)) console.error('Error replaying crowds:', error);
+    });
+  }, [timelineTime, engine]);
+
+  // Timeline replay: crowd state and the latest route calculated at the selected moment.
+  // Until the first replayed state arrives the live crowds stay on the map.
+  const replay = useMemo(() => {
+    if (timelineTime === null) return null;
+    const routeEntry = routeHistory.filter(entry => entry.time <= timelineTime).pop() || null;
+    return { areas: replayCrowd?.areas ?? populatedAreas, zones: replayCrowd?.zones ?? crowdZones, routeEntry };
+  }, [timelineTime, replayCrowd, populatedAreas, crowdZones, routeHistory]);
+
+  const displayedAreas = replay ? replay.areas : simulation?.areas ?? populatedAreas;
+  const displayedZones = replay ? replay.zones : simulation?.zones ?? crowdZones;
+  const displayedRoute = replay ? replay.routeEntry?.route || [] : currentRoute;
+  const displayedStops = replay ? replay.routeEntry?.stops || [] : stops;
+  // Crowd cells can be edited when the map shows the live crowd
+  const editingCrowd = crowdEdit !== null && !replay && !simulation;
+  const selectedAreas = useMemo(() => {
+    const selection = new Set(crowdEdit?.selection || []);
+    return populatedAreas.filter(area => selection.has(areaKey(area)));
+  }, [crowdEdit, populatedAreas]);
+
+  // Recorded time range for the timeline (crowd observations and calculated routes)
+  const routeTimes = routeHistory.map(entry => entry.time);
+  const timelineRange = (crowdHistoryRange || routeTimes.length > 0)
+    ? [
+      Math.min(...routeTimes, crowdHistoryRange ? crowdHistoryRange[0] : Infinity),
+      Math.max(...routeTimes, crowdHistoryRange ? crowdHistoryRange[1] : -Infinity)
+    ]
+    : null;
+
+  // Close the feed connection on unmount
+  useEffect(() => () => {
+    if (feedUnsubscribeRef.current) feedUnsubscribeRef.current();
+  }, []);
+
+  // Any change to the stops makes the calculated route stale, as well as one still
+  // being calculated
+  const clearRoute = useCallback(() => {
+    if (isCalculatingRef.current) cancelCalculation();
+    setCurrentRoute([]);
+    setRouteInfo(null);
+    setRouteOptions([]);
+  }, [cancelCalculation]);
+
+  // Handle map click: the first click sets the start, every further click adds a stop
+  // that becomes the new destination
   const handleSelect = useCallback((latlng) => {
     if (!latlng || typeof latlng[0] !== 'number' || typeof latlng[1] !== 'number' ||
       isNaN(latlng[0]) || isNaN(latlng[1]) ||
@@ -477,25 +1063,258 @@ export default function DynamicRoadRouting() {
       return;
     }
 
-    if (!start) {
-      setStart(latlng);
-      setEnd(null);
-      setCurrentRoute([]);
-      setRouteInfo(null);
-      setRouteOptions([]);
-      setDebugInfo('📍 Start point set');
-    } else if (!end) {
-      setEnd(latlng);
-      setDebugInfo('🎯 End point set');
+    // While drawing a restriction, clicks add its points instead of stops
+    if (drawing) {
+      setDrawing(current => ({ ...current, points: [...current.points, latlng] }));
+      return;
+    }
+
+    // In evacuation mode, clicks go to the selected evacuation tool
+    if (evacuation) {
+      if (evacuation.tool === 'hazard') {
+        setEvacuation(current => ({ ...current, draft: [...current.draft, latlng] }));
+      } else if (evacuation.tool === 'origin') {
+        setEvacuation(current => ({ ...current, origin: latlng }));
+      } else {
+        setSafePoints(current => [...current, createSafePoint({ type: evacuation.tool, point: latlng })]);
+        setEvacuation(current => ({ ...current, tool: 'origin' }));
+        setDebugInfo({ key: 'status.safePointAdded', params: { type: { key: `evacuation.types.${evacuation.tool}` } } });
+      }
+      return;
+    }
+
+    // In crowd editing mode, clicks are for the crowd cells
+    if (crowdEdit) return;
+
+    changeStops([...stops, latlng], 'addStop');
+    clearRoute();
+    if (stops.length === 0) {
+      setDebugInfo({ key: 'status.startSet' });
+    } else if (stops.length === 1) {
+      setDebugInfo({ key: 'status.endSet' });
     } else {
-      setStart(latlng);
-      setEnd(null);
-      setCurrentRoute([]);
-      setRouteInfo(null);
-      setRouteOptions([]);
-      setDebugInfo('🔄 Reset to start point');
+      setDebugInfo({ key: 'status.stopAdded', params: { number: stops.length + 1 } });
+    }
+  }, [stops, drawing, evacuation, crowdEdit, clearRoute, changeStops]);
+
+  // Pick a place from the search or the places layer: 'start' replaces the start point,
+  // 'stop' adds the place like a map click would
+  const pickPlace = useCallback((poi, role) => {
+    const name = poiName(poi, language);
+    if (role === 'start') {
+      changeStops([poi.position, ...stops.slice(1)], 'setStart');
+      setDebugInfo({ key: 'status.placeStart', params: { name } });
+    } else {
+      changeStops([...stops, poi.position], 'addStop');
+      setDebugInfo({ key: 'status.placeAdded', params: { name, number: stops.length + 1 } });
+    }
+    clearRoute();
+  }, [language, stops, clearRoute, changeStops]);
+
+  // Status bar label for a point: the place there, or its coordinates
+  const pointLabel = (point) => {
+    const poi = nearestPoi(point);
+    return poi ? poiName(poi, language) : `${format.fixed(point[0], 4)}, ${format.fixed(point[1], 4)}`;
+  };
+
+  // Score breakdown label for a criterion's measured value. Crowd exposure shows the plain
+  // metres in crowds; its cost weighs them by the zone weights.
+  const criterionLabel = (criterion, value, option) => {
+    if (criterion === 'distance') return format.distance(value);
+    if (criterion === 'time') return format.minutes(value);
+    if (criterion === 'exposure') return format.distance(option.crowdIntersections.exposureMetres);
+    return format.number(value);
+  };
+
+  // Itinerary editing from the ItineraryPanel
+  const moveStop = useCallback((from, to) => {
+    const next = [...stops];
+    next.splice(to, 0, next.splice(from, 1)[0]);
+    changeStops(next, 'moveStop');
+    clearRoute();
+    setDebugInfo({ key: 'status.stopsReordered' });
+  }, [stops, clearRoute, changeStops]);
+
+  const removeStop = useCallback((index) => {
+    changeStops(stops.filter((_stop, i) => i !== index), 'removeStop');
+    clearRoute();
+    setDebugInfo({ key: 'status.stopRemoved', params: { number: index + 1 } });
+  }, [stops, clearRoute, changeStops]);
+
+  const clearStops = useCallback(() => {
+    changeStops([], 'clearStops');
+    clearRoute();
+    setDebugInfo({ key: 'status.stopsCleared' });
+  }, [clearRoute, changeStops]);
+
+  // --- Undo and redo ---
+
+  // Crowd edits add back the difference between the counts after and before the edit, so
+  // live feed and decay changes since are kept; stop edits restore the stops
+  const applyEdit = useCallback((edit, state) => {
+    if (edit.kind === 'crowd') {
+      const cells = state === 'before' ? differenceEdits(edit.after, edit.before) : differenceEdits(edit.before, edit.after);
+      engine.request('editCells', { cells }).catch(error => {
+        if (error instanceof CancelledError) return;
+        console.error('Error editing crowds:', error);
+        setDebugInfo({ key: 'status.crowdEditError' });
+      });
+    } else {
+      setStops(edit[state]);
+      clearRoute();
     }
-  }, [start]);
+  }, [engine, clearRoute]);
+
+  const undo = useCallback(() => {
+    const edit = nextUndo(editHistory);
+    if (!edit || pendingEdits > 0) return;
+    applyEdit(edit, 'before');
+    setEditHistory(undoEdit(editHistory));
+    setDebugInfo({ key: 'status.undone', params: { action: { key: `editing.actions.${edit.action}` } } });
+  }, [editHistory, pendingEdits, applyEdit]);
+
+  const redo = useCallback(() => {
+    const edit = nextRedo(editHistory);
+    if (!edit || pendingEdits > 0) return;
+    applyEdit(edit, 'after');
+    setEditHistory(redoEdit(editHistory));
+    setDebugInfo({ key: 'status.redone', params: { action: { key: `editing.actions.${edit.action}` } } });
+  }, [editHistory, pendingEdits, applyEdit]);
+
+  // Ctrl+Z undoes and Ctrl+Y or Ctrl+Shift+Z redoes, except in form fields, which keep
+  // their own undo; Escape clears the crowd selection
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'escape') {
+        setCrowdEdit(current => current && { ...current, selection: [] });
+      } else if ((e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((e.ctrlKey || e.metaKey) && (key === 'y' || key === 'z')) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // --- Navigation ---
+
+  // Every new route (or itinerary) restarts tracking from its first stop
+  useEffect(() => {
+    tracker.setRoute(currentRoute, stops, crowdZonesRef.current);
+  }, [tracker, currentRoute, stops]);
+
+  const stopNavigation = useCallback(() => {
+    if (positionSourceRef.current) positionSourceRef.current.stop();
+    positionSourceRef.current = null;
+    setNavigation(null);
+  }, []);
+
+  // A position fix while navigating. The first one becomes the start of the itinerary;
+  // later ones are followed along the route, which is recalculated from the current
+  // position after leaving it or when a new crowd zone shows up ahead.
+  const handleFix = useCallback((fix) => {
+    if (awaitingFirstFixRef.current) {
+      awaitingFirstFixRef.current = false;
+      const itinerary = [fix.position, ...stops.slice(1)];
+      setNavigation(current => current && { ...current, fix });
+      setStops(itinerary);
+      setDebugInfo({ key: 'status.navigationStarted' });
+      if (itinerary.length > 1) calculateRoute({ itinerary });
+      return;
+    }
+
+    const result = tracker.update(fix, crowdZonesRef.current);
+    setNavigation(current => current && { ...current, fix, progress: result.progress });
+
+    if (result.arrived) {
+      setNotification({ key: 'notifications.arrived' });
+      stopNavigation();
+      return;
+    }
+    if (result.reachedStop !== null) {
+      setDebugInfo({ key: 'status.stopReached', params: { number: result.reachedStop + 1 } });
+    }
+
+    if (!(result.offRoute || result.zoneAhead) || isCalculatingRef.current) return;
+    if (fix.time - lastNavigationRerouteRef.current < tracker.options.minRerouteInterval) return;
+    lastNavigationRerouteRef.current = fix.time;
+    lastRerouteRef.current = Date.now();
+
+    const itinerary = [fix.position, ...tracker.remainingStops];
+    console.log(result.offRoute
+      ? `🧭 ${result.progress.distanceFromRoute.toFixed(0)}m off route, rerouting`
+      : `🧭 New crowd zone ${result.zoneAhead.id} ahead, rerouting`);
+    setNotification(result.offRoute
+      ? { key: 'notifications.offRoute' }
+      : { key: 'notifications.zoneAhead', params: { people: result.zoneAhead.population } });
+    setNavigation(current => current && { ...current, reroutes: current.reroutes + 1 });
+    setStops(itinerary);
+    calculateRoute({ itinerary });
+  }, [stops, tracker, calculateRoute, stopNavigation]);
+
+  useEffect(() => {
+    handleFixRef.current = handleFix;
+  }, [handleFix]);
+
+  // Start following positions from a source built by `createSource(callbacks)`
+  const startNavigation = useCallback((createSource, details = {}) => {
+    if (positionSourceRef.current) positionSourceRef.current.stop();
+    awaitingFirstFixRef.current = true;
+    lastNavigationRerouteRef.current = 0;
+    setNavigation({ ...details, status: 'waiting', fix: null, progress: null, reroutes: 0 });
+
+    positionSourceRef.current = createSource({
+      onPosition: (fix) => handleFixRef.current(fix),
+      onStatus: (status) => setNavigation(current => current && { ...current, status }),
+      onError: (code) => {
+        setDebugInfo({ key: 'status.positionError', params: { reason: { key: `navigation.errors.${code}` } } });
+        // watchPosition keeps trying after a timeout; the other errors are final
+        if (code !== 'timeout') stopNavigation();
+      }
+    });
+    positionSourceRef.current.start();
+  }, [stopNavigation]);
+
+  const navigateFromLocation = useCallback(() => {
+    startNavigation(callbacks => new GeolocationSource(callbacks));
+  }, [startNavigation]);
+
+  // Replay a .gpx/.geojson track file (or the bundled sample track) as simulated GPS
+  const simulateTrack = useCallback(async (file, speedup) => {
+    let track;
+    try {
+      track = file
+        ? parseTrackFile(file.name, await file.text())
+        : parseTrackFile('sample-track.gpx', await (await fetch(SAMPLE_TRACK_URL)).text());
+    } catch (error) {
+      console.error('Error loading track:', error);
+      setDebugInfo({ key: 'status.trackError', params: { file: file?.name ?? SAMPLE_TRACK_URL, reason: error.message } });
+      return;
+    }
+    if (track.error) {
+      setDebugInfo({
+        key: 'status.trackError',
+        params: { file: file?.name ?? SAMPLE_TRACK_URL, reason: { key: `trackErrors.${track.error.code}`, params: track.error.params } }
+      });
+      return;
+    }
+
+    setDebugInfo({ key: 'status.trackLoaded', params: { name: track.name, fixes: track.fixes.length } });
+    startNavigation(
+      callbacks => new SimulatedTrackSource(track, { ...callbacks, speedup }),
+      { trackName: track.name, speedup }
+    );
+  }, [startNavigation]);
+
+  // Stop the position source on unmount
+  useEffect(() => () => {
+    if (positionSourceRef.current) positionSourceRef.current.stop();
+  }, []);
 
   // Get color based on population density
   const getPopulationColor = (population) => {
@@ -506,8 +1325,24 @@ export default function DynamicRoadRouting() {
     else return 'darkred';
   };
 
+  // Get color based on a zone's (population-weighted) routing weight
+  const getZoneColor = (weight) => {
+    if (weight < 5) return 'green';
+    else if (weight < 10) return 'orange';
+    else if (weight < 20) return 'red';
+    else return 'darkred';
+  };
+
   return (
-    <div style={{ width: '100%', height: '100%', position: 'relative' }}>
+    <div
+      style={{ width: '100%', height: '100%', position: 'relative' }}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        const file = e.dataTransfer.files[0];
+        if (file) loadScenarioFile(file);
+      }}
+    >
       {/* Modern Instructions Panel */}
       <div style={{
         position: 'absolute',
@@ -523,24 +1358,207 @@ export default function DynamicRoadRouting() {
         border: '1px solid #e5e7eb'
       }}>
         <h3 style={{ margin: '0 0 15px 0', color: '#1f2937', fontSize: '16px' }}>
-          🛣️ Dynamic Road Router
+          {t('instructions.title')}
         </h3>
         <div style={{ lineHeight: '1.6', color: '#4b5563' }}>
           <div style={{ marginBottom: '8px' }}>
-            <strong>📍 Set Route:</strong> Left-click to set start/end points
+            <strong>{t('instructions.setRoute')}</strong> {t('instructions.setRouteHelp')}
           </div>
           <div style={{ marginBottom: '8px' }}>
-            <strong>👥 Add Crowd:</strong> Right-click to add people
+            <strong>{t('instructions.addCrowd')}</strong> {t('instructions.addCrowdHelp')}
           </div>
           <div style={{ marginBottom: '8px' }}>
-            <strong>🛣️ Calculate:</strong> Multiple route options with crowd avoidance
+            <strong>{t('instructions.calculate')}</strong> {t('instructions.calculateHelp')}
           </div>
           <div style={{ marginBottom: '0' }}>
-            <strong>📊 View:</strong> Best route selection & analysis
+            <strong>{t('instructions.view')}</strong> {t('instructions.viewHelp')}
           </div>
         </div>
       </div>
 
+      {/* Itinerary and scenario validation errors, below the instructions */}
+      <div style={{
+        position: 'absolute',
+        top: 260,
+        left: 20,
+        zIndex: 1000,
+        maxHeight: 'calc(100% - 280px)',
+        overflowY: 'auto',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '12px'
+      }}>
+        <AlertsPanel
+          alerts={alerts}
+          settings={safetySettings}
+          onAcknowledge={(id) => acknowledgeAlerts([id])}
+          onAcknowledgeAll={() => acknowledgeAlerts(null)}
+          onClearHistory={() => setAlerts(current => current.filter(alert => !alert.acknowledgedAt))}
+          onFocus={(alert) => setFocusedAlert(current => (current?.id === alert.id ? null : alert))}
+          onSettingsChange={changeSafetySettings}
+        />
+
+        <PlacesPanel
+          showLayer={showPois}
+          categories={poiCategories}
+          onShowLayerChange={setShowPois}
+          onCategoriesChange={setPoiCategories}
+          onPick={pickPlace}
+        />
+
+        {stops.length > 0 && timelineTime === null && (
+          <ItineraryPanel
+            stops={stops}
+            fixEnd={fixEnd}
+            busy={isCalculating}
+            onFixEndChange={setFixEnd}
+            onMove={moveStop}
+            onRemove={removeStop}
+            onClear={clearStops}
+            onOptimise={optimiseStops}
+          />
+        )}
+
+        {timelineTime === null && (
+          <CrowdEditPanel
+            crowdEdit={crowdEdit}
+            selected={selectedAreas}
+            undoAction={pendingEdits > 0 ? null : nextUndo(editHistory)?.action ?? null}
+            redoAction={pendingEdits > 0 ? null : nextRedo(editHistory)?.action ?? null}
+            available={!simulation}
+            onStart={startCrowdEditing}
+            onStop={stopCrowdEditing}
+            onToolChange={(tool) => setCrowdEdit(current => ({ ...current, tool }))}
+            onSetCount={(count) => setCrowdCounts(selectedAreas, count)}
+            onChangeCount={(delta) => changeCrowdCounts(selectedAreas, delta)}
+            onClearSelection={() => setCrowdEdit(current => ({ ...current, selection: [] }))}
+            onUndo={undo}
+            onRedo={redo}
+          />
+        )}
+
+        {timelineTime === null && (
+          <EvacuationPanel
+            evacuation={evacuation}
+            safePoints={safePoints}
+            plan={evacuationPlan}
+            onStart={startEvacuation}
+            onStop={stopEvacuation}
+            onToolChange={(tool) => setEvacuation(current => ({ ...current, tool, draft: tool === 'hazard' ? current.draft : [] }))}
+            onUndoHazardPoint={() => setEvacuation(current => ({ ...current, draft: current.draft.slice(0, -1) }))}
+            onFinishHazard={finishHazard}
+            onClearHazard={() => {
+              setEvacuation(current => ({ ...current, hazard: [] }));
+              setDebugInfo({ key: 'status.hazardCleared' });
+            }}
+            onSafePointChange={(id, changes) => setSafePoints(current =>
+              current.map(safePoint => (safePoint.id === id ? { ...safePoint, ...changes } : safePoint)))}
+            onRemoveSafePoint={(id) => {
+              setSafePoints(current => current.filter(safePoint => safePoint.id !== id));
+              setDebugInfo({ key: 'status.safePointRemoved' });
+            }}
+            onResetSafePoints={() => setSafePoints(DEFAULT_SAFE_POINTS)}
+          />
+        )}
+
+        {timelineTime === null && (
+          <SimulationPanel
+            simulation={simulation}
+            options={simulationOptions}
+            comparison={simulationComparison}
+            progress={comparisonProgress}
+            onOptionsChange={setSimulationOptions}
+            onStart={startSimulation}
+            onStop={stopSimulation}
+            onStep={stepSimulation}
+            onCompare={compareStrategies}
+            onCancelCompare={() => engine.cancel('compareStrategies')}
+          />
+        )}
+
+        {timelineTime === null && (
+          <ScoringPanel weights={scoringWeights} onChange={changeScoringWeights} />
+        )}
+
+        {timelineTime === null && (
+          <NavigationPanel
+            navigation={navigation}
+            speed={getProfile(profileId).speed}
+            follow={followPosition}
+            onFollowChange={setFollowPosition}
+            onNavigate={navigateFromLocation}
+            onSimulate={simulateTrack}
+            onStop={() => {
+              stopNavigation();
+              setDebugInfo({ key: 'status.navigationStopped' });
+            }}
+          />
+        )}
+
+        {timelineTime === null && (
+          <AssignmentPanel
+            demand={demand}
+            result={assignment}
+            progress={assignmentProgress}
+            period={assignmentPeriod}
+            showProjected={showProjected}
+            onLoad={loadDemand}
+            onPeriodChange={setAssignmentPeriod}
+            onBalance={balanceDemand}
+            onShowProjectedChange={setShowProjected}
+            onExport={exportAssignment}
+            onClear={clearAssignment}
+          />
+        )}
+
+        {timelineTime === null && (
+          <RestrictionsPanel
+            restrictions={restrictions}
+            drawing={drawing}
+            time={clock}
+            onStartDrawing={startDrawing}
+            onUndoPoint={() => setDrawing(current => ({ ...current, points: current.points.slice(0, -1) }))}
+            onCancelDrawing={() => setDrawing(null)}
+            onFinishDrawing={finishDrawing}
+            onRemove={removeRestriction}
+            onExport={exportRestrictions}
+            onImport={importRestrictions}
+          />
+        )}
+
+        {scenarioErrors.length > 0 && (
+          <div style={{
+            background: '#fee2e2',
+            padding: '15px 20px',
+            borderRadius: '12px',
+            fontSize: '13px',
+            maxWidth: '300px',
+            maxHeight: '200px',
+            overflowY: 'auto',
+            boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+            border: '1px solid #ef4444',
+            color: '#991b1b'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+              <strong>{t('scenarioErrors.title', { count: format.number(scenarioErrors.length) })}</strong>
+              <button
+                style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#991b1b', padding: '0 4px' }}
+                onClick={() => setScenarioErrors([])}
+              >
+                ✕
+              </button>
+            </div>
+            {scenarioErrors.map((error, index) => (
+              <div key={index}>
+                {error.row > 0
+                  ? t('scenarioErrors.row', { row: format.number(error.row), message: t(`scenarioErrors.${error.code}`, error.params) })
+                  : t(`scenarioErrors.${error.code}`, error.params)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Route Options Panel */}
       {routeOptions.length > 0 && (
         <div style={{
@@ -557,7 +1575,7 @@ export default function DynamicRoadRouting() {
           border: '1px solid #e5e7eb'
         }}>
           <h3 style={{ margin: '0 0 15px 0', color: '#1f2937', fontSize: '16px' }}>
-            🛣️ Route Options
+            {t('routeOptions.title')}
           </h3>
           {routeOptions.map((option, index) => (
             <div
@@ -571,18 +1589,52 @@ export default function DynamicRoadRouting() {
                 cursor: 'pointer'
               }}
               onClick={() => {
-                setSelectedRouteIndex(index);
-                setCurrentRoute(option.route);
-                setDebugInfo(`✅ Selected ${option.type} route`);
+                selectRouteOption(index);
+                setDebugInfo({ key: 'status.routeSelected', params: { type: { key: `routeTypes.${option.type}` } } });
               }}
             >
-              <div style={{ fontWeight: 'bold', marginBottom: '5px' }}>
-                {option.type.charAt(0).toUpperCase() + option.type.slice(1)} Route
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', fontWeight: 'bold', marginBottom: '5px' }}>
+                <span>{t(`routeTypes.${option.type}`)}</span>
+                <span title={t('routeOptions.scoreHelp')} style={{ color: index === bestRouteIndex ? '#059669' : '#6b7280' }}>
+                  {index === bestRouteIndex && `${t('routeOptions.best')} `}
+                  {t('routeOptions.score', { score: format.fixed(routeScores[index].total, 2) })}
+                </span>
               </div>
               <div style={{ fontSize: '12px', color: '#6b7280' }}>
-                Points: {option.route.length} | 
-                Crowd: {option.crowdIntersections.totalIntersection.toFixed(2)}
+                {t('routeOptions.stats', {
+                  points: format.number(option.route.length),
+                  crowd: format.fixed(option.crowdIntersections.totalIntersection, 2),
+                  exposure: format.distance(option.crowdIntersections.exposureMetres)
+                })}
+              </div>
+              {/* Score breakdown: each criterion's value and weighted cost */}
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 8px', fontSize: '11px', color: '#374151', marginTop: '3px' }}>
+                {Object.entries(routeScores[index].breakdown).map(([criterion, { value, points }]) => (
+                  <span key={criterion} title={t(`scoring.criteria.${criterion}`)}>
+                    {t(`routeOptions.breakdown.${criterion}`, {
+                      value: criterionLabel(criterion, value, option),
+                      points: format.fixed(points, 2)
+                    })}
+                  </span>
+                ))}
               </div>
+              {option.avoidance && (
+                <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '3px' }}>
+                  {t('avoidance.summary', {
+                    detours: format.number(option.avoidance.detours),
+                    iterations: format.number(option.avoidance.iterations),
+                    reason: t(`avoidance.${option.avoidance.stopReason}`)
+                  })}
+                </div>
+              )}
+              {option.restrictionViolations.length > 0 && (
+                <div style={{ fontSize: '11px', color: '#dc2626', marginTop: '3px' }}>
+                  {t('routeOptions.restrictionsBroken', {
+                    names: [...new Set(option.restrictionViolations.map(({ restriction }) =>
+                      restriction.name || t(`restrictions.types.${restriction.type}`)))].join(', ')
+                  })}
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -591,13 +1643,38 @@ export default function DynamicRoadRouting() {
       {/* Modern Controls */}
       <div style={{
         position: 'absolute',
-        top: routeOptions.length > 0 ? 280 : 20,
+        top: routeOptions.length > 0 ? 100 + routeOptions.length * 105 : 20,
         right: 20,
         zIndex: 1000,
         display: 'flex',
         flexDirection: 'column',
         gap: '12px'
       }}>
+        <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end' }}>
+          {Object.values(ROUTING_PROFILES).map(profile => (
+            <button
+              key={profile.id}
+              title={t(`profiles.${profile.id}`)}
+              style={{
+                background: profileId === profile.id ? '#dbeafe' : 'white',
+                color: '#1f2937',
+                padding: '8px 10px',
+                borderRadius: '8px',
+                border: profileId === profile.id ? '2px solid #2563eb' : '1px solid #e5e7eb',
+                cursor: 'pointer',
+                fontSize: '16px',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+              }}
+              onClick={() => {
+                setProfileId(profile.id);
+                setDebugInfo({ key: 'status.profileSelected', params: { icon: profile.icon, profile: { key: `profiles.${profile.id}` } } });
+              }}
+            >
+              {profile.icon}
+            </button>
+          ))}
+        </div>
+
         {start && end && (
           <button
             disabled={isCalculating}
@@ -613,12 +1690,38 @@ export default function DynamicRoadRouting() {
               boxShadow: '0 2px 8px rgba(37, 99, 235, 0.3)',
               transition: 'all 0.2s ease'
             }}
-            onClick={calculateRoute}
+            onClick={() => calculateRoute()}
           >
-            {isCalculating ? '🔄 Finding Routes...' : '🛣️ Calculate Routes'}
+            {!isCalculating && t('controls.calculate')}
+            {isCalculating && (routeProgress
+              ? t('controls.calculatingProgress', { percent: format.percent(routeProgress.done / routeProgress.total * 100, 0) })
+              : t('controls.calculating'))}
           </button>
         )}
 
+        {/* Route searches done so far, and a way out of a slow calculation */}
+        {isCalculating && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <div style={{ flex: 1, height: '6px', background: '#e5e7eb', borderRadius: '3px', overflow: 'hidden' }}>
+              <div style={{
+                width: `${routeProgress ? routeProgress.done / routeProgress.total * 100 : 0}%`,
+                height: '100%',
+                background: '#2563eb',
+                transition: 'width 0.2s ease'
+              }} />
+            </div>
+            <button
+              style={{ padding: '4px 8px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' }}
+              onClick={() => {
+                cancelCalculation();
+                setDebugInfo({ key: 'status.calculationCancelled' });
+              }}
+            >
+              {t('controls.cancelCalculation')}
+            </button>
+          </div>
+        )}
+
         <button
           style={{
             background: '#dc2626',
@@ -633,15 +1736,15 @@ export default function DynamicRoadRouting() {
             transition: 'all 0.2s ease'
           }}
           onClick={() => {
-            populationGrid.clearAll();
-            setPopulatedAreas([]);
-            setCurrentRoute([]);
-            setRouteInfo(null);
-            setRouteOptions([]);
-            setDebugInfo('');
+            engine.request('clearAll').catch(handleCrowdError);
+            setEditHistory(current => forgetEdits(current, 'crowd'));
+            setAssignment(null);
+            setScenarioName('');
+            clearRoute();
+            setDebugInfo(null);
           }}
         >
-          🗑️ Clear All
+          {t('controls.clearAll')}
         </button>
 
         <button
@@ -658,23 +1761,90 @@ export default function DynamicRoadRouting() {
             transition: 'all 0.2s ease'
           }}
           onClick={() => {
-            const testCrowdData = [
-              { lat: 23.1821, lng: 75.7890, count: 3 },
-              { lat: 23.1823, lng: 75.7892, count: 7 },
-              { lat: 23.1830, lng: 75.7885, count: 10 },
-              { lat: 23.1815, lng: 75.7870, count: 5 },
-              { lat: 23.1829, lng: 75.7905, count: 8 }
-            ];
-
-            testCrowdData.forEach(({ lat, lng, count }) => {
-              populationGrid.addPerson(lat, lng, count);
-            });
-
-            setPopulatedAreas(populationGrid.getPopulatedAreas());
-            setDebugInfo('🧪 Loaded static test crowds');
+            const { cells } = parseScenarioCSV(testCrowdsCsv, 'Test crowds');
+            engine.request('loadScenario', { cells, replace: false }).catch(handleCrowdError);
+            setDebugInfo({ key: 'status.testCrowdsLoaded' });
           }}
         >
-          🧪 Add Test Crowds
+          {t('controls.addTestCrowds')}
+        </button>
+
+        <div style={{ display: 'flex', gap: '6px' }}>
+          {[
+            { label: t('controls.load'), title: t('controls.loadTitle'), onClick: () => fileInputRef.current.click() },
+            { label: t('controls.exportGeoJSON'), title: t('controls.exportGeoJSONTitle'), onClick: () => exportScenario('geojson') },
+            { label: t('controls.exportCSV'), title: t('controls.exportCSVTitle'), onClick: () => exportScenario('csv') }
+          ].map(action => (
+            <button
+              key={action.label}
+              title={action.title}
+              style={{
+                flex: 1,
+                background: 'white',
+                color: '#1f2937',
+                padding: '8px 6px',
+                borderRadius: '8px',
+                border: '1px solid #e5e7eb',
+                cursor: 'pointer',
+                fontSize: '12px',
+                fontWeight: 'bold',
+                boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+              }}
+              onClick={action.onClick}
+            >
+              {action.label}
+            </button>
+          ))}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.geojson,.json"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files[0];
+              if (file) loadScenarioFile(file);
+              e.target.value = '';
+            }}
+          />
+        </div>
+
+        <button
+          style={{
+            background: feedStatus === 'disconnected' ? '#7c3aed' : '#4c1d95',
+            color: 'white',
+            padding: '12px 24px',
+            borderRadius: '8px',
+            border: 'none',
+            cursor: 'pointer',
+            fontWeight: 'bold',
+            fontSize: '14px',
+            boxShadow: '0 2px 8px rgba(124, 58, 237, 0.3)',
+            transition: 'all 0.2s ease'
+          }}
+          onClick={toggleLiveFeed}
+        >
+          {feedStatus === 'disconnected' ? t('controls.connectFeed') : t('controls.disconnectFeed')}
+        </button>
+
+        <button
+          disabled={tileProgress !== null || !isOnline}
+          title={t('controls.saveMapTitle', { minZoom: OFFLINE_TILE_ZOOMS[0], maxZoom: OFFLINE_TILE_ZOOMS[1] })}
+          style={{
+            background: 'white',
+            color: '#1f2937',
+            padding: '8px 12px',
+            borderRadius: '8px',
+            border: '1px solid #e5e7eb',
+            cursor: tileProgress !== null || !isOnline ? 'not-allowed' : 'pointer',
+            fontSize: '12px',
+            fontWeight: 'bold',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+          }}
+          onClick={saveMapOffline}
+        >
+          {tileProgress
+            ? t('controls.savingMap', { done: format.number(tileProgress.done + tileProgress.failed), total: format.number(tileProgress.total) })
+            : t('controls.saveMap')}
         </button>
       </div>
 
@@ -694,26 +1864,57 @@ export default function DynamicRoadRouting() {
           border: '1px solid #e5e7eb'
         }}>
           <h3 style={{ margin: '0 0 15px 0', color: '#1f2937', fontSize: '16px' }}>
-            📊 Dynamic Route Analysis
+            {t('routeInfo.title')}
           </h3>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '15px' }}>
             <div>
-              <strong>Route Type:</strong><br />
-              <span style={{ color: '#6b7280' }}>{routeInfo.routeType}</span>
+              <strong>{t('routeInfo.routeType')}</strong><br />
+              <span style={{ color: '#6b7280' }}>{t(`routeTypes.${routeInfo.routeType}`)}</span>
+            </div>
+            <div>
+              <strong>{t('routeInfo.crowdIntersection')}</strong><br />
+              <span style={{ color: '#dc2626' }}>{format.fixed(routeInfo.crowdIntersection, 2)}</span>
             </div>
             <div>
-              <strong>Crowd Intersection:</strong><br />
-              <span style={{ color: '#dc2626' }}>{routeInfo.crowdIntersection.toFixed(2)}</span>
+              <strong>{t('routeInfo.routePoints')}</strong><br />
+              <span style={{ color: '#6b7280' }}>{format.number(routeInfo.totalPoints)}</span>
             </div>
             <div>
-              <strong>Route Points:</strong><br />
-              <span style={{ color: '#6b7280' }}>{routeInfo.totalPoints}</span>
+              <strong>{t('routeInfo.distance')}</strong><br />
+              <span style={{ color: '#6b7280' }}>{format.distance(routeInfo.totalDistance)}</span>
             </div>
             <div>
-              <strong>Road Distance:</strong><br />
-              <span style={{ color: '#6b7280' }}>{routeInfo.totalDistance.toFixed(0)}m</span>
+              <strong>{t('routeInfo.exposure')}</strong><br />
+              <span style={{ color: '#dc2626' }}>{t('routeInfo.exposureValue', { distance: format.distance(routeInfo.crowdExposure) })}</span>
+            </div>
+            <div>
+              <strong>{t('routeInfo.profile')}</strong><br />
+              <span style={{ color: '#6b7280' }}>{t(`profiles.${routeInfo.profileId}`)}</span>
+            </div>
+            <div>
+              <strong>{t('routeInfo.time')}</strong><br />
+              <span style={{ color: '#6b7280' }}>{format.minutes(routeInfo.estimatedTime)}</span>
             </div>
           </div>
+          {routeInfo.legs.length > 1 && (
+            <div style={{ marginBottom: '15px' }}>
+              <strong>{t('routeInfo.legs')}</strong>
+              {routeInfo.legs.map((leg, index) => (
+                <div key={index} style={{ display: 'flex', gap: '8px', fontSize: '12px', marginTop: '4px' }}>
+                  <span style={{ fontWeight: 'bold', whiteSpace: 'nowrap' }}>
+                    {t('routeInfo.leg', { from: format.number(index + 1), to: format.number(index + 2) })}
+                  </span>
+                  <span style={{ color: '#6b7280' }}>
+                    {t('routeInfo.legStats', {
+                      distance: format.distance(leg.distance),
+                      time: format.minutes(leg.estimatedTime),
+                      exposure: format.distance(leg.crowdExposure)
+                    })}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
           <div style={{
             padding: '12px',
             background: routeInfo.efficiency > 80 ? '#d1fae5' : routeInfo.efficiency > 60 ? '#fef3c7' : '#fee2e2',
@@ -723,7 +1924,26 @@ export default function DynamicRoadRouting() {
             textAlign: 'center',
             fontSize: '16px'
           }}>
-            🎯 Efficiency: {routeInfo.efficiency.toFixed(1)}%
+            {t('routeInfo.efficiency', { efficiency: format.percent(routeInfo.efficiency) })}
+          </div>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '12px' }}>
+            {Object.entries(ROUTE_EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                title={t('routeInfo.download', { format: label })}
+                style={{ flex: 1, padding: '6px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' }}
+                onClick={() => exportRoute(format)}
+              >
+                ⬇ {label}
+              </button>
+            ))}
+            <button
+              title={t('routeInfo.shareTitle')}
+              style={{ flex: 1, padding: '6px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' }}
+              onClick={copyShareLink}
+            >
+              {t('routeInfo.share')}
+            </button>
           </div>
         </div>
       )}
@@ -743,56 +1963,285 @@ export default function DynamicRoadRouting() {
         border: '1px solid #e5e7eb'
       }}>
         <span style={{ marginRight: '15px' }}>
-          📍 Start: {start ? `${start[0].toFixed(4)}, ${start[1].toFixed(4)}` : 'Not set'}
+          {t('statusBar.start', { point: start ? pointLabel(start) : t('statusBar.notSet') })}
         </span>
         <span style={{ marginRight: '15px' }}>
-          🎯 End: {end ? `${end[0].toFixed(4)}, ${end[1].toFixed(4)}` : 'Not set'}
+          {t('statusBar.end', { point: end ? pointLabel(end) : t('statusBar.notSet') })}
         </span>
+        {stops.length > 2 && (
+          <span style={{ marginRight: '15px' }}>
+            {t('statusBar.stops', { count: format.number(stops.length) })}
+          </span>
+        )}
         <span style={{ marginRight: '15px' }}>
-          👥 Crowds: {populatedAreas.length} areas
+          {t('statusBar.crowds', { areas: format.number(populatedAreas.length), zones: format.number(crowdZones.length) })}
         </span>
+        {scenarioName && (
+          <span style={{ marginRight: '15px' }}>
+            {t('statusBar.scenario', { name: scenarioName })}
+          </span>
+        )}
+        {timelineTime !== null && (
+          <span style={{ marginRight: '15px', color: '#2563eb' }}>
+            {t('statusBar.replaying', { time: format.time(timelineTime) })}
+          </span>
+        )}
+        {feedStatus !== 'disconnected' && (
+          <span style={{ marginRight: '15px' }}>
+            {t('statusBar.feed', { status: t(`feedStatus.${feedStatus}`) })}
+          </span>
+        )}
+        {evacuation && (
+          <span style={{ marginRight: '15px', color: '#dc2626', fontWeight: 'bold' }}>
+            {evacuationPlan
+              ? t('statusBar.evacuation', { time: format.minutes(evacuationPlan.clearanceTime) })
+              : t('statusBar.evacuationMode')}
+          </span>
+        )}
+        {simulation && (
+          <span style={{ marginRight: '15px', color: '#7c3aed', fontWeight: 'bold' }}>
+            {t('statusBar.simulation', {
+              time: format.minutes(simulation.elapsed),
+              walking: format.number(simulation.summary.walking * simulation.summary.pilgrims / simulation.summary.agents)
+            })}
+          </span>
+        )}
+        {crowdEdit && (
+          <span style={{ marginRight: '15px', color: '#2563eb', fontWeight: 'bold' }}>
+            {t('statusBar.editing', { cells: format.number(selectedAreas.length) })}
+          </span>
+        )}
+        {alerts.some(alert => !alert.acknowledgedAt) && (
+          <span style={{ marginRight: '15px', color: '#dc2626', fontWeight: 'bold' }}>
+            {t('statusBar.alerts', { count: format.number(alerts.filter(alert => !alert.acknowledgedAt).length) })}
+          </span>
+        )}
+        {!isOnline && (
+          <span style={{ marginRight: '15px', color: '#b45309' }}>
+            {crowdStateTime
+              ? t('statusBar.offlineSince', { time: format.time(crowdStateTime) })
+              : t('statusBar.offline')}
+          </span>
+        )}
+        {navigation && (
+          <span style={{ marginRight: '15px' }}>
+            {navigation.progress
+              ? t('statusBar.navigatingRemaining', { distance: format.distance(navigation.progress.remaining) })
+              : t('statusBar.navigating', { status: t(`navigation.status.${navigation.status}`) })}
+          </span>
+        )}
         <span style={{ color: '#2563eb', fontWeight: 'bold' }}>
-          {debugInfo}
+          {debugInfo && tm(debugInfo)}
         </span>
       </div>
 
+      {/* Turn-by-turn directions for the selected route */}
+      {directions.length > 0 && timelineTime === null && (
+        <DirectionsPanel
+          directions={directions}
+          activeIndex={activeStepIndex}
+          onSelectStep={setActiveStepIndex}
+        />
+      )}
+
+      {/* Timeline replay of past crowd states and routes */}
+      {timelineRange && (
+        <TimelinePanel
+          time={timelineTime}
+          range={timelineRange}
+          onTimeChange={setTimelineTime}
+        />
+      )}
+
+      {/* Live reroute notification */}
+      {notification && (
+        <div style={{
+          position: 'absolute',
+          top: 75,
+          left: '50%',
+          transform: 'translateX(-50%)',
+          background: '#fef3c7',
+          color: '#92400e',
+          padding: '12px 20px',
+          borderRadius: '12px',
+          fontSize: '14px',
+          fontWeight: 'bold',
+          zIndex: 1000,
+          boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+          border: '1px solid #f59e0b',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px'
+        }}>
+          <span>{tm(notification)}</span>
+          <button
+            style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#92400e', padding: '0 4px' }}
+            onClick={() => setNotification(null)}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
       <MapContainer
         center={center}
         zoom={13}
         style={{ height: '100%', width: '100%' }}
       >
         <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          url={TILE_URL}
           attribution="&copy; OpenStreetMap contributors"
         />
 
-        {/* Population areas with better styling */}
-        {populatedAreas.map((area, index) => (
-          <Circle
-            key={`pop-${index}`}
-            center={[area.lat, area.lng]}
-            radius={40}
+        {/* Bundled places of interest */}
+        {showPois && <PoiLayer categories={poiCategories} onPick={pickPlace} />}
+
+        {/* Organizer closures, one-way corridors and gates */}
+        <RestrictionLayer restrictions={restrictions} drawing={drawing} time={clock} onRemove={removeRestriction} />
+
+        {/* Merged crowd zones (hull of neighbouring populated cells) */}
+        {displayedZones.map(zone => (
+          <Polygon
+            key={`zone-${zone.id}`}
+            positions={zone.polygon}
             pathOptions={{
-              color: getPopulationColor(area.population),
-              fillColor: getPopulationColor(area.population),
-              fillOpacity: 0.7,
-              weight: 3
+              color: getZoneColor(zone.weight),
+              fillColor: getZoneColor(zone.weight),
+              fillOpacity: 0.2,
+              weight: 2,
+              dashArray: '6,4'
             }}
           >
             <Popup>
               <div style={{ textAlign: 'center' }}>
-                <strong>👥 Crowd Area</strong><br />
-                People: {area.population}<br />
-                Weight: {populationGrid.getRoutingWeight(area.lat, area.lng).toFixed(2)}
+                <strong>{t('map.crowdZone')}</strong><br />
+                {t('map.zonePeople', { people: format.number(zone.population), cells: format.number(zone.cells.length) })}<br />
+                {t('map.density', { density: format.fixed(zone.density, 4) })}<br />
+                {t('map.peakDensity', { density: format.fixed(zone.peakDensity, 2), level: serviceLevel(zone.peakDensity).id })}<br />
+                {t('map.weight', { weight: format.fixed(zone.weight, 2) })}
               </div>
             </Popup>
-          </Circle>
+          </Polygon>
         ))}
 
+        {/* Simulated pilgrims, an even sample when there are many */}
+        {simulation && !replay && simulation.agents
+          .filter((_position, index, agents) => index % Math.ceil(agents.length / MAX_AGENT_MARKERS) === 0)
+          .map((position, index) => (
+            <CircleMarker
+              key={`agent-${index}`}
+              center={position}
+              radius={3}
+              pathOptions={{ color: '#7c3aed', fillColor: '#7c3aed', fillOpacity: 0.8, weight: 1 }}
+            />
+          ))}
+
+        {/* Population cells in view: shapes up close, a heatmap when there are many */}
+        <CrowdCellsLayer
+          areas={displayedAreas}
+          gridSize={GRID_SIZE}
+          renderCell={area => (
+            <Rectangle
+              key={`pop-${area.lat},${area.lng}`}
+              bounds={[
+                [area.lat, area.lng],
+                [area.lat + GRID_SIZE, area.lng + GRID_SIZE]
+              ]}
+              pathOptions={{
+                color: getPopulationColor(area.population),
+                fillColor: getPopulationColor(area.population),
+                fillOpacity: 0.7,
+                weight: 1
+              }}
+            >
+              <Popup>
+                <div style={{ textAlign: 'center' }}>
+                  <strong>{t('map.crowdArea')}</strong><br />
+                  {t('map.people', { people: format.number(area.population) })}<br />
+                  {t('map.cellDensity', { density: format.fixed(area.density, 2), level: serviceLevel(area.density).id })}<br />
+                  {t('map.weight', { weight: format.fixed(weightForPopulation(area.population), 2) })}
+                  {editingCrowd && (
+                    <CrowdCellEditor
+                      key={area.population}
+                      population={area.population}
+                      onSetCount={(count) => setCrowdCounts([area], count)}
+                      onChangeCount={(delta) => changeCrowdCounts([area], delta)}
+                    />
+                  )}
+                </div>
+              </Popup>
+            </Rectangle>
+          )}
+        />
+
+        {/* Crowd editing mode: selected cells, the selection box and crowds being dragged */}
+        {editingCrowd && (
+          <CrowdEditLayer
+            tool={crowdEdit.tool}
+            areas={populatedAreas}
+            selected={selectedAreas}
+            gridSize={GRID_SIZE}
+            onSelect={selectCells}
+            onMove={moveCrowd}
+          />
+        )}
+
+        {/* Batch assignment: projected crowd cells and the assigned routes, wider for
+            larger shares */}
+        {assignment && showProjected && timelineTime === null && (
+          <>
+            {projectedAreas.map(area => (
+              <Rectangle
+                key={`projected-${area.lat},${area.lng}`}
+                bounds={[
+                  [area.lat, area.lng],
+                  [area.lat + GRID_SIZE, area.lng + GRID_SIZE]
+                ]}
+                pathOptions={{
+                  color: '#2563eb',
+                  fillColor: '#2563eb',
+                  fillOpacity: Math.min(0.5, 0.1 + area.population / 100),
+                  weight: 1,
+                  dashArray: '3,3'
+                }}
+              >
+                <Popup>
+                  <div style={{ textAlign: 'center' }}>
+                    <strong>{t('map.projectedArea')}</strong><br />
+                    {t('map.projectedPeople', { people: format.number(area.population) })}
+                  </div>
+                </Popup>
+              </Rectangle>
+            ))}
+            {assignment.pairs.flatMap(pair => pair.paths
+              .filter(path => path.share >= 0.005)
+              .map(path => (
+                <Polyline
+                  key={`assigned-${pair.row}-${path.type}`}
+                  positions={path.route}
+                  pathOptions={{ color: '#7c3aed', weight: 2 + 8 * path.share, opacity: 0.5 }}
+                >
+                  <Tooltip sticky>
+                    {t('map.assignedRoute', {
+                      type: t(`routeTypes.${path.type}`),
+                      share: format.percent(path.share * 100, 0),
+                      travellers: format.number(path.travellers)
+                    })}
+                  </Tooltip>
+                </Polyline>
+              )))}
+          </>
+        )}
+
+        {/* Evacuation mode: hazard, flows to the safe points and the way out */}
+        {evacuation && timelineTime === null && (
+          <EvacuationLayer evacuation={evacuation} safePoints={safePoints} plan={evacuationPlan} />
+        )}
+
         {/* Route path with better styling */}
-        {currentRoute.length > 0 && (
+        {displayedRoute.length > 0 && (
           <Polyline
-            positions={currentRoute}
+            positions={displayedRoute}
             color="#dc2626"
             weight={5}
             opacity={0.8}
@@ -800,24 +2249,69 @@ export default function DynamicRoadRouting() {
           />
         )}
 
-        {/* Start and end markers with better styling */}
-        {start && (
-          <Marker position={start}>
+        {/* Itinerary stop markers, numbered once there are intermediate stops */}
+        {displayedStops.map((stop, index) => (
+          <Marker key={`stop-${index}-${stop[0]},${stop[1]}`} position={stop}>
+            {displayedStops.length > 2 && (
+              <Tooltip permanent direction="top" offset={[0, -40]}>
+                {format.number(index + 1)}
+              </Tooltip>
+            )}
             <Popup>
               <div style={{ textAlign: 'center' }}>
-                <strong>📍 Start Point</strong>
+                <strong>
+                  {index === 0
+                    ? t('map.startPoint')
+                    : index === displayedStops.length - 1
+                      ? t('map.endPoint')
+                      : t('map.stop', { number: format.number(index + 1) })}
+                </strong>
               </div>
             </Popup>
           </Marker>
+        ))}
+
+        {/* Highlighted directions step */}
+        {activeStep && timelineTime === null && (
+          <>
+            <Polyline
+              positions={activeStep.coordinates}
+              color="#f59e0b"
+              weight={9}
+              opacity={0.9}
+            />
+            <FitPath path={activeStep.coordinates} />
+          </>
         )}
-        {end && (
-          <Marker position={end}>
-            <Popup>
-              <div style={{ textAlign: 'center' }}>
-                <strong>🎯 End Point</strong>
-              </div>
-            </Popup>
-          </Marker>
+
+        {/* Zone of the alert clicked in the alerts panel */}
+        {focusedAlert && (
+          <>
+            <Polygon
+              positions={focusedAlert.polygon}
+              pathOptions={{ color: serviceLevel(focusedAlert.density).color, fillOpacity: 0.1, weight: 4 }}
+            />
+            <FitPath path={focusedAlert.polygon} />
+          </>
+        )}
+
+        {/* Traveller's position and its accuracy while navigating */}
+        {navigation?.fix && timelineTime === null && (
+          <>
+            <Circle
+              center={navigation.fix.position}
+              radius={navigation.fix.accuracy}
+              pathOptions={{ color: '#2563eb', weight: 1, fillOpacity: 0.1 }}
+            />
+            <CircleMarker
+              center={navigation.fix.position}
+              radius={8}
+              pathOptions={{ color: 'white', weight: 3, fillColor: '#2563eb', fillOpacity: 1 }}
+            >
+              <Tooltip>{t('map.yourPosition', { accuracy: format.distance(navigation.fix.accuracy) })}</Tooltip>
+            </CircleMarker>
+            {followPosition && <FollowPosition position={navigation.fix.position} />}
+          </>
         )}
 
         <MapClickHandler onSelect={handleSelect} onAddPerson={handleAddPerson} />
@@ -1,6 +1,9 @@
 import React from 'react';
+import { I18nContext } from '../i18n/i18n';
 
 class ErrorBoundary extends React.Component {
+  static contextType = I18nContext;
+
   constructor(props) {
     super(props);
     this.state = { hasError: false, error: null };
@@ -16,6 +19,7 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      const { t } = this.context;
       return (
         <div style={{
           padding: '20px',
@@ -26,10 +30,10 @@ class ErrorBoundary extends React.Component {
           margin: '20px'
         }}>
           <h2 style={{ color: '#991b1b', marginBottom: '10px' }}>
-            🚨 Something went wrong
+            {t('errorBoundary.title')}
           </h2>
           <p style={{ color: '#7f1d1d', marginBottom: '15px' }}>
-            The routing system encountered an error. Please try refreshing the page.
+            {t('errorBoundary.message')}
           </p>
           <button
             onClick={() => window.location.reload()}
@@ -42,12 +46,12 @@ class ErrorBoundary extends React.Component {
               cursor: 'pointer'
             }}
           >
-            🔄 Refresh Page
+            {t('errorBoundary.refresh')}
           </button>
-          {process.env.NODE_ENV === 'development' && (
+          {import.meta.env.DEV && (
             <details style={{ marginTop: '15px', textAlign: 'left' }}>
               <summary style={{ cursor: 'pointer', color: '#991b1b' }}>
-                Error Details (Development)
+                {t('errorBoundary.details')}
               </summary>
               <pre style={{
                 background: '#f3f4f6',
@@ -0,0 +1,82 @@
+import { CircleMarker, Polygon, Polyline, Tooltip } from 'react-leaflet';
+import { useI18n } from '../i18n/i18n';
+import { SAFE_POINT_TYPES } from '../routing/evacuation';
+
+const HAZARD_COLOR = '#ea580c';
+const FLOW_COLOR = '#16a34a';
+
+// Evacuation mode on the map: the hazard area (and the one being drawn), the evacuation
+// flows of every crowd cell (wider for more people), the safe points and the way out from
+// the clicked spot. `plan` is a planEvacuation result (src/routing/evacuation.js).
+export default function EvacuationLayer({ evacuation, safePoints, plan }) {
+  const { t, format } = useI18n();
+  const summaries = new Map((plan?.points || []).map(summary => [summary.id, summary]));
+  const maxFlow = Math.max(1, ...(plan?.flows || []).map(flow => flow.people));
+
+  return (
+    <>
+      {evacuation.hazard.length >= 3 && (
+        <Polygon positions={evacuation.hazard} pathOptions={{ color: HAZARD_COLOR, fillColor: HAZARD_COLOR, fillOpacity: 0.35, weight: 2 }}>
+          <Tooltip sticky>{t('evacuation.hazardArea')}</Tooltip>
+        </Polygon>
+      )}
+      {evacuation.draft.length > 0 && (
+        <Polyline
+          positions={evacuation.draft.length > 2 ? [...evacuation.draft, evacuation.draft[0]] : evacuation.draft}
+          pathOptions={{ color: HAZARD_COLOR, weight: 3, dashArray: '6,4' }}
+        />
+      )}
+
+      {plan?.flows.map((flow, index) => (
+        <Polyline
+          key={`flow-${index}`}
+          positions={[flow.from, flow.to]}
+          pathOptions={{ color: FLOW_COLOR, weight: 2 + 10 * Math.sqrt(flow.people / maxFlow), opacity: 0.6 }}
+        >
+          <Tooltip sticky>{t('evacuation.flow', { people: format.number(flow.people) })}</Tooltip>
+        </Polyline>
+      ))}
+
+      {plan?.originRoute && (
+        <>
+          <Polyline positions={plan.originRoute.route} pathOptions={{ color: '#065f46', weight: 6, opacity: 0.9 }} />
+          <CircleMarker
+            center={plan.originRoute.route[0]}
+            radius={7}
+            pathOptions={{ color: 'white', weight: 3, fillColor: '#065f46', fillOpacity: 1 }}
+          />
+        </>
+      )}
+
+      {safePoints.map(safePoint => {
+        const summary = summaries.get(safePoint.id);
+        const { color, icon } = SAFE_POINT_TYPES[safePoint.type];
+        return (
+          <CircleMarker
+            key={safePoint.id}
+            center={safePoint.point}
+            radius={10}
+            pathOptions={{
+              color: summary?.overCapacity || summary?.inHazard ? '#dc2626' : 'white',
+              weight: 3,
+              fillColor: summary?.inHazard ? '#9ca3af' : color,
+              fillOpacity: 0.9
+            }}
+          >
+            <Tooltip>
+              <strong>{icon} {safePoint.name || t(`evacuation.types.${safePoint.type}`)}</strong>
+              {summary && (
+                <>
+                  <br />
+                  {summary.inHazard
+                    ? t('evacuation.closedByHazard')
+                    : t('evacuation.assigned', { people: format.number(summary.people), time: format.minutes(summary.clearanceTime) })}
+                </>
+              )}
+            </Tooltip>
+          </CircleMarker>
+        );
+      })}
+    </>
+  );
+}
@@ -0,0 +1,184 @@
+import { useI18n } from '../i18n/i18n';
+import { SAFE_POINT_TYPES } from '../routing/evacuation';
+
+const TOOLS = ['origin', 'hazard', 'assembly', 'exit'];
+
+// Evacuation mode (see src/routing/evacuation.js). `evacuation` ({ tool, hazard, draft,
+// origin }) is null outside the mode; the `tool` decides what map clicks do: find the way
+// out from a spot, draw the hazard area (`draft` until finished) or add a safe point.
+// `plan` is the latest planEvacuation result for everyone in the crowd cells.
+export default function EvacuationPanel({
+  evacuation, safePoints, plan,
+  onStart, onStop, onToolChange, onUndoHazardPoint, onFinishHazard, onClearHazard,
+  onSafePointChange, onRemoveSafePoint, onResetSafePoints
+}) {
+  const { t, format } = useI18n();
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const inputStyle = { width: '56px', fontSize: '11px', borderRadius: '6px', border: '1px solid #d1d5db', padding: '2px 4px' };
+  const summaries = new Map((plan?.points || []).map(summary => [summary.id, summary]));
+  const safePointName = (safePoint) => safePoint.name || t(`evacuation.types.${safePoint.type}`);
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: evacuation ? '2px solid #dc2626' : '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('evacuation.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('evacuation.hint')}</div>
+
+      {!evacuation && (
+        <button style={{ ...buttonStyle, width: '100%', fontWeight: 'bold', color: '#dc2626' }} onClick={onStart}>
+          {t('evacuation.start')}
+        </button>
+      )}
+
+      {evacuation && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px' }}>
+            {TOOLS.map(tool => (
+              <button
+                key={tool}
+                style={{
+                  ...buttonStyle,
+                  padding: '6px 4px',
+                  background: evacuation.tool === tool ? '#fee2e2' : '#f3f4f6',
+                  border: evacuation.tool === tool ? '1px solid #dc2626' : '1px solid #e5e7eb'
+                }}
+                onClick={() => onToolChange(tool)}
+              >
+                {t(`evacuation.tools.${tool}`)}
+              </button>
+            ))}
+          </div>
+          <div style={{ color: '#6b7280', fontSize: '12px', margin: '6px 0' }}>
+            {t(`evacuation.toolHelp.${evacuation.tool}`, { count: format.number(evacuation.draft.length) })}
+          </div>
+
+          {evacuation.tool === 'hazard' && (
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+              <button style={buttonStyle} disabled={evacuation.draft.length === 0} onClick={onUndoHazardPoint}>
+                {t('evacuation.undo')}
+              </button>
+              <button
+                style={{ ...buttonStyle, flex: 1, fontWeight: 'bold' }}
+                disabled={evacuation.draft.length < 3}
+                onClick={onFinishHazard}
+              >
+                {t('evacuation.finishHazard')}
+              </button>
+            </div>
+          )}
+          {evacuation.hazard.length > 0 && (
+            <button style={{ ...buttonStyle, width: '100%', marginBottom: '6px' }} onClick={onClearHazard}>
+              {t('evacuation.clearHazard')}
+            </button>
+          )}
+
+          {evacuation.origin && plan && (
+            <div style={{ fontSize: '12px', fontWeight: 'bold', color: plan.originRoute ? '#059669' : '#dc2626', marginBottom: '6px' }}>
+              {plan.originRoute
+                ? t('evacuation.originRoute', {
+                  name: safePointName(summaries.get(plan.originRoute.safePointId)),
+                  distance: format.distance(plan.originRoute.distance),
+                  time: format.minutes(plan.originRoute.time)
+                })
+                : t('evacuation.noWayOut')}
+            </div>
+          )}
+
+          {!plan && <div style={{ color: '#6b7280', fontSize: '12px' }}>{t('evacuation.planning')}</div>}
+          {plan && (
+            <div style={{ fontSize: '12px' }}>
+              <div style={{ fontWeight: 'bold' }}>
+                {t('evacuation.summary', { people: format.number(plan.people), time: format.minutes(plan.clearanceTime) })}
+              </div>
+              {plan.peopleInHazard > 0 && (
+                <div style={{ color: '#ea580c' }}>{t('evacuation.inHazard', { people: format.number(plan.peopleInHazard) })}</div>
+              )}
+              {plan.unreachable.cells > 0 && (
+                <div style={{ color: '#dc2626' }}>
+                  {t('evacuation.unreachable', { people: format.number(plan.unreachable.people), cells: format.number(plan.unreachable.cells) })}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div style={{ maxHeight: '200px', overflowY: 'auto', marginTop: '8px' }}>
+            {safePoints.map(safePoint => {
+              const summary = summaries.get(safePoint.id);
+              return (
+                <div key={safePoint.id} style={{ padding: '4px 0', borderTop: '1px solid #e5e7eb', fontSize: '12px' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                    <span>{SAFE_POINT_TYPES[safePoint.type].icon}</span>
+                    <span style={{ flex: 1, fontWeight: 'bold' }}>{safePointName(safePoint)}</span>
+                    <button
+                      style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#6b7280', padding: '0 4px' }}
+                      title={t('evacuation.remove')}
+                      onClick={() => onRemoveSafePoint(safePoint.id)}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  {summary && (
+                    <div style={{ fontSize: '11px', color: summary.inHazard || summary.overCapacity ? '#dc2626' : '#6b7280' }}>
+                      {summary.inHazard
+                        ? t('evacuation.closedByHazard')
+                        : summary.people > 0
+                          ? t('evacuation.assigned', { people: format.number(summary.people), time: format.minutes(summary.clearanceTime) })
+                          : t('evacuation.unused')}
+                      {summary.overCapacity && <><br />{t('evacuation.overCapacity', { capacity: format.number(safePoint.capacity) })}</>}
+                    </div>
+                  )}
+                  <div style={{ display: 'flex', gap: '8px', fontSize: '11px', color: '#4b5563', marginTop: '2px' }}>
+                    {safePoint.type === 'assembly' && (
+                      <label>
+                        {t('evacuation.capacity')}{' '}
+                        <input
+                          type="number"
+                          min={1}
+                          style={inputStyle}
+                          value={safePoint.capacity}
+                          onChange={(e) => {
+                            if (Number(e.target.value) > 0) onSafePointChange(safePoint.id, { capacity: Number(e.target.value) });
+                          }}
+                        />
+                      </label>
+                    )}
+                    <label>
+                      {t('evacuation.width')}{' '}
+                      <input
+                        type="number"
+                        min={1}
+                        style={{ ...inputStyle, width: '40px' }}
+                        value={safePoint.width}
+                        onChange={(e) => {
+                          if (Number(e.target.value) > 0) onSafePointChange(safePoint.id, { width: Number(e.target.value) });
+                        }}
+                      />
+                    </label>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+            <button style={{ ...buttonStyle, flex: 1 }} title={t('evacuation.resetTitle')} onClick={onResetSafePoints}>
+              {t('evacuation.reset')}
+            </button>
+            <button style={{ ...buttonStyle, flex: 1 }} onClick={onStop}>
+              {t('evacuation.stop')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
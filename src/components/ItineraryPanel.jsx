@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { nearestLandmark, landmarkName } from '../routing/landmarks';
+import { nearestPoi, poiName } from '../places/pois';
+
+// Itinerary stops in visiting order. Rows can be dragged to reorder them (`onMove(from, to)`)
+// or removed; "optimise order" asks for the cheapest order, keeping the first stop first
+// and, with `fixEnd`, the last stop last.
+export default function ItineraryPanel({ stops, fixEnd, busy, onFixEndChange, onMove, onRemove, onClear, onOptimise }) {
+  const { t, format, language } = useI18n();
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  // At least two stops must be free to move for a different order to exist
+  const movableStops = stops.length - 1 - (fixEnd ? 1 : 0);
+
+  // The place at the stop, else a landmark nearby, else its coordinates
+  const stopLabel = (stop) => {
+    const poi = nearestPoi(stop);
+    if (poi) return poiName(poi, language);
+    const landmark = nearestLandmark(stop);
+    return landmark
+      ? landmarkName(landmark, language)
+      : `${format.fixed(stop[0], 4)}, ${format.fixed(stop[1], 4)}`;
+  };
+
+  const endDrag = () => {
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('itinerary.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('itinerary.dragHint')}</div>
+      <div style={{ maxHeight: '180px', overflowY: 'auto' }}>
+        {stops.map((stop, index) => (
+          <div
+            key={`${index}-${stop[0]},${stop[1]}`}
+            draggable
+            onDragStart={(e) => {
+              e.dataTransfer.effectAllowed = 'move';
+              setDragIndex(index);
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setOverIndex(index);
+            }}
+            onDrop={(e) => {
+              // Keep the drop away from the map's scenario file drop handler
+              e.preventDefault();
+              e.stopPropagation();
+              if (dragIndex !== null && dragIndex !== index) onMove(dragIndex, index);
+              endDrag();
+            }}
+            onDragEnd={endDrag}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '6px 8px',
+              margin: '3px 0',
+              borderRadius: '8px',
+              background: dragIndex === index ? '#e5e7eb' : '#f3f4f6',
+              border: overIndex === index && dragIndex !== index ? '1px dashed #2563eb' : '1px solid transparent',
+              cursor: 'grab'
+            }}
+          >
+            <span style={{ color: '#9ca3af' }}>⠿</span>
+            <span style={{ fontWeight: 'bold', minWidth: '16px' }}>{format.number(index + 1)}</span>
+            <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {stopLabel(stop)}
+            </span>
+            <span style={{ fontSize: '11px', color: '#6b7280' }}>
+              {index === 0 ? t('itinerary.start') : index === stops.length - 1 && stops.length > 1 ? t('itinerary.end') : ''}
+            </span>
+            <button
+              title={t('itinerary.remove')}
+              style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#6b7280', padding: '0 4px' }}
+              onClick={() => onRemove(index)}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+      {stops.length > 2 && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', marginTop: '8px' }}>
+          <input type="checkbox" checked={fixEnd} onChange={(e) => onFixEndChange(e.target.checked)} />
+          {t('itinerary.keepEnd')}
+        </label>
+      )}
+      <div style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+        <button
+          title={t('itinerary.optimiseTitle')}
+          disabled={busy || movableStops < 2}
+          style={{ ...buttonStyle, flex: 1 }}
+          onClick={onOptimise}
+        >
+          {t('itinerary.optimise')}
+        </button>
+        <button style={buttonStyle} disabled={busy} onClick={onClear}>
+          {t('itinerary.clear')}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { LANGUAGES, useI18n } from '../i18n/i18n';
+
+// Language picker for the header; the choice is remembered by LanguageProvider
+export default function LanguageSwitcher({ style }) {
+  const { language, setLanguage, t } = useI18n();
+
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', fontWeight: 'normal', ...style }}>
+      <span aria-hidden="true">🌐</span>
+      <select
+        aria-label={t('app.language')}
+        value={language}
+        onChange={(e) => setLanguage(e.target.value)}
+        style={{ padding: '4px 8px', borderRadius: '6px', border: 'none', fontSize: '14px' }}
+      >
+        {Object.values(LANGUAGES).map(option => (
+          <option key={option.code} value={option.code}>{option.label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
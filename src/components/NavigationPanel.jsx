@@ -0,0 +1,117 @@
+import { useRef, useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { DEFAULT_TRACKING_OPTIONS } from '../navigation/tracking';
+
+const SIMULATION_SPEEDS = [1, 5, 20];
+
+// Navigation from the device position (`onNavigate`) or from a replayed GPS track
+// (`onSimulate(file, speedup)`, with a null file for the bundled sample track). While
+// `navigation` is active it shows the progress along the route; `speed` (m/s) of the
+// routing profile gives the time left.
+export default function NavigationPanel({ navigation, speed, follow, onFollowChange, onNavigate, onSimulate, onStop }) {
+  const { t, format } = useI18n();
+  const [speedup, setSpeedup] = useState(SIMULATION_SPEEDS[1]);
+  const trackInputRef = useRef(null);
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const { fix, progress } = navigation || {};
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('navigation.title')}</strong>
+
+      {!navigation && (
+        <>
+          <button style={{ ...buttonStyle, width: '100%', marginTop: '8px' }} onClick={onNavigate}>
+            {t('navigation.fromLocation')}
+          </button>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }} title={t('navigation.simulateTitle')}>
+            <button style={{ ...buttonStyle, flex: 1 }} onClick={() => trackInputRef.current.click()}>
+              {t('navigation.simulate')}
+            </button>
+            <button style={buttonStyle} onClick={() => onSimulate(null, speedup)}>
+              {t('navigation.sampleTrack')}
+            </button>
+            <select
+              value={speedup}
+              title={t('navigation.speedup')}
+              style={{ fontSize: '12px', borderRadius: '6px', border: '1px solid #d1d5db' }}
+              onChange={(e) => setSpeedup(Number(e.target.value))}
+            >
+              {SIMULATION_SPEEDS.map(value => (
+                <option key={value} value={value}>{format.number(value)}×</option>
+              ))}
+            </select>
+          </div>
+          <input
+            ref={trackInputRef}
+            type="file"
+            accept=".gpx,.geojson,.json"
+            style={{ display: 'none' }}
+            onChange={(e) => {
+              const file = e.target.files[0];
+              if (file) onSimulate(file, speedup);
+              e.target.value = '';
+            }}
+          />
+        </>
+      )}
+
+      {navigation && (
+        <>
+          <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>
+            {navigation.trackName
+              ? t('navigation.simulated', { name: navigation.trackName, speedup: format.number(navigation.speedup) })
+              : t('navigation.deviceGps')}
+          </div>
+          <div style={{ fontWeight: 'bold', color: '#2563eb' }}>
+            {t(`navigation.status.${navigation.status}`)}
+          </div>
+          {fix && (
+            <div style={{ color: '#6b7280', fontSize: '12px' }}>
+              {t('navigation.accuracy', { accuracy: format.distance(fix.accuracy) })}
+            </div>
+          )}
+          {progress ? (
+            <div style={{ marginTop: '6px' }}>
+              <div>
+                {t('navigation.remaining', {
+                  distance: format.distance(progress.remaining),
+                  time: format.minutes(progress.remaining / speed)
+                })}
+              </div>
+              {progress.distanceFromRoute > DEFAULT_TRACKING_OPTIONS.offRouteDistance && (
+                <div style={{ color: '#dc2626' }}>
+                  {t('navigation.offRouteBy', { distance: format.distance(progress.distanceFromRoute) })}
+                </div>
+              )}
+            </div>
+          ) : fix && (
+            <div style={{ color: '#6b7280', fontSize: '12px', marginTop: '6px' }}>{t('navigation.noRoute')}</div>
+          )}
+          {navigation.reroutes > 0 && (
+            <div style={{ color: '#6b7280', fontSize: '12px' }}>
+              {t('navigation.reroutes', { count: format.number(navigation.reroutes) })}
+            </div>
+          )}
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', marginTop: '8px' }}>
+            <input type="checkbox" checked={follow} onChange={(e) => onFollowChange(e.target.checked)} />
+            {t('navigation.follow')}
+          </label>
+          <button style={{ ...buttonStyle, width: '100%', marginTop: '8px' }} onClick={onStop}>
+            {t('navigation.stop')}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
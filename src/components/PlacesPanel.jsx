@@ -0,0 +1,142 @@
+import { useState, useMemo } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { POI_CATEGORIES, poiName, searchPois } from '../places/pois';
+
+// Offline place search over the bundled POIs (any script, typos allowed) and the
+// switches for the places layer. `onPick(poi, role)` is called with role 'start' to
+// start from a place or 'stop' to add it as the next stop.
+export default function PlacesPanel({ showLayer, categories, onShowLayerChange, onCategoriesChange, onPick }) {
+  const { t, language } = useI18n();
+  const [query, setQuery] = useState('');
+  const results = useMemo(() => searchPois(query, { limit: 6 }), [query]);
+
+  const toggleCategory = (id) => {
+    onCategoriesChange(categories.includes(id)
+      ? categories.filter(category => category !== id)
+      : [...categories, id]);
+  };
+
+  const pick = (poi, role) => {
+    onPick(poi, role);
+    setQuery('');
+  };
+
+  const iconButtonStyle = { padding: '2px 6px', fontSize: '12px', color: '#1f2937', background: 'white' };
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+        <strong style={{ fontSize: '15px', flex: 1 }}>{t('places.title')}</strong>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px' }}>
+          <input type="checkbox" checked={showLayer} onChange={(e) => onShowLayerChange(e.target.checked)} />
+          {t('places.show')}
+        </label>
+      </div>
+
+      <input
+        type="search"
+        value={query}
+        placeholder={t('places.searchPlaceholder')}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '8px 10px',
+          borderRadius: '8px',
+          border: '1px solid #d1d5db',
+          fontSize: '13px'
+        }}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && results.length > 0) pick(results[0].poi, 'stop');
+          if (e.key === 'Escape') setQuery('');
+        }}
+      />
+
+      {query.trim() && (
+        <div style={{ marginTop: '6px', maxHeight: '200px', overflowY: 'auto' }}>
+          {results.length === 0 && (
+            <div style={{ color: '#6b7280', padding: '6px 0' }}>{t('places.noResults')}</div>
+          )}
+          {results.map(({ poi }) => (
+            <div
+              key={poi.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '6px 8px',
+                margin: '3px 0',
+                borderRadius: '8px',
+                background: '#f3f4f6',
+                cursor: 'pointer'
+              }}
+              onClick={() => pick(poi, 'stop')}
+            >
+              <span style={{ fontSize: '16px' }}>{POI_CATEGORIES[poi.category].icon}</span>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {poiName(poi, language)}
+                </div>
+                <div style={{ color: '#6b7280', fontSize: '11px' }}>
+                  {language === 'en' ? t(`places.categories.${poi.category}`) : poi.name}
+                </div>
+              </div>
+              <button
+                title={t('places.startHere')}
+                style={iconButtonStyle}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  pick(poi, 'start');
+                }}
+              >
+                🚩
+              </button>
+              <button
+                title={t('places.addStop')}
+                style={iconButtonStyle}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  pick(poi, 'stop');
+                }}
+              >
+                ➕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showLayer && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '10px' }}>
+          {Object.values(POI_CATEGORIES).map(category => (
+            <button
+              key={category.id}
+              title={t(`places.categories.${category.id}`)}
+              style={{
+                padding: '3px 6px',
+                fontSize: '11px',
+                color: '#1f2937',
+                borderRadius: '12px',
+                background: categories.includes(category.id) ? '#dbeafe' : 'white',
+                border: categories.includes(category.id) ? `1px solid ${category.color}` : '1px solid #e5e7eb',
+                opacity: categories.includes(category.id) ? 1 : 0.6
+              }}
+              onClick={() => toggleCategory(category.id)}
+            >
+              {category.icon} {t(`places.categories.${category.id}`)}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { Marker, Popup } from 'react-leaflet';
+import L from 'leaflet';
+import { useI18n } from '../i18n/i18n';
+import { POIS, POI_CATEGORIES, poiName } from '../places/pois';
+
+// Emoji markers need no image assets; one icon per category
+const CATEGORY_ICONS = Object.fromEntries(Object.values(POI_CATEGORIES).map(category => [
+  category.id,
+  L.divIcon({
+    className: '',
+    html: `<div style="font-size:16px;line-height:24px;width:24px;height:24px;text-align:center;background:white;border:2px solid ${category.color};border-radius:50%;box-shadow:0 1px 4px rgba(0,0,0,0.3)">${category.icon}</div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+    popupAnchor: [0, -12]
+  })
+]));
+
+// Bundled places of interest for the enabled `categories`. The popup can start the
+// itinerary from the place or add it as a stop (`onPick(poi, role)`, as in PlacesPanel).
+export default function PoiLayer({ categories, onPick }) {
+  const { t, language } = useI18n();
+  const buttonStyle = { padding: '4px 8px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+
+  return POIS
+    .filter(poi => categories.includes(poi.category))
+    .map(poi => (
+      <Marker key={poi.id} position={poi.position} icon={CATEGORY_ICONS[poi.category]}>
+        <Popup>
+          <div style={{ textAlign: 'center' }}>
+            <strong>{POI_CATEGORIES[poi.category].icon} {poiName(poi, language)}</strong><br />
+            {language !== 'en' && <>{poi.name}<br /></>}
+            <span style={{ color: '#6b7280' }}>{t(`places.categories.${poi.category}`)}</span>
+            <div style={{ display: 'flex', gap: '6px', justifyContent: 'center', marginTop: '8px' }}>
+              <button style={buttonStyle} onClick={() => onPick(poi, 'start')}>🚩 {t('places.startHere')}</button>
+              <button style={buttonStyle} onClick={() => onPick(poi, 'stop')}>➕ {t('places.addStop')}</button>
+            </div>
+          </div>
+        </Popup>
+      </Marker>
+    ));
+}
@@ -0,0 +1,108 @@
+import { Polygon, Polyline, Popup } from 'react-leaflet';
+import { useI18n } from '../i18n/i18n';
+import { bearing, destinationPoint } from '../routing/geo';
+import { RESTRICTION_TYPES, isRestrictionActive } from '../routing/restrictions';
+
+const ARROW_LENGTH = 8; // metres
+
+// Chevrons pointing along every segment of a one-way corridor, at the segment midpoints
+function directionArrows(points) {
+  const arrows = [];
+  for (let i = 1; i < points.length; i++) {
+    const tip = [(points[i - 1][0] + points[i][0]) / 2, (points[i - 1][1] + points[i][1]) / 2];
+    const heading = bearing(points[i - 1], points[i]);
+    arrows.push([
+      destinationPoint(tip, heading + 150, ARROW_LENGTH),
+      tip,
+      destinationPoint(tip, heading - 150, ARROW_LENGTH)
+    ]);
+  }
+  return arrows;
+}
+
+// Organizer restrictions on the map: closures as hatched polygons, one-way corridors with
+// direction arrows and gates as thick dashed lines. Restrictions outside their time
+// window at `time` are drawn faded. `drawing` ({ type, points }) is the one being drawn.
+export default function RestrictionLayer({ restrictions, drawing, time, onRemove }) {
+  const { t } = useI18n();
+
+  const shape = (restriction, key, { opacity, dashArray = null, children = null }) => {
+    const { color } = RESTRICTION_TYPES[restriction.type];
+    if (restriction.type === 'closure' && restriction.points.length >= 3) {
+      return (
+        <Polygon key={key} positions={restriction.points} pathOptions={{ color, fillColor: color, fillOpacity: opacity * 0.35, opacity, weight: 2, dashArray }}>
+          {children}
+        </Polygon>
+      );
+    }
+    return (
+      <Polyline
+        key={key}
+        positions={restriction.points}
+        pathOptions={{
+          color,
+          opacity,
+          weight: restriction.type === 'gate' ? 7 : 5,
+          dashArray: dashArray || (restriction.type === 'gate' ? '4,6' : null)
+        }}
+      >
+        {children}
+      </Polyline>
+    );
+  };
+
+  return (
+    <>
+      {restrictions.map(restriction => {
+        const active = isRestrictionActive(restriction, time);
+        const opacity = active ? 0.9 : 0.35;
+        return [
+          shape(restriction, restriction.id, {
+            opacity,
+            children: (
+              <Popup>
+                <div style={{ textAlign: 'center' }}>
+                  <strong>
+                    {RESTRICTION_TYPES[restriction.type].icon} {restriction.name || t(`restrictions.types.${restriction.type}`)}
+                  </strong><br />
+                  {t(`restrictions.types.${restriction.type}`)}<br />
+                  <span style={{ color: active ? '#dc2626' : '#6b7280' }}>
+                    {active ? t('restrictions.activeNow') : t('restrictions.inactiveNow')}
+                  </span>
+                  {' · '}
+                  {restriction.windows.length > 0
+                    ? restriction.windows.map(window => t('restrictions.window', window)).join(', ')
+                    : t('restrictions.alwaysActive')}
+                  {restriction.exemptProfiles.length > 0 && <><br />{t('restrictions.exemptEmergency')}</>}
+                  <div style={{ marginTop: '8px' }}>
+                    <button
+                      style={{ padding: '4px 8px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' }}
+                      onClick={() => onRemove(restriction.id)}
+                    >
+                      ✕ {t('restrictions.remove')}
+                    </button>
+                  </div>
+                </div>
+              </Popup>
+            )
+          }),
+          ...(restriction.type === 'one-way'
+            ? directionArrows(restriction.points).map((arrow, index) => (
+              <Polyline
+                key={`${restriction.id}-arrow-${index}`}
+                positions={arrow}
+                pathOptions={{ color: RESTRICTION_TYPES[restriction.type].color, opacity, weight: 3 }}
+              />
+            ))
+            : [])
+        ];
+      })}
+
+      {drawing && drawing.points.length > 0 && (
+        drawing.points.length === 1
+          ? <Polyline positions={[drawing.points[0], drawing.points[0]]} pathOptions={{ color: RESTRICTION_TYPES[drawing.type].color, weight: 8 }} />
+          : shape({ type: drawing.type, points: drawing.points }, 'drawing', { opacity: 1, dashArray: '6,4' })
+      )}
+    </>
+  );
+}
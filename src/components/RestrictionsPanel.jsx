@@ -0,0 +1,168 @@
+import { useRef, useState } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { RESTRICTION_TYPES, isRestrictionActive } from '../routing/restrictions';
+
+// Organizer drawing mode for closures, one-way corridors and restricted gates (see
+// src/routing/restrictions.js). `onStartDrawing(type)` switches map clicks to adding
+// points to `drawing` ({ type, points }); `onFinishDrawing({ name, windows, exemptProfiles })`
+// saves it. `time` decides which restrictions show as active.
+export default function RestrictionsPanel({
+  restrictions, drawing, time,
+  onStartDrawing, onUndoPoint, onCancelDrawing, onFinishDrawing, onRemove, onExport, onImport
+}) {
+  const { t, format } = useI18n();
+  const [name, setName] = useState('');
+  const [always, setAlways] = useState(true);
+  const [from, setFrom] = useState('06:00');
+  const [to, setTo] = useState('12:00');
+  const [exemptEmergency, setExemptEmergency] = useState(true);
+  const importInputRef = useRef(null);
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const inputStyle = { fontSize: '12px', borderRadius: '6px', border: '1px solid #d1d5db', padding: '4px 6px' };
+  const type = drawing && RESTRICTION_TYPES[drawing.type];
+
+  const finish = () => {
+    onFinishDrawing({
+      name: name.trim(),
+      windows: always ? [] : [{ from, to }],
+      exemptProfiles: exemptEmergency ? ['emergency'] : []
+    });
+    setName('');
+  };
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('restrictions.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('restrictions.hint')}</div>
+
+      {!drawing && (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          {Object.values(RESTRICTION_TYPES).map(restrictionType => (
+            <button
+              key={restrictionType.id}
+              style={{ ...buttonStyle, flex: 1, padding: '6px 4px' }}
+              title={t(`restrictions.typeHelp.${restrictionType.id}`)}
+              onClick={() => onStartDrawing(restrictionType.id)}
+            >
+              {restrictionType.icon} {t(`restrictions.types.${restrictionType.id}`)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {drawing && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          <div style={{ fontWeight: 'bold', color: type.color }}>
+            {type.icon} {t(`restrictions.types.${type.id}`)}
+          </div>
+          <div style={{ color: '#6b7280', fontSize: '12px' }}>
+            {t(`restrictions.drawHint.${type.id}`, { count: format.number(drawing.points.length), min: format.number(type.minPoints) })}
+          </div>
+          <input
+            style={inputStyle}
+            value={name}
+            placeholder={t('restrictions.namePlaceholder')}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px' }}>
+            <input type="checkbox" checked={always} onChange={(e) => setAlways(e.target.checked)} />
+            {t('restrictions.always')}
+          </label>
+          {!always && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px' }}>
+              <input type="time" style={inputStyle} value={from} onChange={(e) => setFrom(e.target.value)} />
+              –
+              <input type="time" style={inputStyle} value={to} onChange={(e) => setTo(e.target.value)} />
+            </div>
+          )}
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px' }}>
+            <input type="checkbox" checked={exemptEmergency} onChange={(e) => setExemptEmergency(e.target.checked)} />
+            {t('restrictions.exemptEmergency')}
+          </label>
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button style={buttonStyle} disabled={drawing.points.length === 0} onClick={onUndoPoint}>
+              {t('restrictions.undo')}
+            </button>
+            <button
+              style={{ ...buttonStyle, flex: 1, fontWeight: 'bold' }}
+              disabled={drawing.points.length < type.minPoints || (!always && (!from || !to))}
+              onClick={finish}
+            >
+              {t('restrictions.save')}
+            </button>
+            <button style={buttonStyle} onClick={onCancelDrawing}>{t('restrictions.cancel')}</button>
+          </div>
+        </div>
+      )}
+
+      {restrictions.length > 0 && (
+        <div style={{ maxHeight: '160px', overflowY: 'auto', marginTop: '8px' }}>
+          {restrictions.map(restriction => {
+            const active = isRestrictionActive(restriction, time);
+            return (
+              <div
+                key={restriction.id}
+                style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '4px 0', borderTop: '1px solid #e5e7eb', fontSize: '12px' }}
+              >
+                <span>{RESTRICTION_TYPES[restriction.type].icon}</span>
+                <span style={{ flex: 1 }}>
+                  {restriction.name || t(`restrictions.types.${restriction.type}`)}
+                  <br />
+                  <span style={{ color: active ? '#dc2626' : '#9ca3af', fontSize: '11px' }}>
+                    {active ? t('restrictions.activeNow') : t('restrictions.inactiveNow')}
+                    {' · '}
+                    {restriction.windows.length > 0
+                      ? restriction.windows.map(window => t('restrictions.window', window)).join(', ')
+                      : t('restrictions.alwaysActive')}
+                  </span>
+                </span>
+                <button
+                  style={{ background: 'transparent', border: 'none', cursor: 'pointer', color: '#6b7280', padding: '0 4px' }}
+                  title={t('restrictions.remove')}
+                  onClick={() => onRemove(restriction.id)}
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+        <button style={{ ...buttonStyle, flex: 1 }} title={t('restrictions.importTitle')} onClick={() => importInputRef.current.click()}>
+          {t('restrictions.import')}
+        </button>
+        <button
+          style={{ ...buttonStyle, flex: 1 }}
+          title={t('restrictions.exportTitle')}
+          disabled={restrictions.length === 0}
+          onClick={onExport}
+        >
+          {t('restrictions.export')}
+        </button>
+      </div>
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".geojson,.json"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) onImport(file);
+          e.target.value = '';
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import { useI18n } from '../i18n/i18n';
+import { MAX_CRITERION_WEIGHT, SCORE_CRITERIA, SCORING_PRESETS, matchingPreset } from '../routing/scoring';
+
+const PRESET_ICONS = { balanced: '⚖️', elderly: '🧓', hurry: '🏃' };
+
+// Route preferences: how much each scoring criterion (src/routing/scoring.js) counts when
+// picking the best route option, as presets or one slider per criterion.
+// `onChange(weights)` receives the complete new weights.
+export default function ScoringPanel({ weights, onChange }) {
+  const { t, format } = useI18n();
+  const preset = matchingPreset(weights);
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('scoring.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('scoring.hint')}</div>
+
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+        {Object.keys(SCORING_PRESETS).map(id => (
+          <button
+            key={id}
+            title={t(`scoring.presetHelp.${id}`)}
+            style={{
+              flex: 1,
+              padding: '6px 4px',
+              fontSize: '11px',
+              color: '#1f2937',
+              background: preset === id ? '#dbeafe' : '#f3f4f6',
+              border: preset === id ? '1px solid #2563eb' : '1px solid #e5e7eb'
+            }}
+            onClick={() => onChange(SCORING_PRESETS[id])}
+          >
+            {PRESET_ICONS[id]} {t(`scoring.presets.${id}`)}
+          </button>
+        ))}
+      </div>
+
+      {SCORE_CRITERIA.map(criterion => (
+        <label key={criterion} style={{ display: 'block', marginBottom: '4px' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px' }}>
+            <span>{t(`scoring.criteria.${criterion}`)}</span>
+            <span style={{ color: '#6b7280' }}>{t('scoring.weight', { weight: format.fixed(weights[criterion], 1) })}</span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={MAX_CRITERION_WEIGHT}
+            step={0.5}
+            value={weights[criterion]}
+            style={{ width: '100%' }}
+            onChange={(e) => onChange({ ...weights, [criterion]: Number(e.target.value) })}
+          />
+        </label>
+      ))}
+
+      <div style={{ color: '#6b7280', fontSize: '11px' }}>
+        {preset ? t(`scoring.presetHelp.${preset}`) : t('scoring.custom')}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { useI18n } from '../i18n/i18n';
+import { SIMULATION_STRATEGIES } from '../crowd/simulation';
+import { serviceLevel } from '../crowd/safety';
+
+const PLAYBACK_SPEEDS = [30, 60, 120, 300];
+const TICK_MS = 500;
+
+// Summary values compared between strategies, and whether lower is better
+const COMPARISON_ROWS = [
+  { key: 'meanTravelTime', lowerIsBetter: true },
+  { key: 'maxTravelTime', lowerIsBetter: true },
+  { key: 'delay', lowerIsBetter: true },
+  { key: 'peakDensity', lowerIsBetter: true },
+  { key: 'crowdedMinutes', lowerIsBetter: true },
+  { key: 'arrived', lowerIsBetter: false }
+];
+
+// Pilgrim simulation (see src/crowd/simulation.js). Before a run, the options set the
+// strategy, the agents and the seed; during a run, ▶/⏸ and the speed step the simulated
+// clock through `onStep(seconds)`. `simulation` is the latest simulation state, or null.
+// ⚖️ Compare runs every strategy to the end on the same agents; `comparison` holds their
+// summaries and `progress` ({ done, total }) follows a comparison still running.
+export default function SimulationPanel({
+  simulation, options, comparison, progress,
+  onOptionsChange, onStart, onStop, onStep, onCompare, onCancelCompare
+}) {
+  const { t, format } = useI18n();
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(PLAYBACK_SPEEDS[1]);
+
+  const running = simulation !== null;
+  const finished = Boolean(simulation?.finished);
+
+  useEffect(() => {
+    if (!isPlaying || !running || finished) return undefined;
+    const timer = setInterval(() => onStep(TICK_MS / 1000 * speed), TICK_MS);
+    return () => clearInterval(timer);
+  }, [isPlaying, running, finished, speed, onStep]);
+
+  const buttonStyle = { padding: '6px 10px', fontSize: '12px', color: '#1f2937', background: '#f3f4f6' };
+  const inputStyle = { width: '64px', fontSize: '11px', borderRadius: '6px', border: '1px solid #d1d5db', padding: '2px 4px' };
+  const numberOption = (key, min) => (
+    <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+      {t(`simulation.options.${key}`)}
+      <input
+        type="number"
+        min={min}
+        style={inputStyle}
+        value={options[key]}
+        onChange={(e) => {
+          const value = Math.round(Number(e.target.value));
+          if (value >= min) onOptionsChange({ ...options, [key]: value });
+        }}
+      />
+    </label>
+  );
+
+  const comparisonValue = (key, summary) => {
+    const value = summary[key];
+    if (value === null) return '–';
+    if (key === 'meanTravelTime' || key === 'maxTravelTime') return format.minutes(value);
+    if (key === 'delay') return format.percent(value * 100, 1);
+    if (key === 'peakDensity') return t('simulation.density', { density: format.fixed(value, 2), level: serviceLevel(value).id });
+    return format.number(Math.round(value));
+  };
+
+  const summary = simulation?.summary;
+
+  return (
+    <div style={{
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '15px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      width: '260px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: running ? '2px solid #7c3aed' : '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <strong style={{ fontSize: '15px' }}>{t('simulation.title')}</strong>
+      <div style={{ color: '#6b7280', fontSize: '11px', margin: '2px 0 8px' }}>{t('simulation.hint')}</div>
+
+      {!running && (
+        <div style={{ fontSize: '12px', display: 'flex', flexDirection: 'column', gap: '4px', marginBottom: '8px' }}>
+          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            {t('simulation.options.strategy')}
+            <select value={options.strategy} onChange={(e) => onOptionsChange({ ...options, strategy: e.target.value })}>
+              {SIMULATION_STRATEGIES.map(strategy => (
+                <option key={strategy} value={strategy}>{t(`simulation.strategies.${strategy}`)}</option>
+              ))}
+            </select>
+          </label>
+          {numberOption('agents', 1)}
+          {numberOption('peoplePerAgent', 1)}
+          {numberOption('spawnMinutes', 1)}
+          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            {t('simulation.options.seed')}
+            <span>
+              <input
+                type="number"
+                style={inputStyle}
+                value={options.seed}
+                onChange={(e) => {
+                  if (Number.isInteger(Number(e.target.value))) onOptionsChange({ ...options, seed: Number(e.target.value) });
+                }}
+              />
+              <button
+                style={{ background: 'transparent', border: 'none', cursor: 'pointer', padding: '0 4px' }}
+                title={t('simulation.newSeed')}
+                onClick={() => onOptionsChange({ ...options, seed: Math.floor(Math.random() * 100000) })}
+              >
+                🎲
+              </button>
+            </span>
+          </label>
+          <div style={{ color: '#6b7280', fontSize: '11px' }}>
+            {t('simulation.pilgrims', { pilgrims: format.number(options.agents * options.peoplePerAgent) })}
+          </div>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '4px' }}>
+            <button style={{ ...buttonStyle, flex: 1, fontWeight: 'bold' }} disabled={Boolean(progress)} onClick={onStart}>
+              {t('simulation.start')}
+            </button>
+            <button style={{ ...buttonStyle, flex: 1 }} disabled={Boolean(progress)} title={t('simulation.compareTitle')} onClick={onCompare}>
+              {t('simulation.compare')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {running && (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+            <button
+              style={buttonStyle}
+              disabled={finished}
+              onClick={() => setIsPlaying(current => !current)}
+            >
+              {isPlaying && !finished ? t('simulation.pause') : t('simulation.play')}
+            </button>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={{ padding: '4px', fontSize: '12px' }}>
+              {PLAYBACK_SPEEDS.map(option => (
+                <option key={option} value={option}>{format.number(option)}×</option>
+              ))}
+            </select>
+            <span style={{ flex: 1, textAlign: 'right', fontWeight: 'bold', color: '#7c3aed' }}>
+              {format.minutes(simulation.elapsed)}
+            </span>
+          </div>
+          <div style={{ fontSize: '12px' }}>
+            <div style={{ fontWeight: 'bold' }}>{t(`simulation.strategies.${summary.strategy}`)}</div>
+            <div>
+              {t('simulation.agents', {
+                waiting: format.number(summary.waiting),
+                walking: format.number(summary.walking),
+                arrived: format.number(summary.arrived)
+              })}
+            </div>
+            {summary.unrouted > 0 && (
+              <div style={{ color: '#dc2626' }}>{t('simulation.unrouted', { agents: format.number(summary.unrouted) })}</div>
+            )}
+            {summary.meanTravelTime !== null && (
+              <div>{t('simulation.travelTime', { time: format.minutes(summary.meanTravelTime) })}</div>
+            )}
+            <div>{t('simulation.peakDensity', { density: comparisonValue('peakDensity', summary) })}</div>
+            {finished && <div style={{ color: '#059669', fontWeight: 'bold' }}>{t('simulation.finished')}</div>}
+          </div>
+          <button style={{ ...buttonStyle, width: '100%', marginTop: '8px' }} onClick={onStop}>
+            {t('simulation.stop')}
+          </button>
+        </>
+      )}
+
+      {progress && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#6b7280', marginTop: '6px' }}>
+          <span style={{ flex: 1 }}>
+            {t('simulation.comparing', { percent: format.percent(progress.total > 0 ? progress.done / progress.total * 100 : 0, 0) })}
+          </span>
+          <button style={buttonStyle} onClick={onCancelCompare}>{t('simulation.cancel')}</button>
+        </div>
+      )}
+
+      {comparison && (
+        <table style={{ width: '100%', fontSize: '11px', marginTop: '8px', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th />
+              {comparison.map(result => (
+                <th key={result.strategy} style={{ textAlign: 'right' }}>{t(`simulation.strategies.${result.strategy}`)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_ROWS.map(({ key, lowerIsBetter }) => {
+              const values = comparison.map(result => result[key]).filter(value => value !== null);
+              const best = lowerIsBetter ? Math.min(...values) : Math.max(...values);
+              return (
+                <tr key={key} style={{ borderTop: '1px solid #e5e7eb' }}>
+                  <td style={{ color: '#4b5563' }}>{t(`simulation.compareRows.${key}`)}</td>
+                  {comparison.map(result => (
+                    <td
+                      key={result.strategy}
+                      style={{
+                        textAlign: 'right',
+                        fontWeight: result[key] === best && values.length > 1 ? 'bold' : 'normal',
+                        color: result[key] === best && values.length > 1 ? '#059669' : '#1f2937'
+                      }}
+                    >
+                      {comparisonValue(key, result)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import { useI18n } from '../i18n/i18n';
+
+const PLAYBACK_SPEEDS = [60, 300, 900];
+const TICK_MS = 200;
+
+// Timeline slider for replaying past crowd states. `time` is null while following
+// live data; `onTimeChange` accepts a value or an updater like a state setter.
+export default function TimelinePanel({ time, range, onTimeChange }) {
+  const { t, format } = useI18n();
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(PLAYBACK_SPEEDS[0]);
+  const [rangeStart, rangeEnd] = range;
+
+  useEffect(() => {
+    if (!isPlaying) return undefined;
+
+    const timer = setInterval(() => {
+      onTimeChange(current => Math.min((current ?? rangeStart) + TICK_MS * speed, rangeEnd));
+    }, TICK_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, speed, rangeStart, rangeEnd, onTimeChange]);
+
+  // Stop at the end of the recorded range
+  useEffect(() => {
+    if (isPlaying && time !== null && time >= rangeEnd) setIsPlaying(false);
+  }, [isPlaying, time, rangeEnd]);
+
+  const value = time ?? rangeEnd;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: 20,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      background: 'rgba(255, 255, 255, 0.98)',
+      padding: '12px 20px',
+      borderRadius: '12px',
+      fontSize: '13px',
+      zIndex: 1000,
+      width: '420px',
+      boxShadow: '0 4px 20px rgba(0,0,0,0.15)',
+      border: '1px solid #e5e7eb',
+      color: '#1f2937'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+        <strong>{t('timeline.title')}</strong>
+        <span style={{ color: time === null ? '#059669' : '#2563eb', fontWeight: 'bold' }}>
+          {time === null ? t('timeline.live') : format.time(time)}
+        </span>
+        <div style={{ flex: 1 }} />
+        <button
+          style={{ padding: '4px 10px', fontSize: '13px', color: '#1f2937', background: '#f3f4f6' }}
+          onClick={() => {
+            if (!isPlaying && (time === null || time >= rangeEnd)) onTimeChange(rangeStart);
+            setIsPlaying(!isPlaying);
+          }}
+        >
+          {isPlaying ? t('timeline.pause') : t('timeline.play')}
+        </button>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          style={{ padding: '4px', fontSize: '13px' }}
+        >
+          {PLAYBACK_SPEEDS.map(option => (
+            <option key={option} value={option}>{format.number(option)}×</option>
+          ))}
+        </select>
+        <button
+          disabled={time === null}
+          style={{ padding: '4px 10px', fontSize: '13px', color: '#1f2937', background: '#f3f4f6' }}
+          onClick={() => {
+            setIsPlaying(false);
+            onTimeChange(null);
+          }}
+        >
+          {t('timeline.goLive')}
+        </button>
+      </div>
+      <input
+        type="range"
+        min={rangeStart}
+        max={rangeEnd}
+        step={1000}
+        value={value}
+        onChange={(e) => {
+          setIsPlaying(false);
+          onTimeChange(Number(e.target.value));
+        }}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#6b7280', fontSize: '11px' }}>
+        <span>{format.time(rangeStart)}</span>
+        <span>{format.time(rangeEnd)}</span>
+      </div>
+    </div>
+  );
+}
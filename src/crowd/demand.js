@@ -0,0 +1,147 @@
+import { POIS, searchPois } from '../places/pois';
+
+// Travel demand for batch assignment (see src/routing/assignment.js): how many
+// travellers go from each origin to each destination over the assignment period.
+//
+// CSV with a header row and one origin–destination pair per row, either as places
+//   from,to,travellers
+//   ujjain-junction,Ram Ghat,4000
+// where a place is a bundled place id or its name in any language, or as coordinates
+//   from_lat,from_lng,to_lat,to_lng,travellers
+// (`origin`/`destination` work for from/to, `trips`/`count` for travellers). Blank
+// lines and lines starting with # are ignored. Like the scenario parsers, bad rows are
+// skipped and reported as { row, message, code, params } (scenarioErrors.* in src/i18n).
+
+const FROM_COLUMNS = ['from', 'origin'];
+const TO_COLUMNS = ['to', 'destination'];
+const FROM_LAT_COLUMNS = ['from_lat', 'origin_lat'];
+const FROM_LNG_COLUMNS = ['from_lng', 'from_lon', 'origin_lng', 'origin_lon'];
+const TO_LAT_COLUMNS = ['to_lat', 'destination_lat'];
+const TO_LNG_COLUMNS = ['to_lng', 'to_lon', 'destination_lng', 'destination_lon'];
+const TRAVELLERS_COLUMNS = ['travellers', 'travelers', 'trips', 'count'];
+
+const demandError = (code, params, message) => ({ code, params, message });
+
+const parseNumber = (value) => (value === undefined || String(value).trim() === '' ? NaN : Number(value));
+
+// A bundled place by id, or by a name or alias matching exactly in any script
+function findPlace(value) {
+  const byId = POIS.find(poi => poi.id === value);
+  if (byId) return byId;
+  const [best] = searchPois(value, { limit: 1 });
+  return best?.score === 1 ? best.poi : null;
+}
+
+function parsePoint(rawLat, rawLng) {
+  const lat = parseNumber(rawLat);
+  const lng = parseNumber(rawLng);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: demandError('invalidLatitude', { value: rawLat ?? '' }, `invalid latitude "${rawLat ?? ''}"`) };
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { error: demandError('invalidLongitude', { value: rawLng ?? '' }, `invalid longitude "${rawLng ?? ''}"`) };
+  }
+  return { point: { position: [lat, lng], poi: null } };
+}
+
+function parsePlace(value = '') {
+  const poi = findPlace(value);
+  if (!poi) return { error: demandError('unknownPlace', { value }, `unknown place "${value}"`) };
+  return { point: { position: poi.position, poi } };
+}
+
+// Column positions for the place or coordinate header, or { missing } column names
+function demandColumns(header) {
+  const find = (names) => header.findIndex(column => names.includes(column));
+  const travellers = find(TRAVELLERS_COLUMNS);
+
+  const from = find(FROM_COLUMNS);
+  const to = find(TO_COLUMNS);
+  if (from !== -1 || to !== -1) {
+    const columns = { from, to, travellers };
+    const missing = Object.entries(columns).filter(([, position]) => position === -1).map(([column]) => column);
+    return missing.length > 0 ? { missing } : { places: true, ...columns };
+  }
+
+  const columns = {
+    from_lat: find(FROM_LAT_COLUMNS),
+    from_lng: find(FROM_LNG_COLUMNS),
+    to_lat: find(TO_LAT_COLUMNS),
+    to_lng: find(TO_LNG_COLUMNS),
+    travellers
+  };
+  const missing = Object.entries(columns).filter(([, position]) => position === -1).map(([column]) => column);
+  return missing.length > 0 ? { missing } : { places: false, ...columns };
+}
+
+export function parseDemandCSV(text, name = 'Imported demand') {
+  const pairs = [];
+  const errors = [];
+  let columns = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const row = index + 1;
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const values = trimmed.split(',').map(value => value.trim());
+
+    if (columns === null) {
+      columns = demandColumns(values.map(value => value.toLowerCase()));
+      if (columns.missing) {
+        const missing = columns.missing.join(', ');
+        errors.push({ row, ...demandError('missingColumns', { columns: missing }, `header is missing column(s): ${missing}`) });
+        columns = false;
+      }
+      return;
+    }
+    if (columns === false) return;
+
+    const origin = columns.places
+      ? parsePlace(values[columns.from])
+      : parsePoint(values[columns.from_lat], values[columns.from_lng]);
+    const destination = columns.places
+      ? parsePlace(values[columns.to])
+      : parsePoint(values[columns.to_lat], values[columns.to_lng]);
+    const rawTravellers = values[columns.travellers];
+    const travellers = parseNumber(rawTravellers);
+
+    const error = origin.error || destination.error ||
+      (!Number.isFinite(travellers) || travellers <= 0
+        ? demandError('invalidTravellers', { value: rawTravellers ?? '' }, `invalid number of travellers "${rawTravellers ?? ''}"`)
+        : null) ||
+      (origin.point.position[0] === destination.point.position[0] && origin.point.position[1] === destination.point.position[1]
+        ? demandError('sameOriginDestination', {}, 'origin and destination are the same place')
+        : null);
+
+    if (error) {
+      errors.push({ row, ...error });
+      return;
+    }
+    pairs.push({
+      row,
+      origin: origin.point.position,
+      originPoi: origin.point.poi,
+      destination: destination.point.position,
+      destinationPoi: destination.point.poi,
+      travellers
+    });
+  });
+
+  if (columns === null) {
+    errors.push({ row: 1, ...demandError('emptyFile', {}, 'file is empty') });
+  }
+
+  return { name, pairs, errors };
+}
+
+// Parse a demand file by extension (.csv only)
+export function parseDemandFile(fileName, text) {
+  const name = fileName.replace(/\.[^.]+$/, '');
+  if (/\.csv$/i.test(fileName)) return parseDemandCSV(text, name);
+  return {
+    name,
+    pairs: [],
+    errors: [{ row: 0, ...demandError('unsupportedDemandFileType', {}, 'unsupported file type (use .csv)') }]
+  };
+}
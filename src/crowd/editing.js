@@ -0,0 +1,70 @@
+import { GRID_SIZE, gridKey } from './populationGrid';
+
+// Crowd editing mode helpers. Populated cells are `areas` ({ lat, lng, population }, lat
+// and lng being the south-west corner); edits are cells at their centres, { lat, lng,
+// count } to set a count or { lat, lng, delta } to add to it, applied in order by
+// DynamicPopulationGrid.editCells.
+
+export const areaCentre = (area, gridSize = GRID_SIZE) => [area.lat + gridSize / 2, area.lng + gridSize / 2];
+
+export const areaKey = (area, gridSize = GRID_SIZE) => gridKey(...areaCentre(area, gridSize), gridSize);
+
+// The populated cell containing a point, or null
+export function areaAt(areas, [lat, lng], gridSize = GRID_SIZE) {
+  const key = gridKey(lat, lng, gridSize);
+  return areas.find(area => areaKey(area, gridSize) === key) || null;
+}
+
+// Cells whose centre lies in the box between two opposite corners
+export function areasInBox(areas, [[lat1, lng1], [lat2, lng2]], gridSize = GRID_SIZE) {
+  const [south, north] = [Math.min(lat1, lat2), Math.max(lat1, lat2)];
+  const [west, east] = [Math.min(lng1, lng2), Math.max(lng1, lng2)];
+  return areas.filter(area => {
+    const [lat, lng] = areaCentre(area, gridSize);
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+  });
+}
+
+// Rows and columns of cells from the cell of one point to the cell of another
+export function cellOffset([fromLat, fromLng], [toLat, toLng], gridSize = GRID_SIZE) {
+  return [
+    Math.floor(toLat / gridSize) - Math.floor(fromLat / gridSize),
+    Math.floor(toLng / gridSize) - Math.floor(fromLng / gridSize)
+  ];
+}
+
+// Set every cell to `count` people; 0 deletes the cells
+export const setCountEdits = (areas, count, gridSize = GRID_SIZE) =>
+  areas.map(area => {
+    const [lat, lng] = areaCentre(area, gridSize);
+    return { lat, lng, count };
+  });
+
+// Add `delta` people (fewer when negative) to every cell
+export const changeCountEdits = (areas, delta, gridSize = GRID_SIZE) =>
+  areas.map(area => {
+    const [lat, lng] = areaCentre(area, gridSize);
+    return { lat, lng, delta };
+  });
+
+// Edits turning the counts of cells `from` into those of `to` (the same cells, as
+// returned by DynamicPopulationGrid.editCells) by adding the difference, so people the
+// live feed or decay added or removed since are kept. Used to undo and redo edits.
+export const differenceEdits = (from, to) =>
+  from
+    .map((cell, i) => ({ lat: cell.lat, lng: cell.lng, delta: to[i].count - cell.count }))
+    .filter(cell => cell.delta !== 0);
+
+// Move the people of the cells by `offset` ([rows, columns]). All cells are emptied
+// before any is filled, so cells moving onto each other keep everyone.
+export function moveEdits(areas, [rows, columns], gridSize = GRID_SIZE) {
+  const removals = areas.map(area => {
+    const [lat, lng] = areaCentre(area, gridSize);
+    return { lat, lng, delta: -area.population };
+  });
+  const additions = areas.map(area => {
+    const [lat, lng] = areaCentre(area, gridSize);
+    return { lat: lat + rows * gridSize, lng: lng + columns * gridSize, delta: area.population };
+  });
+  return [...removals, ...additions];
+}
@@ -0,0 +1,29 @@
+// Last known crowd state, kept in localStorage so a reload without network still shows
+// the most recent crowds instead of only the bundled initial data.
+// Stored as { time, cells: [{ lat, lng, count }] } (scenario cells, see scenarios.js).
+
+const STORAGE_KEY = 'simhastha.lastCrowdState';
+
+export function saveCrowdState(cells, time = Date.now()) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ time, cells }));
+    return true;
+  } catch {
+    // Storage full or unavailable (private mode); the in-memory state still applies
+    return false;
+  }
+}
+
+// The saved state, or null when there is none or it cannot be read
+export function loadCrowdState() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved || !Number.isFinite(saved.time) || !Array.isArray(saved.cells)) return null;
+    const cells = saved.cells.filter(cell =>
+      Number.isFinite(cell?.lat) && Number.isFinite(cell?.lng) && Number.isFinite(cell?.count) && cell.count > 0
+    );
+    return { time: saved.time, cells };
+  } catch {
+    return null;
+  }
+}
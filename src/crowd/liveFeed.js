@@ -0,0 +1,116 @@
+// Live crowd feed client (WebSocket or Server-Sent Events).
+//
+// Every message is one JSON object:
+//   {
+//     "type": "snapshot" | "update",
+//     "source": "cctv-ramghat-03",          // optional, sensor or aggregator id
+//     "timestamp": "2028-04-22T04:15:00Z",  // optional, ISO 8601
+//     "cells": [
+//       { "lat": 23.1821, "lng": 75.7890, "count": 42 },  // absolute count for the cell
+//       { "lat": 23.1830, "lng": 75.7885, "delta": -3 }   // relative change (update only)
+//     ]
+//   }
+// A "snapshot" replaces all crowd data; an "update" changes only the listed cells.
+// Coordinates may be anywhere inside a cell; they are snapped to the population grid.
+
+const env = import.meta.env || {};
+export const CROWD_FEED_URL = env.VITE_CROWD_FEED_URL || 'http://localhost:8787/feed';
+
+// Parse and validate a raw feed message, throwing on anything malformed
+export function parseFeedMessage(raw) {
+  const message = typeof raw === 'string' ? JSON.parse(raw) : raw;
+
+  if (!message || (message.type !== 'snapshot' && message.type !== 'update')) {
+    throw new Error(`Invalid feed message type: ${message?.type}`);
+  }
+  if (!Array.isArray(message.cells)) {
+    throw new Error('Invalid feed message: "cells" must be an array');
+  }
+
+  message.cells.forEach((cell, index) => {
+    const validCoordinates = Number.isFinite(cell.lat) && Number.isFinite(cell.lng) &&
+      Math.abs(cell.lat) <= 90 && Math.abs(cell.lng) <= 180;
+    const hasCount = Number.isFinite(cell.count) && cell.count >= 0;
+    const hasDelta = message.type === 'update' && Number.isFinite(cell.delta);
+
+    if (!validCoordinates || (!hasCount && !hasDelta)) {
+      throw new Error(`Invalid feed message: bad cell at index ${index}`);
+    }
+  });
+
+  return message;
+}
+
+export class CrowdFeedClient {
+  constructor(url = CROWD_FEED_URL, { onMessage, onStatus, reconnectDelay = 2000, maxReconnectDelay = 30000 } = {}) {
+    this.url = url;
+    this.onMessage = onMessage || (() => {});
+    this.onStatus = onStatus || (() => {});
+    this.reconnectDelay = reconnectDelay;
+    this.maxReconnectDelay = maxReconnectDelay;
+    this.currentDelay = reconnectDelay;
+    this.connection = null;
+    this.reconnectTimer = null;
+    this.closed = true;
+  }
+
+  get transport() {
+    return /^wss?:/.test(this.url) ? 'websocket' : 'sse';
+  }
+
+  connect() {
+    this.closed = false;
+    this.onStatus('connecting');
+
+    const handleMessage = (event) => {
+      try {
+        this.onMessage(parseFeedMessage(event.data));
+      } catch (error) {
+        console.error('❌ Crowd feed message rejected:', error);
+      }
+    };
+
+    if (this.transport === 'websocket') {
+      const socket = new WebSocket(this.url);
+      socket.onopen = () => this.handleOpen();
+      socket.onmessage = handleMessage;
+      socket.onclose = () => this.handleDisconnect();
+      this.connection = socket;
+    } else {
+      const source = new EventSource(this.url);
+      source.onopen = () => this.handleOpen();
+      source.onmessage = handleMessage;
+      // EventSource retries on its own but gives up on HTTP errors; handle both the same way
+      source.onerror = () => {
+        source.close();
+        this.handleDisconnect();
+      };
+      this.connection = source;
+    }
+  }
+
+  handleOpen() {
+    this.currentDelay = this.reconnectDelay;
+    this.onStatus('connected');
+    console.log(`📡 Crowd feed connected (${this.transport}): ${this.url}`);
+  }
+
+  handleDisconnect() {
+    this.connection = null;
+    if (this.closed) return;
+
+    this.onStatus('reconnecting');
+    this.reconnectTimer = setTimeout(() => this.connect(), this.currentDelay);
+    this.currentDelay = Math.min(this.currentDelay * 2, this.maxReconnectDelay);
+  }
+
+  disconnect() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+    this.onStatus('disconnected');
+  }
+}
@@ -0,0 +1,368 @@
+import { buildCrowdZones, cellArea, findZoneAt } from './zones';
+
+// Edge length of a grid cell, in degrees
+export const GRID_SIZE = 0.0005;
+
+// Stale counts fade out: an observation loses half its weight every `halfLife` ms
+// (null disables decay) and a cell is dropped once its decayed count rounds below 1
+export const DEFAULT_DECAY_OPTIONS = {
+  halfLife: 30 * 60 * 1000
+};
+
+// Key of the grid cell containing (lat, lng): the cell's south-west corner
+export function gridKey(lat, lng, gridSize = GRID_SIZE) {
+  const gridLat = Math.floor(lat / gridSize) * gridSize;
+  const gridLng = Math.floor(lng / gridSize) * gridSize;
+  return `${gridLat},${gridLng}`;
+}
+
+// Routing weight of a cell holding `population` people (observed plus projected)
+export function weightForPopulation(population) {
+  if (population === 0) return 1;
+  if (population < 3) return 2;
+  if (population < 6) return 5;
+  if (population < 10) return 10;
+  return 20;
+}
+
+// Dynamic population grid with crowd analysis.
+// Every count is a timestamped observation; `populations` holds the current (decayed)
+// counts and `history` every observation per cell, so past states can be replayed.
+// `projected` holds the people a batch assignment expects on top of the observed counts
+// (see src/routing/assignment.js). Routing weights and zones count both; the observed
+// cells, exports and the saved state do not include the projection.
+// The app keeps the grid in the crowd worker (see src/worker/engine.js).
+export class DynamicPopulationGrid {
+  constructor({ zoneOptions = {}, decay = {}, maxHistory = 500 } = {}) {
+    this.populations = new Map();
+    this.projected = new Map(); // key -> projected people
+    this.observations = new Map(); // key -> { count, time } of the last observation
+    this.history = new Map(); // key -> [{ time, count }] sorted by time
+    this.gridSize = GRID_SIZE;
+    this.crowdZones = [];
+    this.observedZones = []; // zones of the observed people only, for safety alerts
+    this.zoneOptions = zoneOptions; // see DEFAULT_ZONE_OPTIONS in src/crowd/zones.js
+    this.decay = { ...DEFAULT_DECAY_OPTIONS, ...decay };
+    this.maxHistory = maxHistory; // observations kept per cell
+    this.rowAreas = new Map(); // cell area (m²) per grid row
+  }
+
+  getGridKey(lat, lng) {
+    return gridKey(lat, lng, this.gridSize);
+  }
+
+  // Record an observed count for a cell at `time` (ms since epoch)
+  recordObservation(key, count, time = Date.now()) {
+    const value = Math.max(0, count);
+    this.observations.set(key, { count: value, time });
+    if (value > 0) {
+      this.populations.set(key, value);
+    } else {
+      this.populations.delete(key);
+    }
+
+    const entries = this.history.get(key) || [];
+    let index = entries.length;
+    while (index > 0 && entries[index - 1].time > time) index--;
+    entries.splice(index, 0, { time, count: value });
+    if (entries.length > this.maxHistory) entries.shift();
+    this.history.set(key, entries);
+
+    return value;
+  }
+
+  addPerson(lat, lng, count = 1, time = Date.now()) {
+    const key = this.getGridKey(lat, lng);
+    const current = this.populations.get(key) || 0;
+    this.recordObservation(key, current + count, time);
+
+    // Update crowd zones
+    this.updateCrowdZones();
+
+    return current + count;
+  }
+
+  // Set the absolute count of the cell containing (lat, lng); 0 removes the cell
+  setPopulation(lat, lng, count, { updateZones = true, time = Date.now() } = {}) {
+    const value = this.recordObservation(this.getGridKey(lat, lng), count, time);
+    if (updateZones) this.updateCrowdZones();
+    return value;
+  }
+
+  // Set the absolute counts of cells (Map of key -> people) at `time`, rebuilding the
+  // zones once; 0 removes a cell
+  setCellCounts(counts, { updateZones = true, time = Date.now() } = {}) {
+    for (const [key, count] of counts) this.recordObservation(key, count, time);
+    if (updateZones) this.updateCrowdZones();
+  }
+
+  // Hand edits from the crowd editing mode: cells { lat, lng, count } set a count and
+  // { lat, lng, delta } add to it, in order. Returns the edited cells (at their centres)
+  // with their counts before and after, so the edit can be undone.
+  editCells(cells, time = Date.now()) {
+    const before = new Map(); // key -> count before the first edit of the cell
+    for (const cell of cells) {
+      const key = this.getGridKey(cell.lat, cell.lng);
+      const current = this.populations.get(key) || 0;
+      if (!before.has(key)) before.set(key, current);
+      this.recordObservation(key, Number.isFinite(cell.count) ? cell.count : current + cell.delta, time);
+    }
+    this.updateCrowdZones();
+
+    const centre = (key) => key.split(',').map(value => Number(value) + this.gridSize / 2);
+    const edited = [...before.keys()].map(key => {
+      const [lat, lng] = centre(key);
+      return { key, lat, lng };
+    });
+    return {
+      before: edited.map(({ key, lat, lng }) => ({ lat, lng, count: before.get(key) })),
+      after: edited.map(({ key, lat, lng }) => ({ lat, lng, count: this.populations.get(key) || 0 }))
+    };
+  }
+
+  decayedCount(count, age) {
+    if (!this.decay.halfLife || age <= 0) return count;
+    return count * Math.pow(0.5, age / this.decay.halfLife);
+  }
+
+  // Fade every cell according to the age of its last observation
+  applyDecay(now = Date.now()) {
+    let changed = false;
+    for (const [key, observation] of this.observations) {
+      const population = Math.round(this.decayedCount(observation.count, now - observation.time));
+      if (population >= 1) {
+        if (this.populations.get(key) !== population) changed = true;
+        this.populations.set(key, population);
+      } else {
+        changed = changed || this.populations.has(key);
+        this.populations.delete(key);
+        this.observations.delete(key);
+      }
+    }
+
+    if (changed) this.updateCrowdZones();
+    return changed;
+  }
+
+  // Crowd cells as they were at `time`, replayed from the history with decay applied
+  getAreasAt(time) {
+    const areas = [];
+    for (const [key, entries] of this.history) {
+      let last = null;
+      for (const entry of entries) {
+        if (entry.time > time) break;
+        last = entry;
+      }
+      if (!last) continue;
+
+      const population = Math.round(this.decayedCount(last.count, time - last.time));
+      if (population >= 1) {
+        const [lat, lng] = key.split(',').map(Number);
+        areas.push({ lat, lng, population, density: population / this.getCellArea(lat + this.gridSize / 2, lng) });
+      }
+    }
+    return areas;
+  }
+
+  // A read-only grid holding the crowd state at `time`, with its own zones
+  snapshotAt(time) {
+    const snapshot = new DynamicPopulationGrid({ zoneOptions: this.zoneOptions, decay: this.decay });
+    for (const area of this.getAreasAt(time)) {
+      snapshot.populations.set(this.getGridKey(area.lat, area.lng), area.population);
+    }
+    snapshot.updateCrowdZones();
+    return snapshot;
+  }
+
+  // [earliest, latest] observation time, or null without history
+  getHistoryRange() {
+    let range = null;
+    for (const entries of this.history.values()) {
+      if (entries.length === 0) continue;
+      const first = entries[0].time;
+      const last = entries[entries.length - 1].time;
+      range = range ? [Math.min(range[0], first), Math.max(range[1], last)] : [first, last];
+    }
+    return range;
+  }
+
+  // Apply a parsed live feed message (schema in src/crowd/liveFeed.js).
+  // Zones are rebuilt once per message rather than once per cell.
+  applyFeedMessage(message) {
+    const time = Date.parse(message.timestamp) || Date.now();
+
+    if (message.type === 'snapshot') {
+      for (const key of [...this.populations.keys()]) {
+        this.recordObservation(key, 0, time);
+      }
+    }
+
+    for (const cell of message.cells) {
+      const count = Number.isFinite(cell.count)
+        ? cell.count
+        : this.getPopulation(cell.lat, cell.lng) + cell.delta;
+      this.setPopulation(cell.lat, cell.lng, count, { updateZones: false, time });
+    }
+
+    this.updateCrowdZones();
+    return message.cells.length;
+  }
+
+  // Load scenario cells ({ lat, lng, count }, see src/crowd/scenarios.js). Replaces all
+  // crowds unless `replace` is false; cells falling into the same grid cell add up.
+  loadScenario(cells, { replace = true, time = Date.now() } = {}) {
+    if (replace) {
+      for (const key of [...this.populations.keys()]) {
+        this.recordObservation(key, 0, time);
+      }
+    }
+
+    for (const { lat, lng, count } of cells) {
+      if (count <= 0) continue;
+      const key = this.getGridKey(lat, lng);
+      this.recordObservation(key, (this.populations.get(key) || 0) + count, time);
+    }
+
+    this.updateCrowdZones();
+    return cells.length;
+  }
+
+  // Current cells as scenario rows, using cell centres so they re-import into the same cells
+  getScenarioCells() {
+    return this.getPopulatedAreas().map(area => ({
+      lat: area.lat + this.gridSize / 2,
+      lng: area.lng + this.gridSize / 2,
+      count: area.population
+    }));
+  }
+
+  getPopulation(lat, lng) {
+    const key = this.getGridKey(lat, lng);
+    return this.populations.get(key) || 0;
+  }
+
+  // Real area (m²) of the cell containing (lat, lng); it only depends on the latitude
+  getCellArea(lat, lng) {
+    const row = Math.floor(lat / this.gridSize);
+    if (!this.rowAreas.has(row)) this.rowAreas.set(row, cellArea(row * this.gridSize, lng, this.gridSize));
+    return this.rowAreas.get(row);
+  }
+
+  // Observed people per m² in the cell containing (lat, lng)
+  getDensity(lat, lng) {
+    const population = this.getPopulation(lat, lng);
+    return population > 0 ? population / this.getCellArea(lat, lng) : 0;
+  }
+
+  // Populated cells as { lat, lng (south-west corner), population, density (people/m²) }
+  getPopulatedAreas() {
+    const areas = [];
+    for (const [key, population] of this.populations) {
+      if (population > 0) {
+        const [lat, lng] = key.split(',').map(Number);
+        areas.push({ lat, lng, population, density: population / this.getCellArea(lat + this.gridSize / 2, lng) });
+      }
+    }
+    return areas;
+  }
+
+  // Replace the projected crowd with `load` (Map of key -> people); cells expecting less
+  // than half a person are left out
+  setProjected(load = new Map()) {
+    this.projected = new Map([...load].filter(([, people]) => people >= 0.5));
+    this.updateCrowdZones();
+  }
+
+  getProjectedAreas() {
+    return [...this.projected].map(([key, people]) => {
+      const [lat, lng] = key.split(',').map(Number);
+      return { lat, lng, population: Math.round(people) };
+    });
+  }
+
+  // Observed plus projected people per cell
+  getLoadedAreas() {
+    const load = new Map(this.populations);
+    for (const [key, people] of this.projected) {
+      load.set(key, (load.get(key) || 0) + people);
+    }
+    return [...load].filter(([, population]) => population > 0).map(([key, population]) => {
+      const [lat, lng] = key.split(',').map(Number);
+      return { lat, lng, population };
+    });
+  }
+
+  clearAll() {
+    this.populations.clear();
+    this.observations.clear();
+    this.history.clear();
+    this.projected.clear();
+    this.crowdZones = [];
+    this.observedZones = [];
+  }
+
+  getRoutingWeight(lat, lng) {
+    const key = this.getGridKey(lat, lng);
+    return this.weightForPopulation(this.getPopulation(lat, lng) + (this.projected.get(key) || 0));
+  }
+
+  weightForPopulation(population) {
+    return weightForPopulation(population);
+  }
+
+  // Crowd statistics of a route's points: how many lie in busy cells (weight above 2)
+  // and their average routing weight
+  getRouteStats(route) {
+    const weights = route.map(point => this.getRoutingWeight(point[0], point[1]));
+    return {
+      totalPoints: route.length,
+      crowdedPoints: weights.filter(weight => weight > 2).length,
+      averageWeight: route.length > 0 ? weights.reduce((sum, weight) => sum + weight, 0) / route.length : 0
+    };
+  }
+
+  // Everything the map and panels show, as plain data the worker can post
+  getState() {
+    return {
+      areas: this.getPopulatedAreas(),
+      projectedAreas: this.getProjectedAreas(),
+      zones: this.crowdZones,
+      observedZones: this.observedZones,
+      historyRange: this.getHistoryRange()
+    };
+  }
+
+  // Update crowd zones for routing: neighbouring populated cells are merged into
+  // zones with a hull polygon (see src/crowd/zones.js). Safety alerts are raised on
+  // the people actually there, so the observed cells get zones of their own while an
+  // assignment is projected.
+  updateCrowdZones() {
+    const build = areas => buildCrowdZones(
+      areas,
+      this.gridSize,
+      population => this.weightForPopulation(population),
+      this.zoneOptions
+    );
+    this.crowdZones = build(this.getLoadedAreas());
+    this.observedZones = this.projected.size > 0 ? build(this.getPopulatedAreas()) : this.crowdZones;
+  }
+
+  // Check if a point is in any crowd zone
+  isPointInCrowdZone(point) {
+    return findZoneAt(point, this.crowdZones);
+  }
+
+  // Get crowd zones that intersect with a route
+  getCrowdZonesOnRoute(route) {
+    const intersectingZones = [];
+
+    for (const point of route) {
+      const zone = this.isPointInCrowdZone(point);
+      if (zone && !intersectingZones.includes(zone)) {
+        intersectingZones.push(zone);
+      }
+    }
+
+    return intersectingZones;
+  }
+}
@@ -0,0 +1,144 @@
+// Crowd safety: densities (people/m² over the real cell area, see
+// DynamicPopulationGrid.getDensity) rated with Fruin's levels of service for walkways,
+// and organizer alerts when a crowd zone reaches a dangerous level or fills up fast.
+//
+// Alert shape:
+//   { id, kind ('level' or 'rising'), severity ('warning' or 'critical'), time,
+//     center [lat, lng], polygon, population, density (people/m² of the busiest cell),
+//     level (FRUIN_LEVELS id), rate (people/m² per minute), acknowledgedAt (time or null) }
+
+// Fruin's walkway levels of service, by the highest density (people/m²) of each level
+export const FRUIN_LEVELS = [
+  { id: 'A', maxDensity: 0.31, color: '#16a34a' }, // free walking
+  { id: 'B', maxDensity: 0.43, color: '#65a30d' }, // minor conflicts
+  { id: 'C', maxDensity: 0.72, color: '#ca8a04' }, // speed restricted
+  { id: 'D', maxDensity: 1.08, color: '#ea580c' }, // most people slowed down
+  { id: 'E', maxDensity: 2.17, color: '#dc2626' }, // shuffling, flow at capacity
+  { id: 'F', maxDensity: Infinity, color: '#7f1d1d' } // crush risk
+];
+
+// Zones warn at `warningLevel`, are critical from `criticalLevel`, and count as rising
+// fast when their busiest cell gains `riseRate` people/m² per minute. `sound` beeps on
+// new alerts.
+export const DEFAULT_SAFETY_SETTINGS = {
+  warningLevel: 'D',
+  criticalLevel: 'E',
+  riseRate: 0.2,
+  sound: false
+};
+
+// Density changes are measured over this window, and over at least a minute so a burst
+// of updates does not look like a surge
+const RISE_WINDOW = 5 * 60 * 1000;
+const MIN_RISE_MINUTES = 1;
+
+const STORAGE_KEY = 'simhastha.safetySettings';
+
+let nextId = 1;
+
+// Level of service for a density (people/m²)
+export function serviceLevel(density) {
+  return FRUIN_LEVELS.find(level => density <= level.maxDensity);
+}
+
+// Position of a level in FRUIN_LEVELS: higher is more crowded
+export function levelRank(id) {
+  return FRUIN_LEVELS.findIndex(level => level.id === id);
+}
+
+// 'critical', 'warning' or null for a zone under the settings, by its busiest cell
+export function zoneSeverity(zone, settings = DEFAULT_SAFETY_SETTINGS) {
+  const rank = levelRank(serviceLevel(zone.peakDensity).id);
+  if (rank >= levelRank(settings.criticalLevel)) return 'critical';
+  if (rank >= levelRank(settings.warningLevel)) return 'warning';
+  return null;
+}
+
+const severityRank = (severity) => ['warning', 'critical'].indexOf(severity);
+
+// Follows the crowd zones from one update to the next and raises alerts when a zone
+// reaches a higher severity than before, or starts rising fast. Zones are rebuilt on
+// every crowd change, so a zone continues the one it shares the most cells with.
+export class CrowdAlertMonitor {
+  constructor(settings = DEFAULT_SAFETY_SETTINGS) {
+    this.settings = settings;
+    this.tracked = []; // { cells (Set of keys), severity, rising, samples [{ time, density }] }
+  }
+
+  // New alerts for the zones at `time`
+  update(zones, time = Date.now()) {
+    const alerts = [];
+    const tracked = zones.map(zone => {
+      const cells = new Set(zone.cells.map(cell => `${cell.lat},${cell.lng}`));
+      const previous = this.previousOf(cells);
+      const samples = [...(previous?.samples || []).filter(sample => time - sample.time <= RISE_WINDOW), { time, density: zone.peakDensity }];
+      const minutes = Math.max(MIN_RISE_MINUTES, (time - samples[0].time) / 60000);
+      const rate = (zone.peakDensity - samples[0].density) / minutes;
+      const severity = zoneSeverity(zone, this.settings);
+      const rising = samples.length > 1 && rate >= this.settings.riseRate;
+
+      const alert = (kind, alertSeverity) => alerts.push({
+        id: `alert-${time.toString(36)}-${nextId++}`,
+        kind,
+        severity: alertSeverity,
+        time,
+        center: zone.center,
+        polygon: zone.polygon,
+        population: zone.population,
+        density: zone.peakDensity,
+        level: serviceLevel(zone.peakDensity).id,
+        rate,
+        acknowledgedAt: null
+      });
+      if (severity && severityRank(severity) > severityRank(previous?.severity ?? null)) {
+        alert('level', severity);
+      } else if (rising && !previous?.rising) {
+        alert('rising', severity === 'critical' ? 'critical' : 'warning');
+      }
+
+      return { cells, severity, rising, samples };
+    });
+
+    this.tracked = tracked;
+    return alerts;
+  }
+
+  previousOf(cells) {
+    let best = null;
+    let bestShared = 0;
+    for (const candidate of this.tracked) {
+      let shared = 0;
+      for (const key of cells) if (candidate.cells.has(key)) shared++;
+      if (shared > bestShared) {
+        best = candidate;
+        bestShared = shared;
+      }
+    }
+    return best;
+  }
+}
+
+export function saveSafetySettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The saved settings, or the defaults when there are none or they cannot be read
+export function loadSafetySettings() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    const level = (id, fallback) => (levelRank(id) >= 0 ? id : fallback);
+    return {
+      warningLevel: level(saved.warningLevel, DEFAULT_SAFETY_SETTINGS.warningLevel),
+      criticalLevel: level(saved.criticalLevel, DEFAULT_SAFETY_SETTINGS.criticalLevel),
+      riseRate: Number(saved.riseRate) > 0 ? Number(saved.riseRate) : DEFAULT_SAFETY_SETTINGS.riseRate,
+      sound: saved.sound === true
+    };
+  } catch {
+    return DEFAULT_SAFETY_SETTINGS;
+  }
+}
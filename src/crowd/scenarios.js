@@ -0,0 +1,158 @@
+// Crowd scenarios: named sets of { lat, lng, count } cells loaded from or saved to
+// CSV and GeoJSON files.
+//
+// CSV: a header row naming the columns `lat`, `lng` (or `lon`/`longitude`) and `count`
+// (or `population`), one cell per row. Blank lines and lines starting with # are ignored.
+// GeoJSON: a FeatureCollection of Point features with a `count` (or `population`)
+// property; an optional top-level `name` names the scenario.
+//
+// Parsers never throw on bad rows: they return the valid cells plus an `errors` list of
+// { row, message, code, params } so the UI can show what was skipped. `message` is
+// English; `code` and `params` select the translated text (scenarioErrors.* in src/i18n).
+
+const LAT_COLUMNS = ['lat', 'latitude'];
+const LNG_COLUMNS = ['lng', 'lon', 'long', 'longitude'];
+const COUNT_COLUMNS = ['count', 'population', 'people'];
+
+const scenarioError = (code, params, message) => ({ code, params, message });
+
+const parseNumber = (value) => (value === undefined || String(value).trim() === '' ? NaN : Number(value));
+
+// Validate raw cell values, returning { cell } or { error }
+function validateCell(rawLat, rawLng, rawCount) {
+  const lat = parseNumber(rawLat);
+  const lng = parseNumber(rawLng);
+  const count = parseNumber(rawCount);
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: scenarioError('invalidLatitude', { value: rawLat ?? '' }, `invalid latitude "${rawLat ?? ''}"`) };
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return { error: scenarioError('invalidLongitude', { value: rawLng ?? '' }, `invalid longitude "${rawLng ?? ''}"`) };
+  }
+  if (!Number.isFinite(count) || count < 0) {
+    return { error: scenarioError('invalidCount', { value: rawCount ?? '' }, `invalid count "${rawCount ?? ''}"`) };
+  }
+  return { cell: { lat, lng, count } };
+}
+
+export function parseScenarioCSV(text, name = 'Imported scenario') {
+  const cells = [];
+  const errors = [];
+  const lines = text.split(/\r?\n/);
+  let columns = null;
+
+  lines.forEach((line, index) => {
+    const row = index + 1;
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const values = trimmed.split(',').map(value => value.trim());
+
+    if (columns === null) {
+      const header = values.map(value => value.toLowerCase());
+      columns = {
+        lat: header.findIndex(column => LAT_COLUMNS.includes(column)),
+        lng: header.findIndex(column => LNG_COLUMNS.includes(column)),
+        count: header.findIndex(column => COUNT_COLUMNS.includes(column))
+      };
+      const missing = Object.entries(columns).filter(([, position]) => position === -1).map(([column]) => column);
+      if (missing.length > 0) {
+        errors.push({
+          row,
+          ...scenarioError('missingColumns', { columns: missing.join(', ') }, `header is missing column(s): ${missing.join(', ')}`)
+        });
+        columns = false;
+      }
+      return;
+    }
+    if (columns === false) return;
+
+    const { cell, error } = validateCell(values[columns.lat], values[columns.lng], values[columns.count]);
+
+    if (error) {
+      errors.push({ row, ...error });
+    } else {
+      cells.push(cell);
+    }
+  });
+
+  if (columns === null) {
+    errors.push({ row: 1, ...scenarioError('emptyFile', {}, 'file is empty') });
+  }
+
+  return { name, cells, errors };
+}
+
+export function parseScenarioGeoJSON(data, name = 'Imported scenario') {
+  const cells = [];
+  const errors = [];
+
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    return { name, cells, errors: [{ row: 0, ...scenarioError('notFeatureCollection', {}, 'not a GeoJSON FeatureCollection') }] };
+  }
+
+  data.features.forEach((feature, index) => {
+    const row = index + 1;
+    if (feature?.geometry?.type !== 'Point') {
+      const type = feature?.geometry?.type;
+      errors.push({
+        row,
+        ...(type
+          ? scenarioError('notPoint', { type }, `feature is a ${type}, expected Point`)
+          : scenarioError('missingGeometry', {}, 'feature has no geometry, expected Point'))
+      });
+      return;
+    }
+
+    const [lng, lat] = feature.geometry.coordinates || [];
+    const properties = feature.properties || {};
+    const { cell, error } = validateCell(lat, lng, properties.count ?? properties.population);
+
+    if (error) {
+      errors.push({ row, ...error });
+    } else {
+      cells.push(cell);
+    }
+  });
+
+  return { name: data.name || name, cells, errors };
+}
+
+// Parse a scenario file by extension (.csv, .geojson or .json)
+export function parseScenarioFile(fileName, text) {
+  const name = fileName.replace(/\.[^.]+$/, '');
+
+  if (/\.csv$/i.test(fileName)) {
+    return parseScenarioCSV(text, name);
+  }
+  if (/\.(geo)?json$/i.test(fileName)) {
+    try {
+      return parseScenarioGeoJSON(JSON.parse(text), name);
+    } catch (error) {
+      return { name, cells: [], errors: [{ row: 0, ...scenarioError('invalidJson', { error: error.message }, `invalid JSON: ${error.message}`) }] };
+    }
+  }
+  return {
+    name,
+    cells: [],
+    errors: [{ row: 0, ...scenarioError('unsupportedFileType', {}, 'unsupported file type (use .csv or .geojson)') }]
+  };
+}
+
+export function scenarioToCSV(cells) {
+  const rows = cells.map(({ lat, lng, count }) => `${lat.toFixed(6)},${lng.toFixed(6)},${count}`);
+  return ['lat,lng,count', ...rows].join('\n') + '\n';
+}
+
+export function scenarioToGeoJSON(cells, name) {
+  return {
+    type: 'FeatureCollection',
+    name,
+    exportedAt: new Date().toISOString(),
+    features: cells.map(({ lat, lng, count }) => ({
+      type: 'Feature',
+      properties: { count },
+      geometry: { type: 'Point', coordinates: [Number(lng.toFixed(6)), Number(lat.toFixed(6))] }
+    }))
+  };
+}
@@ -0,0 +1,268 @@
+import { POIS } from '../places/pois';
+import { haversineDistance, interpolate } from '../routing/geo';
+import { DEFAULT_PROFILE } from '../routing/profiles';
+import { isSegmentBlocked } from '../routing/restrictions';
+import { crowdSpeedFactor } from '../routing/scoring';
+import { DynamicPopulationGrid } from './populationGrid';
+import { levelRank, serviceLevel } from './safety';
+
+// Agent-based pilgrim simulation for trying routing strategies before the real bathing
+// day. Agents are groups of `peoplePerAgent` pilgrims walking from an arrival point to a
+// ghat. They set off at random times during the first `spawnMinutes`, get their route
+// from DynamicOSRMRouter when they leave and walk it at their own speed, slowed down by
+// the crowd of the cell they are in (crowdSpeedFactor). Every step writes the agents into
+// the simulation's own DynamicPopulationGrid, on top of the crowd at the start, so the
+// crowd-aware strategy sees the crowds the earlier agents formed.
+//
+// Strategies:
+//   direct      the routing backend's direct route, the same for everyone
+//   crowdAware  the crowd-weighted route on the local road network, worked out again
+//               every REPLAN_SECONDS for the agents leaving then
+//
+// The same seed gives the same agents (places, speeds and departures) for every
+// strategy, so runs can be compared and repeated.
+
+export const SIMULATION_STRATEGIES = ['direct', 'crowdAware'];
+
+export const DEFAULT_SIMULATION_OPTIONS = {
+  seed: 2028,
+  agents: 1000,
+  peoplePerAgent: 100,
+  spawnMinutes: 30,
+  strategy: 'crowdAware'
+};
+
+// Arrival points and ghats of a Shahi Snan morning inside the bundled road network;
+// ghats with a higher weight draw more pilgrims
+const ORIGIN_IDS = ['parking-karkaraj', 'parking-mahakal-lok', 'parking-ujjain-junction', 'ujjain-junction', 'dewas-gate-bus-stand'];
+const DESTINATION_WEIGHTS = { 'ram-ghat': 3, 'narsingh-ghat': 1, 'datt-akhara-ghat': 1, 'chakratirth-ghat': 1, 'gau-ghat': 1 };
+
+const STEP_SECONDS = 5; // agents move in steps of this many simulated seconds
+const REPLAN_SECONDS = 120;
+const SPEED_SPREAD = 0.15; // standard deviation of walking speeds, share of the profile speed
+const MAX_SIMULATED_SECONDS = 4 * 60 * 60; // a run ends here even with agents still walking
+// Pilgrim-minutes are counted from this level of service on
+const CROWDED_LEVEL = 'D';
+
+// Small deterministic PRNG (mulberry32)
+function seededRandom(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const placeById = id => POIS.find(poi => poi.id === id);
+
+export const SIMULATION_ORIGINS = ORIGIN_IDS.map(placeById).filter(Boolean);
+export const SIMULATION_DESTINATIONS = Object.keys(DESTINATION_WEIGHTS).map(placeById).filter(Boolean);
+
+// Agents for a seed, sorted by departure (seconds after the start)
+function createAgents({ seed, agents, spawnMinutes }, speed) {
+  const random = seededRandom(seed);
+  const weights = SIMULATION_DESTINATIONS.map(place => DESTINATION_WEIGHTS[place.id]);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const pickDestination = () => {
+    let pick = random() * totalWeight;
+    return Math.max(0, weights.findIndex(weight => (pick -= weight) < 0));
+  };
+  // Normally distributed (Box–Muller)
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+  return Array.from({ length: agents }, (_, id) => ({
+    id,
+    origin: Math.floor(random() * SIMULATION_ORIGINS.length),
+    destination: pickDestination(),
+    speed: speed * Math.min(1.5, Math.max(0.5, 1 + SPEED_SPREAD * gaussian())),
+    departure: random() * spawnMinutes * 60,
+    start: null, // when it set off: the first step at or after `departure`
+    state: 'waiting', // then 'walking' and 'arrived', or 'unrouted' without a route
+    route: null,
+    segment: 0, // index of the route segment the agent is on
+    distance: 0, // metres walked
+    arrival: null
+  })).sort((a, b) => a.departure - b.departure);
+}
+
+// A route's coordinates with the distance walked at each of them
+function track(coordinates) {
+  const cumulative = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    cumulative.push(cumulative[i - 1] + haversineDistance(coordinates[i - 1], coordinates[i]));
+  }
+  return { coordinates, cumulative, length: cumulative[cumulative.length - 1] };
+}
+
+export class PilgrimSimulation {
+  // `baseCells` ({ lat, lng, count }) is the crowd at the start, which stays put;
+  // `restrictions` the active organizer restrictions
+  constructor(router, {
+    baseCells = [], restrictions = [], profile = DEFAULT_PROFILE, startTime = Date.now(), ...options
+  } = {}) {
+    this.router = router;
+    this.options = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+    this.profile = profile;
+    this.isBlocked = restrictions.length > 0 ? (a, b) => isSegmentBlocked(a, b, restrictions) : null;
+    this.startTime = startTime;
+    this.grid = new DynamicPopulationGrid({ decay: { halfLife: null }, maxHistory: 1 });
+    this.grid.loadScenario(baseCells, { time: startTime });
+    this.baseLoad = new Map(this.grid.populations);
+    this.agentLoad = new Map(); // key -> pilgrims of walking agents
+    this.agents = createAgents(this.options, profile.speed);
+    this.nextDeparture = 0; // index of the first agent still waiting
+    this.routes = new Map(); // origin>destination@replan -> track, or null when unroutable
+    this.time = 0; // simulated seconds since the start
+    this.peakDensity = 0;
+    this.crowdedMinutes = 0; // pilgrim-minutes walked at CROWDED_LEVEL or worse
+  }
+
+  get finished() {
+    return this.time >= MAX_SIMULATED_SECONDS ||
+      this.agents.every(agent => agent.state === 'arrived' || agent.state === 'unrouted');
+  }
+
+  // Run `seconds` of simulated time. Zones are only rebuilt at the end, for the map.
+  async advance(seconds, { signal = null, updateZones = true } = {}) {
+    const end = Math.min(this.time + seconds, MAX_SIMULATED_SECONDS);
+    while (this.time < end && !this.finished) {
+      signal?.throwIfAborted();
+      const step = Math.min(STEP_SECONDS, end - this.time);
+      await this.depart();
+      this.move(step);
+      this.time += step;
+      this.writeLoad();
+    }
+    if (updateZones) this.grid.updateCrowdZones();
+  }
+
+  async depart() {
+    while (this.nextDeparture < this.agents.length && this.agents[this.nextDeparture].departure <= this.time) {
+      const agent = this.agents[this.nextDeparture++];
+      agent.route = await this.routeFor(agent);
+      agent.state = agent.route ? 'walking' : 'unrouted';
+      agent.start = this.time;
+    }
+  }
+
+  async routeFor(agent) {
+    const crowdAware = this.options.strategy === 'crowdAware';
+    const key = `${agent.origin}>${agent.destination}@${crowdAware ? Math.floor(this.time / REPLAN_SECONDS) : 0}`;
+    if (!this.routes.has(key)) {
+      const start = SIMULATION_ORIGINS[agent.origin].position;
+      const end = SIMULATION_DESTINATIONS[agent.destination].position;
+      const route = crowdAware
+        ? await this.router.getCrowdWeightedRoute(start, end, this.grid, this.profile, this.isBlocked)
+        : await this.router.getRoadRoute(start, end, this.profile, this.isBlocked);
+      this.routes.set(key, route?.coordinates.length > 1 ? track(route.coordinates) : null);
+    }
+    return this.routes.get(key);
+  }
+
+  move(step) {
+    for (const agent of this.agents) {
+      if (agent.state !== 'walking') continue;
+      const [lat, lng] = this.position(agent);
+      const density = this.grid.getDensity(lat, lng);
+      this.peakDensity = Math.max(this.peakDensity, density);
+      if (levelRank(serviceLevel(density).id) >= levelRank(CROWDED_LEVEL)) {
+        this.crowdedMinutes += this.options.peoplePerAgent * step / 60;
+      }
+
+      agent.distance += agent.speed * crowdSpeedFactor(density) * step;
+      const { cumulative, length } = agent.route;
+      if (agent.distance >= length) {
+        agent.state = 'arrived';
+        agent.arrival = this.time + step - (agent.distance - length) / (agent.speed * crowdSpeedFactor(density));
+        continue;
+      }
+      while (cumulative[agent.segment + 1] < agent.distance) agent.segment++;
+    }
+  }
+
+  // [lat, lng] of a walking agent along its route
+  position(agent) {
+    const { coordinates, cumulative } = agent.route;
+    const i = agent.segment;
+    const length = cumulative[i + 1] - cumulative[i];
+    return interpolate(coordinates[i], coordinates[i + 1], length > 0 ? (agent.distance - cumulative[i]) / length : 0);
+  }
+
+  // Write the cells of the walking agents into the grid, clearing the ones they left
+  writeLoad() {
+    const load = new Map();
+    for (const agent of this.agents) {
+      if (agent.state !== 'walking') continue;
+      const [lat, lng] = this.position(agent);
+      const key = this.grid.getGridKey(lat, lng);
+      load.set(key, (load.get(key) || 0) + this.options.peoplePerAgent);
+    }
+
+    const counts = new Map();
+    for (const key of new Set([...this.agentLoad.keys(), ...load.keys()])) {
+      if (load.get(key) !== this.agentLoad.get(key)) {
+        counts.set(key, (this.baseLoad.get(key) || 0) + (load.get(key) || 0));
+      }
+    }
+    this.grid.setCellCounts(counts, { updateZones: false, time: this.startTime + this.time * 1000 });
+    this.agentLoad = load;
+  }
+
+  // Outcome so far. Travel times are in seconds from when a group set off; `delay` is the
+  // mean extra walking time over walking the same route without crowds, as a share of
+  // that time.
+  summary() {
+    const count = state => this.agents.filter(agent => agent.state === state).length;
+    const arrived = this.agents.filter(agent => agent.state === 'arrived');
+    const travelTimes = arrived.map(agent => agent.arrival - agent.start);
+    const freeTime = arrived.reduce((sum, agent) => sum + agent.route.length / agent.speed, 0);
+    const travelTime = travelTimes.reduce((sum, time) => sum + time, 0);
+
+    return {
+      strategy: this.options.strategy,
+      agents: this.agents.length,
+      pilgrims: this.agents.length * this.options.peoplePerAgent,
+      waiting: count('waiting'),
+      walking: count('walking'),
+      arrived: arrived.length,
+      unrouted: count('unrouted'),
+      meanTravelTime: arrived.length > 0 ? travelTime / arrived.length : null,
+      maxTravelTime: arrived.length > 0 ? Math.max(...travelTimes) : null,
+      delay: freeTime > 0 ? travelTime / freeTime - 1 : null,
+      peakDensity: this.peakDensity,
+      crowdedMinutes: this.crowdedMinutes
+    };
+  }
+
+  // Plain data for the map and panel: the simulated clock, crowd cells and zones, where
+  // the walking agents are and the summary
+  getState() {
+    return {
+      time: this.startTime + this.time * 1000,
+      elapsed: this.time,
+      finished: this.finished,
+      areas: this.grid.getPopulatedAreas(),
+      zones: this.grid.crowdZones,
+      agents: this.agents.filter(agent => agent.state === 'walking').map(agent => this.position(agent)),
+      summary: this.summary()
+    };
+  }
+}
+
+// Run every strategy to the end on the same agents. Returns one summary per strategy;
+// `onProgress({ done, total })` counts agents that arrived or could not be routed.
+export async function compareStrategies(router, options, { signal = null, onProgress = () => {} } = {}) {
+  const summaries = [];
+  for (const [index, strategy] of SIMULATION_STRATEGIES.entries()) {
+    const simulation = new PilgrimSimulation(router, { ...options, strategy });
+    const total = SIMULATION_STRATEGIES.length * simulation.agents.length;
+    while (!simulation.finished) {
+      await simulation.advance(REPLAN_SECONDS, { signal, updateZones: false });
+      const { arrived, unrouted } = simulation.summary();
+      onProgress({ done: index * simulation.agents.length + arrived + unrouted, total });
+    }
+    summaries.push(simulation.summary());
+  }
+  return summaries;
+}
@@ -0,0 +1,79 @@
+// Static R-tree over bounding boxes, bulk-loaded with Sort-Tile-Recursive packing.
+// Crowd zones and grid cells are rebuilt as a whole whenever the crowd changes, so the
+// tree is built once per set of items and never updated in place.
+//
+// Bounding boxes are [minLat, minLng, maxLat, maxLng], as on crowd zones.
+
+const DEFAULT_NODE_SIZE = 16;
+
+function unionBBox(entries) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const { bbox: [minLat, minLng, maxLat, maxLng] } of entries) {
+    if (minLat < bbox[0]) bbox[0] = minLat;
+    if (minLng < bbox[1]) bbox[1] = minLng;
+    if (maxLat > bbox[2]) bbox[2] = maxLat;
+    if (maxLng > bbox[3]) bbox[3] = maxLng;
+  }
+  return bbox;
+}
+
+const intersects = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+const centerLat = (entry) => entry.bbox[0] + entry.bbox[2];
+const centerLng = (entry) => entry.bbox[1] + entry.bbox[3];
+
+export class RTree {
+  // `bboxOf(item)` gives the bounding box of each item
+  constructor(items = [], bboxOf = item => item.bbox, { nodeSize = DEFAULT_NODE_SIZE } = {}) {
+    this.nodeSize = nodeSize;
+    this.size = items.length;
+
+    let level = items.map(item => ({ bbox: bboxOf(item), item }));
+    while (level.length > nodeSize) {
+      level = this.pack(level);
+    }
+    this.root = { bbox: unionBBox(level), children: level };
+  }
+
+  // One level up: sort into vertical slices by latitude, then pack each slice into
+  // nodes of `nodeSize` neighbours by longitude
+  pack(entries) {
+    const nodeCount = Math.ceil(entries.length / this.nodeSize);
+    const sliceSize = Math.ceil(entries.length / Math.ceil(Math.sqrt(nodeCount)));
+    const sorted = [...entries].sort((a, b) => centerLat(a) - centerLat(b));
+
+    const nodes = [];
+    for (let i = 0; i < sorted.length; i += sliceSize) {
+      const slice = sorted.slice(i, i + sliceSize).sort((a, b) => centerLng(a) - centerLng(b));
+      for (let j = 0; j < slice.length; j += this.nodeSize) {
+        const children = slice.slice(j, j + this.nodeSize);
+        nodes.push({ bbox: unionBBox(children), children });
+      }
+    }
+    return nodes;
+  }
+
+  // Items whose bounding box intersects `bbox`
+  search(bbox) {
+    const found = [];
+    if (this.size === 0 || !intersects(this.root.bbox, bbox)) return found;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (const child of node.children) {
+        if (!intersects(child.bbox, bbox)) continue;
+        if (child.children) {
+          stack.push(child);
+        } else {
+          found.push(child.item);
+        }
+      }
+    }
+    return found;
+  }
+
+  // Items whose bounding box contains the point [lat, lng]
+  searchPoint([lat, lng]) {
+    return this.search([lat, lng, lat, lng]);
+  }
+}
@@ -0,0 +1,275 @@
+import { area as turfArea, booleanPointInPolygon, polygon } from '@turf/turf';
+import { haversineDistance, interpolate } from '../routing/geo';
+import { RTree } from './spatialIndex';
+
+// Crowd zones are clusters of neighbouring populated grid cells. Cells touching each
+// other (including diagonally) form one connected component; a component becomes a
+// zone once its combined population reaches `minPopulation`, so a wide but thin crowd
+// counts even when no single cell is busy.
+//
+// Zone shape:
+//   { id, cells, population, area (m²), density (people/m²), peakDensity (people/m² of
+//     its busiest cell), weight,
+//     center [lat, lng], radius (metres, centre to farthest hull vertex),
+//     polygon [[lat, lng], ...] for Leaflet, geometry (GeoJSON Polygon), bbox }
+
+export const DEFAULT_ZONE_OPTIONS = {
+  minPopulation: 3
+};
+
+// Corners of a grid cell whose south-west corner is (lat, lng), as [lng, lat]
+function cellCorners(lat, lng, gridSize) {
+  return [
+    [lng, lat],
+    [lng + gridSize, lat],
+    [lng + gridSize, lat + gridSize],
+    [lng, lat + gridSize]
+  ];
+}
+
+export function cellArea(lat, lng, gridSize) {
+  const corners = cellCorners(lat, lng, gridSize);
+  return turfArea(polygon([[...corners, corners[0]]]));
+}
+
+// Group populated cells ({ lat, lng, population }) into connected components
+export function findCellClusters(areas, gridSize) {
+  // Cells are keyed by row * stride + column, counted from the south-west corner of all
+  // cells, so keys stay small integers (fast Map/Set keys) for a city-sized grid. The
+  // stride leaves a spare column on either side for the neighbour offsets.
+  const toIndex = (value) => Math.round(value / gridSize);
+  let minRow = Infinity;
+  let minCol = Infinity;
+  let maxCol = -Infinity;
+  for (const area of areas) {
+    minRow = Math.min(minRow, toIndex(area.lat));
+    minCol = Math.min(minCol, toIndex(area.lng));
+    maxCol = Math.max(maxCol, toIndex(area.lng));
+  }
+  const stride = maxCol - minCol + 3;
+  const keyOf = (area) => (toIndex(area.lat) - minRow + 1) * stride + toIndex(area.lng) - minCol + 1;
+
+  const index = new Map();
+  for (const area of areas) {
+    index.set(keyOf(area), area);
+  }
+
+  const visited = new Set();
+  const clusters = [];
+
+  for (const area of areas) {
+    const startKey = keyOf(area);
+    if (visited.has(startKey)) continue;
+
+    const cluster = [];
+    const queue = [startKey];
+    visited.add(startKey);
+
+    while (queue.length > 0) {
+      const key = queue.pop();
+      cluster.push(index.get(key));
+
+      for (let dRow = -1; dRow <= 1; dRow++) {
+        for (let dCol = -1; dCol <= 1; dCol++) {
+          const neighbour = key + dRow * stride + dCol;
+          if (index.has(neighbour) && !visited.has(neighbour)) {
+            visited.add(neighbour);
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+
+    clusters.push(cluster);
+  }
+
+  return clusters;
+}
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+// Convex hull of [lng, lat] points (Andrew's monotone chain), as a closed
+// counter-clockwise ring
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const lower = [];
+  for (const point of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], sorted[i]) <= 0) upper.pop();
+    upper.push(sorted[i]);
+  }
+  const ring = [...lower.slice(0, -1), ...upper.slice(0, -1)];
+  return [...ring, ring[0]];
+}
+
+// Corners of the cells that can be on the hull of a cluster: only the westernmost and
+// easternmost cell of each row, which keeps the hull input small for large crowds
+function hullCorners(cells, gridSize) {
+  const rows = new Map();
+  for (const cell of cells) {
+    const row = rows.get(cell.lat);
+    if (!row) {
+      rows.set(cell.lat, { west: cell, east: cell });
+    } else if (cell.lng < row.west.lng) {
+      row.west = cell;
+    } else if (cell.lng > row.east.lng) {
+      row.east = cell;
+    }
+  }
+  return [...rows.values()].flatMap(({ west, east }) => [
+    ...cellCorners(west.lat, west.lng, gridSize),
+    ...(east === west ? [] : cellCorners(east.lat, east.lng, gridSize))
+  ]);
+}
+
+// Build merged crowd zones. `weightForPopulation` maps a cell count to a routing weight;
+// the zone weight is the population-weighted mean of its cells' weights.
+export function buildCrowdZones(areas, gridSize, weightForPopulation, options = {}) {
+  const { minPopulation } = { ...DEFAULT_ZONE_OPTIONS, ...options };
+  const zones = [];
+  // A cell's area only depends on its latitude
+  const rowAreas = new Map();
+  const areaOf = (cell) => {
+    if (!rowAreas.has(cell.lat)) rowAreas.set(cell.lat, cellArea(cell.lat, cell.lng, gridSize));
+    return rowAreas.get(cell.lat);
+  };
+
+  for (const cells of findCellClusters(areas, gridSize)) {
+    const population = cells.reduce((sum, cell) => sum + cell.population, 0);
+    if (population < minPopulation) continue;
+
+    const ring = convexHull(hullCorners(cells, gridSize));
+
+    const center = [
+      cells.reduce((sum, cell) => sum + (cell.lat + gridSize / 2) * cell.population, 0) / population,
+      cells.reduce((sum, cell) => sum + (cell.lng + gridSize / 2) * cell.population, 0) / population
+    ];
+    const radius = Math.max(...ring.map(([lng, lat]) => haversineDistance(center, [lat, lng])));
+    const area = cells.reduce((sum, cell) => sum + areaOf(cell), 0);
+    const peakDensity = Math.max(...cells.map(cell => cell.population / areaOf(cell)));
+    const weight = cells.reduce((sum, cell) =>
+      sum + weightForPopulation(cell.population) * cell.population, 0) / population;
+
+    const lats = ring.map(([, lat]) => lat);
+    const lngs = ring.map(([lng]) => lng);
+
+    zones.push({
+      id: zones.length,
+      cells,
+      population,
+      area,
+      density: population / area,
+      peakDensity,
+      weight,
+      center,
+      radius,
+      polygon: ring.map(([lng, lat]) => [lat, lng]),
+      geometry: { type: 'Polygon', coordinates: [ring] },
+      bbox: [Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs)]
+    });
+  }
+
+  return zones;
+}
+
+// Point-in-zone test against the hull polygon, with a cheap bounding-box check first
+export function isPointInZone(pointLatLng, zone) {
+  const [lat, lng] = pointLatLng;
+  const [minLat, minLng, maxLat, maxLng] = zone.bbox;
+  if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return false;
+  return booleanPointInPolygon([lng, lat], zone.geometry);
+}
+
+// R-tree over the zone bounding boxes, built once per zones array (zones are rebuilt as
+// a new array whenever the crowd changes)
+const zoneIndexes = new WeakMap();
+export function zoneIndex(zones) {
+  if (!zoneIndexes.has(zones)) zoneIndexes.set(zones, new RTree(zones));
+  return zoneIndexes.get(zones);
+}
+
+// The first zone (in array order) containing a point, or null
+export function findZoneAt(pointLatLng, zones) {
+  return zoneIndex(zones).searchPoint(pointLatLng)
+    .filter(zone => isPointInZone(pointLatLng, zone))
+    .reduce((first, zone) => (!first || zones.indexOf(zone) < zones.indexOf(first) ? zone : first), null);
+}
+
+// Parameter t along a -> b where it crosses the edge p -> q, or null. Works in plain
+// lng/lat space, where both the route segment and the hull edge are straight lines.
+function crossingParameter(a, b, p, q) {
+  const rx = b[1] - a[1];
+  const ry = b[0] - a[0];
+  const sx = q[0] - p[0];
+  const sy = q[1] - p[1];
+  const denominator = rx * sy - ry * sx;
+  if (denominator === 0) return null;
+
+  const dx = p[0] - a[1];
+  const dy = p[1] - a[0];
+  const t = (dx * sy - dy * sx) / denominator;
+  const u = (dx * ry - dy * rx) / denominator;
+  return t > 0 && t < 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Metres of the segment a -> b that lie inside the zone polygon. The segment is split
+// wherever it crosses the hull and each piece is tested at its midpoint, so a straight
+// segment passing through a zone counts even when neither end point is inside.
+export function segmentLengthInZone(a, b, zone) {
+  const [minLat, minLng, maxLat, maxLng] = zone.bbox;
+  if ((a[0] < minLat && b[0] < minLat) || (a[0] > maxLat && b[0] > maxLat) ||
+    (a[1] < minLng && b[1] < minLng) || (a[1] > maxLng && b[1] > maxLng)) {
+    return 0;
+  }
+
+  const ring = zone.geometry.coordinates[0];
+  const cuts = [0, 1];
+  for (let i = 1; i < ring.length; i++) {
+    const t = crossingParameter(a, b, ring[i - 1], ring[i]);
+    if (t !== null) cuts.push(t);
+  }
+  cuts.sort((x, y) => x - y);
+
+  let length = 0;
+  for (let i = 1; i < cuts.length; i++) {
+    if (cuts[i] - cuts[i - 1] <= 0) continue;
+    const from = interpolate(a, b, cuts[i - 1]);
+    const to = interpolate(a, b, cuts[i]);
+    if (isPointInZone(interpolate(from, to, 0.5), zone)) {
+      length += haversineDistance(from, to);
+    }
+  }
+  return length;
+}
+
+// Metres of a route inside every zone it enters, as a Map of zone -> metres. Each
+// segment is only clipped against the zones whose bounding box it touches.
+export function routeZoneLengths(route, zones) {
+  const lengths = new Map();
+  if (zones.length === 0) return lengths;
+
+  const index = zoneIndex(zones);
+  for (let i = 1; i < route.length; i++) {
+    const a = route[i - 1];
+    const b = route[i];
+    const bbox = [Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+    for (const zone of index.search(bbox)) {
+      const length = segmentLengthInZone(a, b, zone);
+      if (length > 0) lengths.set(zone, (lengths.get(zone) || 0) + length);
+    }
+  }
+  return lengths;
+}
+
+// Metres of a route ([[lat, lng], ...]) inside the zone
+export function routeLengthInZone(route, zone) {
+  let length = 0;
+  for (let i = 1; i < route.length; i++) {
+    length += segmentLengthInZone(route[i - 1], route[i], zone);
+  }
+  return length;
+}
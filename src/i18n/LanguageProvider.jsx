@@ -0,0 +1,17 @@
+import { useState, useMemo, useEffect } from 'react';
+import { I18nContext, createI18n, detectLanguage, saveLanguage } from './i18n';
+
+// Provides the current language to the app (read it with useI18n) and remembers the
+// user's choice between visits
+export default function LanguageProvider({ children }) {
+  const [language, setLanguage] = useState(detectLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+    saveLanguage(language);
+  }, [language]);
+
+  const value = useMemo(() => ({ ...createI18n(language), setLanguage }), [language]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,109 @@
+import { createContext, useContext } from 'react';
+import en from './locales/en';
+import hi from './locales/hi';
+import mr from './locales/mr';
+import gu from './locales/gu';
+
+// Translation catalogues are nested objects of strings addressed by dotted keys
+// ('routeInfo.title'). `{name}` placeholders are filled from the params object.
+// Keys missing from a catalogue fall back to English, then to the key itself.
+
+export const LANGUAGES = {
+  hi: { code: 'hi', label: 'हिन्दी', locale: 'hi-IN', catalogue: hi },
+  en: { code: 'en', label: 'English', locale: 'en-IN', catalogue: en },
+  mr: { code: 'mr', label: 'मराठी', locale: 'mr-IN', catalogue: mr },
+  gu: { code: 'gu', label: 'ગુજરાતી', locale: 'gu-IN', catalogue: gu }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+const STORAGE_KEY = 'simhastha-language';
+
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalogue);
+}
+
+export function translate(language, key, params = {}) {
+  const template = lookup(LANGUAGES[language]?.catalogue, key) ?? lookup(en, key);
+  if (typeof template !== 'string') return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Locale-aware number, distance, duration and time formatting for a language
+export function createFormatter(language) {
+  const locale = LANGUAGES[language]?.locale || LANGUAGES[DEFAULT_LANGUAGE].locale;
+  const numberFormats = new Map();
+  const number = (value, maximumFractionDigits = 0, minimumFractionDigits = 0) => {
+    const formatKey = `${minimumFractionDigits}-${maximumFractionDigits}`;
+    if (!numberFormats.has(formatKey)) {
+      numberFormats.set(formatKey, new Intl.NumberFormat(locale, { minimumFractionDigits, maximumFractionDigits }));
+    }
+    return numberFormats.get(formatKey).format(value);
+  };
+  const unit = (value, unitName, maximumFractionDigits = 0, unitDisplay = 'short') =>
+    new Intl.NumberFormat(locale, { style: 'unit', unit: unitName, unitDisplay, maximumFractionDigits }).format(value);
+
+  return {
+    locale,
+    number,
+    fixed: (value, digits) => number(value, digits, digits),
+    // Metres below 1 km, kilometres with one decimal above
+    distance: (metres, unitDisplay) => (metres >= 1000
+      ? unit(metres / 1000, 'kilometer', 1, unitDisplay)
+      : unit(Math.round(metres), 'meter', 0, unitDisplay)),
+    minutes: (seconds, unitDisplay) => unit(Math.round(seconds / 60), 'minute', 0, unitDisplay),
+    percent: (value, digits = 1) => unit(value, 'percent', digits),
+    time: (timestamp) => new Date(timestamp).toLocaleTimeString(locale)
+  };
+}
+
+// Saved choice, else the first supported browser language, else English
+export function detectLanguage() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (LANGUAGES[saved]) return saved;
+  } catch {
+    // Storage unavailable (private mode); fall through to the browser languages
+  }
+  const browserLanguages = window.navigator.languages || [window.navigator.language];
+  const match = browserLanguages.map(tag => tag?.split('-')[0]).find(code => LANGUAGES[code]);
+  return match || DEFAULT_LANGUAGE;
+}
+
+export function saveLanguage(language) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // Not persisted; the choice still applies for this session
+  }
+}
+
+// Translate a { key, params } message kept in state, so it follows later language
+// changes. Params may be nested messages; numbers and Dates (as times of day) are
+// formatted for the locale.
+export function translateMessage(language, { key, params = {} }, format = createFormatter(language)) {
+  const resolved = Object.fromEntries(Object.entries(params).map(([name, value]) => {
+    if (typeof value === 'number') return [name, format.number(value)];
+    if (value instanceof Date) return [name, format.time(value)];
+    if (value && typeof value === 'object' && value.key) return [name, translateMessage(language, value, format)];
+    return [name, value];
+  }));
+  return translate(language, key, resolved);
+}
+
+export function createI18n(language) {
+  const format = createFormatter(language);
+  return {
+    language,
+    locale: LANGUAGES[language].locale,
+    t: (key, params) => translate(language, key, params),
+    tm: (message) => translateMessage(language, message, format),
+    format
+  };
+}
+
+export const I18nContext = createContext({ ...createI18n(DEFAULT_LANGUAGE), setLanguage: () => {} });
+
+// { language, locale, t, tm, format, setLanguage } for the current language
+export function useI18n() {
+  return useContext(I18nContext);
+}
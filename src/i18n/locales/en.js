@@ -0,0 +1,592 @@
+// English catalogue; the reference every other catalogue falls back to
+export default {
+  app: {
+    title: '🗺️ Simhastha 2028 Smart Pilgrim Route Planner',
+    language: 'Language'
+  },
+  errorBoundary: {
+    title: '🚨 Something went wrong',
+    message: 'The routing system encountered an error. Please try refreshing the page.',
+    refresh: '🔄 Refresh Page',
+    details: 'Error Details (Development)'
+  },
+  instructions: {
+    title: '🛣️ Dynamic Road Router',
+    setRoute: '📍 Set Route:',
+    setRouteHelp: 'Left-click to add stops (start, then each place to visit)',
+    addCrowd: '👥 Add Crowd:',
+    addCrowdHelp: 'Right-click to add people',
+    calculate: '🛣️ Calculate:',
+    calculateHelp: 'Multiple route options with crowd avoidance',
+    view: '📊 View:',
+    viewHelp: 'Best route selection & analysis'
+  },
+  profiles: {
+    walking: 'Walking',
+    wheelchair: 'Step-free',
+    emergency: 'Emergency',
+    shuttle: 'Shuttle'
+  },
+  routeTypes: {
+    direct: 'Direct Route',
+    avoidance: 'Avoidance Route',
+    alternative: 'Alternative Route',
+    'crowd-weighted': 'Crowd-weighted Route'
+  },
+  avoidance: {
+    summary: '{detours} detour(s), {iterations} tries: {reason}',
+    'exposure-threshold': 'crowd exposure below threshold',
+    'iteration-budget': 'iteration budget used up',
+    'detour-budget': 'further detours would be too long',
+    'no-avoidable-zones': 'remaining zones surround the start or end point',
+    'routing-failed': 'routing server failed during the search'
+  },
+  routeOptions: {
+    title: '🛣️ Route Options',
+    stats: 'Points: {points} | Crowd: {crowd} | In crowds: {exposure}',
+    restrictionsBroken: '⛔ Breaks: {names}',
+    score: 'Score {score}',
+    best: '⭐',
+    scoreHelp: 'Sum of the weighted costs below, lower is better',
+    breakdown: {
+      distance: '📏 {value} · {points}',
+      time: '⏱️ {value} · {points}',
+      exposure: '👥 {value} · {points}',
+      zones: '🔶 {value} · {points}'
+    }
+  },
+  controls: {
+    calculate: '🛣️ Calculate Routes',
+    calculating: '🔄 Finding Routes...',
+    calculatingProgress: '🔄 Finding Routes... {percent}',
+    cancelCalculation: '✕ Cancel',
+    clearAll: '🗑️ Clear All',
+    addTestCrowds: '🧪 Add Test Crowds',
+    load: '📂 Load',
+    loadTitle: 'Load a .csv or .geojson crowd scenario (or drop it on the map)',
+    exportGeoJSON: '⬇ GeoJSON',
+    exportGeoJSONTitle: 'Export current crowds as GeoJSON',
+    exportCSV: '⬇ CSV',
+    exportCSVTitle: 'Export current crowds as CSV',
+    connectFeed: '📡 Connect Live Feed',
+    disconnectFeed: '📴 Disconnect Live Feed',
+    saveMap: '🗺️ Save Map Offline',
+    saveMapTitle: 'Download the map of Ujjain (zoom {minZoom}–{maxZoom}) for use without network',
+    savingMap: '🗺️ Saving Map {done}/{total}'
+  },
+  places: {
+    title: '📍 Places',
+    show: 'Show on map',
+    searchPlaceholder: 'Search places, e.g. Ram Ghat or राम घाट',
+    noResults: 'No places match',
+    startHere: 'Start here',
+    addStop: 'Add as stop',
+    categories: {
+      ghat: 'Ghats',
+      temple: 'Temples',
+      akhara: 'Akharas',
+      medical: 'Medical',
+      police: 'Police',
+      toilet: 'Toilets',
+      water: 'Drinking water',
+      parking: 'Parking',
+      transport: 'Transport',
+      landmark: 'Landmarks'
+    }
+  },
+  itinerary: {
+    title: '🧭 Itinerary',
+    dragHint: 'Drag stops to change the visiting order',
+    start: 'start',
+    end: 'destination',
+    remove: 'Remove stop',
+    keepEnd: 'Keep the last stop as the destination',
+    optimise: '⚡ Optimise order',
+    optimiseTitle: 'Reorder the stops for the least distance and crowd exposure (the first stop stays first)',
+    clear: '🗑️ Clear stops'
+  },
+  navigation: {
+    title: '🧭 Navigation',
+    fromLocation: '🧭 Navigate from my location',
+    simulate: '🛰️ Simulate GPS track',
+    simulateTitle: 'Replay a .gpx or .geojson track instead of the device position',
+    sampleTrack: 'Sample',
+    speedup: 'Replay speed',
+    simulated: 'Simulated track "{name}" at {speedup}×',
+    deviceGps: 'Device location',
+    status: {
+      waiting: '⏳ Waiting for a position fix...',
+      tracking: '📍 Following your route',
+      ended: '🏁 Track ended',
+      stopped: '⏹ Stopped'
+    },
+    accuracy: 'Accuracy: ±{accuracy}',
+    remaining: '{distance} to go, about {time}',
+    offRouteBy: '⚠️ {distance} off the route',
+    noRoute: 'Add a destination to get a route from here',
+    reroutes: 'Rerouted {count} time(s)',
+    follow: 'Keep my position in view',
+    stop: '⏹ Stop navigation',
+    errors: {
+      unsupported: 'This browser cannot share its location',
+      denied: 'Location permission was denied',
+      unavailable: 'Your location is not available',
+      timeout: 'Still waiting for a location fix'
+    }
+  },
+  trackErrors: {
+    unsupportedFileType: 'unsupported file type (use .gpx or .geojson)',
+    invalidJson: 'invalid JSON: {error}',
+    tooFewPoints: 'the track needs at least 2 valid points'
+  },
+  assignment: {
+    title: '⚖️ Balance Routes',
+    hint: 'Spread many travellers over several routes so no single road becomes the new crowd',
+    loadDemand: '📂 Load Demand CSV',
+    sampleDemand: 'Sample',
+    demandSummary: '{name}: {pairs} origin–destination pairs, {travellers} travellers',
+    period: 'Travelling within',
+    balance: '⚖️ Balance Routes',
+    balancing: '⏳ Finding routes {done}/{total}',
+    totalTime: 'Total travel time: {balanced} person-hours (everyone on the fastest route: {greedy})',
+    saving: '{saving} less time in total',
+    converged: 'Balanced after {iterations} iterations (gap {gap})',
+    notConverged: 'Stopped after {iterations} iterations, not fully balanced (gap {gap})',
+    unrouted: '{count} pair(s) without a route were left out',
+    pair: '{from} → {to} · {travellers}',
+    showProjected: 'Show projected crowd on the map',
+    export: '⬇ Shares CSV',
+    exportTitle: 'Download the share of every route as CSV',
+    clear: '✕ Clear',
+    clearTitle: 'Remove the projected crowd from routing and the map'
+  },
+  restrictions: {
+    title: '🚧 Closures & One-way Routes',
+    hint: 'Organizers: draw closed areas, one-way corridors and restricted gates that every route must respect',
+    types: {
+      closure: 'Closure',
+      'one-way': 'One-way',
+      gate: 'Gate'
+    },
+    typeHelp: {
+      closure: 'Closed area no route may enter',
+      'one-way': 'Corridor that may only be walked in the drawn direction',
+      gate: 'Barricade or gate no route may cross'
+    },
+    drawHint: {
+      closure: 'Click the map around the closed area ({count} points, at least {min})',
+      'one-way': 'Click along the corridor in the walking direction ({count} points, at least {min})',
+      gate: 'Click both ends of the gate line ({count} points, at least {min})'
+    },
+    namePlaceholder: 'Name (optional)',
+    always: 'Always active',
+    exemptEmergency: '🚑 Emergency vehicles exempt',
+    undo: '↶ Undo',
+    save: '✓ Save',
+    cancel: '✕',
+    activeNow: '● Active now',
+    inactiveNow: '○ Not active now',
+    window: '{from}–{to}',
+    alwaysActive: 'all day',
+    remove: 'Remove',
+    import: '📂 Load',
+    importTitle: 'Load restrictions from a GeoJSON file (replaces the current ones)',
+    export: '⬇ GeoJSON',
+    exportTitle: 'Download the restrictions as GeoJSON'
+  },
+  scoring: {
+    title: '🎚️ Route Preferences',
+    hint: 'How much each criterion counts when picking the best route',
+    presets: {
+      balanced: 'Balanced',
+      elderly: 'Least crowd',
+      hurry: 'In a hurry'
+    },
+    presetHelp: {
+      balanced: 'Distance, time and crowds count the same',
+      elderly: 'For elderly pilgrims and families: stay out of crowds, even on a longer way',
+      hurry: 'Shortest walking time; crowds only count where they slow you down'
+    },
+    criteria: {
+      distance: '📏 Distance',
+      time: '⏱️ Walking time',
+      exposure: '👥 Crowd exposure',
+      zones: '🔶 Crowd zones crossed'
+    },
+    weight: '{weight}×',
+    custom: 'Custom weights'
+  },
+  evacuation: {
+    title: '🚨 Evacuation',
+    hint: 'The way out to the nearest assembly point or exit, away from the hazard and dense crowds',
+    start: '🚨 Start evacuation mode',
+    stop: '✕ Leave',
+    tools: {
+      origin: '📍 Way out',
+      hazard: '🔥 Hazard',
+      assembly: '🟢 + Assembly',
+      exit: '🚪 + Exit'
+    },
+    toolHelp: {
+      origin: 'Click the map to find the way out from there',
+      hazard: 'Click the map around the hazard ({count} points, at least 3)',
+      assembly: 'Click the map to add an assembly point',
+      exit: 'Click the map to add an exit'
+    },
+    types: {
+      assembly: 'Assembly point',
+      exit: 'Exit'
+    },
+    undo: '↶ Undo',
+    finishHazard: '✓ Set hazard',
+    clearHazard: '🧹 Clear hazard',
+    hazardArea: '🔥 Hazard area',
+    planning: '⏳ Planning the evacuation...',
+    summary: '{people} people out in {time}',
+    inHazard: '🔥 {people} people inside the hazard area',
+    unreachable: '⚠️ {people} people in {cells} cells reach no safe point',
+    assigned: '{people} people · cleared in {time}',
+    unused: 'Nobody sent here',
+    closedByHazard: '🔥 Inside the hazard area, not used',
+    overCapacity: '⚠️ More than its capacity of {capacity}',
+    capacity: 'Capacity',
+    width: 'Entrance (m)',
+    remove: 'Remove',
+    flow: '🚶 {people} people',
+    originRoute: '➜ {name}: {distance}, {time}',
+    noWayOut: '❌ No way out from here over the road network',
+    reset: '↺ Default points',
+    resetTitle: 'Replace the safe points with the default assembly points and exits'
+  },
+  alerts: {
+    title: '🔔 Crowd Alerts',
+    hint: 'Zones are rated by the density of their busiest cell (Fruin levels of service A–F)',
+    settings: 'Alert settings',
+    focus: 'Show the zone on the map',
+    severity: {
+      warning: '⚠️ Warning',
+      critical: '🛑 Critical'
+    },
+    level: 'Level {level}: {density} people/m²',
+    rising: 'Rising fast: +{rate} people/m² per minute, now {density}',
+    raised: '{time} · {people} people in the zone',
+    acknowledgedAt: 'acknowledged {time}',
+    acknowledge: 'Acknowledge',
+    acknowledgeAll: '✓ Acknowledge all ({count})',
+    none: '✅ No open alerts',
+    showHistory: '📜 History ({count})',
+    hideHistory: '📜 Hide history ({count})',
+    clearHistory: '🧹 Clear',
+    warningLevel: 'Warn from',
+    criticalLevel: 'Critical from',
+    levelOption: 'Level {level}',
+    riseRate: 'Rising fast (people/m² per min)',
+    sound: '🔊 Sound on new alerts',
+    legendUpTo: '{level} up to {density}/m²:',
+    legendAbove: '{level} above {density}/m²:',
+    levels: {
+      A: 'free walking',
+      B: 'minor conflicts',
+      C: 'speed restricted',
+      D: 'most people slowed down',
+      E: 'shuffling, at capacity',
+      F: 'crush risk'
+    }
+  },
+  simulation: {
+    title: '🧪 Pilgrim Simulation',
+    hint: 'Groups of pilgrims walk from arrival points to the ghats, on top of the current crowd. The map shows the simulated crowd until you end it.',
+    options: {
+      strategy: 'Routing',
+      agents: 'Groups',
+      peoplePerAgent: 'Pilgrims per group',
+      spawnMinutes: 'Arrivals over (min)',
+      seed: 'Seed'
+    },
+    strategies: {
+      direct: 'Direct',
+      crowdAware: 'Crowd-aware'
+    },
+    newSeed: 'New random seed',
+    pilgrims: '{pilgrims} pilgrims; the same seed gives the same run',
+    start: '▶ Start',
+    compare: '⚖️ Compare',
+    compareTitle: 'Run every routing strategy to the end on the same pilgrims',
+    play: '▶ Play',
+    pause: '⏸ Pause',
+    stop: '■ End simulation',
+    agents: '{waiting} waiting · {walking} walking · {arrived} arrived',
+    unrouted: '⚠️ {agents} groups found no route',
+    travelTime: 'Mean walk: {time}',
+    peakDensity: 'Busiest cell so far: {density}',
+    density: '{density}/m² ({level})',
+    finished: '✅ Everyone has arrived',
+    comparing: '⏳ Comparing strategies... {percent}',
+    cancel: '✕',
+    compareRows: {
+      meanTravelTime: 'Mean walk',
+      maxTravelTime: 'Longest walk',
+      delay: 'Crowd delay',
+      peakDensity: 'Busiest cell',
+      crowdedMinutes: 'Pilgrim-min at D+',
+      arrived: 'Groups arrived'
+    }
+  },
+  editing: {
+    title: '✏️ Crowd Editing',
+    hint: 'Correct crowd counts by hand. Crowd and route point changes can be undone with Ctrl+Z and redone with Ctrl+Y.',
+    undo: '↶ Undo',
+    redo: '↷ Redo',
+    undoTitle: 'Undo {action} (Ctrl+Z)',
+    redoTitle: 'Redo {action} (Ctrl+Y)',
+    nothingToUndo: 'Nothing to undo',
+    nothingToRedo: 'Nothing to redo',
+    start: '✏️ Edit crowds',
+    stop: '■ Stop editing',
+    unavailable: 'Not available while a simulation runs.',
+    tools: {
+      select: '👆 Select & drag',
+      box: '⬚ Box select'
+    },
+    toolHints: {
+      select: 'Click a crowd cell to change its count. Drag a cell to move its people; dragging a selected cell moves the whole selection.',
+      box: 'Drag a box over crowd cells to select them. Hold Shift to add to the selection.'
+    },
+    selected: '{cells} cells selected, {people} people',
+    noSelection: 'No cells selected',
+    eachCell: 'People in each cell',
+    count: 'People',
+    set: 'Set',
+    decrement: '−1',
+    decrementTitle: 'One person fewer in each cell',
+    increment: '+1',
+    incrementTitle: 'One more person in each cell',
+    delete: '🗑️ Delete',
+    clearSelection: 'Clear selection',
+    actions: {
+      addPerson: 'add person',
+      setCount: 'set count',
+      changeCount: 'change count',
+      deleteCells: 'delete cells',
+      moveCells: 'move crowd',
+      addStop: 'add stop',
+      setStart: 'set start',
+      moveStop: 'reorder stops',
+      removeStop: 'remove stop',
+      clearStops: 'clear stops',
+      optimiseStops: 'optimise stop order'
+    }
+  },
+  routeInfo: {
+    title: '📊 Dynamic Route Analysis',
+    routeType: 'Route Type:',
+    crowdIntersection: 'Crowd Intersection:',
+    routePoints: 'Route Points:',
+    distance: 'Road Distance:',
+    exposure: 'Crowd Exposure:',
+    exposureValue: '{distance} in crowds',
+    profile: 'Profile:',
+    time: 'Est. Time:',
+    efficiency: '🎯 Efficiency: {efficiency}',
+    download: 'Download this route as {format}',
+    share: '🔗 Share',
+    shareTitle: 'Copy a link that reopens this route',
+    legs: 'Legs:',
+    leg: '{from} → {to}',
+    legStats: '{distance} · {time} · {exposure} in crowds'
+  },
+  statusBar: {
+    start: '📍 Start: {point}',
+    end: '🎯 End: {point}',
+    notSet: 'Not set',
+    crowds: '👥 Crowds: {areas} areas, {zones} zones',
+    scenario: '📂 Scenario: {name}',
+    replaying: '🕒 Replaying {time}',
+    feed: '📡 Feed: {status}',
+    stops: '🧭 Stops: {count}',
+    navigating: '🧭 {status}',
+    navigatingRemaining: '🧭 {distance} to go',
+    offline: '📴 Offline',
+    offlineSince: '📴 Offline, crowds as of {time}',
+    evacuationMode: '🚨 Evacuation mode',
+    evacuation: '🚨 Evacuation: everyone out in {time}',
+    alerts: '🔔 {count} open alerts',
+    simulation: '🧪 Simulation: {time}, {walking} pilgrims walking',
+    editing: '✏️ Editing crowds, {cells} cells selected'
+  },
+  feedStatus: {
+    connecting: 'connecting',
+    connected: 'connected',
+    reconnecting: 'reconnecting',
+    disconnected: 'disconnected'
+  },
+  status: {
+    initialCrowdsLoaded: '✅ Static population data loaded',
+    noValidCells: '❌ No valid crowd cells in {file}',
+    scenarioLoaded: '📂 Loaded scenario "{name}" ({cells} cells)',
+    scenarioLoadedWithErrors: '📂 Loaded scenario "{name}" ({cells} cells, {skipped} rows skipped)',
+    scenarioExported: '💾 Exported {cells} cells as {format}',
+    calculating: '🔍 Calculating dynamic routes...',
+    calculationCancelled: '✋ Route calculation cancelled',
+    bestRouteSelected: '✅ Best route selected ({type}) with {points} points',
+    sharedRouteSelected: '✅ Shared route selected ({type}) with {points} points',
+    noRoutes: '❌ No routes found',
+    routeError: '❌ Error calculating route',
+    linkCopied: '🔗 Route link copied to clipboard',
+    shareLink: '🔗 Share this link: {link}',
+    routeExported: '💾 Exported {type} as {format}',
+    liveUpdate: '📡 Live update: {cells} cells',
+    liveUpdateFrom: '📡 Live update: {cells} cells from {source}',
+    startSet: '📍 Start point set',
+    endSet: '🎯 End point set',
+    routeSelected: '✅ Selected {type}',
+    profileSelected: '{icon} {profile} profile selected',
+    testCrowdsLoaded: '🧪 Loaded static test crowds',
+    stopAdded: '📍 Stop {number} added',
+    stopRemoved: '🗑️ Stop {number} removed',
+    stopsReordered: '↕️ Stops reordered',
+    stopsCleared: '🗑️ Stops cleared',
+    optimising: '🧮 Comparing routes between {stops} stops...',
+    orderOptimised: '⚡ Visiting order optimised: {order}',
+    orderAlreadyOptimal: '⚡ The current order is already the best',
+    placeStart: '🚩 Starting from {name}',
+    placeAdded: '📍 {name} added as stop {number}',
+    navigationStarted: '🧭 Navigating from your position',
+    navigationStopped: '⏹ Navigation stopped',
+    stopReached: '📍 Reached stop {number}',
+    positionError: '❌ {reason}',
+    trackLoaded: '🛰️ Replaying track "{name}" ({fixes} fixes)',
+    trackError: '❌ Could not read track {file}: {reason}',
+    offlineCrowdsRestored: '📴 Offline: showing the last known crowds from {time}',
+    mapSaved: '🗺️ Saved {count} map tiles for offline use',
+    mapSavedWithErrors: '🗺️ Saved {count} map tiles, {failed} could not be downloaded',
+    offlineUnavailable: '❌ Offline support is not active yet (production build, reload once after the first visit)',
+    noValidDemand: '❌ No valid origin–destination pairs in {file}',
+    demandLoaded: '⚖️ Loaded demand "{name}" ({pairs} pairs)',
+    demandLoadedWithErrors: '⚠️ Loaded demand "{name}" ({pairs} pairs, {skipped} rows skipped)',
+    balancing: '⚖️ Balancing {pairs} origin–destination pairs...',
+    balanced: '⚖️ Balanced {pairs} pairs: {saving}% less travel time than everyone on the fastest route',
+    assignmentCleared: '🧹 Projected crowd cleared',
+    sharesExported: '💾 Exported route shares for {pairs} pairs',
+    drawingStarted: '✏️ Drawing a {type}: click the map to add points',
+    restrictionAdded: '🚧 {type} saved ({points} points)',
+    restrictionRemoved: '🧹 Restriction removed',
+    restrictionsExported: '💾 Exported {count} restrictions',
+    noValidRestrictions: '❌ No valid restrictions in {file}',
+    restrictionsLoaded: '🚧 Loaded {count} restrictions',
+    restrictionsLoadedWithErrors: '⚠️ Loaded {count} restrictions ({skipped} features skipped)',
+    evacuationStarted: '🚨 Evacuation mode: click the map to find the way out',
+    evacuationStopped: '✅ Evacuation mode ended',
+    evacuationError: '❌ Could not plan the evacuation: the local road network is not available',
+    hazardSet: '🔥 Hazard area set ({points} points)',
+    hazardCleared: '🧹 Hazard area cleared',
+    safePointAdded: '🟢 {type} added',
+    safePointRemoved: '🧹 Safe point removed',
+    simulationStarted: '🧪 Simulating {pilgrims} pilgrims: press ▶ Play',
+    simulationStopped: '✅ Simulation ended, live crowds shown again',
+    strategiesCompared: '⚖️ Strategies compared for {pilgrims} pilgrims',
+    simulationError: '❌ The simulation failed',
+    crowdEditingStarted: '✏️ Crowd editing: click, drag or box-select crowd cells',
+    crowdEditingStopped: '✅ Crowd editing ended',
+    cellsSelected: '⬚ {cells} crowd cells selected',
+    crowdEdited: '✏️ Done: {action}, {cells} cells changed',
+    undone: '↶ Undone: {action}',
+    redone: '↷ Redone: {action}',
+    crowdEditError: '❌ The crowd could not be edited',
+    crowdUpdateError: '❌ The crowds could not be updated',
+    scenarioLoadError: '❌ Could not load {file}',
+    scenarioExportError: '❌ The crowds could not be exported'
+  },
+  notifications: {
+    rerouting: '⚠️ Crowds on your route grew to {exposure} — finding a new route',
+    offRoute: '🧭 You left the route — finding a new one from here',
+    zoneAhead: '⚠️ A new crowd of {people} people is ahead — finding a new route from here',
+    arrived: '🎯 You have arrived',
+    restrictionBroken: '⛔ No route keeps to every closure and one-way rule here ({count} broken) — follow the stewards\' directions'
+  },
+  scenarioErrors: {
+    title: '⚠️ {count} row(s) skipped',
+    row: 'Row {row}: {message}',
+    missingColumns: 'header is missing column(s): {columns}',
+    emptyFile: 'file is empty',
+    notFeatureCollection: 'not a GeoJSON FeatureCollection',
+    notPoint: 'feature is a {type}, expected Point',
+    missingGeometry: 'feature has no geometry, expected Point',
+    invalidLatitude: 'invalid latitude "{value}"',
+    invalidLongitude: 'invalid longitude "{value}"',
+    invalidCount: 'invalid count "{value}"',
+    invalidJson: 'invalid JSON: {error}',
+    unsupportedFileType: 'unsupported file type (use .csv or .geojson)',
+    unknownPlace: 'unknown place "{value}"',
+    invalidTravellers: 'invalid number of travellers "{value}"',
+    sameOriginDestination: 'origin and destination are the same place',
+    unsupportedDemandFileType: 'unsupported file type (use .csv)',
+    unknownRestrictionType: 'unknown restriction type "{type}"',
+    invalidRestrictionGeometry: 'invalid geometry, expected a {type}',
+    invalidTimeWindow: 'invalid time window "{value}"'
+  },
+  map: {
+    crowdZone: '🚧 Crowd Zone',
+    zonePeople: 'People: {people} in {cells} cells',
+    density: 'Density: {density} /m²',
+    peakDensity: 'Busiest cell: {density} /m² (level {level})',
+    cellDensity: 'Density: {density} /m² (level {level})',
+    weight: 'Weight: {weight}',
+    crowdArea: '👥 Crowd Area',
+    people: 'People: {people}',
+    startPoint: '📍 Start Point',
+    endPoint: '🎯 End Point',
+    stop: '📍 Stop {number}',
+    yourPosition: '📍 You are here (±{accuracy})',
+    projectedArea: '⚖️ Projected Crowd',
+    projectedPeople: 'Expected people: {people}',
+    assignedRoute: '{type}: {share} ({travellers} travellers)'
+  },
+  timeline: {
+    title: '🕒 Timeline',
+    live: 'Live',
+    play: '▶ Play',
+    pause: '⏸ Pause',
+    goLive: '⏺ Live'
+  },
+  directions: {
+    title: '🧭 Directions',
+    voiceTitle: 'Read the selected step aloud',
+    voiceUnsupported: 'Speech is not supported in this browser',
+    thenContinue: '{instruction}, then continue for {distance}',
+    depart: 'Head {direction}{on}{near}',
+    arrive: 'Arrive at your destination',
+    arriveNear: 'Arrive at your destination, near {landmark}',
+    arriveStop: 'Arrive at stop {stop}',
+    arriveStopNear: 'Arrive at stop {stop}, near {landmark}',
+    roundabout: 'At the roundabout{near}, take the {exit}{onto}',
+    roundaboutExit: 'exit {exit}',
+    roundaboutAnyExit: 'exit',
+    continue: 'Continue straight{on}{near}',
+    turn: 'Turn {modifier}{onto}{near}',
+    uturn: 'Make a U-turn{near}{on}',
+    onto: ' onto {name}',
+    on: ' on {name}',
+    near: ' near {landmark}',
+    modifiers: {
+      'sharp left': 'sharp left',
+      left: 'left',
+      'slight left': 'slight left',
+      straight: 'straight',
+      'slight right': 'slight right',
+      right: 'right',
+      'sharp right': 'sharp right',
+      uturn: 'around'
+    },
+    compass: {
+      north: 'north',
+      northeast: 'northeast',
+      east: 'east',
+      southeast: 'southeast',
+      south: 'south',
+      southwest: 'southwest',
+      west: 'west',
+      northwest: 'northwest'
+    }
+  }
+};
@@ -0,0 +1,592 @@
+// Gujarati catalogue (ગુજરાતી)
+export default {
+  app: {
+    title: '🗺️ સિંહસ્થ 2028 સ્માર્ટ યાત્રાળુ માર્ગ આયોજક',
+    language: 'ભાષા'
+  },
+  errorBoundary: {
+    title: '🚨 કંઈક ખોટું થયું',
+    message: 'માર્ગ પ્રણાલીમાં ભૂલ આવી. કૃપા કરીને પેજ રિફ્રેશ કરો.',
+    refresh: '🔄 પેજ રિફ્રેશ કરો',
+    details: 'ભૂલની વિગતો (ડેવલપમેન્ટ)'
+  },
+  instructions: {
+    title: '🛣️ ડાયનેમિક માર્ગ રાઉટર',
+    setRoute: '📍 માર્ગ નક્કી કરો:',
+    setRouteHelp: 'રોકાણ ઉમેરવા ડાબું ક્લિક કરો (પહેલા શરૂઆત, પછી દરેક મુલાકાતનું સ્થળ)',
+    addCrowd: '👥 ભીડ ઉમેરો:',
+    addCrowdHelp: 'લોકો ઉમેરવા જમણું ક્લિક કરો',
+    calculate: '🛣️ ગણતરી:',
+    calculateHelp: 'ભીડ ટાળતા અનેક માર્ગ વિકલ્પો',
+    view: '📊 જુઓ:',
+    viewHelp: 'શ્રેષ્ઠ માર્ગની પસંદગી અને વિશ્લેષણ'
+  },
+  profiles: {
+    walking: 'ચાલીને',
+    wheelchair: 'પગથિયાં-રહિત',
+    emergency: 'કટોકટી',
+    shuttle: 'શટલ'
+  },
+  routeTypes: {
+    direct: 'સીધો માર્ગ',
+    avoidance: 'ભીડ ટાળતો માર્ગ',
+    alternative: 'વૈકલ્પિક માર્ગ',
+    'crowd-weighted': 'ભીડ-ભારિત માર્ગ'
+  },
+  avoidance: {
+    summary: '{detours} ફેરા, {iterations} પ્રયાસ: {reason}',
+    'exposure-threshold': 'ભીડનો સંપર્ક મર્યાદાથી ઓછો',
+    'iteration-budget': 'પ્રયાસોની મર્યાદા પૂરી થઈ',
+    'detour-budget': 'વધુ ફેરા ખૂબ લાંબા થશે',
+    'no-avoidable-zones': 'બાકી ભીડ વિસ્તારો શરૂઆત અથવા ગંતવ્યને ઘેરે છે',
+    'routing-failed': 'શોધ દરમિયાન રાઉટિંગ સર્વર નિષ્ફળ ગયું'
+  },
+  routeOptions: {
+    title: '🛣️ માર્ગ વિકલ્પો',
+    stats: 'બિંદુઓ: {points} | ભીડ: {crowd} | ભીડમાં: {exposure}',
+    restrictionsBroken: '⛔ ઉલ્લંઘન: {names}',
+    score: 'સ્કોર {score}',
+    best: '⭐',
+    scoreHelp: 'નીચેના ભારિત ખર્ચનો સરવાળો, ઓછું એટલું સારું',
+    breakdown: {
+      distance: '📏 {value} · {points}',
+      time: '⏱️ {value} · {points}',
+      exposure: '👥 {value} · {points}',
+      zones: '🔶 {value} · {points}'
+    }
+  },
+  controls: {
+    calculate: '🛣️ માર્ગ શોધો',
+    calculating: '🔄 માર્ગ શોધી રહ્યા છીએ...',
+    calculatingProgress: '🔄 માર્ગ શોધી રહ્યા છીએ... {percent}',
+    cancelCalculation: '✕ રદ કરો',
+    clearAll: '🗑️ બધું સાફ કરો',
+    addTestCrowds: '🧪 પરીક્ષણ ભીડ ઉમેરો',
+    load: '📂 લોડ',
+    loadTitle: '.csv અથવા .geojson ભીડ દૃશ્ય લોડ કરો (અથવા નકશા પર મૂકો)',
+    exportGeoJSON: '⬇ GeoJSON',
+    exportGeoJSONTitle: 'હાલની ભીડ GeoJSON માં નિકાસ કરો',
+    exportCSV: '⬇ CSV',
+    exportCSVTitle: 'હાલની ભીડ CSV માં નિકાસ કરો',
+    connectFeed: '📡 લાઇવ ફીડ જોડો',
+    disconnectFeed: '📴 લાઇવ ફીડ બંધ કરો',
+    saveMap: '🗺️ નકશો ઑફલાઇન સાચવો',
+    saveMapTitle: 'નેટવર્ક વગર ઉપયોગ માટે ઉજ્જૈનનો નકશો (ઝૂમ {minZoom}–{maxZoom}) ડાઉનલોડ કરો',
+    savingMap: '🗺️ નકશો સચવાઈ રહ્યો છે {done}/{total}'
+  },
+  places: {
+    title: '📍 સ્થળો',
+    show: 'નકશા પર બતાવો',
+    searchPlaceholder: 'સ્થળો શોધો, દા.ત. રામ ઘાટ અથવા Ram Ghat',
+    noResults: 'કોઈ સ્થળ મળ્યું નથી',
+    startHere: 'અહીંથી શરૂ કરો',
+    addStop: 'રોકાણ તરીકે ઉમેરો',
+    categories: {
+      ghat: 'ઘાટ',
+      temple: 'મંદિરો',
+      akhara: 'અખાડા',
+      medical: 'તબીબી',
+      police: 'પોલીસ',
+      toilet: 'શૌચાલય',
+      water: 'પીવાનું પાણી',
+      parking: 'પાર્કિંગ',
+      transport: 'પરિવહન',
+      landmark: 'મુખ્ય સ્થળો'
+    }
+  },
+  itinerary: {
+    title: '🧭 યાત્રા યોજના',
+    dragHint: 'ક્રમ બદલવા રોકાણ ખેંચો',
+    start: 'શરૂઆત',
+    end: 'ગંતવ્ય',
+    remove: 'રોકાણ દૂર કરો',
+    keepEnd: 'છેલ્લા રોકાણને ગંતવ્ય રાખો',
+    optimise: '⚡ ક્રમ શ્રેષ્ઠ બનાવો',
+    optimiseTitle: 'ઓછામાં ઓછા અંતર અને ભીડ માટે રોકાણોનો ક્રમ બદલો (પહેલું રોકાણ પહેલું જ રહેશે)',
+    clear: '🗑️ રોકાણ સાફ કરો'
+  },
+  navigation: {
+    title: '🧭 નેવિગેશન',
+    fromLocation: '🧭 મારા સ્થાનથી નેવિગેટ કરો',
+    simulate: '🛰️ GPS ટ્રૅક સિમ્યુલેટ કરો',
+    simulateTitle: 'ડિવાઇસના સ્થાનને બદલે .gpx અથવા .geojson ટ્રૅક ચલાવો',
+    sampleTrack: 'નમૂનો',
+    speedup: 'રીપ્લે ઝડપ',
+    simulated: 'સિમ્યુલેટેડ ટ્રૅક "{name}", {speedup}× ઝડપે',
+    deviceGps: 'ડિવાઇસનું સ્થાન',
+    status: {
+      waiting: '⏳ સ્થાનની રાહ...',
+      tracking: '📍 તમારા માર્ગને અનુસરી રહ્યા છીએ',
+      ended: '🏁 ટ્રૅક પૂરો',
+      stopped: '⏹ બંધ'
+    },
+    accuracy: 'ચોકસાઈ: ±{accuracy}',
+    remaining: '{distance} બાકી, લગભગ {time}',
+    offRouteBy: '⚠️ માર્ગથી {distance} દૂર',
+    noRoute: 'અહીંથી માર્ગ મેળવવા ગંતવ્ય ઉમેરો',
+    reroutes: '{count} વખત માર્ગ બદલાયો',
+    follow: 'મારું સ્થાન દૃશ્યમાં રાખો',
+    stop: '⏹ નેવિગેશન બંધ કરો',
+    errors: {
+      unsupported: 'આ બ્રાઉઝર સ્થાન શેર કરી શકતું નથી',
+      denied: 'સ્થાનની પરવાનગી નકારી',
+      unavailable: 'તમારું સ્થાન ઉપલબ્ધ નથી',
+      timeout: 'હજી સ્થાનની રાહ જોવાઈ રહી છે'
+    }
+  },
+  trackErrors: {
+    unsupportedFileType: 'અસમર્થિત ફાઇલ પ્રકાર (.gpx અથવા .geojson વાપરો)',
+    invalidJson: 'અમાન્ય JSON: {error}',
+    tooFewPoints: 'ટ્રૅકમાં ઓછામાં ઓછા 2 માન્ય બિંદુ જોઈએ'
+  },
+  assignment: {
+    title: '⚖️ માર્ગ સંતુલન',
+    hint: 'ઘણા પ્રવાસીઓને જુદા જુદા માર્ગો પર વહેંચો જેથી કોઈ એક રસ્તો નવી ભીડ ન બને',
+    loadDemand: '📂 માંગ CSV લોડ કરો',
+    sampleDemand: 'નમૂનો',
+    demandSummary: '{name}: {pairs} શરૂઆત–ગંતવ્ય જોડી, {travellers} પ્રવાસીઓ',
+    period: 'મુસાફરીનો સમયગાળો',
+    balance: '⚖️ માર્ગ સંતુલિત કરો',
+    balancing: '⏳ માર્ગ શોધી રહ્યા છીએ {done}/{total}',
+    totalTime: 'કુલ મુસાફરી સમય: {balanced} વ્યક્તિ-કલાક (બધા સૌથી ઝડપી માર્ગ પર: {greedy})',
+    saving: 'કુલ {saving} ઓછો સમય',
+    converged: '{iterations} પુનરાવર્તન પછી સંતુલિત (તફાવત {gap})',
+    notConverged: '{iterations} પુનરાવર્તન પછી અટક્યું, સંપૂર્ણ સંતુલિત નથી (તફાવત {gap})',
+    unrouted: 'માર્ગ વગરની {count} જોડી છોડી દેવાઈ',
+    pair: '{from} → {to} · {travellers}',
+    showProjected: 'અંદાજિત ભીડ નકશા પર બતાવો',
+    export: '⬇ હિસ્સો CSV',
+    exportTitle: 'દરેક માર્ગનો હિસ્સો CSV તરીકે ડાઉનલોડ કરો',
+    clear: '✕ દૂર કરો',
+    clearTitle: 'અંદાજિત ભીડને માર્ગ ગણતરી અને નકશામાંથી દૂર કરો'
+  },
+  restrictions: {
+    title: '🚧 બંધ વિસ્તારો અને એકમાર્ગી રસ્તા',
+    hint: 'આયોજકો: બંધ વિસ્તારો, એકમાર્ગી કોરિડોર અને પ્રતિબંધિત દરવાજા દોરો જેનું દરેક માર્ગ પાલન કરે',
+    types: {
+      closure: 'બંધ વિસ્તાર',
+      'one-way': 'એકમાર્ગી',
+      gate: 'દરવાજો'
+    },
+    typeHelp: {
+      closure: 'બંધ વિસ્તાર જેમાં કોઈ માર્ગ પ્રવેશી શકતો નથી',
+      'one-way': 'કોરિડોર જેમાં ફક્ત દોરેલી દિશામાં ચાલી શકાય',
+      gate: 'બેરિકેડ અથવા દરવાજો જે કોઈ માર્ગ પાર કરી શકતો નથી'
+    },
+    drawHint: {
+      closure: 'બંધ વિસ્તારની આસપાસ નકશા પર ક્લિક કરો ({count} બિંદુ, ઓછામાં ઓછા {min})',
+      'one-way': 'ચાલવાની દિશામાં કોરિડોર પર ક્લિક કરો ({count} બિંદુ, ઓછામાં ઓછા {min})',
+      gate: 'દરવાજાની રેખાના બંને છેડે ક્લિક કરો ({count} બિંદુ, ઓછામાં ઓછા {min})'
+    },
+    namePlaceholder: 'નામ (વૈકલ્પિક)',
+    always: 'હંમેશા સક્રિય',
+    exemptEmergency: '🚑 કટોકટી વાહનોને છૂટ',
+    undo: '↶ પૂર્વવત્',
+    save: '✓ સાચવો',
+    cancel: '✕',
+    activeNow: '● હાલ સક્રિય',
+    inactiveNow: '○ હાલ સક્રિય નથી',
+    window: '{from}–{to}',
+    alwaysActive: 'આખો દિવસ',
+    remove: 'દૂર કરો',
+    import: '📂 લોડ કરો',
+    importTitle: 'GeoJSON ફાઇલમાંથી પ્રતિબંધો લોડ કરો (હાલના પ્રતિબંધોને બદલે)',
+    export: '⬇ GeoJSON',
+    exportTitle: 'પ્રતિબંધો GeoJSON તરીકે ડાઉનલોડ કરો'
+  },
+  scoring: {
+    title: '🎚️ માર્ગ પસંદગીઓ',
+    hint: 'શ્રેષ્ઠ માર્ગ પસંદ કરતી વખતે દરેક માપદંડનું કેટલું મહત્વ',
+    presets: {
+      balanced: 'સંતુલિત',
+      elderly: 'ઓછામાં ઓછી ભીડ',
+      hurry: 'ઉતાવળમાં'
+    },
+    presetHelp: {
+      balanced: 'અંતર, સમય અને ભીડનું સરખું મહત્વ',
+      elderly: 'વૃદ્ધ યાત્રાળુઓ અને પરિવારો માટે: લાંબા રસ્તે પણ ભીડથી દૂર રહો',
+      hurry: 'સૌથી ઓછો ચાલવાનો સમય; ભીડ ત્યાં જ ગણાય જ્યાં તે તમને ધીમા પાડે'
+    },
+    criteria: {
+      distance: '📏 અંતર',
+      time: '⏱️ ચાલવાનો સમય',
+      exposure: '👥 ભીડમાં અંતર',
+      zones: '🔶 પસાર કરેલા ભીડ વિસ્તારો'
+    },
+    weight: '{weight}×',
+    custom: 'પોતાના ભાર'
+  },
+  evacuation: {
+    title: '🚨 સ્થળાંતર',
+    hint: 'જોખમ અને ગીચ ભીડથી બચીને નજીકના એકત્રીકરણ સ્થળ અથવા બહાર નીકળવાના માર્ગ સુધીનો રસ્તો',
+    start: '🚨 સ્થળાંતર મોડ શરૂ કરો',
+    stop: '✕ બહાર નીકળો',
+    tools: {
+      origin: '📍 બહારનો માર્ગ',
+      hazard: '🔥 જોખમ',
+      assembly: '🟢 + એકત્રીકરણ',
+      exit: '🚪 + નિર્ગમન'
+    },
+    toolHelp: {
+      origin: 'ત્યાંથી બહારનો માર્ગ શોધવા નકશા પર ક્લિક કરો',
+      hazard: 'જોખમની આસપાસ નકશા પર ક્લિક કરો ({count} બિંદુ, ઓછામાં ઓછા 3)',
+      assembly: 'એકત્રીકરણ સ્થળ ઉમેરવા નકશા પર ક્લિક કરો',
+      exit: 'નિર્ગમન ઉમેરવા નકશા પર ક્લિક કરો'
+    },
+    types: {
+      assembly: 'એકત્રીકરણ સ્થળ',
+      exit: 'નિર્ગમન'
+    },
+    undo: '↶ પૂર્વવત્',
+    finishHazard: '✓ જોખમ નક્કી કરો',
+    clearHazard: '🧹 જોખમ દૂર કરો',
+    hazardArea: '🔥 જોખમી વિસ્તાર',
+    planning: '⏳ સ્થળાંતરનું આયોજન થઈ રહ્યું છે...',
+    summary: '{people} લોકો {time}માં બહાર',
+    inHazard: '🔥 જોખમી વિસ્તારમાં {people} લોકો',
+    unreachable: '⚠️ {cells} સેલના {people} લોકો કોઈ સલામત સ્થળે પહોંચતા નથી',
+    assigned: '{people} લોકો · {time}માં ખાલી',
+    unused: 'અહીં કોઈને મોકલ્યા નથી',
+    closedByHazard: '🔥 જોખમી વિસ્તારમાં, ઉપયોગમાં નથી',
+    overCapacity: '⚠️ ક્ષમતા {capacity} કરતાં વધુ',
+    capacity: 'ક્ષમતા',
+    width: 'પ્રવેશ (મી)',
+    remove: 'દૂર કરો',
+    flow: '🚶 {people} લોકો',
+    originRoute: '➜ {name}: {distance}, {time}',
+    noWayOut: '❌ અહીંથી રસ્તા નેટવર્ક પર બહાર જવાનો માર્ગ નથી',
+    reset: '↺ ડિફૉલ્ટ સ્થળો',
+    resetTitle: 'સલામત સ્થળોને ડિફૉલ્ટ એકત્રીકરણ સ્થળો અને નિર્ગમનથી બદલો'
+  },
+  alerts: {
+    title: '🔔 ભીડ ચેતવણીઓ',
+    hint: 'વિસ્તારોને તેમના સૌથી ભીડવાળા સેલની ઘનતાથી આંકવામાં આવે છે (ફ્રુઇન સેવા સ્તર A–F)',
+    settings: 'ચેતવણી સેટિંગ્સ',
+    focus: 'વિસ્તાર નકશા પર બતાવો',
+    severity: {
+      warning: '⚠️ ચેતવણી',
+      critical: '🛑 ગંભીર'
+    },
+    level: 'સ્તર {level}: {density} લોકો/મી²',
+    rising: 'ઝડપથી વધી રહી છે: +{rate} લોકો/મી² પ્રતિ મિનિટ, હવે {density}',
+    raised: '{time} · વિસ્તારમાં {people} લોકો',
+    acknowledgedAt: '{time} એ સ્વીકાર્યું',
+    acknowledge: 'સ્વીકારો',
+    acknowledgeAll: '✓ બધી સ્વીકારો ({count})',
+    none: '✅ કોઈ ખુલ્લી ચેતવણી નથી',
+    showHistory: '📜 ઇતિહાસ ({count})',
+    hideHistory: '📜 ઇતિહાસ છુપાવો ({count})',
+    clearHistory: '🧹 સાફ કરો',
+    warningLevel: 'ચેતવણી આ સ્તરથી',
+    criticalLevel: 'ગંભીર આ સ્તરથી',
+    levelOption: 'સ્તર {level}',
+    riseRate: 'ઝડપી વધારો (લોકો/મી² પ્રતિ મિનિટ)',
+    sound: '🔊 નવી ચેતવણી પર અવાજ',
+    legendUpTo: '{level} {density}/મી² સુધી:',
+    legendAbove: '{level} {density}/મી² થી વધુ:',
+    levels: {
+      A: 'મુક્ત ચાલવું',
+      B: 'નાની અથડામણ',
+      C: 'ગતિ મર્યાદિત',
+      D: 'મોટા ભાગના લોકો ધીમા',
+      E: 'પગ ઘસડીને ચાલવું, ક્ષમતા પર',
+      F: 'ભીડમાં કચડાવાનું જોખમ'
+    }
+  },
+  simulation: {
+    title: '🧪 યાત્રાળુ સિમ્યુલેશન',
+    hint: 'યાત્રાળુઓના જૂથો આગમન સ્થળોથી ઘાટો સુધી હાલની ભીડ ઉપર ચાલે છે. તમે સમાપ્ત કરો ત્યાં સુધી નકશો સિમ્યુલેટેડ ભીડ બતાવે છે.',
+    options: {
+      strategy: 'રૂટિંગ',
+      agents: 'જૂથો',
+      peoplePerAgent: 'જૂથ દીઠ યાત્રાળુ',
+      spawnMinutes: 'આગમન સમયગાળો (મિનિટ)',
+      seed: 'સીડ'
+    },
+    strategies: {
+      direct: 'સીધો',
+      crowdAware: 'ભીડ-સજાગ'
+    },
+    newSeed: 'નવો રેન્ડમ સીડ',
+    pilgrims: '{pilgrims} યાત્રાળુ; એ જ સીડથી એ જ સિમ્યુલેશન',
+    start: '▶ શરૂ કરો',
+    compare: '⚖️ સરખામણી કરો',
+    compareTitle: 'દરેક રૂટિંગ વ્યૂહરચના એ જ યાત્રાળુઓ પર અંત સુધી ચલાવો',
+    play: '▶ ચલાવો',
+    pause: '⏸ થોભો',
+    stop: '■ સિમ્યુલેશન સમાપ્ત કરો',
+    agents: '{waiting} રાહ જુએ છે · {walking} ચાલે છે · {arrived} પહોંચ્યા',
+    unrouted: '⚠️ {agents} જૂથોને કોઈ માર્ગ મળ્યો નહીં',
+    travelTime: 'સરેરાશ ચાલ: {time}',
+    peakDensity: 'અત્યાર સુધીનો સૌથી ભીડવાળો સેલ: {density}',
+    density: '{density}/મી² ({level})',
+    finished: '✅ બધા પહોંચી ગયા',
+    comparing: '⏳ વ્યૂહરચનાઓની સરખામણી... {percent}',
+    cancel: '✕',
+    compareRows: {
+      meanTravelTime: 'સરેરાશ ચાલ',
+      maxTravelTime: 'સૌથી લાંબી ચાલ',
+      delay: 'ભીડથી વિલંબ',
+      peakDensity: 'સૌથી ભીડવાળો સેલ',
+      crowdedMinutes: 'D+ પર યાત્રાળુ-મિનિટ',
+      arrived: 'પહોંચેલા જૂથો'
+    }
+  },
+  editing: {
+    title: '✏️ ભીડ સંપાદન',
+    hint: 'ભીડની ગણતરી હાથથી સુધારો. ભીડ અને માર્ગ બિંદુઓના ફેરફારો Ctrl+Z થી પૂર્વવત્ અને Ctrl+Y થી ફરી કરી શકાય છે.',
+    undo: '↶ પૂર્વવત્ કરો',
+    redo: '↷ ફરી કરો',
+    undoTitle: '{action} પૂર્વવત્ કરો (Ctrl+Z)',
+    redoTitle: '{action} ફરી કરો (Ctrl+Y)',
+    nothingToUndo: 'પૂર્વવત્ કરવા માટે કંઈ નથી',
+    nothingToRedo: 'ફરી કરવા માટે કંઈ નથી',
+    start: '✏️ ભીડ સંપાદિત કરો',
+    stop: '■ સંપાદન બંધ કરો',
+    unavailable: 'સિમ્યુલેશન ચાલે ત્યારે ઉપલબ્ધ નથી.',
+    tools: {
+      select: '👆 પસંદ કરો અને ખેંચો',
+      box: '⬚ બોક્સ પસંદગી'
+    },
+    toolHints: {
+      select: 'ગણતરી બદલવા ભીડ સેલ પર ક્લિક કરો. લોકોને ખસેડવા સેલ ખેંચો; પસંદ કરેલો સેલ ખેંચવાથી આખી પસંદગી ખસે છે.',
+      box: 'ભીડ સેલ પસંદ કરવા તેમના પર બોક્સ ખેંચો. પસંદગીમાં ઉમેરવા Shift દબાવી રાખો.'
+    },
+    selected: '{cells} સેલ પસંદ કર્યા, {people} લોકો',
+    noSelection: 'કોઈ સેલ પસંદ કર્યો નથી',
+    eachCell: 'દરેક સેલમાં લોકો',
+    count: 'લોકો',
+    set: 'સેટ કરો',
+    decrement: '−1',
+    decrementTitle: 'દરેક સેલમાં એક વ્યક્તિ ઓછી',
+    increment: '+1',
+    incrementTitle: 'દરેક સેલમાં એક વ્યક્તિ વધુ',
+    delete: '🗑️ કાઢી નાખો',
+    clearSelection: 'પસંદગી સાફ કરો',
+    actions: {
+      addPerson: 'વ્યક્તિ ઉમેરવી',
+      setCount: 'ગણતરી સેટ કરવી',
+      changeCount: 'ગણતરી બદલવી',
+      deleteCells: 'સેલ કાઢવા',
+      moveCells: 'ભીડ ખસેડવી',
+      addStop: 'સ્ટોપ ઉમેરવો',
+      setStart: 'શરૂઆત સેટ કરવી',
+      moveStop: 'સ્ટોપનો ક્રમ બદલવો',
+      removeStop: 'સ્ટોપ કાઢવો',
+      clearStops: 'સ્ટોપ સાફ કરવા',
+      optimiseStops: 'સ્ટોપ ક્રમ શ્રેષ્ઠ બનાવવો'
+    }
+  },
+  routeInfo: {
+    title: '📊 માર્ગ વિશ્લેષણ',
+    routeType: 'માર્ગ પ્રકાર:',
+    crowdIntersection: 'ભીડ છેદન:',
+    routePoints: 'માર્ગ બિંદુઓ:',
+    distance: 'રસ્તાનું અંતર:',
+    exposure: 'ભીડ સંપર્ક:',
+    exposureValue: 'ભીડમાં {distance}',
+    profile: 'પ્રોફાઇલ:',
+    time: 'અંદાજિત સમય:',
+    efficiency: '🎯 કાર્યક્ષમતા: {efficiency}',
+    download: 'આ માર્ગ {format} માં ડાઉનલોડ કરો',
+    share: '🔗 શેર કરો',
+    shareTitle: 'આ માર્ગ ફરી ખોલતી લિંક કૉપિ કરો',
+    legs: 'તબક્કા:',
+    leg: '{from} → {to}',
+    legStats: '{distance} · {time} · ભીડમાં {exposure}'
+  },
+  statusBar: {
+    start: '📍 શરૂઆત: {point}',
+    end: '🎯 ગંતવ્ય: {point}',
+    notSet: 'નક્કી નથી',
+    crowds: '👥 ભીડ: {areas} વિસ્તારો, {zones} ઝોન',
+    scenario: '📂 દૃશ્ય: {name}',
+    replaying: '🕒 {time} નું દૃશ્ય',
+    feed: '📡 ફીડ: {status}',
+    stops: '🧭 રોકાણ: {count}',
+    navigating: '🧭 {status}',
+    navigatingRemaining: '🧭 {distance} બાકી',
+    offline: '📴 ઑફલાઇન',
+    offlineSince: '📴 ઑફલાઇન, ભીડ {time} સુધીની',
+    evacuationMode: '🚨 સ્થળાંતર મોડ',
+    evacuation: '🚨 સ્થળાંતર: બધા {time}માં બહાર',
+    alerts: '🔔 {count} ખુલ્લી ચેતવણીઓ',
+    simulation: '🧪 સિમ્યુલેશન: {time}, {walking} યાત્રાળુ ચાલે છે',
+    editing: '✏️ ભીડ સંપાદન, {cells} સેલ પસંદ કર્યા'
+  },
+  feedStatus: {
+    connecting: 'જોડાઈ રહ્યું છે',
+    connected: 'જોડાયેલ',
+    reconnecting: 'ફરી જોડાઈ રહ્યું છે',
+    disconnected: 'ડિસ્કનેક્ટ'
+  },
+  status: {
+    initialCrowdsLoaded: '✅ પ્રારંભિક ભીડ ડેટા લોડ થયો',
+    noValidCells: '❌ {file} માં કોઈ માન્ય ભીડ સેલ નથી',
+    scenarioLoaded: '📂 દૃશ્ય "{name}" લોડ થયું ({cells} સેલ)',
+    scenarioLoadedWithErrors: '📂 દૃશ્ય "{name}" લોડ થયું ({cells} સેલ, {skipped} પંક્તિઓ છોડી)',
+    scenarioExported: '💾 {cells} સેલ {format} માં નિકાસ કર્યા',
+    calculating: '🔍 માર્ગોની ગણતરી ચાલુ છે...',
+    calculationCancelled: '✋ માર્ગની ગણતરી રદ કરી',
+    bestRouteSelected: '✅ શ્રેષ્ઠ માર્ગ પસંદ થયો ({type}), {points} બિંદુઓ',
+    sharedRouteSelected: '✅ શેર કરેલો માર્ગ પસંદ થયો ({type}), {points} બિંદુઓ',
+    noRoutes: '❌ કોઈ માર્ગ મળ્યો નથી',
+    routeError: '❌ માર્ગની ગણતરીમાં ભૂલ',
+    linkCopied: '🔗 માર્ગ લિંક ક્લિપબોર્ડ પર કૉપિ થઈ',
+    shareLink: '🔗 આ લિંક શેર કરો: {link}',
+    routeExported: '💾 {type} {format} માં નિકાસ થયો',
+    liveUpdate: '📡 લાઇવ અપડેટ: {cells} સેલ',
+    liveUpdateFrom: '📡 લાઇવ અપડેટ: {source} તરફથી {cells} સેલ',
+    startSet: '📍 શરૂઆતનું બિંદુ નક્કી થયું',
+    endSet: '🎯 ગંતવ્ય બિંદુ નક્કી થયું',
+    routeSelected: '✅ {type} પસંદ થયો',
+    profileSelected: '{icon} {profile} પ્રોફાઇલ પસંદ થઈ',
+    testCrowdsLoaded: '🧪 પરીક્ષણ ભીડ લોડ થઈ',
+    stopAdded: '📍 રોકાણ {number} ઉમેર્યું',
+    stopRemoved: '🗑️ રોકાણ {number} દૂર કર્યું',
+    stopsReordered: '↕️ રોકાણોનો ક્રમ બદલ્યો',
+    stopsCleared: '🗑️ રોકાણ સાફ કર્યા',
+    optimising: '🧮 {stops} રોકાણો વચ્ચેના માર્ગોની સરખામણી ચાલુ છે...',
+    orderOptimised: '⚡ મુલાકાતનો ક્રમ શ્રેષ્ઠ બનાવ્યો: {order}',
+    orderAlreadyOptimal: '⚡ હાલનો ક્રમ પહેલેથી શ્રેષ્ઠ છે',
+    placeStart: '🚩 {name} થી શરૂઆત',
+    placeAdded: '📍 {name} રોકાણ {number} તરીકે ઉમેર્યું',
+    navigationStarted: '🧭 તમારા સ્થાનથી નેવિગેશન શરૂ',
+    navigationStopped: '⏹ નેવિગેશન બંધ',
+    stopReached: '📍 રોકાણ {number} પર પહોંચ્યા',
+    positionError: '❌ {reason}',
+    trackLoaded: '🛰️ ટ્રૅક "{name}" ચાલી રહ્યો છે ({fixes} બિંદુ)',
+    trackError: '❌ ટ્રૅક {file} વાંચી શકાયો નહીં: {reason}',
+    offlineCrowdsRestored: '📴 ઑફલાઇન: {time} ની છેલ્લી જાણીતી ભીડ બતાવી રહ્યા છીએ',
+    mapSaved: '🗺️ ઑફલાઇન ઉપયોગ માટે {count} નકશા ટાઇલ્સ સાચવી',
+    mapSavedWithErrors: '🗺️ {count} નકશા ટાઇલ્સ સાચવી, {failed} ડાઉનલોડ ન થઈ',
+    offlineUnavailable: '❌ ઑફલાઇન સુવિધા હજી સક્રિય નથી (પ્રોડક્શન બિલ્ડ, પહેલી મુલાકાત પછી એક વાર રીલોડ કરો)',
+    noValidDemand: '❌ {file} માં કોઈ માન્ય શરૂઆત–ગંતવ્ય જોડી નથી',
+    demandLoaded: '⚖️ માંગ "{name}" લોડ થઈ ({pairs} જોડી)',
+    demandLoadedWithErrors: '⚠️ માંગ "{name}" લોડ થઈ ({pairs} જોડી, {skipped} પંક્તિઓ છોડી)',
+    balancing: '⚖️ {pairs} શરૂઆત–ગંતવ્ય જોડી સંતુલિત કરી રહ્યા છીએ...',
+    balanced: '⚖️ {pairs} જોડી સંતુલિત: બધાના સૌથી ઝડપી માર્ગ કરતાં {saving}% ઓછો મુસાફરી સમય',
+    assignmentCleared: '🧹 અંદાજિત ભીડ દૂર કરી',
+    sharesExported: '💾 {pairs} જોડીનો માર્ગ હિસ્સો નિકાસ કર્યો',
+    drawingStarted: '✏️ {type} દોરી રહ્યા છીએ: બિંદુ ઉમેરવા નકશા પર ક્લિક કરો',
+    restrictionAdded: '🚧 {type} સાચવ્યું ({points} બિંદુ)',
+    restrictionRemoved: '🧹 પ્રતિબંધ દૂર કર્યો',
+    restrictionsExported: '💾 {count} પ્રતિબંધો નિકાસ કર્યા',
+    noValidRestrictions: '❌ {file} માં કોઈ માન્ય પ્રતિબંધ નથી',
+    restrictionsLoaded: '🚧 {count} પ્રતિબંધો લોડ કર્યા',
+    restrictionsLoadedWithErrors: '⚠️ {count} પ્રતિબંધો લોડ કર્યા ({skipped} ફીચર છોડ્યા)',
+    evacuationStarted: '🚨 સ્થળાંતર મોડ: બહારનો માર્ગ શોધવા નકશા પર ક્લિક કરો',
+    evacuationStopped: '✅ સ્થળાંતર મોડ પૂરો થયો',
+    evacuationError: '❌ સ્થળાંતરનું આયોજન ન થઈ શક્યું: સ્થાનિક રસ્તા નેટવર્ક ઉપલબ્ધ નથી',
+    hazardSet: '🔥 જોખમી વિસ્તાર નક્કી ({points} બિંદુ)',
+    hazardCleared: '🧹 જોખમી વિસ્તાર દૂર કર્યો',
+    safePointAdded: '🟢 {type} ઉમેર્યું',
+    safePointRemoved: '🧹 સલામત સ્થળ દૂર કર્યું',
+    simulationStarted: '🧪 {pilgrims} યાત્રાળુઓનું સિમ્યુલેશન: ▶ ચલાવો દબાવો',
+    simulationStopped: '✅ સિમ્યુલેશન સમાપ્ત, ફરી લાઇવ ભીડ બતાવે છે',
+    strategiesCompared: '⚖️ {pilgrims} યાત્રાળુઓ માટે વ્યૂહરચનાઓની સરખામણી થઈ',
+    simulationError: '❌ સિમ્યુલેશન નિષ્ફળ ગયું',
+    crowdEditingStarted: '✏️ ભીડ સંપાદન: ભીડ સેલ પર ક્લિક કરો, ખેંચો કે બોક્સથી પસંદ કરો',
+    crowdEditingStopped: '✅ ભીડ સંપાદન પૂર્ણ',
+    cellsSelected: '⬚ {cells} ભીડ સેલ પસંદ કર્યા',
+    crowdEdited: '✏️ થયું: {action}, {cells} સેલ બદલાયા',
+    undone: '↶ પૂર્વવત્: {action}',
+    redone: '↷ ફરી કર્યું: {action}',
+    crowdEditError: '❌ ભીડ સંપાદિત થઈ શકી નહીં',
+    crowdUpdateError: '❌ ભીડ અપડેટ થઈ શકી નહીં',
+    scenarioLoadError: '❌ {file} ફાઇલ લોડ થઈ શકી નહીં',
+    scenarioExportError: '❌ ભીડ નિકાસ થઈ શકી નહીં'
+  },
+  notifications: {
+    rerouting: '⚠️ તમારા માર્ગ પર ભીડ વધીને {exposure} થઈ — નવો માર્ગ શોધી રહ્યા છીએ',
+    offRoute: '🧭 તમે માર્ગ છોડ્યો — અહીંથી નવો માર્ગ શોધી રહ્યા છીએ',
+    zoneAhead: '⚠️ આગળ {people} લોકોની નવી ભીડ છે — અહીંથી નવો માર્ગ શોધી રહ્યા છીએ',
+    arrived: '🎯 તમે પહોંચી ગયા',
+    restrictionBroken: '⛔ અહીં કોઈ માર્ગ દરેક બંધ વિસ્તાર અને એકમાર્ગી નિયમનું પાલન કરતો નથી ({count} તૂટ્યા) — સ્વયંસેવકોની સૂચનાઓનું પાલન કરો'
+  },
+  scenarioErrors: {
+    title: '⚠️ {count} પંક્તિઓ છોડી',
+    row: 'પંક્તિ {row}: {message}',
+    missingColumns: 'હેડરમાં કૉલમ નથી: {columns}',
+    emptyFile: 'ફાઇલ ખાલી છે',
+    notFeatureCollection: 'આ GeoJSON FeatureCollection નથી',
+    notPoint: 'ફીચર {type} છે, Point અપેક્ષિત',
+    missingGeometry: 'ફીચરમાં ભૂમિતિ નથી, Point અપેક્ષિત',
+    invalidLatitude: 'અમાન્ય અક્ષાંશ "{value}"',
+    invalidLongitude: 'અમાન્ય રેખાંશ "{value}"',
+    invalidCount: 'અમાન્ય સંખ્યા "{value}"',
+    invalidJson: 'અમાન્ય JSON: {error}',
+    unsupportedFileType: 'અસમર્થિત ફાઇલ પ્રકાર (.csv અથવા .geojson વાપરો)',
+    unknownPlace: 'અજાણ્યું સ્થળ "{value}"',
+    invalidTravellers: 'પ્રવાસીઓની અમાન્ય સંખ્યા "{value}"',
+    sameOriginDestination: 'શરૂઆત અને ગંતવ્ય એક જ સ્થળ છે',
+    unsupportedDemandFileType: 'અસમર્થિત ફાઇલ પ્રકાર (.csv વાપરો)',
+    unknownRestrictionType: 'અજાણ્યો પ્રતિબંધ પ્રકાર "{type}"',
+    invalidRestrictionGeometry: 'અમાન્ય ભૂમિતિ, {type} અપેક્ષિત',
+    invalidTimeWindow: 'અમાન્ય સમય મર્યાદા "{value}"'
+  },
+  map: {
+    crowdZone: '🚧 ભીડ વિસ્તાર',
+    zonePeople: 'લોકો: {cells} સેલમાં {people}',
+    density: 'ઘનતા: {density} /મી²',
+    peakDensity: 'સૌથી ભીડવાળો સેલ: {density} /મી² (સ્તર {level})',
+    cellDensity: 'ઘનતા: {density} /મી² (સ્તર {level})',
+    weight: 'ભાર: {weight}',
+    crowdArea: '👥 ભીડ સેલ',
+    people: 'લોકો: {people}',
+    startPoint: '📍 શરૂઆતનું બિંદુ',
+    endPoint: '🎯 ગંતવ્ય બિંદુ',
+    stop: '📍 રોકાણ {number}',
+    yourPosition: '📍 તમે અહીં છો (±{accuracy})',
+    projectedArea: '⚖️ અંદાજિત ભીડ',
+    projectedPeople: 'અપેક્ષિત લોકો: {people}',
+    assignedRoute: '{type}: {share} ({travellers} પ્રવાસીઓ)'
+  },
+  timeline: {
+    title: '🕒 સમયરેખા',
+    live: 'લાઇવ',
+    play: '▶ ચલાવો',
+    pause: '⏸ થોભો',
+    goLive: '⏺ લાઇવ'
+  },
+  directions: {
+    title: '🧭 દિશાનિર્દેશ',
+    voiceTitle: 'પસંદ કરેલું પગલું મોટેથી વાંચો',
+    voiceUnsupported: 'આ બ્રાઉઝરમાં અવાજ સમર્થિત નથી',
+    thenContinue: '{instruction}, પછી {distance} આગળ ચાલો',
+    depart: '{near}{on}{direction} તરફ ચાલો',
+    arrive: 'તમે તમારા ગંતવ્ય પર પહોંચ્યા',
+    arriveNear: 'તમે {landmark} પાસે તમારા ગંતવ્ય પર પહોંચ્યા',
+    arriveStop: 'તમે રોકાણ {stop} પર પહોંચ્યા',
+    arriveStopNear: 'તમે {landmark} પાસે રોકાણ {stop} પર પહોંચ્યા',
+    roundabout: '{near}ગોળ ચક્કર પર {exit} લઈને {onto}જાઓ',
+    roundaboutExit: 'નિકાસ {exit}',
+    roundaboutAnyExit: 'નિકાસ',
+    continue: '{near}{on}સીધા ચાલતા રહો',
+    turn: '{near}{onto}{modifier} વળો',
+    uturn: '{near}{on}યુ-ટર્ન લો',
+    onto: '{name} પર ',
+    on: '{name} પર ',
+    near: '{landmark} પાસે ',
+    modifiers: {
+      'sharp left': 'તીવ્ર ડાબે',
+      left: 'ડાબે',
+      'slight left': 'સહેજ ડાબે',
+      straight: 'સીધા',
+      'slight right': 'સહેજ જમણે',
+      right: 'જમણે',
+      'sharp right': 'તીવ્ર જમણે',
+      uturn: 'પાછા'
+    },
+    compass: {
+      north: 'ઉત્તર',
+      northeast: 'ઈશાન',
+      east: 'પૂર્વ',
+      southeast: 'અગ્નિ',
+      south: 'દક્ષિણ',
+      southwest: 'નૈઋત્ય',
+      west: 'પશ્ચિમ',
+      northwest: 'વાયવ્ય'
+    }
+  }
+};
@@ -0,0 +1,592 @@
+// Hindi catalogue (हिन्दी)
+export default {
+  app: {
+    title: '🗺️ सिंहस्थ 2028 स्मार्ट तीर्थयात्री मार्ग योजनाकार',
+    language: 'भाषा'
+  },
+  errorBoundary: {
+    title: '🚨 कुछ गलत हो गया',
+    message: 'मार्ग प्रणाली में त्रुटि आई। कृपया पेज रीफ़्रेश करें।',
+    refresh: '🔄 पेज रीफ़्रेश करें',
+    details: 'त्रुटि विवरण (डेवलपमेंट)'
+  },
+  instructions: {
+    title: '🛣️ डायनेमिक मार्ग राउटर',
+    setRoute: '📍 मार्ग तय करें:',
+    setRouteHelp: 'पड़ाव जोड़ने के लिए लेफ़्ट-क्लिक करें (पहले शुरुआत, फिर हर दर्शनीय स्थान)',
+    addCrowd: '👥 भीड़ जोड़ें:',
+    addCrowdHelp: 'लोग जोड़ने के लिए राइट-क्लिक करें',
+    calculate: '🛣️ गणना:',
+    calculateHelp: 'भीड़ से बचाव वाले कई मार्ग विकल्प',
+    view: '📊 देखें:',
+    viewHelp: 'सर्वश्रेष्ठ मार्ग का चयन और विश्लेषण'
+  },
+  profiles: {
+    walking: 'पैदल',
+    wheelchair: 'सीढ़ी-रहित',
+    emergency: 'आपातकालीन',
+    shuttle: 'शटल'
+  },
+  routeTypes: {
+    direct: 'सीधा मार्ग',
+    avoidance: 'भीड़ से बचाव मार्ग',
+    alternative: 'वैकल्पिक मार्ग',
+    'crowd-weighted': 'भीड़-भारित मार्ग'
+  },
+  avoidance: {
+    summary: '{detours} चक्कर, {iterations} प्रयास: {reason}',
+    'exposure-threshold': 'भीड़ का संपर्क सीमा से कम',
+    'iteration-budget': 'प्रयासों की सीमा समाप्त',
+    'detour-budget': 'और चक्कर बहुत लंबे होंगे',
+    'no-avoidable-zones': 'शेष भीड़ क्षेत्र शुरुआत या गंतव्य को घेरे हुए हैं',
+    'routing-failed': 'खोज के दौरान रूटिंग सर्वर विफल रहा'
+  },
+  routeOptions: {
+    title: '🛣️ मार्ग विकल्प',
+    stats: 'बिंदु: {points} | भीड़: {crowd} | भीड़ में: {exposure}',
+    restrictionsBroken: '⛔ उल्लंघन: {names}',
+    score: 'स्कोर {score}',
+    best: '⭐',
+    scoreHelp: 'नीचे दी गई भारित लागतों का योग, कम बेहतर है',
+    breakdown: {
+      distance: '📏 {value} · {points}',
+      time: '⏱️ {value} · {points}',
+      exposure: '👥 {value} · {points}',
+      zones: '🔶 {value} · {points}'
+    }
+  },
+  controls: {
+    calculate: '🛣️ मार्ग खोजें',
+    calculating: '🔄 मार्ग खोजे जा रहे हैं...',
+    calculatingProgress: '🔄 मार्ग खोजे जा रहे हैं... {percent}',
+    cancelCalculation: '✕ रद्द करें',
+    clearAll: '🗑️ सब साफ़ करें',
+    addTestCrowds: '🧪 परीक्षण भीड़ जोड़ें',
+    load: '📂 लोड',
+    loadTitle: '.csv या .geojson भीड़ परिदृश्य लोड करें (या नक्शे पर छोड़ें)',
+    exportGeoJSON: '⬇ GeoJSON',
+    exportGeoJSONTitle: 'मौजूदा भीड़ को GeoJSON में निर्यात करें',
+    exportCSV: '⬇ CSV',
+    exportCSVTitle: 'मौजूदा भीड़ को CSV में निर्यात करें',
+    connectFeed: '📡 लाइव फ़ीड जोड़ें',
+    disconnectFeed: '📴 लाइव फ़ीड बंद करें',
+    saveMap: '🗺️ नक्शा ऑफ़लाइन सहेजें',
+    saveMapTitle: 'बिना नेटवर्क उपयोग के लिए उज्जैन का नक्शा (ज़ूम {minZoom}–{maxZoom}) डाउनलोड करें',
+    savingMap: '🗺️ नक्शा सहेजा जा रहा है {done}/{total}'
+  },
+  places: {
+    title: '📍 स्थान',
+    show: 'नक्शे पर दिखाएँ',
+    searchPlaceholder: 'स्थान खोजें, जैसे राम घाट या Ram Ghat',
+    noResults: 'कोई स्थान नहीं मिला',
+    startHere: 'यहाँ से शुरू करें',
+    addStop: 'पड़ाव जोड़ें',
+    categories: {
+      ghat: 'घाट',
+      temple: 'मंदिर',
+      akhara: 'अखाड़े',
+      medical: 'चिकित्सा',
+      police: 'पुलिस',
+      toilet: 'शौचालय',
+      water: 'पेयजल',
+      parking: 'पार्किंग',
+      transport: 'परिवहन',
+      landmark: 'प्रमुख स्थल'
+    }
+  },
+  itinerary: {
+    title: '🧭 यात्रा योजना',
+    dragHint: 'क्रम बदलने के लिए पड़ाव खींचें',
+    start: 'शुरुआत',
+    end: 'गंतव्य',
+    remove: 'पड़ाव हटाएँ',
+    keepEnd: 'अंतिम पड़ाव को गंतव्य रखें',
+    optimise: '⚡ क्रम अनुकूलित करें',
+    optimiseTitle: 'कम से कम दूरी और भीड़ के लिए पड़ावों का क्रम बदलें (पहला पड़ाव पहले ही रहेगा)',
+    clear: '🗑️ पड़ाव साफ़ करें'
+  },
+  navigation: {
+    title: '🧭 नेविगेशन',
+    fromLocation: '🧭 मेरे स्थान से नेविगेट करें',
+    simulate: '🛰️ GPS ट्रैक सिम्युलेट करें',
+    simulateTitle: 'डिवाइस के स्थान के बजाय .gpx या .geojson ट्रैक चलाएँ',
+    sampleTrack: 'नमूना',
+    speedup: 'रीप्ले गति',
+    simulated: 'सिम्युलेटेड ट्रैक "{name}", {speedup}× गति पर',
+    deviceGps: 'डिवाइस का स्थान',
+    status: {
+      waiting: '⏳ स्थान की प्रतीक्षा...',
+      tracking: '📍 आपके मार्ग का अनुसरण',
+      ended: '🏁 ट्रैक समाप्त',
+      stopped: '⏹ रुका हुआ'
+    },
+    accuracy: 'सटीकता: ±{accuracy}',
+    remaining: '{distance} बाकी, लगभग {time}',
+    offRouteBy: '⚠️ मार्ग से {distance} दूर',
+    noRoute: 'यहाँ से मार्ग पाने के लिए गंतव्य जोड़ें',
+    reroutes: '{count} बार मार्ग बदला गया',
+    follow: 'मेरा स्थान दृश्य में रखें',
+    stop: '⏹ नेविगेशन रोकें',
+    errors: {
+      unsupported: 'यह ब्राउज़र स्थान साझा नहीं कर सकता',
+      denied: 'स्थान की अनुमति नहीं दी गई',
+      unavailable: 'आपका स्थान उपलब्ध नहीं है',
+      timeout: 'अभी भी स्थान की प्रतीक्षा है'
+    }
+  },
+  trackErrors: {
+    unsupportedFileType: 'असमर्थित फ़ाइल प्रकार (.gpx या .geojson उपयोग करें)',
+    invalidJson: 'अमान्य JSON: {error}',
+    tooFewPoints: 'ट्रैक में कम से कम 2 मान्य बिंदु होने चाहिए'
+  },
+  assignment: {
+    title: '⚖️ मार्ग संतुलन',
+    hint: 'कई यात्रियों को अलग-अलग मार्गों पर बाँटें ताकि कोई एक सड़क नई भीड़ न बन जाए',
+    loadDemand: '📂 मांग CSV लोड करें',
+    sampleDemand: 'नमूना',
+    demandSummary: '{name}: {pairs} प्रारंभ–गंतव्य जोड़े, {travellers} यात्री',
+    period: 'यात्रा की अवधि',
+    balance: '⚖️ मार्ग संतुलित करें',
+    balancing: '⏳ मार्ग खोजे जा रहे हैं {done}/{total}',
+    totalTime: 'कुल यात्रा समय: {balanced} व्यक्ति-घंटे (सभी सबसे तेज़ मार्ग पर: {greedy})',
+    saving: 'कुल {saving} कम समय',
+    converged: '{iterations} पुनरावृत्तियों के बाद संतुलित (अंतर {gap})',
+    notConverged: '{iterations} पुनरावृत्तियों के बाद रुका, पूरी तरह संतुलित नहीं (अंतर {gap})',
+    unrouted: 'बिना मार्ग वाले {count} जोड़े छोड़ दिए गए',
+    pair: '{from} → {to} · {travellers}',
+    showProjected: 'अनुमानित भीड़ नक्शे पर दिखाएँ',
+    export: '⬇ हिस्सेदारी CSV',
+    exportTitle: 'हर मार्ग की हिस्सेदारी CSV के रूप में डाउनलोड करें',
+    clear: '✕ हटाएँ',
+    clearTitle: 'अनुमानित भीड़ को मार्ग गणना और नक्शे से हटाएँ'
+  },
+  restrictions: {
+    title: '🚧 बंद क्षेत्र और एकतरफ़ा मार्ग',
+    hint: 'आयोजक: बंद क्षेत्र, एकतरफ़ा गलियारे और प्रतिबंधित द्वार बनाएँ जिनका हर मार्ग पालन करे',
+    types: {
+      closure: 'बंद क्षेत्र',
+      'one-way': 'एकतरफ़ा',
+      gate: 'द्वार'
+    },
+    typeHelp: {
+      closure: 'बंद क्षेत्र जिसमें कोई मार्ग प्रवेश नहीं कर सकता',
+      'one-way': 'गलियारा जिसमें केवल बनाई गई दिशा में चला जा सकता है',
+      gate: 'बैरिकेड या द्वार जिसे कोई मार्ग पार नहीं कर सकता'
+    },
+    drawHint: {
+      closure: 'बंद क्षेत्र के चारों ओर नक्शे पर क्लिक करें ({count} बिंदु, कम से कम {min})',
+      'one-way': 'चलने की दिशा में गलियारे के साथ क्लिक करें ({count} बिंदु, कम से कम {min})',
+      gate: 'द्वार रेखा के दोनों सिरों पर क्लिक करें ({count} बिंदु, कम से कम {min})'
+    },
+    namePlaceholder: 'नाम (वैकल्पिक)',
+    always: 'हमेशा सक्रिय',
+    exemptEmergency: '🚑 आपातकालीन वाहनों को छूट',
+    undo: '↶ पूर्ववत',
+    save: '✓ सहेजें',
+    cancel: '✕',
+    activeNow: '● अभी सक्रिय',
+    inactiveNow: '○ अभी सक्रिय नहीं',
+    window: '{from}–{to}',
+    alwaysActive: 'पूरे दिन',
+    remove: 'हटाएँ',
+    import: '📂 लोड करें',
+    importTitle: 'GeoJSON फ़ाइल से प्रतिबंध लोड करें (मौजूदा प्रतिबंधों की जगह)',
+    export: '⬇ GeoJSON',
+    exportTitle: 'प्रतिबंधों को GeoJSON के रूप में डाउनलोड करें'
+  },
+  scoring: {
+    title: '🎚️ मार्ग प्राथमिकताएँ',
+    hint: 'सबसे अच्छा मार्ग चुनते समय हर मानदंड का कितना महत्व हो',
+    presets: {
+      balanced: 'संतुलित',
+      elderly: 'कम से कम भीड़',
+      hurry: 'जल्दी में'
+    },
+    presetHelp: {
+      balanced: 'दूरी, समय और भीड़ का बराबर महत्व',
+      elderly: 'बुज़ुर्ग श्रद्धालुओं और परिवारों के लिए: लंबे रास्ते पर भी भीड़ से दूर रहें',
+      hurry: 'सबसे कम पैदल समय; भीड़ तभी मायने रखती है जब वह आपको धीमा करे'
+    },
+    criteria: {
+      distance: '📏 दूरी',
+      time: '⏱️ पैदल समय',
+      exposure: '👥 भीड़ में दूरी',
+      zones: '🔶 पार किए भीड़ क्षेत्र'
+    },
+    weight: '{weight}×',
+    custom: 'अपनी पसंद के भार'
+  },
+  evacuation: {
+    title: '🚨 निकासी',
+    hint: 'ख़तरे और घनी भीड़ से बचते हुए निकटतम एकत्रण स्थल या निकास तक का रास्ता',
+    start: '🚨 निकासी मोड शुरू करें',
+    stop: '✕ बाहर निकलें',
+    tools: {
+      origin: '📍 बाहर का रास्ता',
+      hazard: '🔥 ख़तरा',
+      assembly: '🟢 + एकत्रण',
+      exit: '🚪 + निकास'
+    },
+    toolHelp: {
+      origin: 'वहाँ से बाहर का रास्ता खोजने के लिए मानचित्र पर क्लिक करें',
+      hazard: 'ख़तरे के चारों ओर मानचित्र पर क्लिक करें ({count} बिंदु, कम से कम 3)',
+      assembly: 'एकत्रण स्थल जोड़ने के लिए मानचित्र पर क्लिक करें',
+      exit: 'निकास जोड़ने के लिए मानचित्र पर क्लिक करें'
+    },
+    types: {
+      assembly: 'एकत्रण स्थल',
+      exit: 'निकास'
+    },
+    undo: '↶ पूर्ववत',
+    finishHazard: '✓ ख़तरा तय करें',
+    clearHazard: '🧹 ख़तरा हटाएँ',
+    hazardArea: '🔥 ख़तरे का क्षेत्र',
+    planning: '⏳ निकासी की योजना बन रही है...',
+    summary: '{people} लोग {time} में बाहर',
+    inHazard: '🔥 ख़तरे के क्षेत्र में {people} लोग',
+    unreachable: '⚠️ {cells} सेल में {people} लोग किसी सुरक्षित स्थान तक नहीं पहुँचते',
+    assigned: '{people} लोग · {time} में ख़ाली',
+    unused: 'यहाँ कोई नहीं भेजा गया',
+    closedByHazard: '🔥 ख़तरे के क्षेत्र में, उपयोग नहीं',
+    overCapacity: '⚠️ क्षमता {capacity} से अधिक',
+    capacity: 'क्षमता',
+    width: 'प्रवेश (मी)',
+    remove: 'हटाएँ',
+    flow: '🚶 {people} लोग',
+    originRoute: '➜ {name}: {distance}, {time}',
+    noWayOut: '❌ यहाँ से सड़क नेटवर्क पर बाहर का कोई रास्ता नहीं',
+    reset: '↺ डिफ़ॉल्ट स्थल',
+    resetTitle: 'सुरक्षित स्थलों को डिफ़ॉल्ट एकत्रण स्थलों और निकासों से बदलें'
+  },
+  alerts: {
+    title: '🔔 भीड़ चेतावनियाँ',
+    hint: 'क्षेत्रों को उनके सबसे भीड़ वाले सेल के घनत्व से आँका जाता है (फ्रुइन सेवा स्तर A–F)',
+    settings: 'चेतावनी सेटिंग्स',
+    focus: 'क्षेत्र को मानचित्र पर दिखाएँ',
+    severity: {
+      warning: '⚠️ चेतावनी',
+      critical: '🛑 गंभीर'
+    },
+    level: 'स्तर {level}: {density} लोग/मी²',
+    rising: 'तेज़ी से बढ़ रही है: +{rate} लोग/मी² प्रति मिनट, अभी {density}',
+    raised: '{time} · क्षेत्र में {people} लोग',
+    acknowledgedAt: '{time} पर स्वीकार किया',
+    acknowledge: 'स्वीकार करें',
+    acknowledgeAll: '✓ सभी स्वीकार करें ({count})',
+    none: '✅ कोई खुली चेतावनी नहीं',
+    showHistory: '📜 इतिहास ({count})',
+    hideHistory: '📜 इतिहास छिपाएँ ({count})',
+    clearHistory: '🧹 साफ़ करें',
+    warningLevel: 'चेतावनी इस स्तर से',
+    criticalLevel: 'गंभीर इस स्तर से',
+    levelOption: 'स्तर {level}',
+    riseRate: 'तेज़ बढ़त (लोग/मी² प्रति मिनट)',
+    sound: '🔊 नई चेतावनी पर ध्वनि',
+    legendUpTo: '{level} {density}/मी² तक:',
+    legendAbove: '{level} {density}/मी² से अधिक:',
+    levels: {
+      A: 'खुलकर चलना',
+      B: 'हल्की टकराहट',
+      C: 'गति सीमित',
+      D: 'अधिकतर लोग धीमे',
+      E: 'घिसटते कदम, क्षमता पर',
+      F: 'कुचलने का ख़तरा'
+    }
+  },
+  simulation: {
+    title: '🧪 तीर्थयात्री सिमुलेशन',
+    hint: 'तीर्थयात्रियों के समूह आगमन स्थलों से घाटों तक मौजूदा भीड़ के ऊपर चलते हैं। समाप्त करने तक मानचित्र सिमुलेटेड भीड़ दिखाता है।',
+    options: {
+      strategy: 'रूटिंग',
+      agents: 'समूह',
+      peoplePerAgent: 'प्रति समूह तीर्थयात्री',
+      spawnMinutes: 'आगमन अवधि (मिनट)',
+      seed: 'सीड'
+    },
+    strategies: {
+      direct: 'सीधा',
+      crowdAware: 'भीड़-सजग'
+    },
+    newSeed: 'नया यादृच्छिक सीड',
+    pilgrims: '{pilgrims} तीर्थयात्री; एक ही सीड से एक जैसा सिमुलेशन',
+    start: '▶ शुरू करें',
+    compare: '⚖️ तुलना करें',
+    compareTitle: 'हर रूटिंग रणनीति को उन्हीं तीर्थयात्रियों पर अंत तक चलाएँ',
+    play: '▶ चलाएँ',
+    pause: '⏸ रोकें',
+    stop: '■ सिमुलेशन समाप्त करें',
+    agents: '{waiting} प्रतीक्षा में · {walking} चल रहे · {arrived} पहुँचे',
+    unrouted: '⚠️ {agents} समूहों को कोई मार्ग नहीं मिला',
+    travelTime: 'औसत पैदल समय: {time}',
+    peakDensity: 'अब तक सबसे भीड़ वाला सेल: {density}',
+    density: '{density}/मी² ({level})',
+    finished: '✅ सभी पहुँच गए',
+    comparing: '⏳ रणनीतियों की तुलना... {percent}',
+    cancel: '✕',
+    compareRows: {
+      meanTravelTime: 'औसत पैदल समय',
+      maxTravelTime: 'सबसे लंबा समय',
+      delay: 'भीड़ से देरी',
+      peakDensity: 'सबसे भीड़ वाला सेल',
+      crowdedMinutes: 'D+ पर यात्री-मिनट',
+      arrived: 'पहुँचे समूह'
+    }
+  },
+  editing: {
+    title: '✏️ भीड़ संपादन',
+    hint: 'भीड़ की गिनती हाथ से सुधारें। भीड़ और मार्ग बिंदुओं के बदलाव Ctrl+Z से पूर्ववत और Ctrl+Y से फिर से किए जा सकते हैं।',
+    undo: '↶ पूर्ववत करें',
+    redo: '↷ फिर से करें',
+    undoTitle: '{action} पूर्ववत करें (Ctrl+Z)',
+    redoTitle: '{action} फिर से करें (Ctrl+Y)',
+    nothingToUndo: 'पूर्ववत करने को कुछ नहीं',
+    nothingToRedo: 'फिर से करने को कुछ नहीं',
+    start: '✏️ भीड़ संपादित करें',
+    stop: '■ संपादन बंद करें',
+    unavailable: 'सिमुलेशन चलते समय उपलब्ध नहीं।',
+    tools: {
+      select: '👆 चुनें और खींचें',
+      box: '⬚ बॉक्स चयन'
+    },
+    toolHints: {
+      select: 'गिनती बदलने के लिए भीड़ सेल पर क्लिक करें। लोगों को खिसकाने के लिए सेल खींचें; चुने हुए सेल को खींचने से पूरा चयन खिसकता है।',
+      box: 'भीड़ सेल चुनने के लिए उन पर बॉक्स खींचें। चयन में जोड़ने के लिए Shift दबाए रखें।'
+    },
+    selected: '{cells} सेल चुने गए, {people} लोग',
+    noSelection: 'कोई सेल नहीं चुना गया',
+    eachCell: 'हर सेल में लोग',
+    count: 'लोग',
+    set: 'सेट करें',
+    decrement: '−1',
+    decrementTitle: 'हर सेल में एक व्यक्ति कम',
+    increment: '+1',
+    incrementTitle: 'हर सेल में एक व्यक्ति अधिक',
+    delete: '🗑️ हटाएँ',
+    clearSelection: 'चयन हटाएँ',
+    actions: {
+      addPerson: 'व्यक्ति जोड़ना',
+      setCount: 'गिनती सेट करना',
+      changeCount: 'गिनती बदलना',
+      deleteCells: 'सेल हटाना',
+      moveCells: 'भीड़ खिसकाना',
+      addStop: 'पड़ाव जोड़ना',
+      setStart: 'प्रारंभ सेट करना',
+      moveStop: 'पड़ावों का क्रम बदलना',
+      removeStop: 'पड़ाव हटाना',
+      clearStops: 'पड़ाव साफ़ करना',
+      optimiseStops: 'पड़ाव क्रम अनुकूलित करना'
+    }
+  },
+  routeInfo: {
+    title: '📊 मार्ग विश्लेषण',
+    routeType: 'मार्ग प्रकार:',
+    crowdIntersection: 'भीड़ प्रतिच्छेदन:',
+    routePoints: 'मार्ग बिंदु:',
+    distance: 'सड़क दूरी:',
+    exposure: 'भीड़ संपर्क:',
+    exposureValue: 'भीड़ में {distance}',
+    profile: 'प्रोफ़ाइल:',
+    time: 'अनुमानित समय:',
+    efficiency: '🎯 दक्षता: {efficiency}',
+    download: 'यह मार्ग {format} में डाउनलोड करें',
+    share: '🔗 साझा करें',
+    shareTitle: 'इस मार्ग को फिर से खोलने वाला लिंक कॉपी करें',
+    legs: 'चरण:',
+    leg: '{from} → {to}',
+    legStats: '{distance} · {time} · भीड़ में {exposure}'
+  },
+  statusBar: {
+    start: '📍 शुरुआत: {point}',
+    end: '🎯 गंतव्य: {point}',
+    notSet: 'तय नहीं',
+    crowds: '👥 भीड़: {areas} क्षेत्र, {zones} ज़ोन',
+    scenario: '📂 परिदृश्य: {name}',
+    replaying: '🕒 {time} का दृश्य',
+    feed: '📡 फ़ीड: {status}',
+    stops: '🧭 पड़ाव: {count}',
+    navigating: '🧭 {status}',
+    navigatingRemaining: '🧭 {distance} बाकी',
+    offline: '📴 ऑफ़लाइन',
+    offlineSince: '📴 ऑफ़लाइन, भीड़ {time} तक की',
+    evacuationMode: '🚨 निकासी मोड',
+    evacuation: '🚨 निकासी: सभी {time} में बाहर',
+    alerts: '🔔 {count} खुली चेतावनियाँ',
+    simulation: '🧪 सिमुलेशन: {time}, {walking} तीर्थयात्री चल रहे',
+    editing: '✏️ भीड़ संपादन, {cells} सेल चुने गए'
+  },
+  feedStatus: {
+    connecting: 'जुड़ रहा है',
+    connected: 'जुड़ा हुआ',
+    reconnecting: 'फिर से जुड़ रहा है',
+    disconnected: 'डिस्कनेक्ट'
+  },
+  status: {
+    initialCrowdsLoaded: '✅ प्रारंभिक भीड़ डेटा लोड हुआ',
+    noValidCells: '❌ {file} में कोई मान्य भीड़ सेल नहीं',
+    scenarioLoaded: '📂 परिदृश्य "{name}" लोड हुआ ({cells} सेल)',
+    scenarioLoadedWithErrors: '📂 परिदृश्य "{name}" लोड हुआ ({cells} सेल, {skipped} पंक्तियाँ छोड़ी गईं)',
+    scenarioExported: '💾 {cells} सेल {format} में निर्यात किए गए',
+    calculating: '🔍 मार्गों की गणना हो रही है...',
+    calculationCancelled: '✋ मार्ग की गणना रद्द की गई',
+    bestRouteSelected: '✅ सर्वश्रेष्ठ मार्ग चुना गया ({type}), {points} बिंदु',
+    sharedRouteSelected: '✅ साझा किया गया मार्ग चुना गया ({type}), {points} बिंदु',
+    noRoutes: '❌ कोई मार्ग नहीं मिला',
+    routeError: '❌ मार्ग की गणना में त्रुटि',
+    linkCopied: '🔗 मार्ग लिंक क्लिपबोर्ड पर कॉपी हुआ',
+    shareLink: '🔗 यह लिंक साझा करें: {link}',
+    routeExported: '💾 {type} {format} में निर्यात हुआ',
+    liveUpdate: '📡 लाइव अपडेट: {cells} सेल',
+    liveUpdateFrom: '📡 लाइव अपडेट: {source} से {cells} सेल',
+    startSet: '📍 शुरुआती बिंदु तय हुआ',
+    endSet: '🎯 गंतव्य बिंदु तय हुआ',
+    routeSelected: '✅ {type} चुना गया',
+    profileSelected: '{icon} {profile} प्रोफ़ाइल चुनी गई',
+    testCrowdsLoaded: '🧪 परीक्षण भीड़ लोड हुई',
+    stopAdded: '📍 पड़ाव {number} जोड़ा गया',
+    stopRemoved: '🗑️ पड़ाव {number} हटाया गया',
+    stopsReordered: '↕️ पड़ावों का क्रम बदला गया',
+    stopsCleared: '🗑️ पड़ाव साफ़ किए गए',
+    optimising: '🧮 {stops} पड़ावों के बीच मार्गों की तुलना हो रही है...',
+    orderOptimised: '⚡ यात्रा क्रम अनुकूलित: {order}',
+    orderAlreadyOptimal: '⚡ मौजूदा क्रम पहले से सर्वश्रेष्ठ है',
+    placeStart: '🚩 {name} से शुरुआत',
+    placeAdded: '📍 {name} पड़ाव {number} के रूप में जोड़ा गया',
+    navigationStarted: '🧭 आपके स्थान से नेविगेशन शुरू',
+    navigationStopped: '⏹ नेविगेशन रोका गया',
+    stopReached: '📍 पड़ाव {number} पर पहुँचे',
+    positionError: '❌ {reason}',
+    trackLoaded: '🛰️ ट्रैक "{name}" चल रहा है ({fixes} बिंदु)',
+    trackError: '❌ ट्रैक {file} पढ़ा नहीं जा सका: {reason}',
+    offlineCrowdsRestored: '📴 ऑफ़लाइन: {time} की अंतिम ज्ञात भीड़ दिखाई जा रही है',
+    mapSaved: '🗺️ ऑफ़लाइन उपयोग के लिए {count} नक्शा टाइलें सहेजी गईं',
+    mapSavedWithErrors: '🗺️ {count} नक्शा टाइलें सहेजी गईं, {failed} डाउनलोड नहीं हो सकीं',
+    offlineUnavailable: '❌ ऑफ़लाइन सहायता अभी सक्रिय नहीं है (प्रोडक्शन बिल्ड, पहली बार के बाद एक बार रीलोड करें)',
+    noValidDemand: '❌ {file} में कोई मान्य प्रारंभ–गंतव्य जोड़ा नहीं है',
+    demandLoaded: '⚖️ मांग "{name}" लोड हुई ({pairs} जोड़े)',
+    demandLoadedWithErrors: '⚠️ मांग "{name}" लोड हुई ({pairs} जोड़े, {skipped} पंक्तियाँ छोड़ी गईं)',
+    balancing: '⚖️ {pairs} प्रारंभ–गंतव्य जोड़े संतुलित किए जा रहे हैं...',
+    balanced: '⚖️ {pairs} जोड़े संतुलित: सभी के सबसे तेज़ मार्ग की तुलना में {saving}% कम यात्रा समय',
+    assignmentCleared: '🧹 अनुमानित भीड़ हटाई गई',
+    sharesExported: '💾 {pairs} जोड़ों की मार्ग हिस्सेदारी निर्यात की गई',
+    drawingStarted: '✏️ {type} बनाया जा रहा है: बिंदु जोड़ने के लिए नक्शे पर क्लिक करें',
+    restrictionAdded: '🚧 {type} सहेजा गया ({points} बिंदु)',
+    restrictionRemoved: '🧹 प्रतिबंध हटाया गया',
+    restrictionsExported: '💾 {count} प्रतिबंध निर्यात किए गए',
+    noValidRestrictions: '❌ {file} में कोई मान्य प्रतिबंध नहीं है',
+    restrictionsLoaded: '🚧 {count} प्रतिबंध लोड किए गए',
+    restrictionsLoadedWithErrors: '⚠️ {count} प्रतिबंध लोड किए गए ({skipped} फ़ीचर छोड़े गए)',
+    evacuationStarted: '🚨 निकासी मोड: बाहर का रास्ता खोजने के लिए मानचित्र पर क्लिक करें',
+    evacuationStopped: '✅ निकासी मोड समाप्त',
+    evacuationError: '❌ निकासी की योजना नहीं बन सकी: स्थानीय सड़क नेटवर्क उपलब्ध नहीं है',
+    hazardSet: '🔥 ख़तरे का क्षेत्र तय ({points} बिंदु)',
+    hazardCleared: '🧹 ख़तरे का क्षेत्र हटाया गया',
+    safePointAdded: '🟢 {type} जोड़ा गया',
+    safePointRemoved: '🧹 सुरक्षित स्थल हटाया गया',
+    simulationStarted: '🧪 {pilgrims} तीर्थयात्रियों का सिमुलेशन: ▶ चलाएँ दबाएँ',
+    simulationStopped: '✅ सिमुलेशन समाप्त, फिर से लाइव भीड़ दिख रही है',
+    strategiesCompared: '⚖️ {pilgrims} तीर्थयात्रियों के लिए रणनीतियों की तुलना हुई',
+    simulationError: '❌ सिमुलेशन विफल रहा',
+    crowdEditingStarted: '✏️ भीड़ संपादन: भीड़ सेल पर क्लिक करें, खींचें या बॉक्स से चुनें',
+    crowdEditingStopped: '✅ भीड़ संपादन समाप्त',
+    cellsSelected: '⬚ {cells} भीड़ सेल चुने गए',
+    crowdEdited: '✏️ हो गया: {action}, {cells} सेल बदले',
+    undone: '↶ पूर्ववत: {action}',
+    redone: '↷ फिर से किया: {action}',
+    crowdEditError: '❌ भीड़ संपादित नहीं हो सकी',
+    crowdUpdateError: '❌ भीड़ अपडेट नहीं हो सकी',
+    scenarioLoadError: '❌ फ़ाइल {file} लोड नहीं हो सकी',
+    scenarioExportError: '❌ भीड़ निर्यात नहीं हो सकी'
+  },
+  notifications: {
+    rerouting: '⚠️ आपके मार्ग पर भीड़ बढ़कर {exposure} हो गई — नया मार्ग खोजा जा रहा है',
+    offRoute: '🧭 आप मार्ग से हट गए — यहाँ से नया मार्ग खोजा जा रहा है',
+    zoneAhead: '⚠️ आगे {people} लोगों की नई भीड़ है — यहाँ से नया मार्ग खोजा जा रहा है',
+    arrived: '🎯 आप पहुँच गए',
+    restrictionBroken: '⛔ यहाँ कोई मार्ग हर बंद क्षेत्र और एकतरफ़ा नियम का पालन नहीं करता ({count} टूटे) — स्वयंसेवकों के निर्देशों का पालन करें'
+  },
+  scenarioErrors: {
+    title: '⚠️ {count} पंक्तियाँ छोड़ी गईं',
+    row: 'पंक्ति {row}: {message}',
+    missingColumns: 'हेडर में कॉलम नहीं हैं: {columns}',
+    emptyFile: 'फ़ाइल खाली है',
+    notFeatureCollection: 'यह GeoJSON FeatureCollection नहीं है',
+    notPoint: 'फ़ीचर {type} है, Point अपेक्षित',
+    missingGeometry: 'फ़ीचर में ज्यामिति नहीं है, Point अपेक्षित',
+    invalidLatitude: 'अमान्य अक्षांश "{value}"',
+    invalidLongitude: 'अमान्य देशांतर "{value}"',
+    invalidCount: 'अमान्य संख्या "{value}"',
+    invalidJson: 'अमान्य JSON: {error}',
+    unsupportedFileType: 'असमर्थित फ़ाइल प्रकार (.csv या .geojson का उपयोग करें)',
+    unknownPlace: 'अज्ञात स्थान "{value}"',
+    invalidTravellers: 'यात्रियों की अमान्य संख्या "{value}"',
+    sameOriginDestination: 'प्रारंभ और गंतव्य एक ही स्थान है',
+    unsupportedDemandFileType: 'असमर्थित फ़ाइल प्रकार (.csv का उपयोग करें)',
+    unknownRestrictionType: 'अज्ञात प्रतिबंध प्रकार "{type}"',
+    invalidRestrictionGeometry: 'अमान्य ज्यामिति, {type} अपेक्षित',
+    invalidTimeWindow: 'अमान्य समय अवधि "{value}"'
+  },
+  map: {
+    crowdZone: '🚧 भीड़ क्षेत्र',
+    zonePeople: 'लोग: {cells} सेल में {people}',
+    density: 'घनत्व: {density} /मी²',
+    peakDensity: 'सबसे भीड़ वाला सेल: {density} /मी² (स्तर {level})',
+    cellDensity: 'घनत्व: {density} /मी² (स्तर {level})',
+    weight: 'भार: {weight}',
+    crowdArea: '👥 भीड़ सेल',
+    people: 'लोग: {people}',
+    startPoint: '📍 शुरुआती बिंदु',
+    endPoint: '🎯 गंतव्य बिंदु',
+    stop: '📍 पड़ाव {number}',
+    yourPosition: '📍 आप यहाँ हैं (±{accuracy})',
+    projectedArea: '⚖️ अनुमानित भीड़',
+    projectedPeople: 'अपेक्षित लोग: {people}',
+    assignedRoute: '{type}: {share} ({travellers} यात्री)'
+  },
+  timeline: {
+    title: '🕒 समयरेखा',
+    live: 'लाइव',
+    play: '▶ चलाएँ',
+    pause: '⏸ रोकें',
+    goLive: '⏺ लाइव'
+  },
+  directions: {
+    title: '🧭 दिशा-निर्देश',
+    voiceTitle: 'चुना गया चरण बोलकर सुनाएँ',
+    voiceUnsupported: 'इस ब्राउज़र में वाणी समर्थित नहीं है',
+    thenContinue: '{instruction}, फिर {distance} आगे चलें',
+    depart: '{near}{on}{direction} की ओर चलें',
+    arrive: 'आप अपने गंतव्य पर पहुँच गए',
+    arriveNear: 'आप {landmark} के पास अपने गंतव्य पर पहुँच गए',
+    arriveStop: 'आप पड़ाव {stop} पर पहुँच गए',
+    arriveStopNear: 'आप {landmark} के पास पड़ाव {stop} पर पहुँच गए',
+    roundabout: '{near}गोल चक्कर पर {exit} लेकर {onto}जाएँ',
+    roundaboutExit: 'निकास {exit}',
+    roundaboutAnyExit: 'निकास',
+    continue: '{near}{on}सीधे चलते रहें',
+    turn: '{near}{onto}{modifier} मुड़ें',
+    uturn: '{near}{on}यू-टर्न लें',
+    onto: '{name} पर ',
+    on: '{name} पर ',
+    near: '{landmark} के पास ',
+    modifiers: {
+      'sharp left': 'तेज़ बाएँ',
+      left: 'बाएँ',
+      'slight left': 'हल्का बाएँ',
+      straight: 'सीधे',
+      'slight right': 'हल्का दाएँ',
+      right: 'दाएँ',
+      'sharp right': 'तेज़ दाएँ',
+      uturn: 'पीछे'
+    },
+    compass: {
+      north: 'उत्तर',
+      northeast: 'उत्तर-पूर्व',
+      east: 'पूर्व',
+      southeast: 'दक्षिण-पूर्व',
+      south: 'दक्षिण',
+      southwest: 'दक्षिण-पश्चिम',
+      west: 'पश्चिम',
+      northwest: 'उत्तर-पश्चिम'
+    }
+  }
+};
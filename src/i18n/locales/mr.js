@@ -0,0 +1,592 @@
+// Marathi catalogue (मराठी)
+export default {
+  app: {
+    title: '🗺️ सिंहस्थ 2028 स्मार्ट यात्रेकरू मार्ग नियोजक',
+    language: 'भाषा'
+  },
+  errorBoundary: {
+    title: '🚨 काहीतरी चूक झाली',
+    message: 'मार्ग प्रणालीमध्ये त्रुटी आली. कृपया पृष्ठ रीफ्रेश करा.',
+    refresh: '🔄 पृष्ठ रीफ्रेश करा',
+    details: 'त्रुटी तपशील (डेव्हलपमेंट)'
+  },
+  instructions: {
+    title: '🛣️ डायनॅमिक मार्ग राउटर',
+    setRoute: '📍 मार्ग ठरवा:',
+    setRouteHelp: 'थांबे जोडण्यासाठी डावे-क्लिक करा (आधी सुरुवात, मग प्रत्येक भेटीचे ठिकाण)',
+    addCrowd: '👥 गर्दी जोडा:',
+    addCrowdHelp: 'लोक जोडण्यासाठी उजवे-क्लिक करा',
+    calculate: '🛣️ गणना:',
+    calculateHelp: 'गर्दी टाळणारे अनेक मार्ग पर्याय',
+    view: '📊 पहा:',
+    viewHelp: 'सर्वोत्तम मार्गाची निवड आणि विश्लेषण'
+  },
+  profiles: {
+    walking: 'चालत',
+    wheelchair: 'पायऱ्या-विरहित',
+    emergency: 'आपत्कालीन',
+    shuttle: 'शटल'
+  },
+  routeTypes: {
+    direct: 'थेट मार्ग',
+    avoidance: 'गर्दी टाळणारा मार्ग',
+    alternative: 'पर्यायी मार्ग',
+    'crowd-weighted': 'गर्दी-भारित मार्ग'
+  },
+  avoidance: {
+    summary: '{detours} वळसे, {iterations} प्रयत्न: {reason}',
+    'exposure-threshold': 'गर्दीचा संपर्क मर्यादेखाली',
+    'iteration-budget': 'प्रयत्नांची मर्यादा संपली',
+    'detour-budget': 'आणखी वळसे खूप लांब होतील',
+    'no-avoidable-zones': 'उरलेली गर्दी क्षेत्रे सुरुवात किंवा गंतव्याभोवती आहेत',
+    'routing-failed': 'शोधादरम्यान राउटिंग सर्व्हर अयशस्वी झाला'
+  },
+  routeOptions: {
+    title: '🛣️ मार्ग पर्याय',
+    stats: 'बिंदू: {points} | गर्दी: {crowd} | गर्दीत: {exposure}',
+    restrictionsBroken: '⛔ उल्लंघन: {names}',
+    score: 'गुण {score}',
+    best: '⭐',
+    scoreHelp: 'खालील भारित खर्चांची बेरीज, कमी तितके चांगले',
+    breakdown: {
+      distance: '📏 {value} · {points}',
+      time: '⏱️ {value} · {points}',
+      exposure: '👥 {value} · {points}',
+      zones: '🔶 {value} · {points}'
+    }
+  },
+  controls: {
+    calculate: '🛣️ मार्ग शोधा',
+    calculating: '🔄 मार्ग शोधत आहे...',
+    calculatingProgress: '🔄 मार्ग शोधत आहे... {percent}',
+    cancelCalculation: '✕ रद्द करा',
+    clearAll: '🗑️ सर्व साफ करा',
+    addTestCrowds: '🧪 चाचणी गर्दी जोडा',
+    load: '📂 लोड',
+    loadTitle: '.csv किंवा .geojson गर्दी परिदृश्य लोड करा (किंवा नकाशावर टाका)',
+    exportGeoJSON: '⬇ GeoJSON',
+    exportGeoJSONTitle: 'सध्याची गर्दी GeoJSON मध्ये निर्यात करा',
+    exportCSV: '⬇ CSV',
+    exportCSVTitle: 'सध्याची गर्दी CSV मध्ये निर्यात करा',
+    connectFeed: '📡 लाइव्ह फीड जोडा',
+    disconnectFeed: '📴 लाइव्ह फीड बंद करा',
+    saveMap: '🗺️ नकाशा ऑफलाइन जतन करा',
+    saveMapTitle: 'नेटवर्कशिवाय वापरासाठी उज्जैनचा नकाशा (झूम {minZoom}–{maxZoom}) डाउनलोड करा',
+    savingMap: '🗺️ नकाशा जतन होत आहे {done}/{total}'
+  },
+  places: {
+    title: '📍 ठिकाणे',
+    show: 'नकाशावर दाखवा',
+    searchPlaceholder: 'ठिकाणे शोधा, उदा. राम घाट किंवा Ram Ghat',
+    noResults: 'कोणतेही ठिकाण सापडले नाही',
+    startHere: 'येथून सुरू करा',
+    addStop: 'थांबा म्हणून जोडा',
+    categories: {
+      ghat: 'घाट',
+      temple: 'मंदिरे',
+      akhara: 'आखाडे',
+      medical: 'वैद्यकीय',
+      police: 'पोलीस',
+      toilet: 'शौचालये',
+      water: 'पिण्याचे पाणी',
+      parking: 'पार्किंग',
+      transport: 'वाहतूक',
+      landmark: 'प्रमुख स्थळे'
+    }
+  },
+  itinerary: {
+    title: '🧭 प्रवास योजना',
+    dragHint: 'क्रम बदलण्यासाठी थांबे ओढा',
+    start: 'सुरुवात',
+    end: 'गंतव्य',
+    remove: 'थांबा काढा',
+    keepEnd: 'शेवटचा थांबा गंतव्य म्हणून ठेवा',
+    optimise: '⚡ क्रम अनुकूल करा',
+    optimiseTitle: 'कमीत कमी अंतर आणि गर्दीसाठी थांब्यांचा क्रम बदला (पहिला थांबा पहिलाच राहील)',
+    clear: '🗑️ थांबे साफ करा'
+  },
+  navigation: {
+    title: '🧭 नेव्हिगेशन',
+    fromLocation: '🧭 माझ्या ठिकाणापासून नेव्हिगेट करा',
+    simulate: '🛰️ GPS ट्रॅक सिम्युलेट करा',
+    simulateTitle: 'डिव्हाइसच्या ठिकाणाऐवजी .gpx किंवा .geojson ट्रॅक चालवा',
+    sampleTrack: 'नमुना',
+    speedup: 'रीप्ले वेग',
+    simulated: 'सिम्युलेटेड ट्रॅक "{name}", {speedup}× वेगाने',
+    deviceGps: 'डिव्हाइसचे ठिकाण',
+    status: {
+      waiting: '⏳ ठिकाणाची प्रतीक्षा...',
+      tracking: '📍 तुमच्या मार्गाचे अनुसरण',
+      ended: '🏁 ट्रॅक संपला',
+      stopped: '⏹ थांबवले'
+    },
+    accuracy: 'अचूकता: ±{accuracy}',
+    remaining: '{distance} बाकी, सुमारे {time}',
+    offRouteBy: '⚠️ मार्गापासून {distance} दूर',
+    noRoute: 'येथून मार्ग मिळवण्यासाठी गंतव्य जोडा',
+    reroutes: '{count} वेळा मार्ग बदलला',
+    follow: 'माझे ठिकाण दृश्यात ठेवा',
+    stop: '⏹ नेव्हिगेशन थांबवा',
+    errors: {
+      unsupported: 'हा ब्राउझर ठिकाण शेअर करू शकत नाही',
+      denied: 'ठिकाणाची परवानगी नाकारली',
+      unavailable: 'तुमचे ठिकाण उपलब्ध नाही',
+      timeout: 'अजूनही ठिकाणाची प्रतीक्षा आहे'
+    }
+  },
+  trackErrors: {
+    unsupportedFileType: 'असमर्थित फाइल प्रकार (.gpx किंवा .geojson वापरा)',
+    invalidJson: 'अवैध JSON: {error}',
+    tooFewPoints: 'ट्रॅकमध्ये किमान 2 वैध बिंदू हवेत'
+  },
+  assignment: {
+    title: '⚖️ मार्ग संतुलन',
+    hint: 'अनेक प्रवाशांना वेगवेगळ्या मार्गांवर विभागा, जेणेकरून एकच रस्ता नवी गर्दी बनणार नाही',
+    loadDemand: '📂 मागणी CSV लोड करा',
+    sampleDemand: 'नमुना',
+    demandSummary: '{name}: {pairs} सुरुवात–गंतव्य जोड्या, {travellers} प्रवासी',
+    period: 'प्रवासाचा कालावधी',
+    balance: '⚖️ मार्ग संतुलित करा',
+    balancing: '⏳ मार्ग शोधत आहे {done}/{total}',
+    totalTime: 'एकूण प्रवास वेळ: {balanced} व्यक्ती-तास (सर्व सर्वात जलद मार्गावर: {greedy})',
+    saving: 'एकूण {saving} कमी वेळ',
+    converged: '{iterations} पुनरावृत्तींनंतर संतुलित (फरक {gap})',
+    notConverged: '{iterations} पुनरावृत्तींनंतर थांबले, पूर्ण संतुलित नाही (फरक {gap})',
+    unrouted: 'मार्ग नसलेल्या {count} जोड्या वगळल्या',
+    pair: '{from} → {to} · {travellers}',
+    showProjected: 'अंदाजित गर्दी नकाशावर दाखवा',
+    export: '⬇ वाटा CSV',
+    exportTitle: 'प्रत्येक मार्गाचा वाटा CSV म्हणून डाउनलोड करा',
+    clear: '✕ काढा',
+    clearTitle: 'अंदाजित गर्दी मार्ग गणना आणि नकाशावरून काढा'
+  },
+  restrictions: {
+    title: '🚧 बंद क्षेत्रे आणि एकेरी मार्ग',
+    hint: 'आयोजक: बंद क्षेत्रे, एकेरी मार्गिका आणि प्रतिबंधित दरवाजे काढा ज्यांचे प्रत्येक मार्ग पालन करेल',
+    types: {
+      closure: 'बंद क्षेत्र',
+      'one-way': 'एकेरी',
+      gate: 'दरवाजा'
+    },
+    typeHelp: {
+      closure: 'बंद क्षेत्र ज्यात कोणताही मार्ग जाऊ शकत नाही',
+      'one-way': 'मार्गिका जिथे फक्त काढलेल्या दिशेने चालता येते',
+      gate: 'बॅरिकेड किंवा दरवाजा जो कोणताही मार्ग ओलांडू शकत नाही'
+    },
+    drawHint: {
+      closure: 'बंद क्षेत्राभोवती नकाशावर क्लिक करा ({count} बिंदू, किमान {min})',
+      'one-way': 'चालण्याच्या दिशेने मार्गिकेवर क्लिक करा ({count} बिंदू, किमान {min})',
+      gate: 'दरवाजाच्या रेषेच्या दोन्ही टोकांवर क्लिक करा ({count} बिंदू, किमान {min})'
+    },
+    namePlaceholder: 'नाव (ऐच्छिक)',
+    always: 'नेहमी सक्रिय',
+    exemptEmergency: '🚑 आपत्कालीन वाहनांना सूट',
+    undo: '↶ पूर्ववत',
+    save: '✓ जतन करा',
+    cancel: '✕',
+    activeNow: '● आता सक्रिय',
+    inactiveNow: '○ आता सक्रिय नाही',
+    window: '{from}–{to}',
+    alwaysActive: 'दिवसभर',
+    remove: 'काढा',
+    import: '📂 लोड करा',
+    importTitle: 'GeoJSON फाइलमधून निर्बंध लोड करा (सध्याच्या निर्बंधांऐवजी)',
+    export: '⬇ GeoJSON',
+    exportTitle: 'निर्बंध GeoJSON म्हणून डाउनलोड करा'
+  },
+  scoring: {
+    title: '🎚️ मार्ग प्राधान्ये',
+    hint: 'सर्वोत्तम मार्ग निवडताना प्रत्येक निकषाला किती महत्त्व द्यायचे',
+    presets: {
+      balanced: 'संतुलित',
+      elderly: 'कमीत कमी गर्दी',
+      hurry: 'घाईत'
+    },
+    presetHelp: {
+      balanced: 'अंतर, वेळ आणि गर्दी यांना समान महत्त्व',
+      elderly: 'वृद्ध भाविक आणि कुटुंबांसाठी: लांबच्या मार्गानेही गर्दीपासून दूर राहा',
+      hurry: 'सर्वात कमी चालण्याचा वेळ; गर्दी तुमचा वेग कमी करते तिथेच ती महत्त्वाची'
+    },
+    criteria: {
+      distance: '📏 अंतर',
+      time: '⏱️ चालण्याचा वेळ',
+      exposure: '👥 गर्दीतील अंतर',
+      zones: '🔶 ओलांडलेली गर्दी क्षेत्रे'
+    },
+    weight: '{weight}×',
+    custom: 'स्वतःचे भार'
+  },
+  evacuation: {
+    title: '🚨 स्थलांतर',
+    hint: 'धोका आणि दाट गर्दी टाळून जवळच्या एकत्रीकरण स्थळापर्यंत किंवा बाहेर पडण्याच्या मार्गापर्यंतचा रस्ता',
+    start: '🚨 स्थलांतर मोड सुरू करा',
+    stop: '✕ बाहेर पडा',
+    tools: {
+      origin: '📍 बाहेरचा मार्ग',
+      hazard: '🔥 धोका',
+      assembly: '🟢 + एकत्रीकरण',
+      exit: '🚪 + निर्गमन'
+    },
+    toolHelp: {
+      origin: 'तिथून बाहेरचा मार्ग शोधण्यासाठी नकाशावर क्लिक करा',
+      hazard: 'धोक्याभोवती नकाशावर क्लिक करा ({count} बिंदू, किमान 3)',
+      assembly: 'एकत्रीकरण स्थळ जोडण्यासाठी नकाशावर क्लिक करा',
+      exit: 'निर्गमन जोडण्यासाठी नकाशावर क्लिक करा'
+    },
+    types: {
+      assembly: 'एकत्रीकरण स्थळ',
+      exit: 'निर्गमन'
+    },
+    undo: '↶ पूर्ववत',
+    finishHazard: '✓ धोका निश्चित करा',
+    clearHazard: '🧹 धोका काढा',
+    hazardArea: '🔥 धोक्याचे क्षेत्र',
+    planning: '⏳ स्थलांतराचे नियोजन होत आहे...',
+    summary: '{people} लोक {time} मध्ये बाहेर',
+    inHazard: '🔥 धोक्याच्या क्षेत्रात {people} लोक',
+    unreachable: '⚠️ {cells} सेलमधील {people} लोक कोणत्याही सुरक्षित स्थळी पोहोचत नाहीत',
+    assigned: '{people} लोक · {time} मध्ये रिकामे',
+    unused: 'इथे कोणालाही पाठवले नाही',
+    closedByHazard: '🔥 धोक्याच्या क्षेत्रात, वापरले नाही',
+    overCapacity: '⚠️ क्षमता {capacity} पेक्षा जास्त',
+    capacity: 'क्षमता',
+    width: 'प्रवेश (मी)',
+    remove: 'काढा',
+    flow: '🚶 {people} लोक',
+    originRoute: '➜ {name}: {distance}, {time}',
+    noWayOut: '❌ इथून रस्ते नेटवर्कवर बाहेर जाण्याचा मार्ग नाही',
+    reset: '↺ डीफॉल्ट स्थळे',
+    resetTitle: 'सुरक्षित स्थळांच्या जागी डीफॉल्ट एकत्रीकरण स्थळे आणि निर्गमन ठेवा'
+  },
+  alerts: {
+    title: '🔔 गर्दी इशारे',
+    hint: 'क्षेत्रांचे मूल्यांकन त्यांच्या सर्वाधिक गर्दीच्या सेलच्या घनतेवरून होते (फ्रुइन सेवा स्तर A–F)',
+    settings: 'इशारा सेटिंग्ज',
+    focus: 'क्षेत्र नकाशावर दाखवा',
+    severity: {
+      warning: '⚠️ इशारा',
+      critical: '🛑 गंभीर'
+    },
+    level: 'स्तर {level}: {density} लोक/मी²',
+    rising: 'वेगाने वाढत आहे: +{rate} लोक/मी² प्रति मिनिट, आता {density}',
+    raised: '{time} · क्षेत्रात {people} लोक',
+    acknowledgedAt: '{time} ला स्वीकारले',
+    acknowledge: 'स्वीकारा',
+    acknowledgeAll: '✓ सर्व स्वीकारा ({count})',
+    none: '✅ कोणताही खुला इशारा नाही',
+    showHistory: '📜 इतिहास ({count})',
+    hideHistory: '📜 इतिहास लपवा ({count})',
+    clearHistory: '🧹 साफ करा',
+    warningLevel: 'इशारा या स्तरापासून',
+    criticalLevel: 'गंभीर या स्तरापासून',
+    levelOption: 'स्तर {level}',
+    riseRate: 'वेगवान वाढ (लोक/मी² प्रति मिनिट)',
+    sound: '🔊 नवीन इशाऱ्यावर आवाज',
+    legendUpTo: '{level} {density}/मी² पर्यंत:',
+    legendAbove: '{level} {density}/मी² पेक्षा जास्त:',
+    levels: {
+      A: 'मोकळे चालणे',
+      B: 'किरकोळ धक्काबुक्की',
+      C: 'वेग मर्यादित',
+      D: 'बहुतेक लोक मंदावलेले',
+      E: 'पाय ओढत चालणे, क्षमतेवर',
+      F: 'चेंगराचेंगरीचा धोका'
+    }
+  },
+  simulation: {
+    title: '🧪 भाविक सिम्युलेशन',
+    hint: 'भाविकांचे गट आगमन स्थळांपासून घाटांपर्यंत सध्याच्या गर्दीवर चालतात. तुम्ही संपवेपर्यंत नकाशा सिम्युलेटेड गर्दी दाखवतो.',
+    options: {
+      strategy: 'राउटिंग',
+      agents: 'गट',
+      peoplePerAgent: 'प्रति गट भाविक',
+      spawnMinutes: 'आगमन कालावधी (मिनिट)',
+      seed: 'सीड'
+    },
+    strategies: {
+      direct: 'थेट',
+      crowdAware: 'गर्दी-जागरूक'
+    },
+    newSeed: 'नवीन यादृच्छिक सीड',
+    pilgrims: '{pilgrims} भाविक; एकाच सीडने तेच सिम्युलेशन',
+    start: '▶ सुरू करा',
+    compare: '⚖️ तुलना करा',
+    compareTitle: 'प्रत्येक राउटिंग धोरण त्याच भाविकांवर शेवटपर्यंत चालवा',
+    play: '▶ चालवा',
+    pause: '⏸ थांबवा',
+    stop: '■ सिम्युलेशन संपवा',
+    agents: '{waiting} प्रतीक्षेत · {walking} चालत · {arrived} पोहोचले',
+    unrouted: '⚠️ {agents} गटांना मार्ग सापडला नाही',
+    travelTime: 'सरासरी चालणे: {time}',
+    peakDensity: 'आतापर्यंतचा सर्वाधिक गर्दीचा सेल: {density}',
+    density: '{density}/मी² ({level})',
+    finished: '✅ सर्वजण पोहोचले',
+    comparing: '⏳ धोरणांची तुलना... {percent}',
+    cancel: '✕',
+    compareRows: {
+      meanTravelTime: 'सरासरी चालणे',
+      maxTravelTime: 'सर्वात लांब चालणे',
+      delay: 'गर्दीमुळे उशीर',
+      peakDensity: 'सर्वाधिक गर्दीचा सेल',
+      crowdedMinutes: 'D+ वर भाविक-मिनिटे',
+      arrived: 'पोहोचलेले गट'
+    }
+  },
+  editing: {
+    title: '✏️ गर्दी संपादन',
+    hint: 'गर्दीची संख्या हाताने दुरुस्त करा. गर्दी आणि मार्ग बिंदूंचे बदल Ctrl+Z ने पूर्ववत आणि Ctrl+Y ने पुन्हा करता येतात.',
+    undo: '↶ पूर्ववत करा',
+    redo: '↷ पुन्हा करा',
+    undoTitle: '{action} पूर्ववत करा (Ctrl+Z)',
+    redoTitle: '{action} पुन्हा करा (Ctrl+Y)',
+    nothingToUndo: 'पूर्ववत करण्यासारखे काही नाही',
+    nothingToRedo: 'पुन्हा करण्यासारखे काही नाही',
+    start: '✏️ गर्दी संपादित करा',
+    stop: '■ संपादन थांबवा',
+    unavailable: 'सिम्युलेशन चालू असताना उपलब्ध नाही.',
+    tools: {
+      select: '👆 निवडा आणि ओढा',
+      box: '⬚ बॉक्स निवड'
+    },
+    toolHints: {
+      select: 'संख्या बदलण्यासाठी गर्दी सेलवर क्लिक करा. लोक हलवण्यासाठी सेल ओढा; निवडलेला सेल ओढल्यास संपूर्ण निवड हलते.',
+      box: 'गर्दी सेल निवडण्यासाठी त्यांच्यावर बॉक्स ओढा. निवडीत भर घालण्यासाठी Shift दाबून ठेवा.'
+    },
+    selected: '{cells} सेल निवडले, {people} लोक',
+    noSelection: 'एकही सेल निवडलेला नाही',
+    eachCell: 'प्रत्येक सेलमधील लोक',
+    count: 'लोक',
+    set: 'सेट करा',
+    decrement: '−1',
+    decrementTitle: 'प्रत्येक सेलमध्ये एक व्यक्ती कमी',
+    increment: '+1',
+    incrementTitle: 'प्रत्येक सेलमध्ये एक व्यक्ती जास्त',
+    delete: '🗑️ हटवा',
+    clearSelection: 'निवड साफ करा',
+    actions: {
+      addPerson: 'व्यक्ती जोडणे',
+      setCount: 'संख्या सेट करणे',
+      changeCount: 'संख्या बदलणे',
+      deleteCells: 'सेल हटवणे',
+      moveCells: 'गर्दी हलवणे',
+      addStop: 'थांबा जोडणे',
+      setStart: 'सुरुवात सेट करणे',
+      moveStop: 'थांब्यांचा क्रम बदलणे',
+      removeStop: 'थांबा काढणे',
+      clearStops: 'थांबे साफ करणे',
+      optimiseStops: 'थांब्यांचा क्रम अनुकूल करणे'
+    }
+  },
+  routeInfo: {
+    title: '📊 मार्ग विश्लेषण',
+    routeType: 'मार्ग प्रकार:',
+    crowdIntersection: 'गर्दी छेदन:',
+    routePoints: 'मार्ग बिंदू:',
+    distance: 'रस्त्याचे अंतर:',
+    exposure: 'गर्दी संपर्क:',
+    exposureValue: '{distance} गर्दीत',
+    profile: 'प्रोफाइल:',
+    time: 'अंदाजे वेळ:',
+    efficiency: '🎯 कार्यक्षमता: {efficiency}',
+    download: 'हा मार्ग {format} मध्ये डाउनलोड करा',
+    share: '🔗 शेअर करा',
+    shareTitle: 'हा मार्ग पुन्हा उघडणारी लिंक कॉपी करा',
+    legs: 'टप्पे:',
+    leg: '{from} → {to}',
+    legStats: '{distance} · {time} · {exposure} गर्दीत'
+  },
+  statusBar: {
+    start: '📍 सुरुवात: {point}',
+    end: '🎯 गंतव्य: {point}',
+    notSet: 'ठरवले नाही',
+    crowds: '👥 गर्दी: {areas} क्षेत्रे, {zones} झोन',
+    scenario: '📂 परिदृश्य: {name}',
+    replaying: '🕒 {time} चे दृश्य',
+    feed: '📡 फीड: {status}',
+    stops: '🧭 थांबे: {count}',
+    navigating: '🧭 {status}',
+    navigatingRemaining: '🧭 {distance} बाकी',
+    offline: '📴 ऑफलाइन',
+    offlineSince: '📴 ऑफलाइन, गर्दी {time} पर्यंतची',
+    evacuationMode: '🚨 स्थलांतर मोड',
+    evacuation: '🚨 स्थलांतर: सर्वजण {time} मध्ये बाहेर',
+    alerts: '🔔 {count} खुले इशारे',
+    simulation: '🧪 सिम्युलेशन: {time}, {walking} भाविक चालत आहेत',
+    editing: '✏️ गर्दी संपादन, {cells} सेल निवडले'
+  },
+  feedStatus: {
+    connecting: 'जोडत आहे',
+    connected: 'जोडलेले',
+    reconnecting: 'पुन्हा जोडत आहे',
+    disconnected: 'डिस्कनेक्ट'
+  },
+  status: {
+    initialCrowdsLoaded: '✅ प्रारंभिक गर्दी डेटा लोड झाला',
+    noValidCells: '❌ {file} मध्ये वैध गर्दी सेल नाहीत',
+    scenarioLoaded: '📂 परिदृश्य "{name}" लोड झाले ({cells} सेल)',
+    scenarioLoadedWithErrors: '📂 परिदृश्य "{name}" लोड झाले ({cells} सेल, {skipped} ओळी वगळल्या)',
+    scenarioExported: '💾 {cells} सेल {format} मध्ये निर्यात केले',
+    calculating: '🔍 मार्गांची गणना सुरू आहे...',
+    calculationCancelled: '✋ मार्गाची गणना रद्द केली',
+    bestRouteSelected: '✅ सर्वोत्तम मार्ग निवडला ({type}), {points} बिंदू',
+    sharedRouteSelected: '✅ शेअर केलेला मार्ग निवडला ({type}), {points} बिंदू',
+    noRoutes: '❌ कोणताही मार्ग सापडला नाही',
+    routeError: '❌ मार्ग गणनेत त्रुटी',
+    linkCopied: '🔗 मार्ग लिंक क्लिपबोर्डवर कॉपी झाली',
+    shareLink: '🔗 ही लिंक शेअर करा: {link}',
+    routeExported: '💾 {type} {format} मध्ये निर्यात केला',
+    liveUpdate: '📡 लाइव्ह अपडेट: {cells} सेल',
+    liveUpdateFrom: '📡 लाइव्ह अपडेट: {source} कडून {cells} सेल',
+    startSet: '📍 सुरुवातीचा बिंदू ठरवला',
+    endSet: '🎯 गंतव्य बिंदू ठरवला',
+    routeSelected: '✅ {type} निवडला',
+    profileSelected: '{icon} {profile} प्रोफाइल निवडले',
+    testCrowdsLoaded: '🧪 चाचणी गर्दी लोड झाली',
+    stopAdded: '📍 थांबा {number} जोडला',
+    stopRemoved: '🗑️ थांबा {number} काढला',
+    stopsReordered: '↕️ थांब्यांचा क्रम बदलला',
+    stopsCleared: '🗑️ थांबे साफ केले',
+    optimising: '🧮 {stops} थांब्यांमधील मार्गांची तुलना सुरू आहे...',
+    orderOptimised: '⚡ भेटीचा क्रम अनुकूल केला: {order}',
+    orderAlreadyOptimal: '⚡ सध्याचा क्रम आधीच सर्वोत्तम आहे',
+    placeStart: '🚩 {name} येथून सुरुवात',
+    placeAdded: '📍 {name} थांबा {number} म्हणून जोडले',
+    navigationStarted: '🧭 तुमच्या ठिकाणापासून नेव्हिगेशन सुरू',
+    navigationStopped: '⏹ नेव्हिगेशन थांबवले',
+    stopReached: '📍 थांबा {number} वर पोहोचलात',
+    positionError: '❌ {reason}',
+    trackLoaded: '🛰️ ट्रॅक "{name}" चालू ({fixes} बिंदू)',
+    trackError: '❌ ट्रॅक {file} वाचता आला नाही: {reason}',
+    offlineCrowdsRestored: '📴 ऑफलाइन: {time} ची शेवटची ज्ञात गर्दी दाखवत आहे',
+    mapSaved: '🗺️ ऑफलाइन वापरासाठी {count} नकाशा टाइल्स जतन केल्या',
+    mapSavedWithErrors: '🗺️ {count} नकाशा टाइल्स जतन केल्या, {failed} डाउनलोड झाल्या नाहीत',
+    offlineUnavailable: '❌ ऑफलाइन सुविधा अजून सक्रिय नाही (प्रोडक्शन बिल्ड, पहिल्या भेटीनंतर एकदा रीलोड करा)',
+    noValidDemand: '❌ {file} मध्ये एकही वैध सुरुवात–गंतव्य जोडी नाही',
+    demandLoaded: '⚖️ मागणी "{name}" लोड झाली ({pairs} जोड्या)',
+    demandLoadedWithErrors: '⚠️ मागणी "{name}" लोड झाली ({pairs} जोड्या, {skipped} ओळी वगळल्या)',
+    balancing: '⚖️ {pairs} सुरुवात–गंतव्य जोड्या संतुलित करत आहे...',
+    balanced: '⚖️ {pairs} जोड्या संतुलित: सर्वांच्या सर्वात जलद मार्गापेक्षा {saving}% कमी प्रवास वेळ',
+    assignmentCleared: '🧹 अंदाजित गर्दी काढली',
+    sharesExported: '💾 {pairs} जोड्यांचा मार्ग वाटा निर्यात केला',
+    drawingStarted: '✏️ {type} काढत आहे: बिंदू जोडण्यासाठी नकाशावर क्लिक करा',
+    restrictionAdded: '🚧 {type} जतन केले ({points} बिंदू)',
+    restrictionRemoved: '🧹 निर्बंध काढला',
+    restrictionsExported: '💾 {count} निर्बंध निर्यात केले',
+    noValidRestrictions: '❌ {file} मध्ये एकही वैध निर्बंध नाही',
+    restrictionsLoaded: '🚧 {count} निर्बंध लोड केले',
+    restrictionsLoadedWithErrors: '⚠️ {count} निर्बंध लोड केले ({skipped} फीचर वगळले)',
+    evacuationStarted: '🚨 स्थलांतर मोड: बाहेरचा मार्ग शोधण्यासाठी नकाशावर क्लिक करा',
+    evacuationStopped: '✅ स्थलांतर मोड संपला',
+    evacuationError: '❌ स्थलांतराचे नियोजन करता आले नाही: स्थानिक रस्ते नेटवर्क उपलब्ध नाही',
+    hazardSet: '🔥 धोक्याचे क्षेत्र निश्चित ({points} बिंदू)',
+    hazardCleared: '🧹 धोक्याचे क्षेत्र काढले',
+    safePointAdded: '🟢 {type} जोडले',
+    safePointRemoved: '🧹 सुरक्षित स्थळ काढले',
+    simulationStarted: '🧪 {pilgrims} भाविकांचे सिम्युलेशन: ▶ चालवा दाबा',
+    simulationStopped: '✅ सिम्युलेशन संपले, पुन्हा थेट गर्दी दाखवत आहे',
+    strategiesCompared: '⚖️ {pilgrims} भाविकांसाठी धोरणांची तुलना झाली',
+    simulationError: '❌ सिम्युलेशन अयशस्वी झाले',
+    crowdEditingStarted: '✏️ गर्दी संपादन: गर्दी सेलवर क्लिक करा, ओढा किंवा बॉक्सने निवडा',
+    crowdEditingStopped: '✅ गर्दी संपादन संपले',
+    cellsSelected: '⬚ {cells} गर्दी सेल निवडले',
+    crowdEdited: '✏️ झाले: {action}, {cells} सेल बदलले',
+    undone: '↶ पूर्ववत: {action}',
+    redone: '↷ पुन्हा केले: {action}',
+    crowdEditError: '❌ गर्दी संपादित करता आली नाही',
+    crowdUpdateError: '❌ गर्दी अद्ययावत करता आली नाही',
+    scenarioLoadError: '❌ {file} फाइल लोड करता आली नाही',
+    scenarioExportError: '❌ गर्दी निर्यात करता आली नाही'
+  },
+  notifications: {
+    rerouting: '⚠️ तुमच्या मार्गावरील गर्दी {exposure} पर्यंत वाढली — नवीन मार्ग शोधत आहे',
+    offRoute: '🧭 तुम्ही मार्ग सोडला — येथून नवीन मार्ग शोधत आहे',
+    zoneAhead: '⚠️ पुढे {people} लोकांची नवीन गर्दी आहे — येथून नवीन मार्ग शोधत आहे',
+    arrived: '🎯 तुम्ही पोहोचलात',
+    restrictionBroken: '⛔ येथे कोणताही मार्ग प्रत्येक बंद क्षेत्र आणि एकेरी नियम पाळत नाही ({count} मोडले) — स्वयंसेवकांच्या सूचनांचे पालन करा'
+  },
+  scenarioErrors: {
+    title: '⚠️ {count} ओळी वगळल्या',
+    row: 'ओळ {row}: {message}',
+    missingColumns: 'हेडरमध्ये स्तंभ नाहीत: {columns}',
+    emptyFile: 'फाइल रिकामी आहे',
+    notFeatureCollection: 'ही GeoJSON FeatureCollection नाही',
+    notPoint: 'फीचर {type} आहे, Point अपेक्षित',
+    missingGeometry: 'फीचरला भूमिती नाही, Point अपेक्षित',
+    invalidLatitude: 'अवैध अक्षांश "{value}"',
+    invalidLongitude: 'अवैध रेखांश "{value}"',
+    invalidCount: 'अवैध संख्या "{value}"',
+    invalidJson: 'अवैध JSON: {error}',
+    unsupportedFileType: 'असमर्थित फाइल प्रकार (.csv किंवा .geojson वापरा)',
+    unknownPlace: 'अज्ञात ठिकाण "{value}"',
+    invalidTravellers: 'प्रवाशांची अवैध संख्या "{value}"',
+    sameOriginDestination: 'सुरुवात आणि गंतव्य एकच ठिकाण आहे',
+    unsupportedDemandFileType: 'असमर्थित फाइल प्रकार (.csv वापरा)',
+    unknownRestrictionType: 'अज्ञात निर्बंध प्रकार "{type}"',
+    invalidRestrictionGeometry: 'अवैध भूमिती, {type} अपेक्षित',
+    invalidTimeWindow: 'अवैध वेळ मर्यादा "{value}"'
+  },
+  map: {
+    crowdZone: '🚧 गर्दी क्षेत्र',
+    zonePeople: 'लोक: {cells} सेलमध्ये {people}',
+    density: 'घनता: {density} /मी²',
+    peakDensity: 'सर्वाधिक गर्दीचा सेल: {density} /मी² (स्तर {level})',
+    cellDensity: 'घनता: {density} /मी² (स्तर {level})',
+    weight: 'भार: {weight}',
+    crowdArea: '👥 गर्दी सेल',
+    people: 'लोक: {people}',
+    startPoint: '📍 सुरुवातीचा बिंदू',
+    endPoint: '🎯 गंतव्य बिंदू',
+    stop: '📍 थांबा {number}',
+    yourPosition: '📍 तुम्ही येथे आहात (±{accuracy})',
+    projectedArea: '⚖️ अंदाजित गर्दी',
+    projectedPeople: 'अपेक्षित लोक: {people}',
+    assignedRoute: '{type}: {share} ({travellers} प्रवासी)'
+  },
+  timeline: {
+    title: '🕒 कालरेषा',
+    live: 'लाइव्ह',
+    play: '▶ चालू करा',
+    pause: '⏸ थांबवा',
+    goLive: '⏺ लाइव्ह'
+  },
+  directions: {
+    title: '🧭 दिशानिर्देश',
+    voiceTitle: 'निवडलेली पायरी मोठ्याने वाचा',
+    voiceUnsupported: 'या ब्राउझरमध्ये आवाज समर्थित नाही',
+    thenContinue: '{instruction}, नंतर {distance} पुढे चला',
+    depart: '{near}{on}{direction} दिशेला चला',
+    arrive: 'तुम्ही गंतव्यस्थानी पोहोचलात',
+    arriveNear: 'तुम्ही {landmark} जवळ गंतव्यस्थानी पोहोचलात',
+    arriveStop: 'तुम्ही थांबा {stop} वर पोहोचलात',
+    arriveStopNear: 'तुम्ही {landmark} जवळ थांबा {stop} वर पोहोचलात',
+    roundabout: '{near}गोलाकार चौकात {exit} घेऊन {onto}जा',
+    roundaboutExit: 'निर्गम {exit}',
+    roundaboutAnyExit: 'निर्गम',
+    continue: '{near}{on}सरळ चालत राहा',
+    turn: '{near}{onto}{modifier} वळा',
+    uturn: '{near}{on}यू-टर्न घ्या',
+    onto: '{name} वर ',
+    on: '{name} वर ',
+    near: '{landmark} जवळ ',
+    modifiers: {
+      'sharp left': 'तीव्र डावीकडे',
+      left: 'डावीकडे',
+      'slight left': 'किंचित डावीकडे',
+      straight: 'सरळ',
+      'slight right': 'किंचित उजवीकडे',
+      right: 'उजवीकडे',
+      'sharp right': 'तीव्र उजवीकडे',
+      uturn: 'मागे'
+    },
+    compass: {
+      north: 'उत्तर',
+      northeast: 'ईशान्य',
+      east: 'पूर्व',
+      southeast: 'आग्नेय',
+      south: 'दक्षिण',
+      southwest: 'नैऋत्य',
+      west: 'पश्चिम',
+      northwest: 'वायव्य'
+    }
+  }
+};
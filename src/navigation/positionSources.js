@@ -0,0 +1,177 @@
+import { haversineDistance } from '../routing/geo';
+
+// Position sources for navigation. Both report fixes as
+//   { position: [lat, lng], accuracy (metres), time (ms since epoch) }
+// through `onPosition` and their state through `onStatus`:
+//   'waiting' (no fix yet) | 'tracking' | 'ended' (simulated track finished) | 'stopped'
+// and failures through `onError(code)`: 'unsupported' | 'denied' | 'unavailable' | 'timeout'.
+
+// Simulated walk from Ram Ghat to Mahakaleshwar Temple that strays off the road half way
+export const SAMPLE_TRACK_URL = '/data/sample-track.gpx';
+
+const GEOLOCATION_ERRORS = { 1: 'denied', 2: 'unavailable', 3: 'timeout' };
+
+// The device's position from the browser Geolocation API
+export class GeolocationSource {
+  constructor({ onPosition, onStatus, onError } = {}) {
+    this.onPosition = onPosition || (() => {});
+    this.onStatus = onStatus || (() => {});
+    this.onError = onError || (() => {});
+    this.watchId = null;
+  }
+
+  start() {
+    if (!('geolocation' in navigator)) {
+      this.onError('unsupported');
+      return;
+    }
+    this.onStatus('waiting');
+    this.watchId = navigator.geolocation.watchPosition(
+      ({ coords, timestamp }) => {
+        this.onStatus('tracking');
+        this.onPosition({ position: [coords.latitude, coords.longitude], accuracy: coords.accuracy, time: timestamp });
+      },
+      (error) => this.onError(GEOLOCATION_ERRORS[error.code] || 'unavailable'),
+      { enableHighAccuracy: true, maximumAge: 2000, timeout: 20000 }
+    );
+  }
+
+  stop() {
+    if (this.watchId !== null) navigator.geolocation.clearWatch(this.watchId);
+    this.watchId = null;
+    this.onStatus('stopped');
+  }
+}
+
+// Replays a recorded or simulated track (see parseTrackFile) in real time, or `speedup`
+// times faster, for testing navigation without moving
+export class SimulatedTrackSource {
+  constructor(track, { onPosition, onStatus, speedup = 1 } = {}) {
+    this.track = track;
+    this.onPosition = onPosition || (() => {});
+    this.onStatus = onStatus || (() => {});
+    this.speedup = speedup;
+    this.timer = null;
+  }
+
+  start() {
+    this.onStatus('waiting');
+    const fixes = this.track.fixes;
+    const startedAt = Date.now();
+
+    const emit = (index) => {
+      const fix = fixes[index];
+      this.onStatus('tracking');
+      // Fix times stay on the track's own clock (shifted to start now), so time-based
+      // decisions such as the reroute interval behave the same at any speedup
+      this.onPosition({ ...fix, time: startedAt + fix.time - fixes[0].time });
+
+      if (index + 1 >= fixes.length) {
+        this.timer = null;
+        this.onStatus('ended');
+        return;
+      }
+      this.timer = setTimeout(() => emit(index + 1), (fixes[index + 1].time - fix.time) / this.speedup);
+    };
+    this.timer = setTimeout(() => emit(0), 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.onStatus('stopped');
+  }
+}
+
+// --- Track files ---
+
+// Simulated tracks without timestamps are walked at this speed (m/s)
+const DEFAULT_TRACK_SPEED = 1.3;
+// Accuracy reported for track fixes without one
+const DEFAULT_TRACK_ACCURACY = 10;
+
+// Give every fix a time: keep recorded times, otherwise walk from the previous fix at `speed`
+function timeFixes(points, speed) {
+  const fixes = [];
+  let time = Date.parse('2028-04-22T05:00:00Z');
+  points.forEach((point, index) => {
+    if (index > 0) time += haversineDistance(points[index - 1].position, point.position) / speed * 1000;
+    const recorded = Date.parse(point.time);
+    fixes.push({
+      position: point.position,
+      accuracy: point.accuracy ?? DEFAULT_TRACK_ACCURACY,
+      time: Number.isFinite(recorded) ? recorded : time
+    });
+    time = fixes[index].time;
+  });
+  return fixes;
+}
+
+function parseGPXTrack(text) {
+  const points = [];
+  const pattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  for (const [, , attributes, body = ''] of text.matchAll(pattern)) {
+    const lat = Number(/\blat="([^"]+)"/.exec(attributes)?.[1]);
+    const lng = Number(/\blon="([^"]+)"/.exec(attributes)?.[1]);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const accuracy = Number(/<hdop>([^<]+)<\/hdop>/.exec(body)?.[1]) * 5;
+    points.push({
+      position: [lat, lng],
+      time: /<time>([^<]+)<\/time>/.exec(body)?.[1],
+      accuracy: Number.isFinite(accuracy) ? accuracy : undefined
+    });
+  }
+  return points;
+}
+
+// A LineString (with optional `coordTimes`/`times` property, as written by togeojson)
+// or a set of Point features with a `time` property
+function parseGeoJSONTrack(text) {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection' ? data.features || [] : [data.type === 'Feature' ? data : { geometry: data, properties: {} }];
+
+  const line = features.find(feature => feature.geometry?.type === 'LineString');
+  if (line) {
+    const times = line.properties?.coordTimes || line.properties?.times || [];
+    return line.geometry.coordinates.map(([lng, lat], index) => ({ position: [lat, lng], time: times[index] }));
+  }
+
+  return features
+    .filter(feature => feature.geometry?.type === 'Point')
+    .map(({ geometry, properties }) => ({
+      position: [geometry.coordinates[1], geometry.coordinates[0]],
+      time: properties?.time,
+      accuracy: properties?.accuracy
+    }));
+}
+
+// Parse a .gpx or .geojson track into { name, fixes, error }. Like the scenario parsers
+// it never throws: an unreadable file gives no fixes and an `error` of
+// { code, params, message } (trackErrors.* in src/i18n).
+export function parseTrackFile(fileName, text, { speed = DEFAULT_TRACK_SPEED } = {}) {
+  const name = fileName.replace(/\.[^.]+$/, '');
+  const extension = fileName.split('.').pop().toLowerCase();
+  const failed = (code, params, message) => ({ name, fixes: [], error: { code, params, message } });
+
+  let points;
+  if (extension === 'gpx') {
+    points = parseGPXTrack(text);
+  } else if (extension === 'geojson' || extension === 'json') {
+    try {
+      points = parseGeoJSONTrack(text);
+    } catch (error) {
+      return failed('invalidJson', { error: error.message }, `Invalid JSON: ${error.message}`);
+    }
+  } else {
+    return failed('unsupportedFileType', {}, 'Unsupported file type (use .gpx or .geojson)');
+  }
+
+  const valid = points.filter(({ position: [lat, lng] }) =>
+    Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180
+  );
+  if (valid.length < 2) {
+    return failed('tooFewPoints', { count: valid.length }, `Track has ${valid.length} valid point(s), needs at least 2`);
+  }
+
+  return { name, fixes: timeFixes(valid, speed), error: null };
+}
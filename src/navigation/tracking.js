@@ -0,0 +1,97 @@
+import { closestPointOnPath, haversineDistance, pathLength } from '../routing/geo';
+import { routeZoneLengths } from '../crowd/zones';
+
+// Follows a traveller's position fixes along the current route and decides when to
+// reroute: after leaving the route, or when a crowd zone that was not on the route when
+// it was calculated shows up on the stretch ahead.
+
+export const DEFAULT_TRACKING_OPTIONS = {
+  offRouteDistance: 35, // metres from the route (or the fix accuracy, if worse) that count as off route
+  offRouteFixes: 2, // consecutive off-route fixes before rerouting, to ride out single GPS jumps
+  lookahead: 300, // metres of route ahead checked for new crowd zones
+  arrivalRadius: 25, // metres from a stop that count as reaching it
+  minRerouteInterval: 15000 // ms between navigation reroutes
+};
+
+const cellKey = (cell) => `${cell.lat},${cell.lng}`;
+
+// Position on a route: distance from it, metres already covered and metres left
+export function routeProgress(route, position) {
+  const closest = closestPointOnPath(route, position);
+  const covered = pathLength([...route.slice(0, closest.index + 1), closest.point]);
+  return {
+    point: closest.point,
+    index: closest.index,
+    distanceFromRoute: closest.distance,
+    covered,
+    remaining: Math.max(0, pathLength(route) - covered)
+  };
+}
+
+// The stretch of `route` from the closest point to `position` onwards, `length` metres long
+export function routeAhead(route, progress, length) {
+  const ahead = [progress.point];
+  let travelled = 0;
+  for (let i = progress.index + 1; i < route.length && travelled < length; i++) {
+    travelled += haversineDistance(ahead[ahead.length - 1], route[i]);
+    ahead.push(route[i]);
+  }
+  return ahead;
+}
+
+export class RouteTracker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_TRACKING_OPTIONS, ...options };
+    this.setRoute([], []);
+  }
+
+  // Start following a new route through `stops`. Cells of the zones it already crosses
+  // are remembered, so only crowds that appear later trigger a reroute.
+  setRoute(route, stops, crowdZones = []) {
+    this.route = route;
+    this.stops = stops;
+    this.nextStop = 1;
+    this.offRouteCount = 0;
+    this.knownCells = new Set([...routeZoneLengths(route, crowdZones).keys()]
+      .flatMap(zone => zone.cells.map(cellKey)));
+  }
+
+  // Stops still to visit, for rerouting from the current position
+  get remainingStops() {
+    return this.stops.slice(this.nextStop);
+  }
+
+  // Process one fix ({ position, accuracy }). Returns the progress along the route plus
+  // `offRoute` (reroute: left the route), `zoneAhead` (reroute: new crowd zone ahead),
+  // `reachedStop` (index of a stop just reached, or null) and `arrived`.
+  update({ position, accuracy = 0 }, crowdZones = []) {
+    const result = { offRoute: false, zoneAhead: null, reachedStop: null, arrived: false, progress: null };
+    if (this.route.length < 2) return result;
+
+    const { offRouteDistance, offRouteFixes, lookahead, arrivalRadius } = this.options;
+    const progress = routeProgress(this.route, position);
+    result.progress = progress;
+
+    const target = this.stops[this.nextStop];
+    if (target && haversineDistance(position, target) <= Math.max(arrivalRadius, accuracy)) {
+      result.reachedStop = this.nextStop;
+      this.nextStop++;
+    }
+    result.arrived = this.nextStop >= this.stops.length;
+    if (result.arrived) return result;
+
+    if (progress.distanceFromRoute > Math.max(offRouteDistance, accuracy)) {
+      this.offRouteCount++;
+    } else {
+      this.offRouteCount = 0;
+    }
+    result.offRoute = this.offRouteCount >= offRouteFixes;
+
+    const ahead = routeAhead(this.route, progress, lookahead);
+    const zonesAhead = routeZoneLengths(ahead, crowdZones);
+    result.zoneAhead = crowdZones.find(zone => zonesAhead.has(zone) &&
+      !zone.cells.some(cell => this.knownCells.has(cellKey(cell)))) || null;
+
+    return result;
+  }
+}
@@ -0,0 +1,131 @@
+import { haversineDistance } from '../routing/geo';
+import poisGeoJson from './ujjain-pois.geojson?raw';
+
+// Bundled places of interest (src/places/ujjain-pois.geojson), so the layer and the
+// place search work offline. Each feature is a Point with `id`, English `name`, a
+// `category` from POI_CATEGORIES, local-script `names` ({ hi, mr, gu }), optional
+// `aliases` (other spellings, in any script) and `landmark: true` for places that
+// directions mention (see src/routing/landmarks.js).
+
+export const POI_CATEGORIES = {
+  ghat: { id: 'ghat', icon: '🌊', color: '#0284c7' },
+  temple: { id: 'temple', icon: '🛕', color: '#ea580c' },
+  akhara: { id: 'akhara', icon: '🚩', color: '#b45309' },
+  medical: { id: 'medical', icon: '🏥', color: '#dc2626' },
+  police: { id: 'police', icon: '👮', color: '#1d4ed8' },
+  toilet: { id: 'toilet', icon: '🚻', color: '#0d9488' },
+  water: { id: 'water', icon: '🚰', color: '#0891b2' },
+  parking: { id: 'parking', icon: '🅿️', color: '#4b5563' },
+  transport: { id: 'transport', icon: '🚉', color: '#7c3aed' },
+  landmark: { id: 'landmark', icon: '🏛️', color: '#92400e' }
+};
+
+export function parsePois(text) {
+  return JSON.parse(text).features
+    .filter(feature => feature.geometry?.type === 'Point' && POI_CATEGORIES[feature.properties?.category])
+    .map(({ properties, geometry }) => ({
+      id: properties.id,
+      name: properties.name,
+      names: properties.names || {},
+      aliases: properties.aliases || [],
+      category: properties.category,
+      landmark: Boolean(properties.landmark),
+      position: [geometry.coordinates[1], geometry.coordinates[0]]
+    }));
+}
+
+export const POIS = parsePois(poisGeoJson);
+
+// Place name in a UI language, falling back to the English name
+export function poiName(poi, language = 'en') {
+  return poi.names?.[language] || poi.name;
+}
+
+// Closest place within `maxDistance` metres of a point, or null
+export function nearestPoi(point, maxDistance = 50, pois = POIS) {
+  let best = null;
+  for (const poi of pois) {
+    const distance = haversineDistance(point, poi.position);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { ...poi, distance };
+    }
+  }
+  return best;
+}
+
+// --- Fuzzy search ---
+
+// Lower-case, drop Latin accents and punctuation. Devanagari and Gujarati vowel signs
+// are combining marks too, so only the Latin ones (U+0300-U+036F) are removed.
+function normalise(text) {
+  return text
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_value, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed in a query word of this length
+const maxTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// How well one query word matches one name word (0-1): a prefix match counts fully, so
+// results appear while typing; otherwise the word, or its prefix of the same length,
+// may differ by a few typos.
+function wordScore(queryWord, word) {
+  if (word.startsWith(queryWord)) return 1;
+  const typos = Math.min(editDistance(queryWord, word), editDistance(queryWord, word.slice(0, queryWord.length)));
+  return typos <= maxTypos(queryWord.length) ? 1 - typos / (queryWord.length + 1) : 0;
+}
+
+// Score of a query against one name (0-1). Whole-name and substring matches rank above
+// word-by-word matches; every query word must match some word of the name.
+function nameScore(query, name) {
+  if (name === query) return 1;
+  if (name.startsWith(query)) return 0.95;
+  if (name.includes(query)) return 0.85;
+
+  const words = name.split(' ');
+  let total = 0;
+  for (const queryWord of query.split(' ')) {
+    const best = Math.max(...words.map(word => wordScore(queryWord, word)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return 0.8 * total / query.split(' ').length;
+}
+
+// Places matching a free-text query in any script (English, Hindi, Marathi, Gujarati or
+// an alias), best first, as [{ poi, score }]. `categories` limits the search to those
+// category ids.
+export function searchPois(query, { limit = 8, categories = null, pois = POIS } = {}) {
+  const normalisedQuery = normalise(query);
+  if (!normalisedQuery) return [];
+
+  return pois
+    .filter(poi => !categories || categories.includes(poi.category))
+    .map(poi => {
+      const names = [poi.name, ...Object.values(poi.names), ...poi.aliases];
+      return { poi, score: Math.max(...names.map(name => nameScore(normalisedQuery, normalise(name)))) };
+    })
+    .filter(result => result.score > 0)
+    // Equal scores: shorter names first, so "Harsiddhi Temple" beats "Toilets – Harsiddhi"
+    .sort((a, b) => b.score - a.score || a.poi.name.length - b.poi.name.length || a.poi.name.localeCompare(b.poi.name))
+    .slice(0, limit);
+}
@@ -0,0 +1,70 @@
+// Page side of the offline support: service worker registration, the map tile source
+// and precaching the tiles of the Mela area (see src/pwa/sw.js).
+//
+// Configure the tile server with a Vite environment variable (e.g. in `.env.local`):
+//   VITE_TILE_URL=https://tiles.example.org/{z}/{x}/{y}.png   # {s} picks a subdomain
+// Bulk downloads are against the OpenStreetMap tile usage policy, so point this at your
+// own (or a commercial) tile server before precaching for real use.
+
+const env = import.meta.env || {};
+export const TILE_URL = env.VITE_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_SUBDOMAINS = 'abc'; // Leaflet's default
+
+// Ujjain, from the Mahakal area and the Kshipra ghats out to the parking and camp zones
+export const OFFLINE_TILE_BOUNDS = [[23.13, 75.72], [23.23, 75.83]]; // [south-west, north-east]
+export const OFFLINE_TILE_ZOOMS = [12, 16];
+
+const tileX = (lng, zoom) => Math.floor((lng + 180) / 360 * 2 ** zoom);
+const tileY = (lat, zoom) => {
+  const radians = lat * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(radians) + 1 / Math.cos(radians)) / Math.PI) / 2 * 2 ** zoom);
+};
+
+// URLs of every tile covering `bounds` at each zoom level in [minZoom, maxZoom]. The
+// subdomain is chosen the way Leaflet does, so the cached URLs match the map's requests.
+export function tileUrls(bounds = OFFLINE_TILE_BOUNDS, [minZoom, maxZoom] = OFFLINE_TILE_ZOOMS, template = TILE_URL) {
+  const [[south, west], [north, east]] = bounds;
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    for (let x = tileX(west, z); x <= tileX(east, z); x++) {
+      for (let y = tileY(north, z); y <= tileY(south, z); y++) {
+        const s = TILE_SUBDOMAINS[Math.abs(x + y) % TILE_SUBDOMAINS.length];
+        urls.push(template.replace('{s}', s).replace('{z}', z).replace('{x}', x).replace('{y}', y));
+      }
+    }
+  }
+  return urls;
+}
+
+// Production builds only: the dev server has no precache manifest
+export function registerServiceWorker() {
+  if (!env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${env.BASE_URL}sw.js`)
+      .then(registration => console.log('📦 Service worker registered for', registration.scope))
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+}
+
+// Ask the service worker to download the offline area's tiles. Resolves with
+// { done, failed, total } once finished; `onProgress` gets the same while it runs.
+// Rejects when no service worker controls the page (dev server, first load).
+export function precacheTiles({ onProgress = () => {} } = {}) {
+  const controller = navigator.serviceWorker?.controller;
+  if (!controller) return Promise.reject(new Error('No active service worker'));
+
+  const urls = tileUrls();
+  return new Promise(resolve => {
+    const handleMessage = (event) => {
+      if (event.data?.type === 'tiles-progress') onProgress(event.data);
+      if (event.data?.type === 'tiles-done') {
+        navigator.serviceWorker.removeEventListener('message', handleMessage);
+        onProgress(event.data);
+        resolve(event.data);
+      }
+    };
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    onProgress({ done: 0, failed: 0, total: urls.length });
+    controller.postMessage({ type: 'precache-tiles', urls });
+  });
+}
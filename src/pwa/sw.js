@@ -0,0 +1,148 @@
+// Service worker: keeps the app usable when the mobile network collapses under the crowds.
+//   - App shell (the build's files and everything in public/, including the local road
+//     network) is precached on install and served cache-first.
+//   - Map tiles are served cache-first. The page can ask for a whole area to be
+//     precached with a { type: 'precache-tiles', urls } message (see src/pwa/offline.js).
+//   - Routing server responses are network-first, falling back to the last response for
+//     the same request, so recently calculated routes can be recalculated offline.
+// It is built by the `serviceWorker` plugin in vite.config.js, which fills in the
+// __PRECACHE_MANIFEST (list of files) and __CACHE_VERSION (their hash) placeholders.
+
+const APP_CACHE = `app-${self.__CACHE_VERSION}`;
+const TILE_CACHE = 'tiles';
+const ROUTE_CACHE = 'routes';
+const MAX_TILES = 5000;
+const MAX_ROUTE_RESPONSES = 100;
+const TILE_PRECACHE_CONCURRENCY = 2; // be gentle with the tile server
+
+const isTileRequest = (url) => /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/.test(url.pathname);
+// OSRM (/route/v1/...), GraphHopper (/route?point=...) and Valhalla (POST /route)
+const isRouteRequest = (url) => url.origin !== self.location.origin && /\/route(\/|$)/.test(url.pathname);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      .then(cache => cache.addAll(self.__PRECACHE_MANIFEST))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('app-') && key !== APP_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Drop the oldest entries (caches keep insertion order) beyond `max`
+async function trimCache(cacheName, max) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
+
+async function cacheFirst(request, cacheName, maxEntries = null) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque responses (no-cors tile images) have status 0 but are still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    if (maxEntries) trimCache(cacheName, maxEntries);
+  }
+  return response;
+}
+
+// Page loads (including deep links with a query): fresh index.html when online, the
+// precached app root when not
+async function networkFirstPage(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(self.registration.scope, { cacheName: APP_CACHE });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Routing requests. POST bodies (Valhalla) become part of the cache key, since the
+// Cache API only stores GET requests.
+async function networkFirstRoute(request) {
+  const cacheKey = request.method === 'GET'
+    ? request
+    : `${request.url}?body=${encodeURIComponent(await request.clone().text())}`;
+  const cache = await caches.open(ROUTE_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.delete(cacheKey);
+      await cache.put(cacheKey, response.clone());
+      trimCache(ROUTE_CACHE, MAX_ROUTE_RESPONSES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (isRouteRequest(url) && (request.method === 'GET' || request.method === 'POST')) {
+    event.respondWith(networkFirstRoute(request));
+    return;
+  }
+  // Live feed streams and other writes go straight to the network
+  if (request.method !== 'GET' || request.headers.get('accept')?.includes('text/event-stream')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, APP_CACHE));
+  } else if (isTileRequest(url)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+  }
+});
+
+// Download every tile in `urls` not cached yet, reporting { type: 'tiles-progress',
+// done, failed, total } to the page that asked and { type: 'tiles-done', ... } at the end
+async function precacheTiles(urls, client) {
+  const cache = await caches.open(TILE_CACHE);
+  const progress = { done: 0, failed: 0, total: urls.length };
+  const queue = [...urls];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      try {
+        if (!(await cache.match(url))) {
+          const response = await fetch(url, { mode: 'cors' });
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          await cache.put(url, response);
+        }
+        progress.done++;
+      } catch {
+        progress.failed++;
+      }
+      if ((progress.done + progress.failed) % 10 === 0) client?.postMessage({ type: 'tiles-progress', ...progress });
+    }
+  };
+
+  await Promise.all(Array.from({ length: TILE_PRECACHE_CONCURRENCY }, worker));
+  client?.postMessage({ type: 'tiles-done', ...progress });
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'precache-tiles') {
+    event.waitUntil(precacheTiles(event.data.urls, event.source));
+  }
+});
@@ -0,0 +1,170 @@
+import { haversineDistance, interpolate, pathLength } from './geo';
+
+// Batch assignment of many travellers to route options.
+// Sending every traveller down the least crowded route creates a new crowd there, so
+// instead the demand of each origin–destination pair is spread over its route options
+// so that the total travel time of everyone is lowest (system-optimal assignment).
+//
+// Travellers on a route add people to the grid cells it crosses: over an assignment
+// period of `period` seconds, N travellers walking `metres` through a cell at `speed`
+// keep N × metres / speed / period people in it on average. Walking through a cell then
+// takes metres / speed × (1 + alpha × (people / cellCapacity)^beta), counting both the
+// crowd already there and the projected one. Flows are found with the method of
+// successive averages on the marginal (system) cost of each route.
+
+export const DEFAULT_ASSIGNMENT_OPTIONS = {
+  period: 3600, // seconds over which the demand travels (demand is travellers per period)
+  cellCapacity: 50, // people in a grid cell at which walking through it takes twice as long
+  alpha: 1,
+  beta: 2,
+  maxIterations: 100,
+  gapTolerance: 0.005 // stop once the relative gap to the best response is below this
+};
+
+// Sampling step (metres) when splitting a route into grid cells
+const CELL_SAMPLE_STEP = 5;
+
+// Metres of `route` inside each grid cell, as a Map of cellKey(lat, lng) -> metres
+export function routeCells(route, cellKey) {
+  const cells = new Map();
+  for (let i = 1; i < route.length; i++) {
+    const length = haversineDistance(route[i - 1], route[i]);
+    const samples = Math.max(1, Math.ceil(length / CELL_SAMPLE_STEP));
+    for (let s = 0; s < samples; s++) {
+      const [lat, lng] = interpolate(route[i - 1], route[i], (s + 0.5) / samples);
+      const key = cellKey(lat, lng);
+      cells.set(key, (cells.get(key) || 0) + length / samples);
+    }
+  }
+  return cells;
+}
+
+// Travel time multiplier for a cell holding `people`
+export function congestionFactor(people, { cellCapacity, alpha, beta } = DEFAULT_ASSIGNMENT_OPTIONS) {
+  return 1 + alpha * Math.pow(people / cellCapacity, beta);
+}
+
+function congestionSlope(people, { cellCapacity, alpha, beta }) {
+  return alpha * beta * Math.pow(people, beta - 1) / Math.pow(cellCapacity, beta);
+}
+
+// Assign `pairs` ([{ travellers, ... }]) to their route options `pathSets[i]`
+// ([{ route, type, ... }] per pair). `cellKey(lat, lng)` names the grid cell of a point,
+// `baseLoad(key)` gives the people already in a cell and `speed` is the walking speed
+// (m/s). Returns the pairs with their `paths` (share, travellers, per-traveller `time`
+// in seconds and distance), the `projected` people per cell, the total travel time
+// (`totalTime`, person-seconds) against the all-or-nothing assignment to each pair's
+// fastest route (`greedyTime`), and the convergence `gap`/`iterations`.
+export function assignDemand(pairs, pathSets, { cellKey, baseLoad = () => 0, speed = 1.3, ...overrides } = {}) {
+  const options = { ...DEFAULT_ASSIGNMENT_OPTIONS, ...overrides };
+  const { period, maxIterations, gapTolerance } = options;
+
+  const paths = pathSets.map(set => set.map(option => ({ ...option, cells: routeCells(option.route, cellKey) })));
+  const base = new Map();
+  for (const path of paths.flat()) {
+    for (const key of path.cells.keys()) {
+      if (!base.has(key)) base.set(key, baseLoad(key));
+    }
+  }
+
+  // People each cell gains from the flows (travellers per pair and path)
+  const projectedLoad = (flows) => {
+    const load = new Map();
+    paths.forEach((set, i) => set.forEach((path, j) => {
+      if (flows[i][j] <= 0) return;
+      for (const [key, metres] of path.cells) {
+        load.set(key, (load.get(key) || 0) + flows[i][j] * metres / speed / period);
+      }
+    }));
+    return load;
+  };
+
+  // Per-traveller travel time of a path, or with `marginal` the time the path adds to
+  // everyone's total per extra traveller (own time plus the delay caused to others)
+  const pathTime = (path, load, marginal = false) => {
+    let time = 0;
+    for (const [key, metres] of path.cells) {
+      const projected = load.get(key) || 0;
+      const people = base.get(key) + projected;
+      const factor = congestionFactor(people, options);
+      time += metres / speed * (marginal ? factor + projected * congestionSlope(people, options) : factor);
+    }
+    return time;
+  };
+
+  const totalTime = (flows) => {
+    const load = projectedLoad(flows);
+    return paths.reduce((sum, set, i) => sum + set.reduce((pairSum, path, j) =>
+      pairSum + (flows[i][j] > 0 ? flows[i][j] * pathTime(path, load) : 0), 0), 0);
+  };
+
+  // Every pair's travellers on its cheapest path under `costs`
+  const allOrNothing = (costs) => pairs.map((pair, i) => {
+    const best = costs[i].indexOf(Math.min(...costs[i]));
+    return costs[i].map((_cost, j) => (j === best ? pair.travellers : 0));
+  });
+
+  // What calculateRoute does for each traveller on their own: the path that is fastest
+  // with today's crowds, ignoring everyone else asking at the same time
+  const empty = new Map();
+  const greedyFlows = allOrNothing(paths.map(set => set.map(path => pathTime(path, empty))));
+
+  let flows = greedyFlows;
+  let gap = Infinity;
+  let iterations = 0;
+  while (iterations < maxIterations) {
+    iterations++;
+    const load = projectedLoad(flows);
+    const marginal = paths.map(set => set.map(path => pathTime(path, load, true)));
+
+    const current = flows.reduce((sum, row, i) => sum + row.reduce((rowSum, flow, j) => rowSum + flow * marginal[i][j], 0), 0);
+    const best = pairs.reduce((sum, pair, i) => sum + pair.travellers * Math.min(...marginal[i]), 0);
+    gap = current > 0 ? (current - best) / current : 0;
+    if (gap <= gapTolerance) break;
+
+    const target = allOrNothing(marginal);
+    const step = 1 / (iterations + 1);
+    flows = flows.map((row, i) => row.map((flow, j) => flow + step * (target[i][j] - flow)));
+  }
+
+  const load = projectedLoad(flows);
+  return {
+    pairs: pairs.map((pair, i) => ({
+      ...pair,
+      paths: pathSets[i].map((option, j) => ({
+        ...option,
+        distance: pathLength(option.route),
+        travellers: flows[i][j],
+        share: pair.travellers > 0 ? flows[i][j] / pair.travellers : 0,
+        time: pathTime(paths[i][j], load)
+      }))
+    })),
+    projected: load,
+    totalTime: totalTime(flows),
+    greedyTime: totalTime(greedyFlows),
+    gap,
+    iterations,
+    converged: gap <= gapTolerance
+  };
+}
+
+// Per-route shares of an assignment result as CSV, one row per pair and route option.
+// `from`/`to` are the place ids when the demand named places.
+export function assignmentToCSV(result) {
+  const header = 'from,to,from_lat,from_lng,to_lat,to_lng,travellers,route,share,assigned,distance_m,time_min';
+  const rows = result.pairs.flatMap(pair => pair.paths.map(path => [
+    pair.originPoi?.id ?? '',
+    pair.destinationPoi?.id ?? '',
+    pair.origin[0].toFixed(6),
+    pair.origin[1].toFixed(6),
+    pair.destination[0].toFixed(6),
+    pair.destination[1].toFixed(6),
+    pair.travellers,
+    path.type,
+    path.share.toFixed(4),
+    Math.round(path.travellers),
+    Math.round(path.distance),
+    (path.time / 60).toFixed(1)
+  ].join(',')));
+  return [header, ...rows].join('\n') + '\n';
+}
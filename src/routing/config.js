@@ -0,0 +1,20 @@
+// Routing backend configuration, read from Vite env variables at build time.
+// Example (.env.local):
+//   VITE_ROUTING_PROVIDER=osrm          # osrm | graphhopper | valhalla | mock | local
+//   VITE_ROUTING_BASE_URL=http://localhost:5000   # for local: URL of the road network GeoJSON
+//   VITE_ROUTING_API_KEY=               # only needed for hosted GraphHopper
+const env = import.meta.env || {};
+
+export const DEFAULT_BASE_URLS = {
+  osrm: 'https://router.project-osrm.org',
+  graphhopper: 'https://graphhopper.com/api/1',
+  valhalla: 'https://valhalla1.openstreetmap.de',
+  mock: '',
+  local: ''
+};
+
+export const routingConfig = {
+  provider: env.VITE_ROUTING_PROVIDER || 'osrm',
+  baseUrl: env.VITE_ROUTING_BASE_URL || '',
+  apiKey: env.VITE_ROUTING_API_KEY || ''
+};
@@ -0,0 +1,490 @@
+import { createRoutingProvider } from './providers';
+import { CrowdGraphRouter } from './graphRouter';
+import { DEFAULT_PROFILE } from './profiles';
+import { bearing, closestPointOnPath, destinationPoint, pathLength, toLocalXY } from './geo';
+import { joinLegs } from './itinerary';
+import { routeCells } from './assignment';
+import { findViolations, isPointInClosure, isSegmentBlocked, restrictionExtent } from './restrictions';
+import { isPointInZone, routeZoneLengths } from '../crowd/zones';
+
+// Advanced router with dynamic crowd avoidance.
+// The actual routing backend (OSRM, GraphHopper, Valhalla or mock) is pluggable,
+// see src/routing/providers.js and the VITE_ROUTING_* env settings.
+// A local graph router adds a route whose edge costs come straight from the population grid.
+// The app runs it in the crowd worker (see src/worker/engine.js): the long searches take
+// an AbortSignal (`signal`), checked between routing requests, so stale calculations stop
+// early, and report `onProgress({ done, total })`.
+const DEFAULT_AVOIDANCE_OPTIONS = {
+  maxExposure: 0.05, // stop once totalIntersection is at or below this
+  maxIterations: 4, // routing requests per avoidance search
+  maxDetourRatio: 1.6, // give up on detours longer than this times the first candidate
+  detourMargin: 1.5 // detour waypoint distance from zone centre, in zone radii
+};
+
+const AVOIDANCE_STOP_REASONS = {
+  'exposure-threshold': 'crowd exposure below threshold',
+  'iteration-budget': 'iteration budget used up',
+  'detour-budget': 'further detours would be too long',
+  'no-avoidable-zones': 'remaining zones surround the start or end point',
+  'routing-failed': 'routing server failed during the search'
+};
+
+// Route options of a batch assignment pair sharing at least this much of their length
+// (by grid cell) count as the same route
+const ASSIGNMENT_DUPLICATE_OVERLAP = 0.95;
+
+// Reroutes tried per route option to get around broken organizer restrictions
+const MAX_RESTRICTION_DETOURS = 3;
+
+// Legs getStopCostMatrix routes at the same time, so public routing servers do not
+// rate-limit an optimisation
+const STOP_COST_CONCURRENCY = 4;
+
+// Route searches getMultipleRoutes runs per leg (direct, avoidance, alternative and
+// crowd-weighted), the unit of its progress reports
+const ROUTE_SEARCHES = 4;
+
+export class DynamicOSRMRouter {
+  // The local provider routes on a CrowdGraphRouter of its own; it is shared so the road
+  // network is only fetched and indexed once
+  constructor({ provider = createRoutingProvider(), graphRouter = null, avoidance = {} } = {}) {
+    this.provider = provider;
+    this.graphRouter = graphRouter || provider.graphRouter || new CrowdGraphRouter();
+    this.avoidanceOptions = { ...DEFAULT_AVOIDANCE_OPTIONS, ...avoidance };
+  }
+
+  // Get multiple route options for a travel profile (see src/routing/profiles.js).
+  // `restrictions` are the organizer restrictions active for this trip (see
+  // src/routing/restrictions.js): the local graph router never uses a blocked segment, and
+  // provider routes that break one are rerouted around it. Every option lists the ones it
+  // still breaks in `restrictionViolations`; such options are dropped when another option
+  // keeps to all of them.
+  async getMultipleRoutes(start, end, crowdZones = [], {
+    populationGrid = null, profile = DEFAULT_PROFILE, restrictions = [], signal = null, onProgress = () => {}
+  } = {}) {
+    const routes = [];
+    const isBlocked = restrictions.length > 0 ? (a, b) => isSegmentBlocked(a, b, restrictions) : null;
+    let searches = 0;
+    const searchDone = () => {
+      signal?.throwIfAborted();
+      onProgress({ done: ++searches, total: ROUTE_SEARCHES });
+    };
+
+    // Provider route made to honour the restrictions, as a route option
+    const addProviderOption = async (type, candidate, details = {}) => {
+      const { route, steps, violations, detours } = await this.honourRestrictions(
+        candidate, start, end, restrictions, profile, isBlocked, signal
+      );
+      routes.push({
+        route,
+        steps,
+        type,
+        crowdIntersections: this.analyzeCrowdIntersections(route, crowdZones),
+        restrictionViolations: violations,
+        restrictionDetours: detours,
+        ...details
+      });
+    };
+
+    try {
+      // Route 1: Direct route
+      const directRoute = await this.getRoadRoute(start, end, profile, isBlocked);
+      if (directRoute) {
+        await addProviderOption('direct', { route: directRoute.coordinates, steps: directRoute.steps });
+      }
+      searchDone();
+
+      // Route 2: Avoidance route with detour waypoints around every crossed zone
+      if (crowdZones.length > 0) {
+        const avoidance = await this.getAvoidanceRoute(start, end, crowdZones, profile, { isBlocked, signal });
+        if (avoidance) {
+          await addProviderOption('avoidance', avoidance, {
+            avoidance: {
+              stopReason: avoidance.stopReason,
+              stopMessage: AVOIDANCE_STOP_REASONS[avoidance.stopReason],
+              iterations: avoidance.iterations,
+              detours: avoidance.detours
+            }
+          });
+        }
+      }
+      searchDone();
+
+      // Route 3: Alternative route (if OSRM supports it)
+      const alternativeRoute = await this.getAlternativeRoute(start, end, profile, isBlocked);
+      if (alternativeRoute) {
+        await addProviderOption('alternative', { route: alternativeRoute.coordinates, steps: alternativeRoute.steps });
+      }
+      searchDone();
+
+      // Route 4: Crowd-weighted route over the local road network
+      if (populationGrid) {
+        const weightedRoute = await this.getCrowdWeightedRoute(start, end, populationGrid, profile, isBlocked);
+        if (weightedRoute) {
+          routes.push({
+            route: weightedRoute.coordinates,
+            steps: weightedRoute.steps,
+            type: 'crowd-weighted',
+            crowdIntersections: this.analyzeCrowdIntersections(weightedRoute.coordinates, crowdZones),
+            restrictionViolations: findViolations(weightedRoute.coordinates, restrictions),
+            restrictionDetours: 0
+          });
+        }
+      }
+      searchDone();
+
+      const compliant = routes.filter(option => option.restrictionViolations.length === 0);
+      if (compliant.length > 0 && compliant.length < routes.length) {
+        console.log(`⛔ Rejected ${routes.length - compliant.length} route option(s) breaking a restriction`);
+        return compliant;
+      }
+      return routes;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Error getting multiple routes:', error);
+      return [];
+    }
+  }
+
+  // Reroute a provider route ({ route, steps, waypoints }) that breaks restrictions: add a
+  // detour waypoint around each one it breaks, pushed further out when it is still broken,
+  // and route again, up to MAX_RESTRICTION_DETOURS times. Closures around the start or end
+  // cannot be avoided and get no detour. Returns the candidate breaking the fewest, with
+  // its `violations` and the number of `detours` added.
+  async honourRestrictions(candidate, start, end, restrictions, profile = DEFAULT_PROFILE, isBlocked = null, signal = null) {
+    let violations = findViolations(candidate.route, restrictions);
+    let best = { route: candidate.route, steps: candidate.steps, violations, detours: 0 };
+    const detours = new Map(); // restriction -> { waypoint, attempts }
+    let route = candidate.route;
+
+    for (let attempt = 0; attempt < MAX_RESTRICTION_DETOURS; attempt++) {
+      signal?.throwIfAborted();
+      const avoidable = violations
+        .map(violation => violation.restriction)
+        .filter(restriction => !isPointInClosure(start, restriction) && !isPointInClosure(end, restriction));
+      if (avoidable.length === 0) break;
+
+      for (const restriction of avoidable) {
+        const attempts = (detours.get(restriction)?.attempts || 0) + 1;
+        const margin = this.avoidanceOptions.detourMargin * (1 + (attempts - 1) * 0.5);
+        const waypoint = this.createDetourWaypoint(route, restrictionExtent(restriction), start, end, margin);
+        detours.set(restriction, { waypoint, attempts });
+      }
+      const waypoints = this.sortAlongRoute(
+        [...(candidate.waypoints || []), ...[...detours.values()].map(detour => detour.waypoint)],
+        start,
+        end
+      );
+
+      try {
+        const [rerouted] = await this.provider.route([start, ...waypoints, end], { profile: profile.id, isBlocked });
+        route = rerouted.coordinates;
+        violations = findViolations(route, restrictions);
+        if (violations.length < best.violations.length) {
+          best = { route, steps: rerouted.steps, violations, detours: detours.size };
+        }
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error(`❌ ${this.provider.name} restriction detour failed:`, error);
+        break;
+      }
+    }
+
+    if (best.violations.length > 0) {
+      console.log(`⛔ Route still breaks ${best.violations.length} restriction(s) after ${detours.size} detour(s)`);
+    }
+    return best;
+  }
+
+  // Route options for an itinerary of two or more stops. Every leg gets its own options
+  // from getMultipleRoutes, then the legs of each option type are joined into one option;
+  // a leg without that type uses its least crowded option instead.
+  async getItineraryRoutes(stops, crowdZones = [], {
+    populationGrid = null, profile = DEFAULT_PROFILE, restrictions = [], signal = null, onProgress = () => {}
+  } = {}) {
+    const legOptions = [];
+    const total = (stops.length - 1) * ROUTE_SEARCHES;
+    for (let i = 0; i < stops.length - 1; i++) {
+      const routes = await this.getMultipleRoutes(stops[i], stops[i + 1], crowdZones, {
+        populationGrid,
+        profile,
+        restrictions,
+        signal,
+        onProgress: ({ done }) => onProgress({ done: i * ROUTE_SEARCHES + done, total })
+      });
+      if (routes.length === 0) return [];
+      legOptions.push(routes);
+    }
+
+    const leastCrowded = routes => routes.reduce((best, current) =>
+      current.crowdIntersections.totalIntersection < best.crowdIntersections.totalIntersection ? current : best
+    );
+    const types = [...new Set(legOptions.flat().map(option => option.type))];
+
+    return types.map(type => {
+      const legs = legOptions.map(routes => routes.find(option => option.type === type) || leastCrowded(routes));
+      // A single leg keeps its own details (e.g. the avoidance search summary)
+      const joined = legs.length === 1 ? legs[0] : joinLegs(legs, { speed: profile.speed });
+      return {
+        ...joined,
+        type,
+        stops,
+        legs: legs.map(leg => ({ route: leg.route, type: leg.type, crowdIntersections: leg.crowdIntersections })),
+        crowdIntersections: this.analyzeCrowdIntersections(joined.route, crowdZones),
+        restrictionViolations: legs.flatMap(leg => leg.restrictionViolations)
+      };
+    });
+  }
+
+  // Distinct route options for every origin–destination pair of a batch assignment
+  // (see src/routing/assignment.js), as one list per pair. Options sharing nearly all
+  // their grid cells with an earlier one are dropped, so near-identical routes do not
+  // split the same flow. `onProgress({ done, total })` follows the routed pairs.
+  async getAssignmentPaths(pairs, crowdZones = [], {
+    populationGrid, profile = DEFAULT_PROFILE, restrictions = [], signal = null, onProgress = () => {}
+  } = {}) {
+    const cellKey = (lat, lng) => populationGrid.getGridKey(lat, lng);
+    const pathSets = [];
+
+    for (const [index, pair] of pairs.entries()) {
+      const routes = await this.getMultipleRoutes(pair.origin, pair.destination, crowdZones, { populationGrid, profile, restrictions, signal });
+      const distinct = [];
+      for (const option of routes) {
+        const cells = routeCells(option.route, cellKey);
+        const length = pathLength(option.route);
+        const duplicate = distinct.some(other => {
+          let shared = 0;
+          for (const [key, metres] of cells) shared += Math.min(metres, other.cells.get(key) || 0);
+          return shared >= ASSIGNMENT_DUPLICATE_OVERLAP * Math.max(length, other.length);
+        });
+        if (!duplicate) distinct.push({ option, cells, length });
+      }
+      pathSets.push(distinct.map(({ option }) => option));
+      onProgress({ done: index + 1, total: pairs.length });
+    }
+
+    return pathSets;
+  }
+
+  // Cost of every leg between itinerary stops for optimiseStopOrder: road distance plus
+  // the metres walked inside crowd zones times the zone weight. Legs into the first stop
+  // are never used, so they are not routed. Unroutable legs cost Infinity. Legs keep to
+  // the active `restrictions` as in getMultipleRoutes, and are routed STOP_COST_CONCURRENCY
+  // at a time.
+  async getStopCostMatrix(stops, crowdZones = [], profile = DEFAULT_PROFILE, { restrictions = [], signal = null } = {}) {
+    const costs = stops.map(() => stops.map(() => Infinity));
+    const pairs = [];
+    stops.forEach((_from, i) => stops.forEach((_to, j) => {
+      if (i !== j && j !== 0) pairs.push([i, j]);
+    }));
+    const isBlocked = restrictions.length > 0 ? (a, b) => isSegmentBlocked(a, b, restrictions) : null;
+
+    let next = 0;
+    const routeLegs = async () => {
+      while (next < pairs.length) {
+        signal?.throwIfAborted();
+        const [i, j] = pairs[next++];
+        const candidate = await this.getRoadRoute(stops[i], stops[j], profile, isBlocked);
+        if (!candidate) continue;
+        const { route } = await this.honourRestrictions(
+          { route: candidate.coordinates, steps: candidate.steps }, stops[i], stops[j], restrictions, profile, isBlocked, signal
+        );
+        const { crossedZones } = this.analyzeCrowdIntersections(route, crowdZones);
+        costs[i][j] = pathLength(route) +
+          crossedZones.reduce((sum, crossing) => sum + crossing.intersectionLength * crossing.zone.weight, 0);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(STOP_COST_CONCURRENCY, pairs.length) }, routeLegs));
+
+    signal?.throwIfAborted();
+    return costs;
+  }
+
+  // Analyze how much a route intersects with crowd zones. Every route segment is clipped
+  // against each zone polygon, so `intersectionLength` is the metres walked inside it and
+  // `intersectionRatio` the share of the whole route length. Only zones whose bounding box
+  // a segment touches are clipped (see routeZoneLengths), so this stays fast with many zones.
+  analyzeCrowdIntersections(route, crowdZones) {
+    let totalIntersection = 0;
+    let exposureMetres = 0;
+    let worstZone = null;
+    const crossedZones = [];
+    const routeLength = pathLength(route);
+    const lengths = routeZoneLengths(route, crowdZones);
+
+    for (const zone of crowdZones) {
+      const intersectionLength = lengths.get(zone) || 0;
+      const intersectionRatio = routeLength > 0 ? intersectionLength / routeLength : 0;
+      totalIntersection += intersectionRatio * zone.weight;
+      exposureMetres += intersectionLength;
+
+      if (intersectionLength > 0) {
+        crossedZones.push({ zone, intersectionRatio, intersectionLength });
+      }
+
+      if (!worstZone || intersectionRatio > worstZone.intersectionRatio) {
+        worstZone = {
+          zone,
+          intersectionRatio,
+          intersectionLength
+        };
+      }
+    }
+
+    return {
+      totalIntersection,
+      exposureMetres,
+      worstZone,
+      crossedZones,
+      averageIntersection: totalIntersection / crowdZones.length || 0
+    };
+  }
+
+  // Get direct road route ({ coordinates, distance, duration, steps })
+  async getRoadRoute(start, end, profile = DEFAULT_PROFILE, isBlocked = null) {
+    try {
+      const [route] = await this.provider.route([start, end], { profile: profile.id, isBlocked });
+      return route;
+
+    } catch (error) {
+      console.error(`❌ ${this.provider.name} routing failed:`, error);
+      return null;
+    }
+  }
+
+  // Iterative avoidance: route, check which zones the candidate still crosses, add a
+  // detour waypoint for each of them (pushed further out for zones that are still crossed
+  // despite a detour) and route again. Stops once exposure is at or below `maxExposure`,
+  // or when the iteration/detour budget runs out, and reports why.
+  async getAvoidanceRoute(start, end, crowdZones, profile = DEFAULT_PROFILE, { isBlocked = null, signal = null, ...options } = {}) {
+    const { maxExposure, maxIterations, maxDetourRatio, detourMargin } = { ...this.avoidanceOptions, ...options };
+    let waypoints = [];
+    const detours = new Map(); // zone -> { waypoint, attempts }
+    let best = null;
+    let baseLength = null;
+    let iterations = 0;
+    let stopReason = null;
+
+    try {
+      while (!stopReason) {
+        signal?.throwIfAborted();
+        const [candidate] = await this.provider.route([start, ...waypoints, end], { profile: profile.id, isBlocked });
+        const route = candidate.coordinates;
+        const { steps } = candidate;
+        const analysis = this.analyzeCrowdIntersections(route, crowdZones);
+        const length = pathLength(route);
+        iterations++;
+
+        if (baseLength === null) baseLength = length;
+
+        if (length > baseLength * maxDetourRatio) {
+          stopReason = 'detour-budget';
+          break;
+        }
+
+        if (!best || analysis.totalIntersection < best.analysis.totalIntersection) {
+          best = { route, steps, analysis, waypoints };
+        }
+
+        if (analysis.totalIntersection <= maxExposure) {
+          stopReason = 'exposure-threshold';
+          break;
+        }
+
+        if (iterations >= maxIterations) {
+          stopReason = 'iteration-budget';
+          break;
+        }
+
+        // Zones around the start or end point cannot be avoided
+        const avoidableZones = analysis.crossedZones
+          .map(crossing => crossing.zone)
+          .filter(zone => !isPointInZone(start, zone) && !isPointInZone(end, zone));
+
+        if (avoidableZones.length === 0) {
+          stopReason = 'no-avoidable-zones';
+          break;
+        }
+
+        for (const zone of avoidableZones) {
+          const attempts = (detours.get(zone)?.attempts || 0) + 1;
+          const margin = detourMargin * (1 + (attempts - 1) * 0.5);
+          detours.set(zone, { waypoint: this.createDetourWaypoint(route, zone, start, end, margin), attempts });
+        }
+        waypoints = this.sortAlongRoute([...detours.values()].map(detour => detour.waypoint), start, end);
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error(`❌ ${this.provider.name} avoidance routing failed:`, error);
+      if (!best) return null;
+      stopReason = 'routing-failed';
+    }
+
+    if (!best) return null;
+
+    console.log(`🧭 Avoidance stopped after ${iterations} iteration(s): ${AVOIDANCE_STOP_REASONS[stopReason]}`);
+    return {
+      route: best.route,
+      steps: best.steps,
+      waypoints: best.waypoints,
+      stopReason,
+      iterations,
+      detours: detours.size
+    };
+  }
+
+  // Detour waypoint just outside a zone, on the side of the zone the route already
+  // passes (or perpendicular to the trip when it cuts through the centre)
+  createDetourWaypoint(route, zone, start, end, margin = this.avoidanceOptions.detourMargin) {
+    const closest = closestPointOnPath(route, zone.center);
+    const direction = closest.distance > zone.radius * 0.1
+      ? bearing(zone.center, closest.point)
+      : bearing(start, end) + 90;
+
+    return destinationPoint(zone.center, direction, zone.radius * margin);
+  }
+
+  // Order waypoints by their distance along the start -> end direction
+  sortAlongRoute(waypoints, start, end) {
+    const [dx, dy] = toLocalXY(end, start);
+    const projection = point => {
+      const [x, y] = toLocalXY(point, start);
+      return x * dx + y * dy;
+    };
+    return [...waypoints].sort((a, b) => projection(a) - projection(b));
+  }
+
+  // Get route from the local graph router, costing each edge by the grid's routing weight
+  // ({ coordinates, distance, duration, steps })
+  async getCrowdWeightedRoute(start, end, populationGrid, profile = DEFAULT_PROFILE, isBlocked = null) {
+    try {
+      const route = await this.graphRouter.findRoute([start, end], {
+        weightAt: (lat, lng) => populationGrid.getRoutingWeight(lat, lng),
+        profile,
+        isBlocked
+      });
+      return route;
+
+    } catch (error) {
+      console.error('❌ Local crowd-weighted routing failed:', error);
+      return null;
+    }
+  }
+
+  // Get alternative route ({ coordinates, distance, duration, steps })
+  async getAlternativeRoute(start, end, profile = DEFAULT_PROFILE, isBlocked = null) {
+    try {
+      const routes = await this.provider.route([start, end], { profile: profile.id, alternatives: true, isBlocked });
+
+      if (!routes[1]) {
+        return null;
+      }
+
+      return routes[1];
+
+    } catch (error) {
+      console.error(`❌ ${this.provider.name} alternative routing failed:`, error);
+      return null;
+    }
+  }
+}
@@ -0,0 +1,43 @@
+// Shareable deep links encoding the route request:
+//   ?from=23.18210,75.78900&via=23.18300,75.79000&to=23.18500,75.79200&profile=walking&option=avoidance
+// `via` repeats once per intermediate itinerary stop, in visiting order.
+// `option` is the route option type (direct, avoidance, alternative, crowd-weighted).
+
+const formatPoint = ([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`;
+
+function parsePoint(value) {
+  if (!value) return null;
+  const [lat, lng] = value.split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return [lat, lng];
+}
+
+export function encodeRouteLink({ start, via = [], end, profileId, option }, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.search = '';
+  if (start) url.searchParams.set('from', formatPoint(start));
+  for (const stop of via) url.searchParams.append('via', formatPoint(stop));
+  if (end) url.searchParams.set('to', formatPoint(end));
+  if (profileId) url.searchParams.set('profile', profileId);
+  if (option) url.searchParams.set('option', option);
+  // Commas are valid in a query string; keep the coordinates readable
+  return url.toString().replace(/%2C/g, ',');
+}
+
+// Route request from a query string, or null when it has no valid start and end
+export function parseRouteLink(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const start = parsePoint(params.get('from'));
+  const end = parsePoint(params.get('to'));
+  if (!start || !end) return null;
+
+  return {
+    start,
+    via: params.getAll('via').map(parsePoint).filter(Boolean),
+    end,
+    profileId: params.get('profile'),
+    option: params.get('option')
+  };
+}
@@ -0,0 +1,159 @@
+import { bearing, haversineDistance, pathLength } from './geo';
+import { nearestLandmark, landmarkName } from './landmarks';
+import { translate } from '../i18n/i18n';
+
+// Turn-by-turn steps. Providers normalise their own maneuvers to:
+//   { type, modifier, name, distance, duration, exit, coordinates: [[lat, lng], ...] }
+// where `type` is depart | turn | continue | roundabout | arrive and `modifier` one of
+// TURN_ICONS' keys (null for depart/arrive). `coordinates` is the leg the step covers.
+// Arrivals at intermediate itinerary stops also carry `stop`, the stop number.
+// Routes without provider steps (mock recordings, detours, synthetic lines) get steps
+// derived from their geometry.
+
+export const TURN_ICONS = {
+  'sharp left': '↙️',
+  left: '⬅️',
+  'slight left': '↖️',
+  straight: '⬆️',
+  'slight right': '↗️',
+  right: '➡️',
+  'sharp right': '↘️',
+  uturn: '↩️'
+};
+
+const STEP_ICONS = { depart: '🚩', arrive: '🏁', roundabout: '🔄' };
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// A new step starts where the path turns by at least this many degrees
+const MIN_TURN_ANGLE = 40;
+// ...unless the current step is shorter than this (metres), which absorbs GPS-like wiggles
+const MIN_STEP_LENGTH = 15;
+
+// Signed change of heading in degrees (-180..180, positive = right)
+function turnAngle(fromBearing, toBearing) {
+  return ((toBearing - fromBearing + 540) % 360) - 180;
+}
+
+export function turnModifier(angle) {
+  const magnitude = Math.abs(angle);
+  const side = angle < 0 ? 'left' : 'right';
+  if (magnitude < 20) return 'straight';
+  if (magnitude < 60) return `slight ${side}`;
+  if (magnitude < 120) return side;
+  if (magnitude < 160) return `sharp ${side}`;
+  return 'uturn';
+}
+
+// Steps for a polyline: a step ends wherever the path turns or, when `names[i]` names the
+// segment from point i to i + 1, wherever the road name changes. Unnamed segments (e.g.
+// the snap from a clicked point to the road) join the current step.
+export function stepsFromGeometry(coordinates, { names = null, speed = 1.3 } = {}) {
+  const indices = coordinates
+    .map((_point, i) => i)
+    .filter(i => i === 0 || haversineDistance(coordinates[i - 1], coordinates[i]) > 0.01);
+  if (indices.length < 2) return [];
+
+  const points = indices.map(i => coordinates[i]);
+  const steps = [];
+  let current = null;
+  let heading = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const segmentHeading = bearing(points[i - 1], points[i]);
+    const name = names?.[indices[i - 1]] ?? null;
+
+    if (current) {
+      const angle = turnAngle(heading, segmentHeading);
+      const renamed = name !== null && current.name !== null && name !== current.name;
+      const turned = Math.abs(angle) >= MIN_TURN_ANGLE && pathLength(current.coordinates) >= MIN_STEP_LENGTH;
+
+      if (renamed || turned) {
+        steps.push(current);
+        const modifier = turnModifier(angle);
+        current = {
+          type: modifier === 'straight' ? 'continue' : 'turn',
+          modifier,
+          name,
+          coordinates: [points[i - 1]]
+        };
+      } else if (current.name === null) {
+        current.name = name;
+      }
+    } else {
+      current = { type: 'depart', modifier: null, name, coordinates: [points[0]] };
+    }
+
+    current.coordinates.push(points[i]);
+    heading = segmentHeading;
+  }
+  steps.push(current);
+
+  const last = points[points.length - 1];
+  steps.push({ type: 'arrive', modifier: null, name: null, coordinates: [last, last] });
+
+  return steps.map(step => {
+    const distance = pathLength(step.coordinates);
+    return { ...step, distance, duration: distance / speed, exit: null };
+  });
+}
+
+function compassDirection(from, to) {
+  return COMPASS[Math.round(bearing(from, to) / 45) % 8];
+}
+
+// Instruction for a step in the language of `t` (see src/i18n), mentioning a nearby
+// landmark when there is one
+export function describeStep(step, landmark = null, { t = (key, params) => translate('en', key, params), language = 'en' } = {}) {
+  const name = step.name;
+  const landmarkLabel = landmark ? landmarkName(landmark, language) : null;
+  const fragments = {
+    onto: name ? t('directions.onto', { name }) : '',
+    on: name ? t('directions.on', { name }) : '',
+    near: landmarkLabel ? t('directions.near', { landmark: landmarkLabel }) : ''
+  };
+  const [from, to] = step.coordinates;
+
+  switch (step.type) {
+    case 'depart':
+      return t('directions.depart', { ...fragments, direction: t(`directions.compass.${compassDirection(from, to || from)}`) });
+    case 'arrive':
+      if (step.stop) {
+        return landmarkLabel
+          ? t('directions.arriveStopNear', { stop: step.stop, landmark: landmarkLabel })
+          : t('directions.arriveStop', { stop: step.stop });
+      }
+      return landmarkLabel
+        ? t('directions.arriveNear', { landmark: landmarkLabel })
+        : t('directions.arrive');
+    case 'roundabout':
+      return t('directions.roundabout', {
+        ...fragments,
+        exit: step.exit ? t('directions.roundaboutExit', { exit: step.exit }) : t('directions.roundaboutAnyExit')
+      });
+    case 'continue':
+      return t('directions.continue', fragments);
+    default:
+      if (step.modifier === 'uturn') return t('directions.uturn', fragments);
+      return t('directions.turn', { ...fragments, modifier: t(`directions.modifiers.${step.modifier}`) });
+  }
+}
+
+// Display-ready directions for a route: provider steps when available, otherwise steps
+// derived from the geometry, each with an icon, its landmark and instruction text.
+// Pass the app's `t` and `language` to get the text in the user's language.
+export function buildDirections(route, steps = null, { speed, t, language } = {}) {
+  const source = steps && steps.length > 0 ? steps : stepsFromGeometry(route, { speed });
+
+  return source.map((step, index) => {
+    const location = step.type === 'arrive' ? step.coordinates[step.coordinates.length - 1] : step.coordinates[0];
+    const landmark = nearestLandmark(location);
+    return {
+      ...step,
+      index,
+      location,
+      landmark,
+      icon: STEP_ICONS[step.type] || TURN_ICONS[step.modifier] || TURN_ICONS.straight,
+      text: describeStep(step, landmark, { t, language })
+    };
+  });
+}
@@ -0,0 +1,211 @@
+import { haversineDistance } from './geo';
+import { isPointInClosure, segmentViolation } from './restrictions';
+import { crowdSpeedFactor } from './scoring';
+
+// Emergency evacuation: the way out to the nearest safe point, for one spot or for every
+// crowd cell at once.
+//
+// Safe point shape:
+//   { id, type ('assembly' or 'exit'), name, point [lat, lng], capacity (people, assembly
+//     points only), width (metres of entrance people file through) }
+// Assembly points are open grounds where people wait; exits lead out of the Mela area and
+// hold any number of people.
+//
+// One search outward from all safe points over the local road network (see
+// CrowdGraphRouter.findPathsToNearest) gives every junction its cheapest way out. Edges
+// cost their length times the crowd weight, like the crowd-weighted route; edges inside
+// the hazard area cost HAZARD_PENALTY times more, so they are only used to get out of it,
+// and safe points inside the hazard are not safe.
+//
+// Clearance time of a safe point: people arrive after walking their way out (slowed down
+// by the crowd density of every cell they walk through) and file in through the entrance
+// at SPECIFIC_FLOW people per metre of width per second, so it is cleared at
+// max(last arrival, first arrival + people / entrance flow).
+
+export const SAFE_POINT_TYPES = {
+  assembly: { id: 'assembly', icon: '🟢', color: '#059669' },
+  exit: { id: 'exit', icon: '🚪', color: '#2563eb' }
+};
+
+export const DEFAULT_ASSEMBLY_CAPACITY = 2000; // people
+export const DEFAULT_ENTRANCE_WIDTH = 6; // metres
+
+// Highest sustained flow through an opening, people per metre of width per second
+const SPECIFIC_FLOW = 1.3;
+const HAZARD_PENALTY = 100;
+
+const STORAGE_KEY = 'simhastha.safePoints';
+
+let nextId = 1;
+
+export function createSafePoint({ type, name = '', point, capacity = DEFAULT_ASSEMBLY_CAPACITY, width = DEFAULT_ENTRANCE_WIDTH }) {
+  return {
+    id: `${type}-${Date.now().toString(36)}-${nextId++}`,
+    type,
+    name,
+    point,
+    ...(type === 'assembly' ? { capacity } : {}),
+    width
+  };
+}
+
+// Open grounds and roads out of the Mela area covered by the bundled road network
+export const DEFAULT_SAFE_POINTS = [
+  { id: 'assembly-mahakal-lok', type: 'assembly', name: 'Mahakal Lok Parking', point: [23.185, 75.766], capacity: 5000, width: 10 },
+  { id: 'assembly-karkaraj', type: 'assembly', name: 'Karkaraj Parking', point: [23.1775, 75.7655], capacity: 4000, width: 8 },
+  { id: 'assembly-junction', type: 'assembly', name: 'Ujjain Junction Parking', point: [23.1768, 75.7885], capacity: 3000, width: 8 },
+  { id: 'exit-dewas-road', type: 'exit', name: 'Dewas Road exit', point: [23.176, 75.805], width: 12 },
+  { id: 'exit-maksi-road', type: 'exit', name: 'Maksi Road exit', point: [23.195, 75.803], width: 12 }
+];
+
+// The hazard polygon ([lat, lng] points) shaped like a closure, so the restriction
+// geometry can be reused; null without a hazard
+function hazardArea(hazard) {
+  return hazard && hazard.length >= 3 ? { type: 'closure', points: hazard } : null;
+}
+
+// Plan the evacuation of everyone in the population `grid` to `safePoints` with the
+// `graphRouter` (CrowdGraphRouter), away from the `hazard` polygon. `restrictions` are
+// the active organizer restrictions and `origin` an extra spot to find the way out from.
+// Returns plain data:
+//   points    every safe point with the `people` and `cells` sent there, `firstArrival`,
+//             `lastArrival`, `clearanceTime` (seconds), `overCapacity` and `inHazard`
+//   flows     [{ from, to, people }] road segments with the people walking them
+//   cells     [{ lat, lng, population, safePointId, time, distance }] per crowd cell
+//   unreachable { cells, people } that reach no safe point
+//   people, peopleInHazard, clearanceTime (of the slowest safe point)
+//   originRoute { route, safePointId, distance, time, startsInHazard } or null
+export async function planEvacuation(graphRouter, {
+  grid, safePoints, hazard = [], origin = null, profile, restrictions = [], signal = null
+}) {
+  const hazardZone = hazardArea(hazard);
+  const inHazard = point => Boolean(hazardZone) && isPointInClosure(point, hazardZone);
+  const usable = safePoints.filter(safePoint => !inHazard(safePoint.point));
+
+  const search = await graphRouter.findPathsToNearest(usable.map(safePoint => safePoint.point), {
+    weightAt: (lat, lng) => grid.getRoutingWeight(lat, lng),
+    profile,
+    isBlocked: (a, b) => restrictions.some(restriction => segmentViolation(a, b, restriction) > 0),
+    costFactor: hazardZone ? (a, b) => (segmentViolation(a, b, hazardZone) > 0 ? HAZARD_PENALTY : 1) : null
+  });
+  signal?.throwIfAborted();
+
+  // Walk along a way out: distance and time, slower where it is crowded
+  const walk = (path) => {
+    let distance = 0;
+    let time = 0;
+    for (let i = 1; i < path.coordinates.length; i++) {
+      const a = path.coordinates[i - 1];
+      const b = path.coordinates[i];
+      const length = haversineDistance(a, b);
+      distance += length;
+      time += length / (profile.speed * crowdSpeedFactor(grid.getDensity((a[0] + b[0]) / 2, (a[1] + b[1]) / 2)));
+    }
+    return { distance, time };
+  };
+
+  const points = usable.map(safePoint => ({ safePoint, people: 0, cells: 0, firstArrival: Infinity, lastArrival: 0 }));
+  const flows = new Map(); // edge id -> { from, to, people }
+  const cells = [];
+  const unreachable = { cells: 0, people: 0 };
+  let people = 0;
+  let peopleInHazard = 0;
+
+  for (const [index, area] of grid.getPopulatedAreas().entries()) {
+    if (index % 500 === 0) signal?.throwIfAborted();
+    const centre = [area.lat + grid.gridSize / 2, area.lng + grid.gridSize / 2];
+    people += area.population;
+    if (inHazard(centre)) peopleInHazard += area.population;
+
+    const path = graphRouter.pathToNearest(search, centre);
+    if (!path) {
+      unreachable.cells++;
+      unreachable.people += area.population;
+      continue;
+    }
+
+    const { distance, time } = walk(path);
+    const target = points[path.target];
+    target.people += area.population;
+    target.cells++;
+    target.firstArrival = Math.min(target.firstArrival, time);
+    target.lastArrival = Math.max(target.lastArrival, time);
+    cells.push({ ...area, safePointId: target.safePoint.id, time, distance });
+
+    // Edge i runs from coordinates[i + 1] to coordinates[i + 2] (the first coordinate is
+    // the cell centre, the last the safe point)
+    path.edges.forEach((edge, i) => {
+      const flow = flows.get(edge.id) || { from: path.coordinates[i + 1], to: path.coordinates[i + 2], people: 0 };
+      flow.people += area.population;
+      flows.set(edge.id, flow);
+    });
+  }
+
+  const summaries = safePoints.map(safePoint => {
+    const target = points.find(candidate => candidate.safePoint === safePoint);
+    if (!target || target.people === 0) {
+      return {
+        ...safePoint, people: 0, cells: 0, firstArrival: null, lastArrival: null, clearanceTime: 0, overCapacity: false, inHazard: !target
+      };
+    }
+    const entranceTime = target.people / (safePoint.width * SPECIFIC_FLOW);
+    return {
+      ...safePoint,
+      people: target.people,
+      cells: target.cells,
+      firstArrival: target.firstArrival,
+      lastArrival: target.lastArrival,
+      clearanceTime: Math.max(target.lastArrival, target.firstArrival + entranceTime),
+      overCapacity: safePoint.type === 'assembly' && target.people > safePoint.capacity,
+      inHazard: false
+    };
+  });
+
+  let originRoute = null;
+  const originPath = origin ? graphRouter.pathToNearest(search, origin) : null;
+  if (originPath) {
+    originRoute = {
+      route: originPath.coordinates,
+      safePointId: usable[originPath.target].id,
+      ...walk(originPath),
+      startsInHazard: inHazard(origin)
+    };
+  }
+
+  return {
+    points: summaries,
+    flows: [...flows.values()],
+    cells,
+    unreachable,
+    people,
+    peopleInHazard,
+    clearanceTime: Math.max(0, ...summaries.map(summary => summary.clearanceTime)),
+    originRoute
+  };
+}
+
+// --- Storage ---
+
+export function saveSafePoints(safePoints) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(safePoints));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The saved safe points, or the defaults when there are none or they cannot be read
+export function loadSafePoints() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(saved)) return DEFAULT_SAFE_POINTS;
+    return saved.filter(safePoint =>
+      SAFE_POINT_TYPES[safePoint?.type] &&
+      Array.isArray(safePoint.point) && safePoint.point.every(Number.isFinite) &&
+      safePoint.width > 0
+    );
+  } catch {
+    return DEFAULT_SAFE_POINTS;
+  }
+}
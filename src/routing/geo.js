@@ -0,0 +1,80 @@
+// Shared geometry helpers. Points are [lat, lng] in degrees, distances in metres.
+export const EARTH_RADIUS = 6371008.8;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+// Great-circle distance between two points
+export function haversineDistance(a, b) {
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Total length of a polyline
+export function pathLength(path) {
+  let length = 0;
+  for (let i = 1; i < path.length; i++) {
+    length += haversineDistance(path[i - 1], path[i]);
+  }
+  return length;
+}
+
+// Initial bearing from a to b, degrees clockwise from north
+export function bearing(a, b) {
+  const lat1 = toRad(a[0]);
+  const lat2 = toRad(b[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Point reached by travelling `distance` metres from `origin` on the given bearing
+export function destinationPoint(origin, bearingDeg, distance) {
+  const angular = distance / EARTH_RADIUS;
+  const theta = toRad(bearingDeg);
+  const lat1 = toRad(origin[0]);
+  const lng1 = toRad(origin[1]);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return [lat2 * 180 / Math.PI, lng2 * 180 / Math.PI];
+}
+
+// Local east/north offset of a point from `origin` in metres (equirectangular; accurate
+// over the few kilometres the app works with)
+export function toLocalXY(point, origin) {
+  return [
+    toRad(point[1] - origin[1]) * EARTH_RADIUS * Math.cos(toRad(origin[0])),
+    toRad(point[0] - origin[0]) * EARTH_RADIUS
+  ];
+}
+
+export function interpolate(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Closest point on a polyline to `target`: { point, distance (m), index of the segment start }
+export function closestPointOnPath(path, target) {
+  let best = { point: path[0], distance: haversineDistance(path[0], target), index: 0 };
+
+  for (let i = 1; i < path.length; i++) {
+    const [ax, ay] = toLocalXY(path[i - 1], target);
+    const [bx, by] = toLocalXY(path[i], target);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+    const point = interpolate(path[i - 1], path[i], t);
+    const distance = haversineDistance(point, target);
+    if (distance < best.distance) best = { point, distance, index: i - 1 };
+  }
+
+  return best;
+}
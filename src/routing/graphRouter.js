@@ -0,0 +1,377 @@
+import { haversineDistance } from './geo';
+import { stepsFromGeometry } from './directions';
+import { DEFAULT_PROFILE, profileWeight } from './profiles';
+
+// Client-side router over a local road/footpath network.
+// The network is loaded from a GeoJSON FeatureCollection of LineStrings (or an Overpass
+// API JSON extract) and routed with A*, so it needs no routing server at all.
+
+const env = import.meta.env || {};
+export const ROAD_GRAPH_URL = env.VITE_ROAD_GRAPH_URL || '/data/ujjain-roads.geojson';
+
+// Convert an Overpass API JSON response (`[out:json]`, with `out geom` or plain node refs)
+// into a GeoJSON FeatureCollection of highway LineStrings
+export function osmToGeoJSON(osm) {
+  const nodes = new Map();
+  for (const element of osm.elements) {
+    if (element.type === 'node') nodes.set(element.id, [element.lon, element.lat]);
+  }
+
+  const features = [];
+  for (const element of osm.elements) {
+    if (element.type !== 'way' || !element.tags?.highway) continue;
+
+    const coordinates = element.geometry
+      ? element.geometry.map(point => [point.lon, point.lat])
+      : (element.nodes || []).map(id => nodes.get(id)).filter(Boolean);
+
+    if (coordinates.length >= 2) {
+      features.push({
+        type: 'Feature',
+        properties: { id: element.id, ...element.tags },
+        geometry: { type: 'LineString', coordinates }
+      });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+// Build an adjacency-list graph. Vertices shared between lines (same coordinate to
+// 6 decimals) become junctions. Every segment is stored in both directions; `reverse`
+// marks the direction against the way's digitised order so oneway rules can be applied.
+export function buildRoadGraph(data) {
+  const geojson = data.elements ? osmToGeoJSON(data) : data;
+  const nodes = [];
+  const adjacency = [];
+  const nodeIndex = new Map();
+  let edgeCount = 0;
+
+  const getNode = ([lng, lat]) => {
+    const key = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+    if (!nodeIndex.has(key)) {
+      nodeIndex.set(key, nodes.length);
+      nodes.push([lat, lng]);
+      adjacency.push([]);
+    }
+    return nodeIndex.get(key);
+  };
+
+  for (const feature of geojson.features) {
+    const { geometry } = feature;
+    if (!geometry) continue;
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+    const properties = feature.properties || {};
+
+    for (const line of lines) {
+      for (let i = 1; i < line.length; i++) {
+        const from = getNode(line[i - 1]);
+        const to = getNode(line[i]);
+        if (from === to) continue;
+
+        const length = haversineDistance(nodes[from], nodes[to]);
+        const id = edgeCount++;
+        adjacency[from].push({ id, to, length, properties, reverse: false });
+        adjacency[to].push({ id, to: from, length, properties, reverse: true });
+      }
+    }
+  }
+
+  return { nodes, adjacency, edgeCount };
+}
+
+// Minimal binary min-heap keyed on `priority`
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
+
+// A* search from `source` to `target`. `edgeCost(edge, fromIndex)` returns the cost of
+// traversing an edge (Infinity to forbid it) and must never be below the edge length,
+// which keeps the straight-line heuristic admissible.
+export function findShortestPath(graph, source, target, edgeCost) {
+  const { nodes, adjacency } = graph;
+  const goal = nodes[target];
+  const cost = new Map([[source, 0]]);
+  const previous = new Map();
+  const closed = new Set();
+  const open = new MinHeap();
+  open.push(source, haversineDistance(nodes[source], goal));
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (current === target) break;
+    if (closed.has(current)) continue;
+    closed.add(current);
+
+    for (const edge of adjacency[current]) {
+      if (closed.has(edge.to)) continue;
+      const edgeWeight = edgeCost(edge, current);
+      if (!Number.isFinite(edgeWeight)) continue;
+
+      const tentative = cost.get(current) + edgeWeight;
+      if (tentative < (cost.get(edge.to) ?? Infinity)) {
+        cost.set(edge.to, tentative);
+        previous.set(edge.to, { from: current, edge });
+        open.push(edge.to, tentative + haversineDistance(nodes[edge.to], goal));
+      }
+    }
+  }
+
+  if (!cost.has(target)) return null;
+
+  const path = [target];
+  const edges = [];
+  let node = target;
+  while (node !== source) {
+    const step = previous.get(node);
+    edges.unshift(step.edge);
+    node = step.from;
+    path.unshift(node);
+  }
+
+  return { path, edges, cost: cost.get(target) };
+}
+
+// Dijkstra outward from several `sources` at once, walking the edges backwards, so every
+// node learns its cheapest way to the nearest source: its `cost`, which `source` (index
+// into `sources`) and the `next` step ({ node, edge }, null at a source and for nodes that
+// reach none). `edgeCost(edge, fromIndex)` is the cost in travel direction, as for
+// findShortestPath.
+export function findPathsToNearest(graph, sources, edgeCost) {
+  const { nodes, adjacency } = graph;
+  const cost = new Array(nodes.length).fill(Infinity);
+  const source = new Array(nodes.length).fill(-1);
+  const next = new Array(nodes.length).fill(null);
+  const closed = new Set();
+  const open = new MinHeap();
+
+  sources.forEach((node, index) => {
+    if (node < 0 || cost[node] === 0) return;
+    cost[node] = 0;
+    source[node] = index;
+    open.push(node, 0);
+  });
+
+  while (open.size > 0) {
+    const current = open.pop();
+    if (closed.has(current)) continue;
+    closed.add(current);
+
+    for (const backward of adjacency[current]) {
+      const from = backward.to;
+      if (closed.has(from)) continue;
+      // The same segment, walked from `from` towards `current`
+      const edge = adjacency[from].find(candidate => candidate.id === backward.id);
+      const edgeWeight = edgeCost(edge, from);
+      if (!Number.isFinite(edgeWeight)) continue;
+
+      const tentative = cost[current] + edgeWeight;
+      if (tentative < cost[from]) {
+        cost[from] = tentative;
+        source[from] = source[current];
+        next[from] = { node: current, edge };
+        open.push(from, tentative);
+      }
+    }
+  }
+
+  return { cost, source, next };
+}
+
+export class CrowdGraphRouter {
+  constructor({ url = ROAD_GRAPH_URL, graph = null, maxSnapDistance = 500 } = {}) {
+    this.url = url;
+    this.graph = graph;
+    this.loading = null;
+    this.maxSnapDistance = maxSnapDistance; // metres from the network a waypoint may be
+  }
+
+  // Load the road network once; later calls reuse the same graph
+  async load() {
+    if (this.graph) return this.graph;
+    if (!this.loading) {
+      this.loading = fetch(this.url)
+        .then(response => {
+          if (!response.ok) throw new Error(`Road network not available (${response.status})`);
+          return response.json();
+        })
+        .then(data => {
+          this.graph = buildRoadGraph(data);
+          console.log(`🗺️ Local road network loaded: ${this.graph.nodes.length} nodes, ${this.graph.edgeCount} segments`);
+          return this.graph;
+        })
+        .catch(error => {
+          this.loading = null;
+          throw error;
+        });
+    }
+    return this.loading;
+  }
+
+  nearestNode(point) {
+    let best = { index: -1, distance: Infinity };
+    this.graph.nodes.forEach((node, index) => {
+      const distance = haversineDistance(point, node);
+      if (distance < best.distance) best = { index, distance };
+    });
+    return best;
+  }
+
+  // Cost of an edge: its length times the crowd weight averaged over both ends and the
+  // midpoint, scaled by the profile's crowd sensitivity. Roads the profile may not use,
+  // and edges `isBlocked(from, to)` rejects in that direction, cost Infinity.
+  edgeCost(edge, fromIndex, weightAt, profile, isBlocked = null) {
+    if (!profile.allowsEdge(edge)) return Infinity;
+
+    const a = this.graph.nodes[fromIndex];
+    const b = this.graph.nodes[edge.to];
+    if (isBlocked?.(a, b)) return Infinity;
+    const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const weight = (weightAt(a[0], a[1]) + weightAt(mid[0], mid[1]) + weightAt(b[0], b[1])) / 3;
+    return edge.length * profileWeight(weight, profile);
+  }
+
+  // Route through the given [lat, lng] waypoints.
+  // `weightAt(lat, lng)` supplies the crowd weight (e.g. DynamicPopulationGrid.getRoutingWeight),
+  // `profile` is one of ROUTING_PROFILES, `penalties` maps edge ids to extra cost
+  // multipliers (used to find alternatives) and `isBlocked(from, to)` closes edges in one
+  // direction (organizer restrictions, see src/routing/restrictions.js).
+  async findRoute(waypoints, { weightAt = () => 1, profile = DEFAULT_PROFILE, penalties = null, isBlocked = null } = {}) {
+    await this.load();
+
+    const snapped = waypoints.map(point => {
+      const nearest = this.nearestNode(point);
+      if (nearest.distance > this.maxSnapDistance) {
+        throw new Error(`Point ${point[0].toFixed(4)}, ${point[1].toFixed(4)} is outside the local road network`);
+      }
+      return nearest.index;
+    });
+
+    const costFn = (edge, fromIndex) =>
+      this.edgeCost(edge, fromIndex, weightAt, profile, isBlocked) * (penalties?.get(edge.id) || 1);
+
+    const coordinates = [waypoints[0]];
+    const names = [null]; // road name of the segment starting at each coordinate
+    const edges = [];
+    let cost = 0;
+
+    for (let i = 1; i < snapped.length; i++) {
+      const leg = findShortestPath(this.graph, snapped[i - 1], snapped[i], costFn);
+      if (!leg) {
+        throw new Error('No path found in the local road network');
+      }
+      coordinates.push(...leg.path.map(index => this.graph.nodes[index]));
+      names.push(...leg.path.map((index, k) => leg.edges[k]?.properties.name ?? null));
+      edges.push(...leg.edges);
+      cost += leg.cost;
+    }
+    coordinates.push(waypoints[waypoints.length - 1]);
+
+    const distance = edges.reduce((sum, edge) => sum + edge.length, 0);
+    const steps = stepsFromGeometry(coordinates, { names, speed: profile.speed });
+    return { coordinates, distance, duration: distance / profile.speed, cost, edges, steps };
+  }
+
+  // Cheapest way from every node of the network to the nearest of `targets` ([lat, lng]),
+  // with edges costed as in findRoute and multiplied by `costFactor(from, to)` when given.
+  // Targets further than maxSnapDistance from the network are left out. Returns the
+  // search (see findPathsToNearest) for pathToNearest.
+  async findPathsToNearest(targets, { weightAt = () => 1, profile = DEFAULT_PROFILE, isBlocked = null, costFactor = null } = {}) {
+    await this.load();
+
+    const snapped = targets.map(point => {
+      const nearest = this.nearestNode(point);
+      return nearest.distance <= this.maxSnapDistance ? nearest.index : -1;
+    });
+    const costFn = (edge, fromIndex) => {
+      const cost = this.edgeCost(edge, fromIndex, weightAt, profile, isBlocked);
+      return costFactor && Number.isFinite(cost) ? cost * costFactor(this.graph.nodes[fromIndex], this.graph.nodes[edge.to]) : cost;
+    };
+
+    return { ...findPathsToNearest(this.graph, snapped, costFn), targets };
+  }
+
+  // The way from `point` to its nearest target in a findPathsToNearest search, as
+  // { coordinates, edges, target, cost }, or null when the point is off the network or
+  // reaches no target
+  pathToNearest(search, point) {
+    const nearest = this.nearestNode(point);
+    if (nearest.distance > this.maxSnapDistance || search.source[nearest.index] < 0) return null;
+
+    const coordinates = [point, this.graph.nodes[nearest.index]];
+    const edges = [];
+    for (let step = search.next[nearest.index]; step; step = search.next[step.node]) {
+      coordinates.push(this.graph.nodes[step.node]);
+      edges.push(step.edge);
+    }
+    const target = search.source[nearest.index];
+    coordinates.push(search.targets[target]);
+    return { coordinates, edges, target, cost: search.cost[nearest.index] };
+  }
+
+  // Best route plus up to `count - 1` alternatives, found by penalising the edges of
+  // routes already returned and rejecting candidates that mostly overlap them
+  async findRoutes(waypoints, { weightAt, profile, isBlocked, count = 3, penalty = 2, maxOverlap = 0.8 } = {}) {
+    const routes = [await this.findRoute(waypoints, { weightAt, profile, isBlocked })];
+    const penalties = new Map();
+
+    for (let attempt = 1; attempt < count * 2 && routes.length < count; attempt++) {
+      for (const edge of routes[routes.length - 1].edges) {
+        penalties.set(edge.id, (penalties.get(edge.id) || 1) * penalty);
+      }
+
+      const candidate = await this.findRoute(waypoints, { weightAt, profile, penalties, isBlocked });
+      const candidateIds = new Set(candidate.edges.map(edge => edge.id));
+      const isDistinct = routes.every(route => {
+        const shared = route.edges
+          .filter(edge => candidateIds.has(edge.id))
+          .reduce((sum, edge) => sum + edge.length, 0);
+        return shared <= maxOverlap * Math.min(route.distance, candidate.distance);
+      });
+
+      if (isDistinct) routes.push(candidate);
+    }
+
+    return routes;
+  }
+}
@@ -0,0 +1,136 @@
+import { stepsFromGeometry } from './directions';
+
+// Multi-stop itineraries: a list of stops ([lat, lng]) routed leg by leg, where leg i
+// runs from stop i to stop i + 1. The first stop is where the pilgrim sets out from.
+
+// Orders up to this many movable stops are solved exactly; longer ones heuristically
+const MAX_EXACT_STOPS = 10;
+
+// Join the legs ({ route, steps }) of an itinerary into one route with one step list.
+// Legs without provider steps get steps from their geometry, and each intermediate
+// arrival is tagged with the number of the stop it reaches (1-based).
+export function joinLegs(legs, { speed } = {}) {
+  const route = [];
+  const steps = [];
+
+  legs.forEach((leg, i) => {
+    const last = route[route.length - 1];
+    const first = leg.route[0];
+    route.push(...(last && first && last[0] === first[0] && last[1] === first[1] ? leg.route.slice(1) : leg.route));
+
+    const legSteps = leg.steps && leg.steps.length > 0 ? leg.steps : stepsFromGeometry(leg.route, { speed });
+    steps.push(...legSteps.map(step => (
+      step.type === 'arrive' && i < legs.length - 1 ? { ...step, stop: i + 2 } : step
+    )));
+  });
+
+  return { route, steps };
+}
+
+// Total cost of visiting stops in `order` given a matrix of leg costs
+export function orderCost(order, costs) {
+  let total = 0;
+  for (let i = 1; i < order.length; i++) {
+    total += costs[order[i - 1]][order[i]];
+  }
+  return total;
+}
+
+// Exact open-path order by dynamic programming over subsets of the movable stops
+// (Held-Karp): best[mask][j] is the cheapest way to leave stop 0, visit `mask` and end at j
+function exactOrder(costs, movable, end) {
+  const count = movable.length;
+  const size = 1 << count;
+  const best = Array.from({ length: size }, () => new Array(count).fill(Infinity));
+  const previous = Array.from({ length: size }, () => new Array(count).fill(-1));
+
+  movable.forEach((stop, j) => {
+    best[1 << j][j] = costs[0][stop];
+  });
+
+  for (let mask = 1; mask < size; mask++) {
+    for (let j = 0; j < count; j++) {
+      if (!(mask & (1 << j)) || best[mask][j] === Infinity) continue;
+      for (let k = 0; k < count; k++) {
+        if (mask & (1 << k)) continue;
+        const next = mask | (1 << k);
+        const cost = best[mask][j] + costs[movable[j]][movable[k]];
+        if (cost < best[next][k]) {
+          best[next][k] = cost;
+          previous[next][k] = j;
+        }
+      }
+    }
+  }
+
+  const full = size - 1;
+  let last = -1;
+  let lastCost = Infinity;
+  for (let j = 0; j < count; j++) {
+    const cost = best[full][j] + (end !== null ? costs[movable[j]][end] : 0);
+    if (cost < lastCost) {
+      lastCost = cost;
+      last = j;
+    }
+  }
+  if (last === -1) return null;
+
+  const path = [];
+  for (let mask = full, j = last; j !== -1;) {
+    path.unshift(movable[j]);
+    const before = previous[mask][j];
+    mask &= ~(1 << j);
+    j = before;
+  }
+  return path;
+}
+
+// Nearest neighbour tour improved by 2-opt segment reversals
+function heuristicOrder(costs, movable, end) {
+  const remaining = new Set(movable);
+  const path = [];
+  let current = 0;
+  while (remaining.size > 0) {
+    let nearest = null;
+    for (const stop of remaining) {
+      if (nearest === null || costs[current][stop] < costs[current][nearest]) nearest = stop;
+    }
+    path.push(nearest);
+    remaining.delete(nearest);
+    current = nearest;
+  }
+
+  const order = [0, ...path, ...(end !== null ? [end] : [])];
+  const lastMovable = end !== null ? order.length - 2 : order.length - 1;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < lastMovable; i++) {
+      for (let j = i + 1; j <= lastMovable; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        if (orderCost(candidate, costs) < orderCost(order, costs) - 1e-9) {
+          order.splice(0, order.length, ...candidate);
+          improved = true;
+        }
+      }
+    }
+  }
+  return order.slice(1, lastMovable + 1);
+}
+
+// Cheapest visiting order for an itinerary, like OSRM's `trip` service without the
+// round trip: stop 0 stays first, and with `fixEnd` the last stop stays last.
+// `costs[i][j]` is the cost of the leg from stop i to stop j. Returns stop indices.
+export function optimiseStopOrder(costs, { fixEnd = false } = {}) {
+  const count = costs.length;
+  if (count < 3) return costs.map((_row, i) => i);
+
+  const end = fixEnd ? count - 1 : null;
+  const movable = costs.map((_row, i) => i).filter(i => i !== 0 && i !== end);
+  const path = movable.length <= MAX_EXACT_STOPS
+    ? exactOrder(costs, movable, end)
+    : heuristicOrder(costs, movable, end);
+
+  if (!path) return costs.map((_row, i) => i);
+  return [0, ...path, ...(end !== null ? [end] : [])];
+}
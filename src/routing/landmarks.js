@@ -0,0 +1,24 @@
+import { haversineDistance } from './geo';
+import { POIS, poiName } from '../places/pois';
+
+// Well-known places pilgrims navigate by, used to make directions easier to follow
+// ("Turn left near Harsiddhi Temple"). They are the places flagged `landmark` in the
+// bundled places dataset, which also holds their local-script names.
+export const LANDMARKS = POIS.filter(poi => poi.landmark);
+
+// Closest landmark within `maxDistance` metres of a point, or null
+export function nearestLandmark(point, maxDistance = 200, landmarks = LANDMARKS) {
+  let best = null;
+  for (const landmark of landmarks) {
+    const distance = haversineDistance(point, landmark.position);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { ...landmark, distance };
+    }
+  }
+  return best;
+}
+
+// Landmark name in a UI language, falling back to the English name
+export function landmarkName(landmark, language = 'en') {
+  return poiName(landmark, language);
+}
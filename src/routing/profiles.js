@@ -0,0 +1,72 @@
+// Travel profiles. Each one sets the travel speed, which roads of the local network it
+// may use, and how strongly it reacts to crowds (multiplies the extra cost of a crowded
+// cell: 1 = as-is, 2 = crowds cost twice as much). Remote providers map the profile id
+// to their own profile/costing names (see providers.js).
+
+const MOTOR_ROADS = new Set([
+  'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+  'secondary', 'secondary_link', 'tertiary', 'tertiary_link', 'unclassified',
+  'residential', 'living_street', 'service', 'road'
+]);
+
+const NO_PEDESTRIANS = new Set(['motorway', 'motorway_link', 'trunk', 'trunk_link']);
+
+const STEP_FREE_EXCLUDED = new Set(['steps', 'path', 'track', 'bridleway']);
+
+const isYes = (value) => value === 'yes' || value === 'true' || value === '1';
+
+export const ROUTING_PROFILES = {
+  walking: {
+    id: 'walking',
+    label: 'Walking',
+    icon: '🚶',
+    speed: 1.3, // m/s
+    crowdSensitivity: 1,
+    allowsEdge: ({ properties }) =>
+      !NO_PEDESTRIANS.has(properties.highway) && properties.foot !== 'no'
+  },
+  wheelchair: {
+    id: 'wheelchair',
+    label: 'Step-free',
+    icon: '♿',
+    speed: 0.9,
+    crowdSensitivity: 2,
+    allowsEdge: ({ properties }) =>
+      !NO_PEDESTRIANS.has(properties.highway) &&
+      !STEP_FREE_EXCLUDED.has(properties.highway) &&
+      properties.foot !== 'no' &&
+      properties.wheelchair !== 'no'
+  },
+  emergency: {
+    id: 'emergency',
+    label: 'Emergency',
+    icon: '🚑',
+    speed: 8.3,
+    crowdSensitivity: 1.5,
+    // Emergency vehicles may use any drivable road in either direction
+    allowsEdge: ({ properties }) =>
+      MOTOR_ROADS.has(properties.highway) || properties.emergency === 'yes'
+  },
+  shuttle: {
+    id: 'shuttle',
+    label: 'Shuttle',
+    icon: '🚌',
+    speed: 5.5,
+    crowdSensitivity: 1.5,
+    allowsEdge: ({ properties, reverse }) =>
+      MOTOR_ROADS.has(properties.highway) &&
+      properties.motor_vehicle !== 'no' &&
+      !(reverse && isYes(properties.oneway))
+  }
+};
+
+export const DEFAULT_PROFILE = ROUTING_PROFILES.walking;
+
+export function getProfile(id) {
+  return ROUTING_PROFILES[id] || DEFAULT_PROFILE;
+}
+
+// Routing weight adjusted for a profile's crowd sensitivity (never below 1)
+export function profileWeight(weight, profile = DEFAULT_PROFILE) {
+  return Math.max(1, 1 + (weight - 1) * profile.crowdSensitivity);
+}
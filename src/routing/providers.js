@@ -0,0 +1,375 @@
+import { DEFAULT_BASE_URLS, routingConfig } from './config';
+import { haversineDistance } from './geo';
+import { CrowdGraphRouter } from './graphRouter';
+import { getProfile } from './profiles';
+import recordedRoutes from './fixtures/recordedRoutes.json';
+
+// All providers resolve to the same normalized shape:
+//   [{ coordinates: [[lat, lng], ...], distance: metres, duration: seconds, steps }]
+// `steps` are turn-by-turn maneuvers in the format described in directions.js (empty
+// when the backend returned none).
+// Waypoints are passed in as [[lat, lng], ...] like everywhere else in the app, and
+// `profile` is a ROUTING_PROFILES id that each provider maps to its own profile names.
+// `isBlocked(from, to)` marks road segments closed in that direction by organizer
+// restrictions; only the local provider can honour it while routing, the others are
+// checked and rerouted afterwards (see DynamicOSRMRouter).
+
+// Decode an encoded polyline (Valhalla uses precision 6, Google/OSRM 5)
+export function decodePolyline(encoded, precision = 6) {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    for (const axis of [0, 1]) {
+      let shift = 0;
+      let result = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 0) lat += delta; else lng += delta;
+    }
+    coordinates.push([lat / factor, lng / factor]);
+  }
+
+  return coordinates;
+}
+
+// Join per-leg steps into one list, dropping the arrive/depart pairs at via points
+// (detour waypoints are not places the pilgrim stops)
+function mergeLegSteps(legs) {
+  return legs.flatMap((steps, i) => steps.filter(step =>
+    !(step.type === 'arrive' && i < legs.length - 1) && !(step.type === 'depart' && i > 0)
+  ));
+}
+
+const OSRM_STEP_TYPES = {
+  depart: 'depart',
+  arrive: 'arrive',
+  roundabout: 'roundabout',
+  rotary: 'roundabout',
+  'roundabout turn': 'roundabout',
+  continue: 'continue',
+  'new name': 'continue',
+  notification: 'continue'
+};
+
+// GraphHopper instruction sign -> maneuver
+const GRAPHHOPPER_SIGNS = {
+  '-98': ['turn', 'uturn'],
+  '-8': ['turn', 'uturn'],
+  '-7': ['turn', 'slight left'],
+  '-3': ['turn', 'sharp left'],
+  '-2': ['turn', 'left'],
+  '-1': ['turn', 'slight left'],
+  0: ['continue', 'straight'],
+  1: ['turn', 'slight right'],
+  2: ['turn', 'right'],
+  3: ['turn', 'sharp right'],
+  4: ['arrive', null],
+  6: ['roundabout', null],
+  7: ['turn', 'slight right'],
+  8: ['turn', 'uturn']
+};
+
+// Valhalla maneuver type -> maneuver
+const VALHALLA_MANEUVERS = {
+  1: ['depart', null],
+  2: ['depart', null],
+  3: ['depart', null],
+  4: ['arrive', null],
+  5: ['arrive', null],
+  6: ['arrive', null],
+  9: ['turn', 'slight right'],
+  10: ['turn', 'right'],
+  11: ['turn', 'sharp right'],
+  12: ['turn', 'uturn'],
+  13: ['turn', 'uturn'],
+  14: ['turn', 'sharp left'],
+  15: ['turn', 'left'],
+  16: ['turn', 'slight left'],
+  23: ['turn', 'slight right'],
+  24: ['turn', 'slight left'],
+  26: ['roundabout', null]
+};
+
+// OSRM HTTP API (public demo server or self-hosted osrm-backend)
+export class OSRMProvider {
+  constructor({ baseUrl } = {}) {
+    this.name = 'osrm';
+    this.baseUrl = baseUrl || DEFAULT_BASE_URLS.osrm;
+    this.profiles = { walking: 'foot', wheelchair: 'foot', emergency: 'driving', shuttle: 'driving' };
+  }
+
+  buildUrl(waypoints, { profile = 'walking', alternatives = false } = {}) {
+    const coordsString = waypoints.map(([lat, lng]) => `${lng},${lat}`).join(';');
+    const osrmProfile = this.profiles[profile] || profile;
+    let url = `${this.baseUrl}/route/v1/${osrmProfile}/${coordsString}?overview=full&geometries=geojson&steps=true`;
+    if (alternatives) url += '&alternatives=true';
+    return url;
+  }
+
+  async fetchResponse(waypoints, options) {
+    const response = await fetch(this.buildUrl(waypoints, options));
+    return response.json();
+  }
+
+  parseStep(step) {
+    const type = OSRM_STEP_TYPES[step.maneuver.type] || 'turn';
+    return {
+      type,
+      modifier: type === 'depart' || type === 'arrive' ? null : step.maneuver.modifier || 'straight',
+      name: step.name || null,
+      distance: step.distance,
+      duration: step.duration,
+      exit: step.maneuver.exit ?? null,
+      coordinates: step.geometry.coordinates.map(coord => [coord[1], coord[0]])
+    };
+  }
+
+  parseResponse(data) {
+    return data.routes.map(route => ({
+      coordinates: route.geometry.coordinates.map(coord => [coord[1], coord[0]]),
+      distance: route.distance,
+      duration: route.duration,
+      steps: mergeLegSteps((route.legs || []).map(leg => (leg.steps || []).map(step => this.parseStep(step))))
+    }));
+  }
+
+  async route(waypoints, options = {}) {
+    const data = await this.fetchResponse(waypoints, options);
+
+    if (data.code !== 'Ok') {
+      throw new Error(`OSRM Error: ${data.message}`);
+    }
+
+    return this.parseResponse(data);
+  }
+}
+
+// GraphHopper Routing API (hosted with API key, or self-hosted)
+export class GraphHopperProvider {
+  constructor({ baseUrl, apiKey } = {}) {
+    this.name = 'graphhopper';
+    this.baseUrl = baseUrl || DEFAULT_BASE_URLS.graphhopper;
+    this.apiKey = apiKey;
+    // 'wheelchair' must be configured on self-hosted servers
+    this.profiles = { walking: 'foot', wheelchair: 'wheelchair', emergency: 'car', shuttle: 'car' };
+  }
+
+  buildUrl(waypoints, { profile = 'walking', alternatives = false } = {}) {
+    const params = new URLSearchParams();
+    waypoints.forEach(([lat, lng]) => params.append('point', `${lat},${lng}`));
+    params.set('profile', this.profiles[profile] || profile);
+    params.set('points_encoded', 'false');
+    params.set('instructions', 'true');
+    if (alternatives) params.set('algorithm', 'alternative_route');
+    if (this.apiKey) params.set('key', this.apiKey);
+    return `${this.baseUrl}/route?${params}`;
+  }
+
+  async route(waypoints, options = {}) {
+    const response = await fetch(this.buildUrl(waypoints, options));
+    const data = await response.json();
+
+    if (!response.ok || !data.paths) {
+      throw new Error(`GraphHopper Error: ${data.message}`);
+    }
+
+    return data.paths.map(path => {
+      const coordinates = path.points.coordinates.map(coord => [coord[1], coord[0]]);
+      return {
+        coordinates,
+        distance: path.distance,
+        duration: path.time / 1000,
+        steps: (path.instructions || []).map((instruction, i) => this.parseInstruction(instruction, i, coordinates))
+          .filter(Boolean)
+      };
+    });
+  }
+
+  // Via-point instructions (sign 5) are dropped, like OSRM's intermediate arrivals
+  parseInstruction(instruction, index, coordinates) {
+    if (instruction.sign === 5) return null;
+    const [type, modifier] = index === 0 ? ['depart', null] : GRAPHHOPPER_SIGNS[instruction.sign] || ['turn', 'straight'];
+    const [from, to] = instruction.interval;
+    return {
+      type,
+      modifier,
+      name: instruction.street_name || null,
+      distance: instruction.distance,
+      duration: instruction.time / 1000,
+      exit: instruction.exit_number ?? null,
+      coordinates: coordinates.slice(from, Math.max(to, from + 1) + 1)
+    };
+  }
+}
+
+// Valhalla /route API
+export class ValhallaProvider {
+  constructor({ baseUrl } = {}) {
+    this.name = 'valhalla';
+    this.baseUrl = baseUrl || DEFAULT_BASE_URLS.valhalla;
+    this.profiles = {
+      walking: { costing: 'pedestrian' },
+      wheelchair: { costing: 'pedestrian', costing_options: { pedestrian: { type: 'wheelchair' } } },
+      emergency: { costing: 'auto', costing_options: { auto: { ignore_oneways: true } } },
+      shuttle: { costing: 'bus' }
+    };
+  }
+
+  buildRequest(waypoints, { profile = 'walking', alternatives = false } = {}) {
+    return {
+      locations: waypoints.map(([lat, lng]) => ({ lat, lon: lng })),
+      ...(this.profiles[profile] || { costing: profile }),
+      alternates: alternatives ? 2 : 0,
+      directions_type: 'maneuvers',
+      units: 'kilometers'
+    };
+  }
+
+  parseManeuver(maneuver, shape) {
+    const [type, modifier] = VALHALLA_MANEUVERS[maneuver.type] || ['continue', 'straight'];
+    return {
+      type,
+      modifier,
+      name: maneuver.street_names?.[0] || null,
+      distance: maneuver.length * 1000,
+      duration: maneuver.time,
+      exit: maneuver.roundabout_exit_count ?? null,
+      coordinates: shape.slice(maneuver.begin_shape_index, Math.max(maneuver.end_shape_index, maneuver.begin_shape_index + 1) + 1)
+    };
+  }
+
+  parseTrip(trip) {
+    const shapes = trip.legs.map(leg => decodePolyline(leg.shape, 6));
+    return {
+      coordinates: shapes.flat(),
+      distance: trip.summary.length * 1000,
+      duration: trip.summary.time,
+      steps: mergeLegSteps(trip.legs.map((leg, i) =>
+        (leg.maneuvers || []).map(maneuver => this.parseManeuver(maneuver, shapes[i]))
+      ))
+    };
+  }
+
+  async route(waypoints, options = {}) {
+    const response = await fetch(`${this.baseUrl}/route`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(this.buildRequest(waypoints, options))
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.trip) {
+      throw new Error(`Valhalla Error: ${data.error}`);
+    }
+
+    return [data.trip, ...(data.alternates || []).map(alt => alt.trip)].map(trip => this.parseTrip(trip));
+  }
+}
+
+// Offline stand-in: replays recorded OSRM responses from fixtures/recordedRoutes.json.
+// A request matches a recording when it has the same profile and every waypoint lies
+// within `tolerance` degrees of the recorded one. Unmatched requests get a synthetic
+// straight-line route so the UI keeps working without any server.
+export class MockProvider extends OSRMProvider {
+  constructor({ recordings = recordedRoutes.recordings, tolerance = 0.002, delay = 0 } = {}) {
+    super({ baseUrl: 'mock://osrm' });
+    this.name = 'mock';
+    this.recordings = recordings;
+    this.tolerance = tolerance;
+    this.delay = delay;
+  }
+
+  findRecording(waypoints, profile) {
+    const osrmProfile = this.profiles[profile] || profile;
+    return this.recordings.find(recording =>
+      recording.profile === osrmProfile &&
+      recording.waypoints.length === waypoints.length &&
+      recording.waypoints.every((point, i) =>
+        Math.abs(point[0] - waypoints[i][0]) <= this.tolerance &&
+        Math.abs(point[1] - waypoints[i][1]) <= this.tolerance
+      )
+    );
+  }
+
+  synthesizeResponse(waypoints) {
+    const coordinates = [];
+    let distance = 0;
+
+    waypoints.forEach((point, i) => {
+      if (i === 0) {
+        coordinates.push([point[1], point[0]]);
+        return;
+      }
+      const prev = waypoints[i - 1];
+      const steps = 10;
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        coordinates.push([
+          prev[1] + (point[1] - prev[1]) * t,
+          prev[0] + (point[0] - prev[0]) * t
+        ]);
+      }
+      distance += haversineDistance(prev, point);
+    });
+
+    return {
+      code: 'Ok',
+      routes: [{ distance, duration: distance / 1.3, geometry: { type: 'LineString', coordinates } }]
+    };
+  }
+
+  async fetchResponse(waypoints, { profile = 'walking', alternatives = false } = {}) {
+    if (this.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    const recording = this.findRecording(waypoints, profile);
+    const data = recording ? recording.response : this.synthesizeResponse(waypoints);
+
+    if (data.code !== 'Ok' || alternatives) return data;
+    return { ...data, routes: data.routes.slice(0, 1) };
+  }
+}
+
+// Routes on the bundled local road network (see graphRouter.js) with plain distance
+// costs, so the app works with no routing server at all
+export class LocalGraphProvider {
+  constructor({ baseUrl } = {}) {
+    this.name = 'local';
+    this.graphRouter = new CrowdGraphRouter(baseUrl ? { url: baseUrl } : {});
+  }
+
+  async route(waypoints, { profile, alternatives = false, isBlocked = null } = {}) {
+    const options = { profile: getProfile(profile), isBlocked };
+    if (!alternatives) {
+      return [await this.graphRouter.findRoute(waypoints, options)];
+    }
+    return this.graphRouter.findRoutes(waypoints, options);
+  }
+}
+
+const PROVIDERS = {
+  osrm: OSRMProvider,
+  graphhopper: GraphHopperProvider,
+  valhalla: ValhallaProvider,
+  mock: MockProvider,
+  local: LocalGraphProvider
+};
+
+// Build the configured provider; `config` defaults to the VITE_ROUTING_* env settings
+export function createRoutingProvider(config = routingConfig) {
+  const Provider = PROVIDERS[config.provider];
+  if (!Provider) {
+    throw new Error(`Unknown routing provider: ${config.provider}`);
+  }
+  return new Provider({ baseUrl: config.baseUrl, apiKey: config.apiKey });
+}
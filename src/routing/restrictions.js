@@ -0,0 +1,293 @@
+import { isPointInZone, segmentLengthInZone } from '../crowd/zones';
+import { bearing, closestPointOnPath, haversineDistance, interpolate, toLocalXY } from './geo';
+
+// Organizer-drawn restrictions: barricaded areas, one-way pedestrian corridors and
+// restricted gates, each active during daily time windows.
+//
+// Restriction shape:
+//   { id, type, name, points [[lat, lng], ...], windows [{ from: 'HH:MM', to: 'HH:MM' }],
+//     exemptProfiles [profile ids allowed through, e.g. 'emergency'], width (one-way only) }
+// `points` is the polygon of a closure, the centre line of a one-way corridor (walked
+// from the first point to the last only) and the line of a gate (which may not be
+// crossed). No windows means always active; a window ending before it starts runs past
+// midnight.
+//
+// Saved as a GeoJSON FeatureCollection (Polygon closures, LineString corridors and
+// gates, with the other fields as properties), to localStorage and to files.
+
+export const RESTRICTION_TYPES = {
+  closure: { id: 'closure', icon: '⛔', color: '#dc2626', minPoints: 3 },
+  'one-way': { id: 'one-way', icon: '➡️', color: '#2563eb', minPoints: 2 },
+  gate: { id: 'gate', icon: '🚧', color: '#b45309', minPoints: 2 }
+};
+
+export const DEFAULT_CORRIDOR_WIDTH = 20; // metres
+// Travel more than this many degrees off the corridor direction counts as walking against it
+const ONE_WAY_MAX_ANGLE = 120;
+// Metres inside a closure or against a one-way corridor a route may have before it counts
+// as breaking it, so snapping to a road along the edge is not flagged
+const MIN_VIOLATION_METRES = 5;
+const ONE_WAY_SAMPLE_STEP = 5; // metres
+
+const STORAGE_KEY = 'simhastha.restrictions';
+
+let nextId = 1;
+
+export function createRestriction({ type, name = '', points, windows = [], exemptProfiles = [], width = DEFAULT_CORRIDOR_WIDTH }) {
+  return {
+    id: `${type}-${Date.now().toString(36)}-${nextId++}`,
+    type,
+    name,
+    points,
+    windows,
+    exemptProfiles,
+    ...(type === 'one-way' ? { width } : {})
+  };
+}
+
+// Minutes since midnight of an 'HH:MM' time, or NaN
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return NaN;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+// Whether a restriction applies at `time` (ms since epoch, local time of day)
+export function isRestrictionActive(restriction, time = Date.now()) {
+  if (!restriction.windows?.length) return true;
+  const date = new Date(time);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return restriction.windows.some(({ from, to }) => {
+    const start = parseTimeOfDay(from);
+    const end = parseTimeOfDay(to);
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+  });
+}
+
+// Restrictions that apply to a trip with the `profileId` travel profile at `time`
+export function activeRestrictions(restrictions, { time = Date.now(), profileId = null } = {}) {
+  return restrictions.filter(restriction =>
+    isRestrictionActive(restriction, time) && !restriction.exemptProfiles?.includes(profileId)
+  );
+}
+
+// --- Geometry ---
+
+// Derived geometry per restriction: bounding box (padded by the corridor half-width),
+// centre and radius (for detours), and for closures a zone-like polygon so the crowd
+// zone clipping in src/crowd/zones.js can be reused
+const shapes = new WeakMap();
+function restrictionShape(restriction) {
+  if (!shapes.has(restriction)) {
+    const { points } = restriction;
+    const lats = points.map(point => point[0]);
+    const lngs = points.map(point => point[1]);
+    const halfWidth = restriction.type === 'one-way' ? (restriction.width || DEFAULT_CORRIDOR_WIDTH) / 2 : 0;
+    const padLat = halfWidth / 111320;
+    const padLng = padLat / Math.cos(lats[0] * Math.PI / 180);
+    const center = [lats.reduce((a, b) => a + b, 0) / lats.length, lngs.reduce((a, b) => a + b, 0) / lngs.length];
+    const bbox = [Math.min(...lats) - padLat, Math.min(...lngs) - padLng, Math.max(...lats) + padLat, Math.max(...lngs) + padLng];
+
+    shapes.set(restriction, {
+      bbox,
+      center,
+      radius: Math.max(...points.map(point => haversineDistance(center, point))) + halfWidth,
+      halfWidth,
+      area: restriction.type === 'closure'
+        ? {
+          polygon: points,
+          geometry: { type: 'Polygon', coordinates: [[...points, points[0]].map(([lat, lng]) => [lng, lat])] },
+          bbox
+        }
+        : null
+    });
+  }
+  return shapes.get(restriction);
+}
+
+// Centre and radius (metres) of a restriction, shaped like a crowd zone for detours
+export function restrictionExtent(restriction) {
+  const { center, radius } = restrictionShape(restriction);
+  return { center, radius };
+}
+
+// Whether a point lies inside a closure (routes starting or ending there cannot avoid it)
+export function isPointInClosure(point, restriction) {
+  return restriction.type === 'closure' && isPointInZone(point, restrictionShape(restriction).area);
+}
+
+// Whether segments a -> b and p -> q cross, in local metres around a
+function segmentsCross(a, b, p, q) {
+  const [bx, by] = toLocalXY(b, a);
+  const [px, py] = toLocalXY(p, a);
+  const [qx, qy] = toLocalXY(q, a);
+  const cross = (ux, uy, vx, vy) => ux * vy - uy * vx;
+  const denominator = cross(bx, by, qx - px, qy - py);
+  if (denominator === 0) return false;
+  const t = cross(px, py, qx - px, qy - py) / denominator;
+  const u = cross(px, py, bx, by) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1;
+}
+
+// Metres of a -> b walked inside the corridor against its direction
+function metresAgainstCorridor(a, b, restriction, halfWidth) {
+  const length = haversineDistance(a, b);
+  if (length === 0) return 0;
+  const heading = bearing(a, b);
+  const samples = Math.max(1, Math.ceil(length / ONE_WAY_SAMPLE_STEP));
+  let metres = 0;
+
+  for (let s = 0; s < samples; s++) {
+    const point = interpolate(a, b, (s + 0.5) / samples);
+    const closest = closestPointOnPath(restriction.points, point);
+    if (closest.distance > halfWidth) continue;
+    const corridorHeading = bearing(restriction.points[closest.index], restriction.points[closest.index + 1]);
+    const angle = Math.abs(((heading - corridorHeading + 540) % 360) - 180);
+    if (angle > ONE_WAY_MAX_ANGLE) metres += length / samples;
+  }
+  return metres;
+}
+
+// How much the segment a -> b (in travel direction) breaks a restriction: metres inside
+// a closure or against a one-way corridor, or the segment length when it crosses a gate
+export function segmentViolation(a, b, restriction) {
+  const { bbox, area, halfWidth } = restrictionShape(restriction);
+  const [minLat, minLng, maxLat, maxLng] = bbox;
+  if ((a[0] < minLat && b[0] < minLat) || (a[0] > maxLat && b[0] > maxLat) ||
+    (a[1] < minLng && b[1] < minLng) || (a[1] > maxLng && b[1] > maxLng)) {
+    return 0;
+  }
+
+  if (restriction.type === 'closure') return segmentLengthInZone(a, b, area);
+  if (restriction.type === 'one-way') return metresAgainstCorridor(a, b, restriction, halfWidth);
+
+  for (let i = 1; i < restriction.points.length; i++) {
+    if (segmentsCross(a, b, restriction.points[i - 1], restriction.points[i])) return haversineDistance(a, b);
+  }
+  return 0;
+}
+
+// Whether travelling a -> b breaks any of the restrictions (for the local graph router)
+export function isSegmentBlocked(a, b, restrictions) {
+  return restrictions.some(restriction => segmentViolation(a, b, restriction) > 0);
+}
+
+// Restrictions a route breaks, as [{ restriction, metres, point }] where `point` is the
+// first route point of the first offending segment
+export function findViolations(route, restrictions) {
+  const violations = [];
+  for (const restriction of restrictions) {
+    let metres = 0;
+    let point = null;
+    for (let i = 1; i < route.length; i++) {
+      const amount = segmentViolation(route[i - 1], route[i], restriction);
+      if (amount > 0 && !point) point = route[i - 1];
+      metres += amount;
+    }
+    const threshold = restriction.type === 'gate' ? 0 : MIN_VIOLATION_METRES;
+    if (metres > threshold) violations.push({ restriction, metres, point });
+  }
+  return violations;
+}
+
+// --- Files and storage ---
+
+const restrictionError = (code, params, message) => ({ code, params, message });
+
+export function restrictionsToGeoJSON(restrictions) {
+  return {
+    type: 'FeatureCollection',
+    exportedAt: new Date().toISOString(),
+    features: restrictions.map(({ points, ...properties }) => ({
+      type: 'Feature',
+      properties,
+      geometry: properties.type === 'closure'
+        ? { type: 'Polygon', coordinates: [[...points, points[0]].map(([lat, lng]) => [Number(lng.toFixed(6)), Number(lat.toFixed(6))])] }
+        : { type: 'LineString', coordinates: points.map(([lat, lng]) => [Number(lng.toFixed(6)), Number(lat.toFixed(6))]) }
+    }))
+  };
+}
+
+// Parse saved restrictions. Like the scenario parsers, invalid features are skipped and
+// reported as { row, message, code, params } (scenarioErrors.* in src/i18n).
+export function parseRestrictionsGeoJSON(data) {
+  const restrictions = [];
+  const errors = [];
+
+  if (data?.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    return { restrictions, errors: [{ row: 0, ...restrictionError('notFeatureCollection', {}, 'not a GeoJSON FeatureCollection') }] };
+  }
+
+  data.features.forEach((feature, index) => {
+    const row = index + 1;
+    const properties = feature?.properties || {};
+    const type = RESTRICTION_TYPES[properties.type];
+    if (!type) {
+      errors.push({ row, ...restrictionError('unknownRestrictionType', { type: properties.type ?? '' }, `unknown restriction type "${properties.type ?? ''}"`) });
+      return;
+    }
+
+    const geometry = feature.geometry;
+    const expected = type.id === 'closure' ? 'Polygon' : 'LineString';
+    const coordinates = geometry?.type === 'Polygon' ? geometry.coordinates?.[0]?.slice(0, -1) : geometry?.coordinates;
+    const points = geometry?.type === expected && Array.isArray(coordinates)
+      ? coordinates.map(([lng, lat] = []) => [Number(lat), Number(lng)])
+      : null;
+    if (!points || points.length < type.minPoints ||
+      points.some(([lat, lng]) => !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+      errors.push({ row, ...restrictionError('invalidRestrictionGeometry', { type: expected }, `invalid geometry, expected a ${expected}`) });
+      return;
+    }
+
+    const windows = Array.isArray(properties.windows) ? properties.windows : [];
+    const badWindow = windows.find(window => !Number.isFinite(parseTimeOfDay(window?.from)) || !Number.isFinite(parseTimeOfDay(window?.to)));
+    if (badWindow) {
+      const value = `${badWindow?.from ?? ''}–${badWindow?.to ?? ''}`;
+      errors.push({ row, ...restrictionError('invalidTimeWindow', { value }, `invalid time window "${value}"`) });
+      return;
+    }
+
+    restrictions.push({
+      ...createRestriction({
+        type: type.id,
+        name: String(properties.name ?? ''),
+        points,
+        windows: windows.map(({ from, to }) => ({ from, to })),
+        exemptProfiles: Array.isArray(properties.exemptProfiles) ? properties.exemptProfiles : [],
+        width: Number(properties.width) > 0 ? Number(properties.width) : DEFAULT_CORRIDOR_WIDTH
+      }),
+      ...(properties.id ? { id: String(properties.id) } : {})
+    });
+  });
+
+  return { restrictions, errors };
+}
+
+// Parse the text of a saved restrictions file (.geojson or .json)
+export function parseRestrictionsFile(text) {
+  try {
+    return parseRestrictionsGeoJSON(JSON.parse(text));
+  } catch (error) {
+    return { restrictions: [], errors: [{ row: 0, ...restrictionError('invalidJson', { error: error.message }, `invalid JSON: ${error.message}`) }] };
+  }
+}
+
+export function saveRestrictions(restrictions) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(restrictionsToGeoJSON(restrictions)));
+    return true;
+  } catch {
+    // Storage full or unavailable (private mode); the drawings still apply until reload
+    return false;
+  }
+}
+
+// The saved restrictions, or an empty list when there are none or they cannot be read
+export function loadRestrictions() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return saved ? parseRestrictionsGeoJSON(saved).restrictions : [];
+  } catch {
+    return [];
+  }
+}
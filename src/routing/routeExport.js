@@ -0,0 +1,134 @@
+// Serialise a route ([[lat, lng], ...]) and its routeInfo stats to GeoJSON, GPX and KML
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Flat, human-readable stats shared by all formats
+export function routeStats(info) {
+  return {
+    routeType: info.routeType,
+    profile: info.profile,
+    distanceMetres: Math.round(info.totalDistance),
+    estimatedMinutes: Math.round(info.estimatedTime / 60),
+    crowdExposureMetres: Math.round(info.crowdExposure),
+    crowdIntersection: Number(info.crowdIntersection.toFixed(3)),
+    efficiencyPercent: Number(info.efficiency.toFixed(1)),
+    points: info.totalPoints,
+    stops: info.stops ? info.stops.length : 2
+  };
+}
+
+// Named waypoints for the itinerary stops (just the route's ends for older routeInfo)
+function waypoints(route, info) {
+  const stops = info.stops && info.stops.length >= 2 ? info.stops : [route[0], route[route.length - 1]];
+  return stops.map((point, i) => ({
+    point,
+    name: i === 0 ? 'Start' : i === stops.length - 1 ? 'End' : `Stop ${i + 1}`
+  }));
+}
+
+function describe(stats) {
+  return `${stats.routeType} route (${stats.profile}): ${stats.distanceMetres} m, ` +
+    `~${stats.estimatedMinutes} min, ${stats.crowdExposureMetres} m in crowds`;
+}
+
+export function routeToGeoJSON(route, info, name = 'Pilgrim route') {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: {
+        name,
+        exportedAt: new Date().toISOString(),
+        ...routeStats(info),
+        legs: (info.legs || []).map(leg => ({
+          distanceMetres: Math.round(leg.distance),
+          estimatedMinutes: Math.round(leg.estimatedTime / 60),
+          crowdExposureMetres: Math.round(leg.crowdExposure),
+          routeType: leg.routeType
+        }))
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates: route.map(([lat, lng]) => [lng, lat])
+      }
+    }, ...waypoints(route, info).map(({ point, name: stopName }, i) => ({
+      type: 'Feature',
+      properties: { name: stopName, stop: i + 1 },
+      geometry: { type: 'Point', coordinates: [point[1], point[0]] }
+    }))]
+  }, null, 2);
+}
+
+export function routeToGPX(route, info, name = 'Pilgrim route') {
+  const stats = routeStats(info);
+  const stops = waypoints(route, info)
+    .map(({ point, name: stopName }) => `  <wpt lat="${point[0].toFixed(6)}" lon="${point[1].toFixed(6)}"><name>${stopName}</name></wpt>`)
+    .join('\n');
+  const points = route
+    .map(([lat, lng]) => `      <trkpt lat="${lat.toFixed(6)}" lon="${lng.toFixed(6)}"/>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Simhastha Smart Pilgrim Route Planner" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(describe(stats))}</desc>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${stops}
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <desc>${escapeXml(describe(stats))}</desc>
+    <trkseg>
+${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+export function routeToKML(route, info, name = 'Pilgrim route') {
+  const stats = routeStats(info);
+  const coordinates = route.map(([lat, lng]) => `${lng.toFixed(6)},${lat.toFixed(6)}`).join(' ');
+  const data = Object.entries(stats)
+    .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+    .join('\n');
+  const stops = waypoints(route, info)
+    .map(({ point, name: stopName }) => `    <Placemark>
+      <name>${stopName}</name>
+      <Point><coordinates>${point[1].toFixed(6)},${point[0].toFixed(6)}</coordinates></Point>
+    </Placemark>`)
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Style id="route"><LineStyle><color>ff2626dc</color><width>5</width></LineStyle></Style>
+    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <description>${escapeXml(describe(stats))}</description>
+      <styleUrl>#route</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+    </Placemark>
+${stops}
+  </Document>
+</kml>
+`;
+}
+
+export const ROUTE_EXPORT_FORMATS = {
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', serialize: routeToGPX },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', serialize: routeToGeoJSON },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', serialize: routeToKML }
+};
@@ -0,0 +1,118 @@
+import { pathLength } from './geo';
+
+// Multi-objective scoring of the route options of one calculation. Every option gets a
+// cost per criterion, measured against the other options so the criteria compare:
+//   distance  extra length over the shortest option (0.5 = half as long again)
+//   time      extra walking time over the fastest option, walking slower inside crowd
+//             zones (see crowdSpeedFactor)
+//   exposure  metres inside crowd zones times the zone weight, per metre of the
+//             shortest option
+//   zones     number of crowd zones crossed
+// The score is the sum of the costs times the user's weights; the lowest score wins.
+
+export const SCORE_CRITERIA = ['distance', 'time', 'exposure', 'zones'];
+
+export const MAX_CRITERION_WEIGHT = 5;
+
+// Preference presets for the weight sliders
+export const SCORING_PRESETS = {
+  balanced: { distance: 1, time: 1, exposure: 1, zones: 1 },
+  elderly: { distance: 0.5, time: 0.5, exposure: 4, zones: 2 }, // minimise crowd
+  hurry: { distance: 1, time: 4, exposure: 0.5, zones: 0 } // minimise time
+};
+
+export const DEFAULT_SCORING_WEIGHTS = SCORING_PRESETS.balanced;
+
+// Weidmann's fundamental diagram of pedestrian flow: walking speed falls with density
+// and stops at the jam density (people/m²)
+const JAM_DENSITY = 5.4;
+const WEIDMANN_GAMMA = 1.913;
+const MIN_SPEED_FACTOR = 0.1; // share of free walking speed kept in a jam
+
+const STORAGE_KEY = 'simhastha.scoringWeights';
+
+// Walking speed in a crowd of `density` people/m², as a share of free walking speed
+export function crowdSpeedFactor(density) {
+  if (!(density > 0)) return 1;
+  const factor = 1 - Math.exp(-WEIDMANN_GAMMA * (1 / density - 1 / JAM_DENSITY));
+  return Math.min(1, Math.max(MIN_SPEED_FACTOR, factor));
+}
+
+// Walking time (seconds) of a route option ({ route, crowdIntersections }) at `speed`
+// (m/s), slowed down inside every crowd zone it crosses
+export function routeWalkingTime(option, speed) {
+  let time = pathLength(option.route) / speed;
+  for (const { zone, intersectionLength } of option.crowdIntersections.crossedZones) {
+    time += intersectionLength / speed * (1 / crowdSpeedFactor(zone.density) - 1);
+  }
+  return time;
+}
+
+// Score every option. Returns, per option, the `total` and a `breakdown` of
+// { value, cost, points } per criterion: the measured value (metres, seconds, weighted
+// metres, zones), its cost relative to the other options and the cost times the weight.
+export function scoreRouteOptions(options, weights = DEFAULT_SCORING_WEIGHTS, { speed }) {
+  const measured = options.map(option => ({
+    distance: pathLength(option.route),
+    time: routeWalkingTime(option, speed),
+    exposure: option.crowdIntersections.crossedZones
+      .reduce((sum, crossing) => sum + crossing.intersectionLength * crossing.zone.weight, 0),
+    zones: option.crowdIntersections.crossedZones.length
+  }));
+  const shortest = Math.min(...measured.map(values => values.distance));
+  const fastest = Math.min(...measured.map(values => values.time));
+  const extra = (value, best) => (best > 0 ? value / best - 1 : 0);
+
+  return measured.map(values => {
+    const costs = {
+      distance: extra(values.distance, shortest),
+      time: extra(values.time, fastest),
+      exposure: shortest > 0 ? values.exposure / shortest : 0,
+      zones: values.zones
+    };
+    const breakdown = {};
+    let total = 0;
+    for (const criterion of SCORE_CRITERIA) {
+      const points = (weights[criterion] || 0) * costs[criterion];
+      breakdown[criterion] = { value: values[criterion], cost: costs[criterion], points };
+      total += points;
+    }
+    return { total, breakdown };
+  });
+}
+
+// Index of the option with the lowest score (the first one on a tie), or -1 without options
+export function bestScoreIndex(scores) {
+  return scores.reduce((best, score, index) => (best < 0 || score.total < scores[best].total ? index : best), -1);
+}
+
+// The preset the weights match, or null for custom weights
+export function matchingPreset(weights) {
+  return Object.keys(SCORING_PRESETS).find(id =>
+    SCORE_CRITERIA.every(criterion => SCORING_PRESETS[id][criterion] === weights[criterion])) || null;
+}
+
+export function saveScoringWeights(weights) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(weights));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// The saved weights, or the defaults when there are none or they cannot be read
+export function loadScoringWeights() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!saved) return DEFAULT_SCORING_WEIGHTS;
+    return Object.fromEntries(SCORE_CRITERIA.map(criterion => {
+      const weight = Number(saved[criterion]);
+      return [criterion, Number.isFinite(weight)
+        ? Math.min(MAX_CRITERION_WEIGHT, Math.max(0, weight))
+        : DEFAULT_SCORING_WEIGHTS[criterion]];
+    }));
+  } catch {
+    return DEFAULT_SCORING_WEIGHTS;
+  }
+}
@@ -0,0 +1,36 @@
+// Undo/redo history of the page's edits to crowds and route points. Edits are plain data
+// holding both states, { kind ('crowd' or 'stops'), action, before, after }: crowd edits
+// keep the edited cells with their counts (see DynamicPopulationGrid.editCells), stop
+// edits the whole list of stops. The page undoes a stop edit by restoring `before` and a
+// crowd edit by adding the difference back (see differenceEdits in src/crowd/editing.js);
+// the history only keeps track of which edit is next either way.
+
+export const MAX_EDITS = 100;
+
+export const EMPTY_EDIT_HISTORY = { past: [], future: [] };
+
+// A new edit; anything undone before it can no longer be redone
+export function recordEdit(history, edit) {
+  return { past: [...history.past, edit].slice(-MAX_EDITS), future: [] };
+}
+
+// The edit to undo or redo next, or null
+export const nextUndo = history => history.past[history.past.length - 1] || null;
+export const nextRedo = history => history.future[history.future.length - 1] || null;
+
+export function undoEdit(history) {
+  const edit = nextUndo(history);
+  return edit ? { past: history.past.slice(0, -1), future: [...history.future, edit] } : history;
+}
+
+export function redoEdit(history) {
+  const edit = nextRedo(history);
+  return edit ? { past: [...history.past, edit], future: history.future.slice(0, -1) } : history;
+}
+
+// Drop the edits of one kind, e.g. crowd edits once the whole crowd was replaced and
+// their counts no longer apply
+export const forgetEdits = (history, kind) => ({
+  past: history.past.filter(edit => edit.kind !== kind),
+  future: history.future.filter(edit => edit.kind !== kind)
+});
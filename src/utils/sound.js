@@ -0,0 +1,34 @@
+// Short alert beeps with the Web Audio API, so no sound files need to be bundled or cached
+// for offline use. Browsers only allow audio after a user gesture: call unlockAlertSound
+// from the click that turns sound on.
+
+let context = null;
+
+function audioContext() {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!context && AudioContext) context = new AudioContext();
+  return context;
+}
+
+export function unlockAlertSound() {
+  audioContext()?.resume();
+}
+
+// Three high beeps for a critical alert, one lower beep for a warning
+export function playAlertTone(severity) {
+  const audio = audioContext();
+  if (!audio || audio.state !== 'running') return;
+  const beeps = severity === 'critical' ? 3 : 1;
+  const frequency = severity === 'critical' ? 880 : 660;
+  for (let i = 0; i < beeps; i++) {
+    const start = audio.currentTime + i * 0.25;
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+    oscillator.connect(gain).connect(audio.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.2);
+  }
+}
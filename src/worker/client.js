@@ -0,0 +1,82 @@
+// Page side of the crowd engine (see engine.js). Requests return promises; the worker is
+// started on the first request, so a client that is never used costs nothing.
+
+// Rejection of a request that was cancelled or superseded before it finished
+export class CancelledError extends Error {
+  constructor(type) {
+    super(`Crowd engine request ${type} was cancelled`);
+    this.name = 'CancelledError';
+  }
+}
+
+export class CrowdEngineClient {
+  // `onState(state)` receives every crowd state the engine posts
+  constructor({ onState = null } = {}) {
+    this.onState = onState;
+    this.worker = null;
+    this.nextId = 1;
+    this.pending = new Map(); // id -> { type, resolve, reject, onProgress }
+  }
+
+  start() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./crowd.worker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this.receive(event.data);
+      this.worker.onerror = (event) => console.error('❌ Crowd worker error:', event.message);
+    }
+    return this.worker;
+  }
+
+  // Send a request. `onProgress({ done, total })` follows long ones; with `supersede`,
+  // pending requests of the same type are cancelled first, as their results are stale.
+  request(type, payload = {}, { onProgress = null, supersede = false } = {}) {
+    if (supersede) this.cancel(type);
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { type, resolve, reject, onProgress });
+      this.start().postMessage({ id, type, payload });
+    });
+  }
+
+  // Cancel the pending requests of `type` (or all of them). Their promises reject with
+  // a CancelledError at once; the engine stops working on them at its next check.
+  cancel(type = null) {
+    for (const [id, request] of this.pending) {
+      if (type && request.type !== type) continue;
+      this.pending.delete(id);
+      this.worker.postMessage({ type: 'cancel', id });
+      request.reject(new CancelledError(request.type));
+    }
+  }
+
+  receive(message) {
+    if (message.type === 'state') {
+      if (this.onState) this.onState(message.state);
+      return;
+    }
+
+    // Replies to cancelled requests are dropped
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    if (message.type === 'progress') {
+      if (request.onProgress) request.onProgress(message.progress);
+      return;
+    }
+
+    this.pending.delete(message.id);
+    if (message.type === 'result') {
+      request.resolve(message.result);
+    } else if (message.type === 'cancelled') {
+      request.reject(new CancelledError(request.type));
+    } else {
+      request.reject(new Error(message.message));
+    }
+  }
+
+  terminate() {
+    this.cancel();
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+  }
+}
@@ -0,0 +1,6 @@
+import { createCrowdEngine } from './engine';
+
+// Web Worker entry of the crowd engine (see engine.js); started by CrowdEngineClient
+const engine = createCrowdEngine(message => self.postMessage(message));
+
+self.onmessage = (event) => engine.handle(event.data);
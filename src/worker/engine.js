@@ -0,0 +1,188 @@
+import { DynamicPopulationGrid } from '../crowd/populationGrid';
+import { DynamicOSRMRouter } from '../routing/crowdRouter';
+import { assignDemand } from '../routing/assignment';
+import { getProfile } from '../routing/profiles';
+import { planEvacuation } from '../routing/evacuation';
+import { PilgrimSimulation, compareStrategies } from '../crowd/simulation';
+
+// The crowd engine: the population grid, its zones and all route scoring, behind a
+// message API so it can run in a Web Worker (see crowd.worker.js and client.js) and keep
+// the map responsive while crowds stream in.
+//
+// Requests are { id, type, payload } with `type` one of the handlers below; every request
+// gets exactly one reply { id, type: 'result', result }, { id, type: 'error', message }
+// or { id, type: 'cancelled' }, and long ones also { id, type: 'progress', progress }
+// ({ done, total }) on the way. { type: 'cancel', id } stops a pending request.
+// Whenever the crowd changes, the engine posts { type: 'state', state } (see
+// DynamicPopulationGrid.getState), so the page never has to ask for it.
+//
+// Profiles are sent as their id and restrictions as the active ones (plain data, see
+// src/routing/restrictions.js).
+//
+// A pilgrim simulation (see src/crowd/simulation.js) runs on its own grid, seeded with the
+// current crowd, and is stepped by the page; the live grid never sees the agents.
+
+export function createCrowdEngine(post, { grid = new DynamicPopulationGrid(), router = new DynamicOSRMRouter() } = {}) {
+  const pending = new Map(); // request id -> AbortController
+  let simulation = null;
+
+  const postState = () => post({ type: 'state', state: grid.getState() });
+
+  // Run a crowd change and post the new state
+  const mutate = (change) => {
+    const result = change();
+    postState();
+    return result;
+  };
+
+  const handlers = {
+    addPerson: ({ lat, lng, count = 1 }) => mutate(() => grid.addPerson(lat, lng, count)),
+
+    // Crowd editing; returns the cells before and after for undo (see
+    // DynamicPopulationGrid.editCells)
+    editCells: ({ cells }) => mutate(() => grid.editCells(cells)),
+
+    loadScenario: ({ cells, replace = true }) => mutate(() => grid.loadScenario(cells, { replace })),
+
+    // A parsed live feed message; returns the number of cells it changed
+    applyFeedMessage: ({ message }) => mutate(() => grid.applyFeedMessage(message)),
+
+    applyDecay: () => {
+      const changed = grid.applyDecay();
+      if (changed) postState();
+      return changed;
+    },
+
+    clearAll: () => mutate(() => grid.clearAll()),
+
+    clearProjected: () => mutate(() => grid.setProjected()),
+
+    state: () => grid.getState(),
+
+    scenarioCells: () => grid.getScenarioCells(),
+
+    // Crowd cells and zones as they were at `time`, for the timeline
+    snapshot: ({ time }) => {
+      const snapshot = grid.snapshotAt(time);
+      return { areas: snapshot.getPopulatedAreas(), zones: snapshot.crowdZones };
+    },
+
+    analyze: ({ route }) => router.analyzeCrowdIntersections(route, grid.crowdZones),
+
+    // Route options for an itinerary, each with the crowd statistics of its points
+    routes: async ({ stops, profileId, restrictions = [] }, { signal, progress }) => {
+      const routes = await router.getItineraryRoutes(stops, grid.crowdZones, {
+        populationGrid: grid,
+        profile: getProfile(profileId),
+        restrictions,
+        signal,
+        onProgress: progress
+      });
+      return routes.map(option => ({ ...option, stats: grid.getRouteStats(option.route) }));
+    },
+
+    stopCosts: ({ stops, profileId, restrictions = [] }, { signal }) =>
+      router.getStopCostMatrix(stops, grid.crowdZones, getProfile(profileId), { restrictions, signal }),
+
+    // Batch assignment of origin–destination demand (see src/routing/assignment.js). The
+    // expected crowd stays in the grid as projected load; returns null when no pair could
+    // be routed.
+    balance: async ({ pairs, profileId, restrictions = [], period }, { signal, progress }) => {
+      const profile = getProfile(profileId);
+      // Route options and their costs start from the observed crowds only
+      mutate(() => grid.setProjected());
+      const pathSets = await router.getAssignmentPaths(pairs, grid.crowdZones, {
+        populationGrid: grid,
+        profile,
+        restrictions,
+        signal,
+        onProgress: progress
+      });
+      const routed = pairs.filter((_pair, i) => pathSets[i].length > 0);
+      if (routed.length === 0) return null;
+
+      const result = assignDemand(routed, pathSets.filter(set => set.length > 0), {
+        cellKey: (lat, lng) => grid.getGridKey(lat, lng),
+        baseLoad: key => grid.populations.get(key) || 0,
+        speed: profile.speed,
+        period
+      });
+      console.log(`⚖️ Balanced ${routed.length} pair(s) in ${result.iterations} iteration(s), gap ${(result.gap * 100).toFixed(2)}%`);
+
+      mutate(() => grid.setProjected(result.projected));
+      return { ...result, unrouted: pairs.length - routed.length };
+    },
+
+    // Ways out to the nearest safe point for every crowd cell and an optional `origin`,
+    // with clearance times (see src/routing/evacuation.js)
+    evacuate: ({ safePoints, hazard, origin = null, profileId, restrictions = [] }, { signal }) =>
+      planEvacuation(router.graphRouter, {
+        grid,
+        safePoints,
+        hazard,
+        origin,
+        profile: getProfile(profileId),
+        restrictions,
+        signal
+      }),
+
+    // Pilgrims walk with the default (walking) profile
+    simulationStart: ({ options, restrictions = [] }) => {
+      simulation = new PilgrimSimulation(router, {
+        ...options,
+        baseCells: grid.getScenarioCells(),
+        restrictions
+      });
+      return simulation.getState();
+    },
+
+    // Run `seconds` of simulated time; returns the new simulation state
+    simulationStep: async ({ seconds }, { signal }) => {
+      if (!simulation) throw new Error('No pilgrim simulation is running');
+      await simulation.advance(seconds, { signal });
+      return simulation.getState();
+    },
+
+    simulationStop: () => {
+      simulation = null;
+      return null;
+    },
+
+    // Every routing strategy run to the end on the same agents, one summary each
+    compareStrategies: ({ options, restrictions = [] }, { signal, progress }) =>
+      compareStrategies(router, {
+        ...options,
+        baseCells: grid.getScenarioCells(),
+        restrictions
+      }, { signal, onProgress: progress })
+  };
+
+  const handle = async ({ id, type, payload = {} }) => {
+    if (type === 'cancel') {
+      pending.get(id)?.abort();
+      return;
+    }
+
+    const controller = new AbortController();
+    pending.set(id, controller);
+    try {
+      if (!handlers[type]) throw new Error(`Unknown crowd engine request: ${type}`);
+      const result = await handlers[type](payload, {
+        signal: controller.signal,
+        progress: (progress) => post({ id, type: 'progress', progress })
+      });
+      post({ id, type: 'result', result });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        post({ id, type: 'cancelled' });
+      } else {
+        console.error(`❌ Crowd engine ${type} failed:`, error);
+        post({ id, type: 'error', message: error.message });
+      }
+    } finally {
+      pending.delete(id);
+    }
+  };
+
+  return { handle, grid };
+}
@@ -1,7 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
+
+// Build dist/sw.js from src/pwa/sw.js, filling in the files to precache (every emitted
+// chunk and asset plus the public directory) and a cache version hashed from them
+function serviceWorker() {
+  let config
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    generateBundle(_options, bundle) {
+      const publicFiles = readdirSync(config.publicDir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => relative(config.publicDir, join(entry.parentPath, entry.name)).split('\\').join('/'))
+      const files = [...publicFiles, ...Object.keys(bundle)].sort()
+
+      const hash = createHash('sha256')
+      for (const file of files) {
+        hash.update(file)
+        // Bundle file names are content-hashed already; public files are not
+        if (publicFiles.includes(file)) hash.update(readFileSync(join(config.publicDir, file)))
+      }
+
+      const source = readFileSync('src/pwa/sw.js', 'utf8')
+        .replace('self.__PRECACHE_MANIFEST', JSON.stringify([config.base, ...files.map(file => config.base + file)]))
+        .replace('self.__CACHE_VERSION', JSON.stringify(hash.digest('hex').slice(0, 12)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })